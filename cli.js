@@ -5,10 +5,25 @@
  * 모든 테스트 모드를 하나의 CLI로 실행
  */
 
+import path from 'path';
 import { TestExecutor } from './src/core/test-executor.js';
 import { config } from './src/config/index.js';
 import { Logger } from './src/utils/logger.js';
 import { browserSessionManager } from './src/browser/session-manager.js';
+import { RateLimiter } from './src/utils/rate-limiter.js';
+import { LoadProfile } from './src/core/load-profile.js';
+import { Scenario } from './src/core/scenario.js';
+import { ScenarioMix } from './src/core/scenario-mix.js';
+import { Thresholds } from './src/utils/thresholds.js';
+import { CiReporter } from './src/utils/ci-reporter.js';
+import { DataFeeder, FEEDER_MODES } from './src/data/data-feeder.js';
+import { parseSeed, randomSource } from './src/utils/random.js';
+import { BrowserMix, DEFAULT_ENGINE } from './src/browser/browser-engines.js';
+import { RerunPlan } from './src/core/rerun-plan.js';
+import { Agent } from './src/distributed/agent.js';
+import { MAX_AGENTS } from './src/distributed/coordinator.js';
+import { loadRunStats, compareRuns, DEFAULT_ALPHA } from './src/utils/run-comparison.js';
+import { KoreanReportGenerator } from './src/utils/korean-report-generator.js';
 
 const logger = new Logger('CLI');
 
@@ -28,12 +43,45 @@ function printUsage() {
   single              단일 테스트 실행 (기본값)
   multi               여러 테스트 동시 실행
   load                부하 테스트 (시간 기반)
+  rate                도착률 테스트 (초당 사용자 수 기반, Open model)
+  coordinator         분산 테스트 코디네이터 (에이전트에 세션을 나눠 배정하고 결과 병합)
+  agent               분산 테스트 에이전트 (--coordinator로 지정한 코디네이터의 작업 실행)
+  rerun <실행>          이전 실행(실행 ID, 실행 폴더 또는 stats.json 경로)의 세션을 같은 학생 정보와 시드로 재실행
+                      브라우저 창을 띄우고 세션마다 트레이스를 기록 (결과는 원래 실행과 연결해 기록)
+  compare <기준> <비교>  두 실행의 stats.json 비교 (실행 ID, 실행 폴더 또는 stats.json 경로)
+                      유의한 악화가 있으면 종료 코드 2, 비교 보고서는 나중 실행 폴더에 저장
 
 ⚙️  옵션:
   -c, --count <개수>       테스트 개수 (multi 모드, 기본값: 3)
   -p, --parallel <개수>    동시 실행 개수 (기본값: 2)
-  -d, --duration <분>      실행 시간(분) - 부하테스트용 (기본값: 5)
+  -d, --duration <분>      실행 시간(분) - 부하/도착률 테스트용 (기본값: 5)
+  --rps <명>               초당 도착 사용자 수 (rate 모드, 기본값: 1)
+  --max-in-flight <개수>   동시 실행 상한, 초과한 도착은 드롭 (rate 모드, 기본값: 50)
   --no-tab-mode           탭 모드 비활성화 (각 세션마다 독립 Context)
+  --ramp <단계목록>        단계별 부하 프로파일 (multi/load 모드, 형식: <기간>:<목표 사용자 수>,...)
+                          예: 120s:200,5m:200,60s:0 → 2분간 0→200명, 5분 유지, 1분간 200→0명
+  --rate-limit <횟수>      전역 초당 작업 수 제한 (multi/load/rate 모드)
+  --action-rate <목록>     작업별 초당 제한 (예: click-payment-button=1,navigate-to-course-list=5)
+  --scenario <파일>        시나리오 파일(YAML/JSON)의 단계만 실행 (기본값: 전체 5단계)
+  --mix <파일>             세션마다 가중치에 따라 시나리오 선택 (multi/load/rate 모드)
+  --browser <엔진>         브라우저 엔진 (chromium, firefox, webkit, 기본값: chromium)
+                          mix: 세션마다 chromium 70%, webkit 20%, firefox 10%로 선택
+                          mix:chromium=60,webkit=40: 가중치 직접 지정
+  --data <파일>            학생 정보 파일(CSV/JSON: name, phone, grade, school, acadCd)로 이름과 전화번호 지정
+  --data-mode <방식>       학생 정보 배정 방식 (sequential: 순서대로 반복, random: 무작위, unique: 한 번씩만(load/rate 모드 제외), 기본값: sequential)
+  --seed <숫자>            난수 시드 (데이터, 시나리오 선택, 지연이 같은 순서로 나옴, 기본값: 무작위로 정해 결과에 표시)
+                          single 모드에 stats.json의 sessions[].seed를 넣으면 그 세션 하나를 그대로 재실행
+  --threshold <판정식>     성능 기준, 위반 시 종료 코드 2 (반복 또는 쉼표로 여러 개 지정)
+                          예: successRate>=95, p95(step2-basic)<8s, errorsByType.Timeout<5
+  --reporter <목록>        CI 결과 파일 작성 (junit: junit.xml, json: summary.json, 쉼표로 여러 개)
+  --reporter-dir <폴더>    CI 결과 파일 폴더 (기본값: ./reports)
+  --agents <개수>          기다릴 에이전트 수 (coordinator 모드, 기본값: 2, 최대 ${MAX_AGENTS})
+  --port <번호>            코디네이터 포트 (coordinator 모드, 기본값: 7070)
+  --coordinator <주소>     코디네이터 주소 (agent 모드, 예: http://10.0.0.5:7070)
+  --failed                실패한 세션만 재실행 (rerun 모드, 없으면 모든 세션)
+  --headless              브라우저 창 숨김 (rerun 모드, 기본값: 창 표시)
+  --no-trace              트레이스 기록 안 함 (rerun 모드)
+  --alpha <값>             compare 유의 수준 (기본값: 0.05)
   -h, --help              도움말 출력
 
 📝 실행 예시:
@@ -44,11 +92,46 @@ function printUsage() {
   node cli.js multi -c 400 -p 50     # 400명 동접 테스트 (자동: 8 브라우저 × 50 탭)
   node cli.js multi -c 5 --no-tab-mode  # 탭 모드 비활성화
   node cli.js load -d 10 -p 2        # 10분 동안 2개씩 부하 테스트
+  node cli.js rate --rps 5 -d 10      # 10분 동안 초당 5명씩 새 세션 시작 (진행 중인 세션 수와 무관)
+  node cli.js rate --rps 5 -d 10 --max-in-flight 200
+                                      # 동시 실행 200개 초과 시 도착 드롭
+  node cli.js multi -c 400 --ramp 120s:200,5m:200,60s:0
+                                      # 400개 테스트를 0→200명 증가, 유지, 감소 프로파일로 실행
+  node cli.js load --ramp 1m:20,3m:20  # 1분간 20명까지 늘린 뒤 3분 유지하며 반복 실행
+  node cli.js multi -c 100 -p 50 --rate-limit 10 --action-rate click-payment-button=2
+                                      # 전체 초당 10회, 결제 버튼은 초당 2회로 제한
+  node cli.js multi -c 20 -p 10 --scenario scenarios/browse-only.yaml
+                                      # 과정 목록만 둘러보는 시나리오로 20개 실행
+  node cli.js multi -c 100 -p 50 --mix scenarios/registration-opening.mix.yaml
+                                      # 둘러보기 60%, 이탈 25%, 결제 15%로 섞어서 실행
+  node cli.js multi -c 20 -p 10 --browser webkit
+                                      # iPad Safari(WebKit)로 20개 실행
+  node cli.js multi -c 100 -p 50 --browser mix:chromium=60,webkit=30,firefox=10
+                                      # 세션마다 엔진을 섞어서 실행 (리포트에 엔진별 결과)
+  node cli.js multi -c 30 -p 10 --data data/students.csv --data-mode unique
+                                      # 미리 준비한 학생 30명을 한 번씩 배정 (부족하면 실행 전에 에러)
+  node cli.js multi -c 20 -p 10 --seed 12345
+                                      # 지난 실행과 같은 시드로 같은 학년/학교, 시나리오, 지연을 재현
+  node cli.js single --seed 3141592653
+                                      # 실패한 세션 하나를 세션 시드로 재실행
+  node cli.js multi -c 50 -p 25 --threshold "successRate>=95" --threshold "p95(step2-basic)<8s"
+                                      # 성공률 95% 미만 또는 2단계 p95가 8초 이상이면 종료 코드 2
+  node cli.js multi -c 10 -p 5 --reporter junit,json --reporter-dir ci-results
+                                      # CI 서버용 ci-results/junit.xml, ci-results/summary.json 작성
+  node cli.js coordinator --agents 4 -c 400 -p 200
+                                      # 에이전트 4대에 100개씩(동시 50개) 나눠 400명 동접 테스트
+  node cli.js agent --coordinator http://10.0.0.5:7070
+                                      # 각 PC에서 실행, 코디네이터 신호에 맞춰 동시에 시작
+  node cli.js rerun reports/monitoring/2026-10-19/10-30-45-multi-test-400 --failed
+                                      # 400명 실행에서 실패한 세션만 창을 띄워 재실행 (트레이스 기록)
+  node cli.js compare 2026-10-12_10-00-00-multi-test-50 2026-10-19_10-00-00-multi-test-50
+                                      # 지난주 실행 대비 단계별 소요 시간, 에러, 대기 페이지 변화 비교
 
 🚀 npm scripts:
   npm run test:single                 # 단일 테스트
   npm run test:multi                  # 멀티 테스트
   npm run test:load                   # 부하 테스트
+  npm run test:rate -- --rps 5        # 도착률 테스트
   npm run gui                         # Web GUI 실행
 `);
 }
@@ -69,19 +152,53 @@ function parseArgs() {
     count: 3,
     concurrency: 2,
     duration: 5,
-    useTabMode: true  // 기본값: 탭 모드 활성화
+    rps: 1,
+    maxInFlight: 50,
+    useTabMode: true,  // 기본값: 탭 모드 활성화
+    profile: null,      // 부하 프로파일 (--ramp)
+    scenario: null,     // 시나리오 (--scenario)
+    scenarioMix: null,  // 가중치 시나리오 혼합 (--mix)
+    thresholds: [],     // 성능 기준 판정식 (--threshold)
+    reporter: null,     // CI 결과 파일 (--reporter, --reporter-dir)
+    browser: null,      // 브라우저 엔진 BrowserMix (--browser, 없으면 chromium)
+    dataFeeder: null,   // 학생 정보 파일 (--data, --data-mode)
+    seed: null,         // 난수 시드 (--seed, 없으면 실행할 때 무작위로 정함)
+    agents: 2,          // 분산 실행 에이전트 수 (--agents, coordinator 모드)
+    port: 7070,         // 코디네이터 포트 (--port)
+    coordinatorUrl: null, // 코디네이터 주소 (--coordinator, agent 모드)
+    rerunPlan: null,    // 재실행 계획 (rerun 모드)
+    headless: false,    // 브라우저 창 숨김 (--headless, rerun 모드)
+    trace: true,        // 트레이스 기록 (--no-trace, rerun 모드)
+    rateLimit: {
+      globalRps: 0,     // 0: 제한 없음
+      actionRps: {}
+    }
   };
 
   // 첫 번째 인자가 모드인지 확인
   if (args.length > 0 && !args[0].startsWith('-')) {
     const mode = args[0].toLowerCase();
-    if (['single', 'multi', 'load'].includes(mode)) {
+    if (['single', 'multi', 'load', 'rate', 'coordinator', 'agent', 'rerun'].includes(mode)) {
       options.mode = mode;
       args.shift();
     }
   }
 
+  // 재실행할 실행은 모드 바로 뒤의 인자
+  let rerunRef = null;
+  if (options.mode === 'rerun') {
+    if (args.length === 0 || args[0].startsWith('-')) {
+      throw new Error('rerun requires a run: node cli.js rerun <run-id|run-dir|stats.json> [--failed]');
+    }
+    rerunRef = args.shift();
+  }
+
   // 옵션 파싱
+  let reporterText = null;
+  let reporterDir = null;
+  let dataFile = null;
+  let dataMode = null;
+  let failedOnly = false;
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     switch (arg) {
@@ -98,14 +215,153 @@ function parseArgs() {
       case '--duration':
         options.duration = parseInt(args[++i]) || 5;
         break;
+      case '--rps':
+        options.rps = parseFloat(args[++i]) || 1;
+        break;
+      case '--max-in-flight':
+        options.maxInFlight = parseInt(args[++i]) || 50;
+        break;
       case '--no-tab-mode':
         options.useTabMode = false;
         break;
+      case '--ramp':
+        options.profile = LoadProfile.parse(args[++i]);
+        break;
+      case '--rate-limit':
+        options.rateLimit.globalRps = parseFloat(args[++i]) || 0;
+        break;
+      case '--action-rate':
+        Object.assign(options.rateLimit.actionRps, RateLimiter.parseActionRates(args[++i]));
+        break;
+      case '--scenario':
+        options.scenario = Scenario.load(args[++i]);
+        break;
+      case '--mix':
+        options.scenarioMix = ScenarioMix.load(args[++i]);
+        break;
+      case '--threshold':
+        options.thresholds.push(args[++i]);
+        break;
+      case '--reporter':
+        reporterText = args[++i];
+        break;
+      case '--reporter-dir':
+        reporterDir = args[++i];
+        break;
+      case '--browser':
+        options.browser = BrowserMix.parse(args[++i]);
+        break;
+      case '--data':
+        dataFile = args[++i];
+        break;
+      case '--data-mode':
+        dataMode = args[++i];
+        break;
+      case '--seed':
+        options.seed = parseSeed(args[++i]);
+        break;
+      case '--agents':
+        options.agents = parseInt(args[++i]);
+        break;
+      case '--port':
+        options.port = parseInt(args[++i]);
+        break;
+      case '--coordinator':
+        options.coordinatorUrl = args[++i];
+        break;
+      case '--failed':
+        failedOnly = true;
+        break;
+      case '--headless':
+        options.headless = true;
+        break;
+      case '--no-trace':
+        options.trace = false;
+        break;
     }
   }
 
+  if (reporterText !== null) {
+    options.reporter = CiReporter.parse(reporterText, reporterDir ? path.resolve(reporterDir) : undefined);
+  } else if (reporterDir) {
+    throw new Error('--reporter-dir requires --reporter');
+  }
+
+  if (dataFile) {
+    options.dataFeeder = DataFeeder.load(dataFile, { mode: dataMode || 'sequential' });
+  } else if (dataMode) {
+    throw new Error(`--data-mode requires --data (${FEEDER_MODES.join(', ')})`);
+  }
+
+  if (options.scenario && options.scenarioMix) {
+    throw new Error('--scenario and --mix cannot be used together');
+  }
+  if (options.scenarioMix && options.mode === 'single') {
+    throw new Error('--mix requires multi, load or rate mode');
+  }
+
+  // 분산 실행: 에이전트 설정은 코디네이터가 배정
+  if (options.mode === 'agent') {
+    if (!options.coordinatorUrl) {
+      throw new Error('agent mode requires --coordinator <url>');
+    }
+    if (options.profile || options.scenario || options.scenarioMix || options.thresholds.length > 0 || options.reporter || options.dataFeeder || options.seed !== null || options.browser) {
+      throw new Error('agent mode takes its settings from the coordinator; set --ramp, --scenario, --mix, --threshold, --reporter, --data, --seed and --browser there');
+    }
+  }
+  if (options.mode === 'coordinator') {
+    if (!(options.agents >= 1 && options.agents <= MAX_AGENTS)) {
+      throw new Error(`--agents must be between 1 and ${MAX_AGENTS}`);
+    }
+    if (options.count < options.agents) {
+      throw new Error('--count must be at least --agents');
+    }
+    if (!(options.port >= 0 && options.port <= 65535)) {
+      throw new Error('--port must be between 0 and 65535');
+    }
+    if (options.profile || options.scenario || options.scenarioMix) {
+      throw new Error('--ramp, --scenario and --mix are not supported in coordinator mode');
+    }
+  }
+
+  // 재실행: 학생 정보와 시드는 원래 실행의 stats.json에서 가져옴
+  if (options.mode === 'rerun') {
+    if (options.profile || options.scenarioMix || options.dataFeeder || options.seed !== null || options.thresholds.length > 0) {
+      throw new Error('rerun takes student data and seeds from the original run; --ramp, --mix, --data, --seed and --threshold are not supported');
+    }
+    options.rerunPlan = RerunPlan.load(rerunRef, { failedOnly, scenario: options.scenario });
+    options.useTabMode = false;
+  } else if (failedOnly || options.headless || !options.trace) {
+    throw new Error('--failed, --headless and --no-trace require rerun mode');
+  }
+
+  // unique 모드는 세션 수가 정해진 모드에서 레코드가 모자라면 바로 알림
+  if (options.dataFeeder) {
+    if (options.dataFeeder.mode === 'unique' && ['load', 'rate'].includes(options.mode)) {
+      throw new Error('--data-mode unique requires single, multi or coordinator mode; load and rate run an open-ended number of sessions (use sequential or random)');
+    }
+    if (options.mode === 'single') {
+      options.dataFeeder.assertCapacity(1);
+    } else if (['multi', 'coordinator'].includes(options.mode)) {
+      options.dataFeeder.assertCapacity(options.count);
+    }
+  }
+
+  // 판정식은 실행 전에 파싱해 오타를 바로 알림
+  options.thresholds = Thresholds.parse(options.thresholds);
+  if (!options.thresholds.isEmpty() && options.mode === 'single') {
+    throw new Error('--threshold requires multi, load or rate mode');
+  }
+
+  // 부하 프로파일이 있으면 최대 목표 사용자 수가 동시성 (브라우저당 탭은 최대 50개)
+  if (options.profile) {
+    options.concurrency = options.profile.maxTarget;
+  }
+
   // 탭 모드일 경우 동시성(concurrency)만큼 탭 생성
-  if (options.useTabMode) {
+  if (options.profile && options.useTabMode) {
+    options.tabsPerBrowser = Math.max(1, Math.min(options.concurrency, 50));
+  } else if (options.useTabMode) {
     options.tabsPerBrowser = Math.max(1, options.concurrency);
   } else {
     options.tabsPerBrowser = 1;
@@ -114,12 +370,94 @@ function parseArgs() {
   return options;
 }
 
+/**
+ * 재실행 안내에 쓸 시나리오 파일 (--scenario 또는 --mix에서 이름으로 찾음)
+ * @param {string} name 세션 결과의 시나리오 이름
+ * @param {Object} options parseArgs 결과
+ * @returns {string} 파일 경로 (혼합 파일 안의 인라인 시나리오면 안내 문구)
+ */
+function describeScenarioFile(name, options) {
+  const scenario = options.scenario?.name === name
+    ? options.scenario
+    : options.scenarioMix?.entries.find(entry => entry.scenario.name === name)?.scenario;
+
+  return scenario?.file ? path.relative(process.cwd(), scenario.file) : `<${name} 시나리오 파일>`;
+}
+
+/**
+ * 실행 비교 (compare 모드)
+ * @param {string[]} args compare 뒤의 인자
+ * @returns {number} 종료 코드 (유의한 악화가 있으면 2)
+ */
+function runCompare(args) {
+  const refs = [];
+  let alpha = DEFAULT_ALPHA;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--alpha') {
+      alpha = parseFloat(args[++i]);
+    } else {
+      refs.push(args[i]);
+    }
+  }
+
+  if (refs.length !== 2) {
+    throw new Error('compare requires two runs: node cli.js compare <baseline> <candidate>');
+  }
+  if (!(alpha > 0 && alpha < 1)) {
+    throw new Error('--alpha must be between 0 and 1');
+  }
+
+  const comparison = compareRuns(loadRunStats(refs[0]), loadRunStats(refs[1]), { alpha });
+  const reportGenerator = new KoreanReportGenerator();
+  const { markdownPath, htmlPath } = reportGenerator.generateComparisonReport(comparison);
+
+  const describe = change => reportGenerator.translateComparisonChange(change);
+
+  console.log(`\n${'='.repeat(60)}`);
+  console.log('📈 실행 비교');
+  console.log(`${'='.repeat(60)}`);
+  console.log(`기준: ${comparison.baseline.runId} (${comparison.baseline.total}건)`);
+  console.log(`비교: ${comparison.candidate.runId} (${comparison.candidate.total}건)`);
+
+  const successRate = comparison.overview[0];
+  console.log(`✅ 성공률: ${successRate.baseline ?? '-'}% → ${successRate.candidate ?? '-'}% (${reportGenerator.formatVerdict(successRate)})`);
+  comparison.steps.forEach(item => {
+    console.log(`⏱️  ${reportGenerator.translateComparisonStep(item.step)}: ${reportGenerator.formatDurationChange(item, 'p95')} p95 (${reportGenerator.formatVerdict(item)})`);
+  });
+
+  if (comparison.regressions.length > 0) {
+    console.log(`🔴 유의한 악화 ${comparison.regressions.length}건: ${comparison.regressions.map(describe).join(', ')}`);
+  } else {
+    console.log('✅ 통계적으로 유의한 악화 없음');
+  }
+  if (comparison.improvements.length > 0) {
+    console.log(`🟢 유의한 개선 ${comparison.improvements.length}건: ${comparison.improvements.map(describe).join(', ')}`);
+  }
+
+  console.log(`📄 비교 보고서: ${markdownPath}`);
+  console.log(`🌐 HTML: ${htmlPath}`);
+  console.log(`${'='.repeat(60)}\n`);
+
+  return comparison.regressions.length > 0 ? 2 : 0;
+}
+
 /**
  * 메인 함수
  */
 async function main() {
   const startTime = Date.now();
 
+  // 실행 비교는 테스트 설정이나 브라우저가 필요 없음
+  if (process.argv[2] === 'compare') {
+    try {
+      process.exit(runCompare(process.argv.slice(3)));
+    } catch (error) {
+      logger.error('Compare failed:', error);
+      process.exit(1);
+    }
+  }
+
   try {
     // 설정 검증
     config.validate();
@@ -136,10 +474,52 @@ async function main() {
     console.log(`URL: ${config.baseUrl}`);
     console.log(`학원코드: ${config.defaultAcadCd}`);
 
+    const profileText = options.profile
+      ? `부하 프로파일 ${options.profile.toString()} (최대 ${options.profile.maxTarget}명, ${Math.round(options.profile.totalDuration / 1000)}초)`
+      : null;
+
     if (options.mode === 'multi') {
-      console.log(`설정: 총 ${options.count}개를 ${options.concurrency}개씩 동시 실행`);
+      console.log(profileText
+        ? `설정: 총 ${options.count}개를 ${profileText}로 실행`
+        : `설정: 총 ${options.count}개를 ${options.concurrency}개씩 동시 실행`);
+    } else if (options.mode === 'rate') {
+      console.log(`설정: ${options.duration}분간 초당 ${options.rps}명 도착 (동시 실행 상한 ${options.maxInFlight}개)`);
     } else if (options.mode === 'load') {
-      console.log(`설정: ${options.duration}분간 ${options.concurrency}개씩 동시 실행`);
+      console.log(profileText
+        ? `설정: ${profileText}로 반복 실행`
+        : `설정: ${options.duration}분간 ${options.concurrency}개씩 동시 실행`);
+    } else if (options.mode === 'coordinator') {
+      console.log(`설정: 총 ${options.count}개를 ${options.concurrency}개씩 동시 실행, 에이전트 ${options.agents}개에 분배 (포트 ${options.port})`);
+    } else if (options.mode === 'agent') {
+      console.log(`코디네이터: ${options.coordinatorUrl}`);
+    } else if (options.mode === 'rerun') {
+      console.log(`재실행: ${options.rerunPlan.toString()}를 ${options.concurrency}개씩, 브라우저 창 ${options.headless ? '숨김' : '표시'}, 트레이스 ${options.trace ? '기록' : '끔'}`);
+      options.rerunPlan.sessions.forEach(planned => {
+        const browser = planned.browser ? `, 브라우저 ${planned.browser}` : '';
+        console.log(`  - ${planned.sessionId}: 실패 단계 ${planned.failedStep || '-'}, 시드 ${planned.seed ?? '-'}${browser}${planned.error ? ` (${planned.error})` : ''}`);
+      });
+    }
+
+    if (options.dataFeeder) {
+      console.log(`학생 데이터: ${options.dataFeeder.toString()}`);
+    }
+
+    if (options.seed !== null) {
+      console.log(`난수 시드: ${options.seed}`);
+    }
+
+    if (options.browser) {
+      console.log(`브라우저: ${options.browser.toString()}`);
+    }
+
+    if (options.scenario) {
+      console.log(`시나리오: ${options.scenario.toString()}`);
+    } else if (options.scenarioMix) {
+      console.log(`시나리오 혼합: ${options.scenarioMix.toString()}`);
+    }
+
+    if (!['single', 'agent'].includes(options.mode) && (options.rateLimit.globalRps > 0 || Object.keys(options.rateLimit.actionRps).length > 0)) {
+      console.log(`유량 제어: 전역 ${options.rateLimit.globalRps || '제한 없음'}회/초, 작업별 ${JSON.stringify(options.rateLimit.actionRps)}`);
     }
 
     console.log(`${'='.repeat(60)}\n`);
@@ -152,7 +532,7 @@ async function main() {
 
     switch (options.mode) {
       case 'single':
-        result = await executor.executeSingle();
+        result = await executor.executeSingle(null, { scenario: options.scenario, browser: options.browser, dataFeeder: options.dataFeeder, seed: options.seed, reporter: options.reporter });
         break;
 
       case 'multi':
@@ -160,14 +540,81 @@ async function main() {
           count: options.count,
           concurrency: options.concurrency,
           useTabMode: options.useTabMode,
-          tabsPerBrowser: options.tabsPerBrowser
+          tabsPerBrowser: options.tabsPerBrowser,
+          rateLimit: options.rateLimit,
+          profile: options.profile,
+          scenario: options.scenario,
+          scenarioMix: options.scenarioMix,
+          browser: options.browser,
+          dataFeeder: options.dataFeeder,
+          seed: options.seed,
+          thresholds: options.thresholds,
+          reporter: options.reporter
         });
         break;
 
       case 'load':
         result = await executor.executeLoad({
           duration: options.duration,
-          concurrency: options.concurrency
+          concurrency: options.concurrency,
+          rateLimit: options.rateLimit,
+          profile: options.profile,
+          scenario: options.scenario,
+          scenarioMix: options.scenarioMix,
+          browser: options.browser,
+          dataFeeder: options.dataFeeder,
+          seed: options.seed,
+          thresholds: options.thresholds,
+          reporter: options.reporter
+        });
+        break;
+
+      case 'rate':
+        result = await executor.executeRate({
+          rps: options.rps,
+          duration: options.duration,
+          maxInFlight: options.maxInFlight,
+          useTabMode: options.useTabMode,
+          rateLimit: options.rateLimit,
+          scenario: options.scenario,
+          scenarioMix: options.scenarioMix,
+          browser: options.browser,
+          dataFeeder: options.dataFeeder,
+          seed: options.seed,
+          thresholds: options.thresholds,
+          reporter: options.reporter
+        });
+        break;
+
+      case 'coordinator':
+        result = await executor.executeDistributed({
+          agents: options.agents,
+          port: options.port,
+          count: options.count,
+          concurrency: options.concurrency,
+          useTabMode: options.useTabMode,
+          rateLimit: options.rateLimit,
+          browser: options.browser,
+          dataFeeder: options.dataFeeder,
+          seed: options.seed,
+          thresholds: options.thresholds,
+          reporter: options.reporter
+        });
+        break;
+
+      case 'agent':
+        result = await new Agent(options.coordinatorUrl, { executor }).run();
+        break;
+
+      case 'rerun':
+        result = await executor.executeRerun({
+          plan: options.rerunPlan,
+          concurrency: options.concurrency,
+          headless: options.headless,
+          trace: options.trace,
+          scenario: options.scenario,
+          browser: options.browser,
+          reporter: options.reporter
         });
         break;
 
@@ -187,24 +634,75 @@ async function main() {
     if (result.summary) {
       const summary = result.summary;
       console.log(`✅ 성공: ${summary.successful}/${summary.total} (${summary.successRate}%)`);
+      if (summary.droppedArrivals !== undefined) {
+        console.log(`🚪 도착: ${summary.arrivals}건 (드롭 ${summary.droppedArrivals}건)`);
+      }
       console.log(`⏱️  평균 시간: ${Math.round(summary.avgTime / 1000)}초`);
       console.log(`⏱️  총 실행 시간: ${totalTime}초`);
+      if (result.agents) {
+        result.agents.forEach(agent => {
+          const agentSummary = agent.summary ? `성공 ${agent.summary.successful}/${agent.summary.total}` : agent.error;
+          console.log(`🛰️  ${agent.agentId} (${agent.hostname}): ${agent.status} - ${agentSummary}`);
+        });
+      }
     } else {
       console.log(`결과: ${result.success ? '✅ 성공' : '❌ 실패'}`);
       console.log(`⏱️  실행 시간: ${totalTime}초`);
     }
 
+    if (options.mode === 'rerun') {
+      console.log(`🔗 원래 실행: ${options.rerunPlan.runId}`);
+      result.results.forEach(sessionResult => {
+        const trace = sessionResult.traceFile ? `, 트레이스 ${sessionResult.traceFile}` : '';
+        console.log(`   ${sessionResult.originalSessionId}: ${sessionResult.success ? '✅ 성공' : '❌ 실패'}${trace}`);
+      });
+    }
+
+    // 에이전트 시드는 코디네이터가 정하고, 재실행은 원래 세션 시드를 쓰므로 그 외 모드에서만 표시
+    if (!['agent', 'rerun'].includes(options.mode)) {
+      console.log(`🎲 난수 시드: ${randomSource.seed} (같은 조건으로 다시 실행: --seed ${randomSource.seed})`);
+
+      const failedResults = (result.results || []).filter(sessionResult => !sessionResult.success && sessionResult.seed !== undefined);
+      if (failedResults.length > 0) {
+        const failed = failedResults[0];
+        const others = failedResults.length > 1 ? `, 나머지 ${failedResults.length - 1}개는 stats.json의 sessions[].seed와 scenario` : '';
+        const scenario = failed.scenario ? ` --scenario ${describeScenarioFile(failed.scenario, options)}` : '';
+        const browser = failed.browser && failed.browser !== DEFAULT_ENGINE ? ` --browser ${failed.browser}` : '';
+        console.log(`🔁 실패 세션 재실행: node cli.js single --seed ${failed.seed}${scenario}${browser} (${failed.sessionId}${others})`);
+      }
+    }
+
+    if (executor.runRecord) {
+      console.log(`📚 실행 기록: ${executor.runRecord.runId} (reports/runs.json)`);
+    }
+    if (executor.ciReportFiles) {
+      Object.values(executor.ciReportFiles).forEach(file => {
+        console.log(`🧾 CI 결과: ${path.relative(process.cwd(), file)}`);
+      });
+    }
+
     console.log(`${'='.repeat(60)}\n`);
 
-    // 종료 코드
-    if (result.success || (result.summary && result.summary.successful > 0)) {
+    // 종료 코드 (성능 기준이 있으면 판정 결과로 결정, 위반 시 2)
+    const exitCode = executor.resolveExitCode(result);
+    const thresholdResults = executor.thresholdResults;
+    if (thresholdResults) {
+      const breached = thresholdResults.filter(r => !r.passed);
+      console.log(`🎯 성능 기준: ${thresholdResults.length - breached.length}/${thresholdResults.length} 통과`);
+
+      if (breached.length > 0) {
+        logger.error(`Thresholds breached: ${breached.map(r => r.expression).join(', ')}`);
+      } else {
+        logger.info('All thresholds passed');
+      }
+    } else if (exitCode === 0) {
       logger.info('Test completed successfully');
-      process.exit(0);
     } else {
       logger.error('Test failed');
-      process.exit(1);
     }
 
+    process.exit(exitCode);
+
   } catch (error) {
     logger.error('Test execution failed:', error);
     process.exit(1);
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * 로컬 목업 서버
+ * 실제 수강신청 사이트 대신 ENVIRONMENT=local 로 테스트할 때 사용
+ *
+ * 사용법:
+ *   node mock-server.js [--waiting] [--throughput <명/초>] [--latency <ms>]
+ */
+
+import dotenv from 'dotenv';
+import { MockSite } from './src/mock/mock-site.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+
+/**
+ * 옵션 값 읽기 (없으면 환경변수 사용)
+ */
+function getOption(name, envName) {
+  const index = args.indexOf(name);
+  if (index !== -1 && args[index + 1]) {
+    return args[index + 1];
+  }
+  return process.env[envName];
+}
+
+const port = parseInt(process.env.MOCK_PORT) || 4000;
+const waitingMode = args.includes('--waiting') || process.env.MOCK_WAITING === 'true';
+const waitingThroughput = parseFloat(getOption('--throughput', 'MOCK_WAITING_THROUGHPUT')) || 2;
+const latency = parseInt(getOption('--latency', 'MOCK_LATENCY')) || 0;
+
+const mockSite = new MockSite({ waitingMode, waitingThroughput, latency });
+
+try {
+  await mockSite.start(port);
+} catch (error) {
+  console.error(`❌ 목업 서버를 시작할 수 없습니다: ${error.message}`);
+  process.exit(1);
+}
+
+console.log(`
+╔════════════════════════════════════════════════════════════╗
+║     🧪 온라인 수강신청 로컬 목업 서버                      ║
+╚════════════════════════════════════════════════════════════╝
+
+📱 URL: http://localhost:${port}/apply/request/list.do
+⏳ 대기 페이지: ${waitingMode ? `사용 (초당 ${waitingThroughput}명 입장)` : '사용 안 함'}
+🐢 응답 지연: ${latency}ms
+📊 요청 통계: http://localhost:${port}/mock/stats
+
+💡 .env에 ENVIRONMENT=local 을 설정한 뒤 다른 터미널에서 테스트를 실행하세요:
+   npm run test:single
+`);
+
+// Graceful shutdown
+const shutdown = async () => {
+  console.log('\n\n👋 Shutting down mock server...');
+  await mockSite.stop();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -1,11 +1,16 @@
 // 전역 상태
 let selectedMode = null;
 let testRunning = false;
-let logInterval = null;
+let eventSource = null; // 실시간 이벤트 스트림 (/api/stream)
+let liveStatus = null; // 마지막으로 받은 실행 상태
+let recentLogs = [];
+let sessionResults = [];
 
-// 페이지 로드 시 현재 설정 가져오기
+// 페이지 로드 시 현재 설정과 실행 이력 가져오기
 window.addEventListener('DOMContentLoaded', async () => {
     await loadCurrentConfig();
+    loadRunHistory();
+    loadCompareOptions();
 });
 
 // 현재 설정 로드
@@ -53,6 +58,8 @@ function showTestOptions(mode) {
     const countGroup = document.getElementById('count-group');
     const parallelGroup = document.getElementById('parallel-group');
     const durationGroup = document.getElementById('duration-group');
+    const rateLimitGroup = document.getElementById('rate-limit-group');
+    const rampGroup = document.getElementById('ramp-group');
 
     optionsPanel.style.display = 'block';
 
@@ -60,14 +67,20 @@ function showTestOptions(mode) {
         countGroup.style.display = 'none';
         parallelGroup.style.display = 'none';
         durationGroup.style.display = 'none';
+        rateLimitGroup.style.display = 'none';
+        rampGroup.style.display = 'none';
     } else if (mode === 'multi') {
         countGroup.style.display = 'block';
         parallelGroup.style.display = 'block';
         durationGroup.style.display = 'none';
+        rateLimitGroup.style.display = 'grid';
+        rampGroup.style.display = 'grid';
     } else if (mode === 'load') {
         countGroup.style.display = 'none';
         parallelGroup.style.display = 'block';
         durationGroup.style.display = 'block';
+        rateLimitGroup.style.display = 'grid';
+        rampGroup.style.display = 'grid';
     }
 }
 
@@ -109,7 +122,10 @@ document.getElementById('run-test-btn').addEventListener('click', async function
         mode: selectedMode,
         count: parseInt(document.getElementById('test_count').value) || 3,
         parallel: parseInt(document.getElementById('parallel_count').value) || 2,
-        duration: parseInt(document.getElementById('test_duration').value) || 5
+        duration: parseInt(document.getElementById('test_duration').value) || 5,
+        rateLimit: parseFloat(document.getElementById('rate_limit').value) || 0,
+        actionRate: document.getElementById('action_rate').value.trim(),
+        ramp: document.getElementById('ramp_profile').value.trim()
     };
 
     try {
@@ -123,9 +139,11 @@ document.getElementById('run-test-btn').addEventListener('click', async function
         });
 
         if (response.ok) {
-            startLogMonitoring();
+            resetSessionResults();
+            startLiveStream();
         } else {
-            alert('❌ 테스트 실행에 실패했습니다.');
+            const { error } = await response.json().catch(() => ({}));
+            alert('❌ 테스트 실행에 실패했습니다.' + (error ? '\n' + error : ''));
             testRunning = false;
             updateTestUI(false);
         }
@@ -138,15 +156,20 @@ document.getElementById('run-test-btn').addEventListener('click', async function
 
 // 테스트 중지
 document.getElementById('stop-test-btn').addEventListener('click', async function() {
+    // 중지 응답보다 종료 상태 이벤트가 먼저 도착해 완료 알림이 뜨지 않도록 스트림을 먼저 닫음
+    stopLiveStream();
+
     try {
         const response = await fetch('/api/stop-test', { method: 'POST' });
         if (response.ok) {
             testRunning = false;
             updateTestUI(false);
-            stopLogMonitoring();
             alert('⏹️ 테스트가 중지되었습니다.');
+        } else {
+            startLiveStream();
         }
     } catch (error) {
+        startLiveStream();
         alert('❌ 테스트 중지에 실패했습니다: ' + error.message);
     }
 });
@@ -167,52 +190,209 @@ function updateTestUI(running) {
     }
 }
 
-// 로그 모니터링 시작
-function startLogMonitoring() {
-    logInterval = setInterval(async () => {
-        try {
-            const response = await fetch('/api/status');
-            const status = await response.json();
+// 실시간 스트림 시작 (Server-Sent Events)
+function startLiveStream() {
+    stopLiveStream();
+    recentLogs = [];
+
+    eventSource = new EventSource('/api/stream');
+
+    // 실행 상태: 연결 직후와 시작/종료 시 전송됨
+    eventSource.addEventListener('status', (e) => {
+        liveStatus = JSON.parse(e.data);
+        updateCounters(liveStatus.live);
+        renderErrorFeed(liveStatus.recentErrors);
+
+        if (!liveStatus.isRunning && testRunning) {
+            testRunning = false;
+            updateTestUI(false);
+            stopLiveStream();
+            showFinalResults();
+            loadRunHistory();
+            loadCompareOptions();
+            alert(liveStatus.exitCode === 0 ? '✅ 테스트가 완료되었습니다!' : `⚠️ 테스트가 종료되었습니다 (종료 코드: ${liveStatus.exitCode})`);
+        }
+    });
+
+    // 세션 하나가 끝날 때마다 결과 전송
+    eventSource.addEventListener('result', (e) => {
+        addSessionResult(JSON.parse(e.data));
+    });
+
+    // ConcurrentMonitor 이벤트 (세션 시작, 단계 변경, 에러, 대기 페이지, 완료 등)
+    eventSource.addEventListener('monitor', (e) => {
+        const event = JSON.parse(e.data);
+        if (event.counters) {
+            updateCounters(event.counters);
+        }
+
+        if (event.eventType === 'ERROR' || event.eventType === 'SESSION_FAILED') {
+            addErrorEntry({
+                timestamp: event.timestamp,
+                sessionId: event.sessionId,
+                step: event.step,
+                errorType: event.errorType,
+                message: event.error || (event.errors && event.errors.length > 0 ? event.errors[event.errors.length - 1].message : 'Session failed')
+            });
+        }
+    });
+
+    eventSource.addEventListener('log', (e) => {
+        appendLog(JSON.parse(e.data));
+    });
+
+    eventSource.onerror = () => {
+        // EventSource가 자동으로 재연결하며, 재연결 시 status 이벤트로 상태를 다시 맞춘다
+        console.warn('실시간 스트림 연결이 끊어졌습니다. 재연결 중...');
+    };
+}
+
+// 실시간 스트림 중지
+function stopLiveStream() {
+    if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+    }
+}
+
+// 세션 결과 표 초기화
+function resetSessionResults() {
+    sessionResults = [];
+    document.getElementById('session-results').innerHTML = '<div class="error-feed-empty">아직 끝난 세션이 없습니다.</div>';
+    document.getElementById('test-summary').style.display = 'none';
+}
+
+// 세션 결과 추가 (최신이 위)
+function addSessionResult(result) {
+    sessionResults.unshift(result);
+
+    const container = document.getElementById('session-results');
+    container.innerHTML = '<table><thead><tr><th>세션</th><th>결과</th><th>소요 시간</th><th>과정 / 에러</th></tr></thead><tbody></tbody></table>';
+    const tbody = container.querySelector('tbody');
+
+    sessionResults.slice(0, 50).forEach(item => {
+        const row = document.createElement('tr');
+        [
+            item.sessionId,
+            item.success ? '✅ 성공' : '❌ 실패',
+            Math.round(item.totalTime / 1000) + '초',
+            item.success ? (item.courseTitle || '-') : (item.errors[item.errors.length - 1] || '-')
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+}
+
+// 테스트 종료 후 요약과 모니터 통계 표시
+async function showFinalResults() {
+    try {
+        const response = await fetch('/api/status');
+        const status = await response.json();
+        const summaryBox = document.getElementById('test-summary');
 
-            updateStatusDisplay(status);
+        if (!status.summary) {
+            return;
+        }
 
-            if (!status.isRunning && testRunning) {
-                testRunning = false;
-                updateTestUI(false);
-                stopLogMonitoring();
-                alert('✅ 테스트가 완료되었습니다!');
+        const summary = status.summary;
+        const lines = [
+            `<strong>결과:</strong> ${summary.successful}/${summary.total} 성공 (${summary.successRate}%)`,
+            `<strong>소요 시간:</strong> 평균 ${Math.round(summary.avgTime / 1000)}초, 최소 ${Math.round(summary.minTime / 1000)}초, 최대 ${Math.round(summary.maxTime / 1000)}초`
+        ];
+
+        const stats = status.monitorStats;
+        if (stats) {
+            lines.push(`<strong>대기 페이지:</strong> ${stats.waitingPageEncounters}회, 평균 ${Math.round(stats.avgWaitTime)}초`);
+            if (stats.network) {
+                lines.push(`<strong>네트워크 요청:</strong> ${stats.network.totalRequests}건 (실패 ${stats.network.failedRequests}건)`);
             }
-        } catch (error) {
-            console.error('상태 업데이트 실패:', error);
         }
-    }, 2000);
+
+        if (status.thresholds) {
+            const passed = status.thresholds.filter(result => result.passed).length;
+            lines.push(`<strong>성능 기준:</strong> ${passed}/${status.thresholds.length} 통과`);
+        }
+
+        summaryBox.innerHTML = lines.join('<br>');
+        summaryBox.style.display = 'block';
+    } catch (error) {
+        console.error('결과 요약을 가져오지 못했습니다:', error);
+    }
+}
+
+// 카운터와 진행률 업데이트
+function updateCounters(counters) {
+    if (!counters) return;
+
+    if (liveStatus) {
+        liveStatus.live = counters;
+    }
+
+    ['total', 'running', 'completed', 'failed', 'waiting'].forEach(key => {
+        document.getElementById('live-' + key).textContent = counters[key];
+    });
+
+    // 진행률: 끝난 세션 수 / 전체 세션 수 (멀티 모드는 테스트 개수, 그 외에는 지금까지 시작된 세션 수)
+    const finished = counters.completed + counters.failed;
+    const expected = liveStatus && liveStatus.currentTest && liveStatus.currentTest.mode === 'multi'
+        ? liveStatus.currentTest.count
+        : counters.total;
+    const progress = expected > 0 ? (finished / expected) * 100 : 0;
+
+    document.getElementById('progress-fill').style.width = Math.min(progress, 100) + '%';
+    document.getElementById('progress-text').textContent = `${finished} / ${expected} 완료 (${Math.round(Math.min(progress, 100))}%)`;
 }
 
-// 로그 모니터링 중지
-function stopLogMonitoring() {
-    if (logInterval) {
-        clearInterval(logInterval);
-        logInterval = null;
+// 에러 목록 전체 다시 그리기
+function renderErrorFeed(errors) {
+    const feed = document.getElementById('error-feed');
+    feed.innerHTML = '';
+
+    if (!errors || errors.length === 0) {
+        feed.innerHTML = '<div class="error-feed-empty">아직 에러가 없습니다.</div>';
+        return;
     }
+
+    errors.forEach(error => addErrorEntry(error));
 }
 
-// 상태 표시 업데이트
-function updateStatusDisplay(status) {
-    const logsContainer = document.getElementById('status-logs');
-    const progressFill = document.getElementById('progress-fill');
+// 에러 추가 (최근 20개 유지, 최신이 위)
+function addErrorEntry(error) {
+    const feed = document.getElementById('error-feed');
+    const empty = feed.querySelector('.error-feed-empty');
+    if (empty) {
+        empty.remove();
+    }
 
-    // 진행률 업데이트
-    let progress = 0;
-    if (status.currentTest && status.totalTests) {
-        progress = (status.results.length / status.totalTests) * 100;
+    const entry = document.createElement('div');
+    entry.className = 'error-entry';
+    const details = [error.sessionId, error.step, error.errorType].filter(Boolean).join(' · ');
+    entry.textContent = new Date(error.timestamp).toLocaleTimeString() + ' [' + details + '] ' + error.message;
+    feed.prepend(entry);
+
+    while (feed.children.length > 20) {
+        feed.lastElementChild.remove();
     }
-    progressFill.style.width = Math.min(progress, 100) + '%';
+}
 
-    // 로그 업데이트 (최근 10개만)
-    const recentLogs = status.logs.slice(-10);
-    logsContainer.innerHTML = recentLogs.map(log =>
-        '<div class="log-entry">' + new Date(log.timestamp).toLocaleTimeString() + ' - ' + log.message + '</div>'
-    ).join('');
+// 로그 추가 (최근 10개만 표시)
+function appendLog(log) {
+    recentLogs.push(log);
+    if (recentLogs.length > 10) {
+        recentLogs.shift();
+    }
+
+    const logsContainer = document.getElementById('status-logs');
+    logsContainer.innerHTML = '';
+    recentLogs.forEach(item => {
+        const entry = document.createElement('div');
+        entry.className = 'log-entry';
+        entry.textContent = new Date(item.timestamp).toLocaleTimeString() + ' - ' + item.message;
+        logsContainer.appendChild(entry);
+    });
 
     // 자동 스크롤
     logsContainer.scrollTop = logsContainer.scrollHeight;
@@ -244,6 +424,46 @@ document.getElementById('download-txt-report-btn').addEventListener('click', asy
     }
 });
 
+// 실행 보고서 항목 (요약 + 보기/결과 파일 다운로드 링크)
+function createReportEntry(report) {
+    const entry = document.createElement('div');
+    entry.style.cssText = 'background: #f8f9fa; padding: 15px; margin: 10px 0; border-radius: 8px;';
+
+    const lines = [
+        ['테스트', report.testName],
+        ['실행일시', report.startTime ? new Date(report.startTime).toLocaleString('ko-KR') : report.date]
+    ];
+    if (report.total !== null) {
+        lines.push(['결과', `${report.completed}/${report.total} 성공 (${report.successRate}%), 실패 ${report.failed}`]);
+    }
+    lines.forEach(([label, value]) => {
+        const strong = document.createElement('strong');
+        strong.textContent = label + ': ';
+        entry.appendChild(strong);
+        entry.appendChild(document.createTextNode(value));
+        entry.appendChild(document.createElement('br'));
+    });
+
+    const addLink = (href, text, newTab) => {
+        const link = document.createElement('a');
+        link.href = href;
+        link.textContent = text;
+        link.className = 'btn btn-primary';
+        link.style.cssText = 'margin: 10px 10px 0 0;';
+        if (newTab) link.target = '_blank';
+        entry.appendChild(link);
+    };
+
+    if (report.hasReport) {
+        addLink('/api/reports/' + report.id + '.html', '📄 보기', true);
+    }
+    report.files.forEach(file => {
+        addLink('/api/reports/' + report.id + '/download/' + encodeURIComponent(file), '⬇️ ' + file, false);
+    });
+
+    return entry;
+}
+
 document.getElementById('list-reports-btn').addEventListener('click', async function() {
     try {
         const response = await fetch('/api/reports/list');
@@ -255,13 +475,8 @@ document.getElementById('list-reports-btn').addEventListener('click', async func
         if (reports.length === 0) {
             reportsContainer.innerHTML = '<p>아직 생성된 보고서가 없습니다.</p>';
         } else {
-            reportsContainer.innerHTML = reports.map(report =>
-                '<div style="background: #f8f9fa; padding: 15px; margin: 10px 0; border-radius: 8px;">' +
-                '<strong>보고서 ID:</strong> ' + report.filename.replace('.json', '') + '<br>' +
-                '<strong>생성일시:</strong> ' + new Date(report.createdAt).toLocaleString('ko-KR') + '<br>' +
-                '<a href="/api/reports/' + report.filename.replace('.json', '.html') + '" target="_blank" class="btn btn-primary" style="margin-top: 10px;">📄 보기</a>' +
-                '</div>'
-            ).join('');
+            reportsContainer.innerHTML = '';
+            reports.forEach(report => reportsContainer.appendChild(createReportEntry(report)));
         }
 
         reportsList.style.display = 'block';
@@ -269,3 +484,180 @@ document.getElementById('list-reports-btn').addEventListener('click', async func
         alert('보고서 목록을 가져오는데 실패했습니다: ' + error.message);
     }
 });
+
+// 실행 이력 조회 (필터: 환경, 모드, 기간)
+async function loadRunHistory() {
+    const form = document.getElementById('run-history-form');
+    const params = new URLSearchParams();
+    new FormData(form).forEach((value, key) => {
+        if (value) params.append(key, value);
+    });
+    params.append('limit', '50');
+
+    const container = document.getElementById('run-history');
+
+    try {
+        const response = await fetch('/api/runs?' + params.toString());
+        const runs = await response.json();
+        if (!response.ok) {
+            throw new Error(runs.error);
+        }
+
+        if (runs.length === 0) {
+            container.innerHTML = '<p>조건에 맞는 실행 기록이 없습니다.</p>';
+            return;
+        }
+
+        container.innerHTML = '<table><thead><tr><th>시작</th><th>모드</th><th>환경</th><th>성공률</th><th>p95</th><th>성능 기준</th><th>커밋</th><th>결과</th></tr></thead><tbody></tbody></table>';
+        const tbody = container.querySelector('tbody');
+
+        runs.forEach(run => {
+            const row = document.createElement('tr');
+            [
+                new Date(run.startTime).toLocaleString('ko-KR') + (run.status === 'stopped' ? ' (중지)' : ''),
+                run.mode,
+                run.environmentName || run.environment,
+                `${run.successRate}% (${run.successful}/${run.total})`,
+                run.p95 !== null ? Math.round(run.p95 / 1000) + '초' : '-',
+                run.thresholdsPassed === null ? '-' : (run.thresholdsPassed ? '✅ 통과' : '❌ 위반'),
+                run.gitCommit || '-'
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const links = document.createElement('td');
+            const artifacts = [];
+            if (run.artifacts.report) {
+                artifacts.push({ name: '📄 보고서', url: run.artifacts.report, newTab: true });
+            }
+            run.artifacts.files
+                .filter(file => file.name !== '테스트보고서.md')
+                .forEach(file => artifacts.push({ name: file.name, url: file.url }));
+
+            artifacts.forEach(artifact => {
+                const link = document.createElement('a');
+                link.href = artifact.url;
+                link.textContent = artifact.name;
+                if (artifact.newTab) link.target = '_blank';
+                links.appendChild(link);
+            });
+            if (artifacts.length === 0) {
+                links.textContent = '-';
+            }
+            row.appendChild(links);
+
+            tbody.appendChild(row);
+        });
+    } catch (error) {
+        container.innerHTML = '';
+        alert('실행 이력을 가져오는데 실패했습니다: ' + error.message);
+    }
+}
+
+document.getElementById('run-history-form').addEventListener('submit', function(e) {
+    e.preventDefault();
+    loadRunHistory();
+});
+
+// 비교할 실행 목록 (stats.json이 있는 실행, 최신순)
+async function loadCompareOptions() {
+    try {
+        const response = await fetch('/api/reports/list');
+        const runs = (await response.json()).filter(run => run.files.includes('stats.json'));
+
+        ['compare-baseline', 'compare-candidate'].forEach((id, index) => {
+            const select = document.getElementById(id);
+            select.innerHTML = '';
+            runs.forEach(run => {
+                const option = document.createElement('option');
+                option.value = run.id;
+                option.textContent = `${run.testName} - ${run.startTime ? new Date(run.startTime).toLocaleString('ko-KR') : run.date}`;
+                select.appendChild(option);
+            });
+            // 기본값: 기준은 두 번째로 최근, 비교는 가장 최근 실행
+            if (runs.length > 1) {
+                select.value = runs[index === 0 ? 1 : 0].id;
+            }
+        });
+    } catch (error) {
+        console.error('비교할 실행 목록을 가져오지 못했습니다:', error);
+    }
+}
+
+document.getElementById('compare-form').addEventListener('submit', async function(e) {
+    e.preventDefault();
+
+    const baseline = document.getElementById('compare-baseline').value;
+    const candidate = document.getElementById('compare-candidate').value;
+    if (!baseline || !candidate || baseline === candidate) {
+        alert('서로 다른 두 실행을 선택해주세요.');
+        return;
+    }
+
+    const resultBox = document.getElementById('compare-result');
+
+    try {
+        const response = await fetch('/api/compare?' + new URLSearchParams({ baseline, candidate }).toString());
+        const comparison = await response.json();
+        if (!response.ok) {
+            throw new Error(comparison.error);
+        }
+
+        resultBox.innerHTML = '';
+        const addLine = text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            resultBox.appendChild(line);
+        };
+
+        const successRate = comparison.overview[0];
+        addLine(`✅ 성공률: ${successRate.baseline ?? '-'}% → ${successRate.candidate ?? '-'}%`);
+        comparison.steps.forEach(item => {
+            if (!item.baseline || !item.candidate) return;
+            const mark = item.regression ? '🔴' : (item.improvement ? '🟢' : '⏱️');
+            addLine(`${mark} ${item.step}: p95 ${(item.baseline.p95 / 1000).toFixed(1)}초 → ${(item.candidate.p95 / 1000).toFixed(1)}초 (평균 ${item.deltaPercent.mean ?? '-'}%)`);
+        });
+        addLine(comparison.regressions.length > 0
+            ? `🔴 유의한 악화 ${comparison.regressions.length}건: ${comparison.regressions.map(change => change.label).join(', ')}`
+            : '✅ 통계적으로 유의한 악화가 없습니다.');
+
+        // 비교 보고서 파일은 요청할 때만 저장
+        const saveButton = document.createElement('button');
+        saveButton.type = 'button';
+        saveButton.className = 'btn btn-primary';
+        saveButton.style.cssText = 'margin-top: 10px;';
+        saveButton.textContent = '📄 비교 보고서 저장';
+        saveButton.addEventListener('click', async () => {
+            saveButton.disabled = true;
+            try {
+                const saveResponse = await fetch('/api/compare', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ baseline, candidate })
+                });
+                const saved = await saveResponse.json();
+                if (!saveResponse.ok) {
+                    throw new Error(saved.error);
+                }
+
+                const link = document.createElement('a');
+                link.href = saved.report.html;
+                link.target = '_blank';
+                link.className = 'btn btn-primary';
+                link.style.cssText = 'margin-top: 10px;';
+                link.textContent = '📄 비교 보고서 열기';
+                saveButton.replaceWith(link);
+            } catch (error) {
+                saveButton.disabled = false;
+                alert('비교 보고서 저장에 실패했습니다: ' + error.message);
+            }
+        });
+        resultBox.appendChild(saveButton);
+
+        resultBox.style.display = 'block';
+    } catch (error) {
+        alert('실행 비교에 실패했습니다: ' + error.message);
+    }
+});
@@ -0,0 +1,170 @@
+/**
+ * 브라우저 엔진 설정
+ * 엔진별 실행 옵션과 Context 옵션(User-Agent, 화면 크기), 세션마다 엔진을 고르는 가중치 혼합을 정의한다.
+ *
+ * --browser 값:
+ *   chromium, firefox, webkit   모든 세션을 한 엔진으로 실행
+ *   mix                         세션마다 가중치에 따라 엔진 선택 (기본값: chromium 70, webkit 20, firefox 10)
+ *   mix:chromium=60,webkit=40   가중치 직접 지정
+ */
+
+import { chromium, firefox, webkit, devices } from 'playwright';
+import { randomSource } from '../utils/random.js';
+
+export const BROWSER_ENGINES = ['chromium', 'firefox', 'webkit'];
+
+export const DEFAULT_ENGINE = 'chromium';
+
+/**
+ * mix에 가중치를 지정하지 않았을 때의 엔진 비율
+ */
+export const DEFAULT_MIX_WEIGHTS = { chromium: 70, webkit: 20, firefox: 10 };
+
+// iPad Safari (defaultBrowserType은 Context 옵션이 아니므로 제외)
+const { defaultBrowserType, ...IPAD_CONTEXT_OPTIONS } = devices['iPad (gen 7)'];
+
+/**
+ * 엔진별 실행기와 옵션
+ * webkit은 iPad Safari 사용자를 흉내내도록 iPad 화면과 User-Agent를 쓴다.
+ */
+const ENGINE_PROFILES = {
+  chromium: {
+    launcher: chromium,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-accelerated-2d-canvas',
+      '--no-first-run',
+      '--no-zygote',
+      '--disable-gpu'
+    ],
+    contextOptions: {
+      viewport: { width: 1280, height: 720 },
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    }
+  },
+  firefox: {
+    launcher: firefox,
+    args: [],
+    contextOptions: {
+      viewport: { width: 1280, height: 720 }
+    }
+  },
+  webkit: {
+    launcher: webkit,
+    args: [],
+    contextOptions: IPAD_CONTEXT_OPTIONS
+  }
+};
+
+/**
+ * 엔진 프로필 조회
+ * @param {string} engine chromium, firefox, webkit
+ * @returns {{launcher: Object, args: string[], contextOptions: Object}}
+ */
+export function getEngineProfile(engine) {
+  const profile = ENGINE_PROFILES[engine];
+  if (!profile) {
+    throw new Error(`Unknown browser engine: ${engine}. Expected one of: ${BROWSER_ENGINES.join(', ')}`);
+  }
+  return profile;
+}
+
+/**
+ * 세션별 브라우저 엔진 선택 (한 엔진 또는 가중치 혼합)
+ */
+export class BrowserMix {
+  /**
+   * @param {Object.<string, number>} weights 엔진별 가중치 (예: { chromium: 70, webkit: 30 })
+   */
+  constructor(weights) {
+    const entries = Object.entries(weights || {});
+    if (entries.length === 0) {
+      throw new Error('Browser mix requires at least one engine');
+    }
+
+    entries.forEach(([engine, weight]) => {
+      getEngineProfile(engine);
+      if (!(weight > 0)) {
+        throw new Error(`Browser weight for ${engine} must be positive`);
+      }
+    });
+
+    this.weights = Object.fromEntries(entries);
+    this.totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  }
+
+  /**
+   * --browser 값 파싱
+   * @param {string} text chromium, firefox, webkit, mix 또는 mix:<엔진>=<가중치>,...
+   * @returns {BrowserMix}
+   */
+  static parse(text) {
+    const value = String(text || '').trim().toLowerCase();
+
+    if (BROWSER_ENGINES.includes(value)) {
+      return new BrowserMix({ [value]: 1 });
+    }
+    if (value === 'mix') {
+      return new BrowserMix(DEFAULT_MIX_WEIGHTS);
+    }
+    if (value.startsWith('mix:')) {
+      const weights = {};
+      value.slice(4).split(',').filter(Boolean).forEach(entry => {
+        const [engine, weight] = entry.split('=').map(part => part.trim());
+        if (weights[engine] !== undefined) {
+          throw new Error(`Duplicate browser engine in mix: ${engine}`);
+        }
+        weights[engine] = Number(weight);
+      });
+      return new BrowserMix(weights);
+    }
+
+    throw new Error(`Invalid browser: ${text}. Expected ${BROWSER_ENGINES.join(', ')}, mix or mix:chromium=70,webkit=30`);
+  }
+
+  /**
+   * 혼합 여부 (엔진이 둘 이상)
+   * @returns {boolean}
+   */
+  isMix() {
+    return Object.keys(this.weights).length > 1;
+  }
+
+  /**
+   * 가중치에 따라 엔진 하나 선택
+   * @param {import('../utils/random.js').SeededRandom} [random] 난수 생성기 (기본값: 실행 전체)
+   * @returns {string}
+   */
+  pick(random = randomSource.global) {
+    const entries = Object.entries(this.weights);
+    let point = random.next() * this.totalWeight;
+
+    for (const [engine, weight] of entries) {
+      point -= weight;
+      if (point < 0) return engine;
+    }
+
+    return entries[entries.length - 1][0];
+  }
+
+  /**
+   * 엔진별 비율 (%)
+   * @returns {Object.<string, number>}
+   */
+  getPercentages() {
+    return Object.fromEntries(Object.entries(this.weights).map(([engine, weight]) =>
+      [engine, Math.round((weight / this.totalWeight) * 1000) / 10]));
+  }
+
+  /**
+   * 요약 문자열
+   * @returns {string}
+   */
+  toString() {
+    if (!this.isMix()) return Object.keys(this.weights)[0];
+
+    return `mix (${Object.entries(this.getPercentages()).map(([engine, percent]) => `${engine} ${percent}%`).join(', ')})`;
+  }
+}
@@ -1,6 +1,6 @@
-import { chromium } from 'playwright';
 import { config } from '../config/index.js';
 import { Logger } from '../utils/logger.js';
+import { getEngineProfile, DEFAULT_ENGINE } from './browser-engines.js';
 
 /**
  * 브라우저 세션 관리자 클래스 (다중 브라우저 지원)
@@ -8,6 +8,7 @@ import { Logger } from '../utils/logger.js';
 export class BrowserSessionManager {
   constructor() {
     this.browsers = new Map(); // browserId -> browser 인스턴스
+    this.browserEngines = new Map(); // browserId -> 엔진 (chromium, firefox, webkit)
     this.sharedContexts = new Map(); // browserId -> shared context
     this.contexts = new Map(); // sessionId -> context
     this.pages = new Map(); // sessionId -> page
@@ -18,6 +19,14 @@ export class BrowserSessionManager {
     this.browserStarting = new Map(); // browserId -> starting promise
     this.contextCreating = new Map(); // browserId -> context creating promise
     this.sessionCounter = 0; // 자동 브라우저 할당을 위한 카운터
+    this.traceFiles = new Map(); // sessionId -> 저장한 트레이스 파일 경로
+  }
+
+  /**
+   * 트레이스 기록 여부 (독립 Context 모드에서만 기록)
+   */
+  isTracingEnabled() {
+    return config.tracing || config.screenshotOnFailure || config.videoOnFailure;
   }
 
   /**
@@ -49,8 +58,10 @@ export class BrowserSessionManager {
 
   /**
    * 브라우저 인스턴스 시작
+   * @param {string} browserId
+   * @param {string} engine chromium, firefox, webkit
    */
-  async startBrowser(browserId = 'browser-0') {
+  async startBrowser(browserId = 'browser-0', engine = DEFAULT_ENGINE) {
     // 이미 브라우저가 있으면 반환
     if (this.browsers.has(browserId)) {
       return this.browsers.get(browserId);
@@ -62,20 +73,14 @@ export class BrowserSessionManager {
       return this.browserStarting.get(browserId);
     }
 
-    this.logger.info(`Starting browser: ${browserId}...`);
+    this.logger.info(`Starting ${engine} browser: ${browserId}...`);
+    const profile = getEngineProfile(engine);
+    this.browserEngines.set(browserId, engine);
 
     // Promise 저장하여 race condition 방지
-    const startingPromise = chromium.launch({
+    const startingPromise = profile.launcher.launch({
       headless: config.headless,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu'
-      ]
+      args: profile.args
     }).then(browser => {
       this.browsers.set(browserId, browser);
       this.browserStarting.delete(browserId);
@@ -123,8 +128,7 @@ export class BrowserSessionManager {
 
     // Promise 저장하여 race condition 방지
     const creatingPromise = browser.newContext({
-      viewport: { width: 1280, height: 720 },
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      ...this._getContextOptions(browserId),
       ignoreHTTPSErrors: true,
       acceptDownloads: false
     }).then(context => {
@@ -144,18 +148,21 @@ export class BrowserSessionManager {
 
   /**
    * 단일 브라우저 세션 생성
+   * @param {string} sessionId
+   * @param {string|null} browserId 브라우저 (없으면 세션 번호로 자동 할당)
+   * @param {string} engine chromium, firefox, webkit (엔진마다 다른 브라우저에 할당)
    */
-  async createSession(sessionId, browserId = null) {
+  async createSession(sessionId, browserId = null, engine = DEFAULT_ENGINE) {
     // browserId가 지정되지 않았으면 자동 할당
     if (!browserId) {
       // sessionId에서 숫자 추출 (test-1 -> 1)
       const sessionNum = parseInt(sessionId.match(/\d+/)?.[0] || '0');
       const browserIndex = Math.floor((sessionNum - 1) / this.tabsPerBrowser);
-      browserId = `browser-${browserIndex}`;
+      browserId = engine === DEFAULT_ENGINE ? `browser-${browserIndex}` : `${engine}-browser-${browserIndex}`;
       this.logger.debug(`Auto-assigning session ${sessionId} (num: ${sessionNum}) to ${browserId}`);
     }
 
-    const browser = await this.startBrowser(browserId);
+    const browser = await this.startBrowser(browserId, engine);
 
     // 세션 -> 브라우저 매핑 저장
     this.sessionToBrowser.set(sessionId, browserId);
@@ -178,16 +185,15 @@ export class BrowserSessionManager {
     this.logger.debug(`Creating session in ${browserId}: ${sessionId}`);
 
     const context = await browser.newContext({
-      viewport: { width: 1280, height: 720 },
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      ...this._getContextOptions(browserId),
       ignoreHTTPSErrors: true,
       acceptDownloads: false,
       storageState: undefined
     });
 
-    if (config.screenshotOnFailure || config.videoOnFailure) {
+    if (this.isTracingEnabled()) {
       await context.tracing.start({
-        screenshots: config.screenshotOnFailure,
+        screenshots: config.tracing || config.screenshotOnFailure,
         snapshots: true
       });
     }
@@ -198,6 +204,13 @@ export class BrowserSessionManager {
     return context;
   }
 
+  /**
+   * 브라우저 엔진에 맞는 Context 옵션 (화면 크기, User-Agent) (내부 헬퍼)
+   */
+  _getContextOptions(browserId) {
+    return getEngineProfile(this.browserEngines.get(browserId) || DEFAULT_ENGINE).contextOptions;
+  }
+
   /**
    * 다중 브라우저 세션 생성
    */
@@ -272,14 +285,14 @@ export class BrowserSessionManager {
     }
 
     try {
-      if (config.screenshotOnFailure || config.videoOnFailure) {
+      if (this.isTracingEnabled()) {
         const now = new Date();
         const dateStr = now.toISOString().split('T')[0];
         const timeStr = now.toTimeString().split(' ')[0].replace(/:/g, '-');
+        const tracePath = `./test-results/${dateStr}/${timeStr}-trace-${sessionId}.zip`;
 
-        await context.tracing.stop({
-          path: `./test-results/${dateStr}/${timeStr}-trace-${sessionId}.zip`
-        });
+        await context.tracing.stop({ path: tracePath });
+        this.traceFiles.set(sessionId, tracePath);
       }
 
       await context.close();
@@ -331,6 +344,7 @@ export class BrowserSessionManager {
     // 브라우저 종료
     await browser.close();
     this.browsers.delete(browserId);
+    this.browserEngines.delete(browserId);
 
     this.logger.info(`Browser closed: ${browserId}`);
   }
@@ -378,6 +392,19 @@ export class BrowserSessionManager {
     this.pages.clear();
     this.sessionToBrowser.clear();
   }
+
+  /**
+   * 초기 상태로 되돌리기 (같은 프로세스에서 테스트를 여러 번 실행하는 Web GUI용)
+   */
+  async reset() {
+    await this.cleanup();
+    this.sharedContexts.clear();
+    this.browserStarting.clear();
+    this.contextCreating.clear();
+    this.useSharedContext = false;
+    this.tabsPerBrowser = 10;
+    this.sessionCounter = 0;
+  }
 }
 
 // 싱글톤 인스턴스
@@ -10,11 +10,20 @@ const ENVIRONMENT_CONFIG = {
     baseUrl: 'http://devcrweb.t-ime.com/apply/request/list.do',
     acadCd: 'TE19041100',
     name: '개발',
+    paymentPopupPattern: 'paymint.co.kr',
   },
   prod: {
     baseUrl: 'https://newcrweb.t-ime.com/apply/request/list.do',
     acadCd: 'TE20110003',
     name: '운영',
+    paymentPopupPattern: 'paymint.co.kr',
+  },
+  // 로컬 목업 사이트 (npm run mock)
+  local: {
+    baseUrl: `http://localhost:${process.env.MOCK_PORT || 4000}/apply/request/list.do`,
+    acadCd: 'MOCK000001',
+    name: '로컬 목업',
+    paymentPopupPattern: '/mock-paymint/',
   },
 };
 
@@ -39,6 +48,7 @@ export class TestConfig {
     this.headless = process.env.HEADLESS === 'true';
     this.screenshotOnFailure = process.env.SCREENSHOT_ON_FAILURE === 'true';
     this.videoOnFailure = process.env.VIDEO_ON_FAILURE === 'true';
+    this.tracing = process.env.TRACING === 'true'; // 세션마다 Playwright 트레이스 기록 (rerun 모드는 기본 활성화)
     this.logLevel = process.env.LOG_LEVEL || 'info';
     
     // 에러 스크린샷 활성화 여부 (기본값: true)
@@ -51,13 +61,14 @@ export class TestConfig {
     // 환경별 설정 가져오기
     const envConfig = ENVIRONMENT_CONFIG[this.environment];
     if (!envConfig) {
-      throw new Error(`Invalid ENVIRONMENT: ${this.environment}. Must be 'dev' or 'prod'`);
+      throw new Error(`Invalid ENVIRONMENT: ${this.environment}. Must be 'dev', 'prod' or 'local'`);
     }
 
     // 환경별 URL 및 ACAD_CD 설정
     this.baseUrl = envConfig.baseUrl;
     this.defaultAcadCd = envConfig.acadCd;
     this.environmentName = envConfig.name;
+    this.paymentPopupPattern = envConfig.paymentPopupPattern;
 
     // 테스트 데이터 설정
     this.studentNamePrefix = process.env.STUDENT_NAME_PREFIX || '테스트학생';
@@ -5,6 +5,7 @@
 
 import { Logger } from '../utils/logger.js';
 import { PerformanceMonitor } from '../utils/performance.js';
+import { NetworkRecorder } from '../utils/network-recorder.js';
 import { CourseListPage } from '../pages/course-list-page.js';
 import { BasicInfoPage } from '../pages/basic-info-page.js';
 import { DetailedInfoPage } from '../pages/detailed-info-page.js';
@@ -12,6 +13,10 @@ import { ClassSelectionPage } from '../pages/class-selection-page.js';
 import { PaymintPaymentPage } from '../pages/paymint-payment-page.js';
 import { WaitingPage } from '../pages/waiting-page.js';
 import { config } from '../config/index.js';
+import { testDataGenerator } from '../data/index.js';
+import { Scenario } from './scenario.js';
+import { stepRegistry } from './step-registry.js';
+import { randomSource } from '../utils/random.js';
 
 export class FlowManager {
   constructor(page, sessionId, monitor = null) {
@@ -21,6 +26,17 @@ export class FlowManager {
     this.logger = new Logger(`FlowManager-${sessionId}`);
     this.performanceMonitor = new PerformanceMonitor(sessionId);
 
+    // 현재 실행 중인 단계 (네트워크 요청 태깅용)
+    this.currentStep = null;
+
+    // 요청별 네트워크 타이밍 기록 (팝업 포함)
+    this.networkRecorder = new NetworkRecorder(sessionId, {
+      monitor,
+      performanceMonitor: this.performanceMonitor,
+      getStep: () => this.currentStep
+    });
+    this.networkRecorder.attach(page);
+
     // 페이지 인스턴스 저장용
     this.classSelectionPage = null; // 추가
 
@@ -33,16 +49,30 @@ export class FlowManager {
       stepTimes: {},
       errors: [],
       screenshots: [],
-      classSelection: null
+      classSelection: null,
+      detailedInfo: null, // 상세정보 입력에 실제로 쓴 학년/학교 (DetailedInfoPage.fillDetailedInfo)
+      paymentSteps: [], // 결제 세부 단계별 소요 시간
+      network: null // 네트워크 요청 요약 (NetworkRecorder.getSummary)
     };
   }
 
+  /**
+   * 현재 단계 갱신 (모니터 단계 업데이트 + 네트워크 요청 태깅)
+   * @param {string} step 모니터 단계 이름 (step1-course 등)
+   */
+  _enterStep(step) {
+    this.currentStep = step;
+    if (this.monitor) {
+      this.monitor.updateSessionStep(this.sessionId, step);
+    }
+  }
+
   /**
    * 유량제어를 적용한 작업 실행
    */
   async _executeWithRateLimit(actionName, actionFn) {
     if (this.monitor && typeof this.monitor.waitForRateLimit === 'function') {
-      await this.monitor.waitForRateLimit();
+      await this.monitor.waitForRateLimit(actionName, this.sessionId);
     }
     this.logger.info(`[Rate Limited] Executing: ${actionName}`);
     return await actionFn();
@@ -52,7 +82,7 @@ export class FlowManager {
    * 대기 페이지 처리
    */
   async _handleWaitingPageIfPresent() {
-    const waitingPage = new WaitingPage(this.page, this.sessionId);
+    const waitingPage = new WaitingPage(this.page, this.sessionId, this.monitor);
     const handled = await waitingPage.handleWaitingIfPresent();
 
     if (!handled) {
@@ -61,60 +91,127 @@ export class FlowManager {
   }
 
   /**
-   * 전체 플로우 실행
+   * 전체 플로우 실행 (기본 시나리오)
+   * @param {Object} studentInfo 학생 정보
+   * @param {Object} paymentInfo 결제 정보 (TestDataGenerator.generatePaymentInfo)
    */
-  async executeFullFlow(studentInfo) {
-    this.logger.info('Executing full registration flow...');
+  async executeFullFlow(studentInfo, paymentInfo = null) {
+    return this.executeScenario(Scenario.fullFlow(), studentInfo, paymentInfo);
+  }
+
+  /**
+   * 시나리오 실행
+   * 시나리오에 나열된 단계를 순서대로 실행하고, 단계 사이에 think time을 둔다.
+   * @param {Scenario} scenario 실행할 시나리오
+   * @param {Object} studentInfo 학생 정보
+   * @param {Object} paymentInfo 결제 정보
+   */
+  async executeScenario(scenario, studentInfo, paymentInfo = null) {
+    this.logger.info(`Executing scenario: ${scenario.toString()}`);
+
+    const context = { studentInfo, paymentInfo };
+    const flowStart = Date.now();
+    this.result.scenario = scenario.name;
+    this.result.scenarioSteps = [];
 
     try {
-      // Step 1: 수강신청 목록에서 코스 선택
-      await this._step1_SelectCourse(studentInfo);
+      for (let i = 0; i < scenario.steps.length; i++) {
+        const step = scenario.steps[i];
+        const definition = stepRegistry.get(step.name);
+        const stepStart = Date.now();
 
-      // Step 2: 기본 정보 입력
-      await this._step2_FillBasicInfo(studentInfo);
+        try {
+          await definition.run(this, context, step.params);
+        } catch (error) {
+          this.result.scenarioSteps.push({ name: step.name, duration: Date.now() - stepStart, success: false });
+          throw error;
+        }
 
-      // Step 3: 상세 정보 입력
-      await this._step3_FillDetailedInfo(studentInfo);
+        const duration = Date.now() - stepStart;
+        const withinLimit = !step.maxDuration || duration <= step.maxDuration;
+        this.result.scenarioSteps.push({ name: step.name, duration, success: withinLimit });
 
-      // Step 4: 수강반 및 결제 방법 선택
-      await this._step4_SelectClassAndPayment();
+        if (!withinLimit) {
+          this._failCriteria(`Step ${step.name} exceeded max duration: ${duration}ms > ${step.maxDuration}ms`);
+        }
 
-      // Step 5: Paymint 결제 처리
-      await this._step5_ProcessPayment();
+        // 마지막 단계 뒤에는 think time 없음
+        const thinkTime = i < scenario.steps.length - 1 ? scenario.getThinkTime(step, randomSource.forSession(this.sessionId)) : 0;
+        if (thinkTime > 0) {
+          this.logger.debug(`Think time: ${thinkTime}ms`);
+          await this.page.waitForTimeout(thinkTime);
+        }
+      }
+
+      const totalTime = Date.now() - flowStart;
+      if (scenario.successCriteria.maxTotalTime && totalTime > scenario.successCriteria.maxTotalTime) {
+        this._failCriteria(`Scenario exceeded max total time: ${totalTime}ms > ${scenario.successCriteria.maxTotalTime}ms`);
+      }
 
       this.result.success = true;
-      this.logger.info('✓ Full flow completed successfully');
+      this.logger.info(`✓ Scenario ${scenario.name} completed successfully`);
 
     } catch (error) {
       this.logger.error('Flow execution failed:', error);
       this.result.success = false;
       this.result.errors.push({
-        step: 'flow-execution',
+        step: this.currentStep || 'flow-execution',
         message: error.message,
+        screenshot: this.result.screenshots[this.result.screenshots.length - 1] || null,
         timestamp: new Date()
       });
     }
 
+    this.result.network = this.networkRecorder.getSummary();
     return this.result;
   }
 
+  /**
+   * 단계 실패 스크린샷 저장 (내부 헬퍼)
+   * 저장한 경로는 result.screenshots에 남겨 실패 보고(JUnit 등)에서 참조한다.
+   * @param {number} stepNumber 단계 번호 (1~5)
+   */
+  async _captureErrorScreenshot(stepNumber) {
+    if (!this.enableScreenshots) return;
+
+    const screenshotPath = `public/screenshots/error-step${stepNumber}-${this.sessionId}.png`;
+    try {
+      await this.page.screenshot({ path: screenshotPath });
+      this.result.screenshots.push(screenshotPath);
+      this.logger.info('Error screenshot saved');
+    } catch (screenshotError) {
+      this.logger.warn('Failed to capture error screenshot');
+    }
+  }
+
+  /**
+   * 성공 기준 위반 처리 (내부 헬퍼)
+   */
+  _failCriteria(message) {
+    const error = new Error(message);
+    if (this.monitor) {
+      this.monitor.recordError(this.sessionId, 'scenario-criteria', error);
+    }
+    throw error;
+  }
+
   /**
    * Step 1: 코스 선택
+   * @param {Object} params - { apply } apply가 false면 신청하지 않고 과정 목록만 조회
    */
-  async _step1_SelectCourse(studentInfo) {
+  async _step1_SelectCourse(studentInfo, params = {}) {
+    const { apply = true } = params;
+
     this.logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     this.logger.info('📝 Step 1: Selecting course');
     this.logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
-    // 모니터에 단계 업데이트
-    if (this.monitor) {
-      this.monitor.updateSessionStep(this.sessionId, 'step1-course');
-    }
+    this._enterStep('step1-course');
 
     this.performanceMonitor.startTimer('course-selection');
 
     try {
-      const courseListPage = new CourseListPage(this.page, this.sessionId);
+      const courseListPage = new CourseListPage(this.page, this.sessionId, this.monitor);
 
       this.logger.info('Navigating to course list page...');
       await this._executeWithRateLimit('navigate-to-course-list', () => courseListPage.navigate());
@@ -127,6 +224,23 @@ export class FlowManager {
       }
 
       this.logger.info(`Target academy code: ${studentInfo.acadCd}`);
+
+      // 둘러보기: 학원 탭을 열고 접수 중인 과정만 확인
+      if (!apply) {
+        const courses = await this._executeWithRateLimit('browse-course-list', async () => {
+          await courseListPage.selectAcademyTab(studentInfo.acadCd);
+          return courseListPage.getAvailableCourses();
+        });
+
+        this.logger.info(`✓ Browsed course list: ${courses.length} available course(s)`);
+        this.result.courseInfo = courses[0] || null;
+
+        const browseTime = this.performanceMonitor.endTimer('course-selection');
+        this.result.stepTimes['course-selection'] = browseTime;
+        this.logger.info(`⏱️  Step 1 (browse) completed in ${Math.round(browseTime/1000)}s`);
+        return;
+      }
+
       const selectedCourse = await this._executeWithRateLimit('apply-to-course',
         () => courseListPage.applyToFirstAvailableCourse(studentInfo.acadCd));
 
@@ -151,14 +265,7 @@ export class FlowManager {
       }
 
       // 에러 스크린샷 캡처 (환경변수로 제어)
-      if (this.enableScreenshots) {
-        try {
-          await this.page.screenshot({ path: `public/screenshots/error-step1-${this.sessionId}.png` });
-          this.logger.info('Error screenshot saved');
-        } catch (screenshotError) {
-          this.logger.warn('Failed to capture error screenshot');
-        }
-      }
+      await this._captureErrorScreenshot(1);
 
       throw new Error(`Course selection failed: ${error.message}`);
     }
@@ -172,11 +279,11 @@ export class FlowManager {
     this.logger.info('📝 Step 2: Filling basic info');
     this.logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
-    if (this.monitor) this.monitor.updateSessionStep(this.sessionId, 'step2-basic');
+    this._enterStep('step2-basic');
     this.performanceMonitor.startTimer('basic-info');
 
     try {
-      const basicInfoPage = new BasicInfoPage(this.page, this.sessionId);
+      const basicInfoPage = new BasicInfoPage(this.page, this.sessionId, this.monitor);
 
       this.logger.info('Waiting for basic info page to load...');
       await basicInfoPage.waitForPageLoad();
@@ -200,14 +307,8 @@ export class FlowManager {
 
       if (this.monitor) this.monitor.recordError(this.sessionId, 'step2-basic', error);
 
-      if (this.enableScreenshots) {
-        try {
-          await this.page.screenshot({ path: `public/screenshots/error-step2-${this.sessionId}.png` });
-          this.logger.info('Error screenshot saved');
-        } catch (screenshotError) {
-          this.logger.warn('Failed to capture error screenshot');
-        }
-      }
+      // 에러 스크린샷 캡처 (환경변수로 제어)
+      await this._captureErrorScreenshot(2);
 
       throw new Error(`Basic info failed: ${error.message}`);
     }
@@ -221,11 +322,11 @@ export class FlowManager {
     this.logger.info('📝 Step 3: Filling detailed info');
     this.logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
-    if (this.monitor) this.monitor.updateSessionStep(this.sessionId, 'step3-detailed');
+    this._enterStep('step3-detailed');
     this.performanceMonitor.startTimer('detailed-info');
 
     try {
-      const detailedInfoPage = new DetailedInfoPage(this.page, this.sessionId);
+      const detailedInfoPage = new DetailedInfoPage(this.page, this.sessionId, this.monitor);
 
       this.logger.info('Waiting for detailed info page to load...');
       await detailedInfoPage.waitForPageLoad();
@@ -233,8 +334,8 @@ export class FlowManager {
       // 대기 페이지 확인
       await this._handleWaitingPageIfPresent();
 
-      this.logger.info(`Filling detailed info: School=${studentInfo.schoolName}, Grade=${studentInfo.grade}`);
-      await this._executeWithRateLimit('fill-detailed-info', () => detailedInfoPage.fillDetailedInfo(studentInfo));
+      this.logger.info(`Filling detailed info: School=${studentInfo.school}, Grade=${studentInfo.grade}`);
+      this.result.detailedInfo = await this._executeWithRateLimit('fill-detailed-info', () => detailedInfoPage.fillDetailedInfo(studentInfo));
       await this._executeWithRateLimit('agree-privacy-policy', () => detailedInfoPage.agreeToPrivacyPolicy());
       await this._executeWithRateLimit('click-next-button-step3', () => detailedInfoPage.clickNextButton());
 
@@ -250,14 +351,8 @@ export class FlowManager {
 
       if (this.monitor) this.monitor.recordError(this.sessionId, 'step3-detailed', error);
 
-      if (this.enableScreenshots) {
-        try {
-          await this.page.screenshot({ path: `public/screenshots/error-step3-${this.sessionId}.png` });
-          this.logger.info('Error screenshot saved');
-        } catch (screenshotError) {
-          this.logger.warn('Failed to capture error screenshot');
-        }
-      }
+      // 에러 스크린샷 캡처 (환경변수로 제어)
+      await this._captureErrorScreenshot(3);
 
       throw new Error(`Detailed info failed: ${error.message}`);
     }
@@ -271,7 +366,7 @@ export class FlowManager {
     this.logger.info('📝 Step 4: Selecting class and payment');
     this.logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
-    if (this.monitor) this.monitor.updateSessionStep(this.sessionId, 'step4-class');
+    this._enterStep('step4-class');
     this.performanceMonitor.startTimer('class');
 
     try {
@@ -305,14 +400,8 @@ export class FlowManager {
 
       if (this.monitor) this.monitor.recordError(this.sessionId, 'step4-class', error);
 
-      if (this.enableScreenshots) {
-        try {
-          await this.page.screenshot({ path: `public/screenshots/error-step4-${this.sessionId}.png` });
-          this.logger.info('Error screenshot saved');
-        } catch (screenshotError) {
-          this.logger.warn('Failed to capture error screenshot');
-        }
-      }
+      // 에러 스크린샷 캡처 (환경변수로 제어)
+      await this._captureErrorScreenshot(4);
 
       throw new Error(`Class/payment selection failed: ${error.message}`);
     }
@@ -320,13 +409,14 @@ export class FlowManager {
 
   /**
    * Step 5: Paymint 결제 처리
+   * @param {Object} paymentInfo 결제 정보 (카드사, 할부, 카드번호 등)
    */
-  async _step5_ProcessPayment() {
+  async _step5_ProcessPayment(paymentInfo = null) {
     this.logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     this.logger.info('💳 Step 5: Processing payment');
     this.logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
-    if (this.monitor) this.monitor.updateSessionStep(this.sessionId, 'step5-payment');
+    this._enterStep('step5-payment');
     this.performanceMonitor.startTimer('payment');
 
     try {
@@ -383,11 +473,29 @@ export class FlowManager {
         const popupUrl = paymentPage.url();
         this.logger.info(`Payment popup URL: ${popupUrl}`);
 
-        // paymint 결제 페이지 확인
-        if (popupUrl.includes('paymint.co.kr')) {
-          this.logger.info('Paymint payment page detected, waiting for completion...');
+        // paymint 결제 페이지 확인 (로컬 목업은 가짜 결제 팝업 경로)
+        if (popupUrl.includes(config.paymentPopupPattern)) {
+          this.logger.info('Paymint payment page detected, executing payment...');
+
+          const paymintPage = new PaymintPaymentPage(paymentPage, this.sessionId);
+          const paymentOptions = paymentInfo || testDataGenerator.generatePaymentInfo();
+          const paymentResult = await this._executeWithRateLimit('execute-full-payment',
+            () => paymintPage.executeFullPayment(paymentOptions));
+
+          this.result.paymentSteps = paymentResult.stepTimings;
+          paymentResult.stepTimings.forEach(step => {
+            this.logger.info(`   💳 ${step.label}: ${step.duration}ms${step.success ? '' : ' (FAILED)'}`);
+          });
+
+          if (!paymentResult.success) {
+            this._recordPaymentSteps();
+            await paymentPage.close().catch(() => {});
+            throw new Error(`Paymint payment failed: ${paymentResult.errors.join(', ')}`);
+          }
 
           // "결제 완료" 텍스트가 나타날 때까지 대기 (최대 60초)
+          const completionStart = Date.now();
+          let incompleteUrl = null;
           try {
             await paymentPage.waitForSelector('text=결제 완료', { timeout: 60000 });
             this.logger.info('✓ Payment completed successfully');
@@ -399,12 +507,24 @@ export class FlowManager {
             if (currentUrl.includes('/complete/')) {
               this.logger.info('✓ Payment URL changed to complete page');
             } else {
-              // 결제 완료를 확인할 수 없으면 에러 throw
-              await paymentPage.close().catch(() => {});
-              throw new Error(`Payment completion failed - still on: ${currentUrl}`);
+              incompleteUrl = currentUrl;
             }
           }
 
+          this.result.paymentSteps.push({
+            key: 'wait-completion',
+            label: '결제 완료 대기',
+            duration: Date.now() - completionStart,
+            success: incompleteUrl === null
+          });
+          this._recordPaymentSteps();
+
+          // 결제 완료를 확인할 수 없으면 에러 throw
+          if (incompleteUrl !== null) {
+            await paymentPage.close().catch(() => {});
+            throw new Error(`Payment completion failed - still on: ${incompleteUrl}`);
+          }
+
           // 팝업 닫기
           await this.page.waitForTimeout(2000);
           await paymentPage.close();
@@ -430,16 +550,19 @@ export class FlowManager {
 
       if (this.monitor) this.monitor.recordError(this.sessionId, 'step5-payment', error);
 
-      if (this.enableScreenshots) {
-        try {
-          await this.page.screenshot({ path: `public/screenshots/error-step5-${this.sessionId}.png` });
-          this.logger.info('Error screenshot saved');
-        } catch (screenshotError) {
-          this.logger.warn('Failed to capture error screenshot');
-        }
-      }
+      // 에러 스크린샷 캡처 (환경변수로 제어)
+      await this._captureErrorScreenshot(5);
 
       throw new Error(`Payment processing failed: ${error.message}`);
     }
   }
+
+  /**
+   * 결제 세부 단계 소요 시간을 모니터에 기록 (내부 헬퍼)
+   */
+  _recordPaymentSteps() {
+    if (this.monitor && this.result.paymentSteps.length > 0) {
+      this.monitor.recordPaymentSteps(this.sessionId, this.result.paymentSteps);
+    }
+  }
 }
@@ -0,0 +1,161 @@
+/**
+ * 부하 프로파일
+ * 단계(stage)별 목표 동시 사용자 수를 정의하고, 경과 시간에 따른 목표값을 계산
+ *
+ * 형식: "<기간>:<목표 사용자 수>,..." (0명에서 시작)
+ * 예: "120s:200,5m:200,60s:0" → 120초 동안 0→200명, 5분 유지, 60초 동안 200→0명
+ */
+
+/**
+ * 기간 문자열을 밀리초로 변환 (예: "500ms", "30s", "5m", 단위 없으면 초)
+ * @param {string} value
+ * @returns {number}
+ */
+export function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m)?$/);
+  if (!match) {
+    throw new Error(`Invalid duration: "${value}". Expected e.g. 30s, 5m, 500ms`);
+  }
+
+  const amount = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'ms':
+      return Math.round(amount);
+    case 'm':
+      return Math.round(amount * 60 * 1000);
+    default:
+      return Math.round(amount * 1000);
+  }
+}
+
+/**
+ * 밀리초를 기간 문자열로 변환
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  if (ms % 60000 === 0) return `${ms / 60000}m`;
+  if (ms % 1000 === 0) return `${ms / 1000}s`;
+  return `${ms}ms`;
+}
+
+export class LoadProfile {
+  /**
+   * @param {Array<{duration: number, target: number}>} stages 단계 목록 (duration: ms)
+   */
+  constructor(stages) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+      throw new Error('Load profile requires at least one stage');
+    }
+
+    let from = 0;
+    let offset = 0;
+
+    this.stages = stages.map((stage, index) => {
+      const { duration, target } = stage;
+
+      if (!(duration > 0)) {
+        throw new Error(`Stage ${index + 1}: duration must be positive`);
+      }
+      if (!Number.isInteger(target) || target < 0) {
+        throw new Error(`Stage ${index + 1}: target must be a non-negative integer`);
+      }
+
+      const built = {
+        index,
+        label: LoadProfile.labelFor(from, target),
+        from,
+        to: target,
+        startOffset: offset,
+        duration
+      };
+
+      from = target;
+      offset += duration;
+      return built;
+    });
+
+    this.totalDuration = offset;
+    this.maxTarget = Math.max(...this.stages.map(stage => stage.to));
+    if (this.maxTarget === 0) {
+      throw new Error('Load profile needs at least one stage with a target above 0');
+    }
+  }
+
+  /**
+   * 프로파일 문자열 파싱
+   * @param {string} value 예: "120s:200,5m:200,60s:0"
+   * @returns {LoadProfile}
+   */
+  static parse(value) {
+    if (!value || !String(value).trim()) {
+      throw new Error('Load profile is empty');
+    }
+
+    const stages = String(value).split(',').map(entry => {
+      const [duration, target] = entry.split(':');
+      if (target === undefined) {
+        throw new Error(`Invalid stage: "${entry}". Expected format: <duration>:<target>`);
+      }
+
+      const parsedTarget = Number(target.trim());
+      return { duration: parseDuration(duration), target: parsedTarget };
+    });
+
+    return new LoadProfile(stages);
+  }
+
+  /**
+   * 단계 라벨 생성
+   * @param {number} from 시작 사용자 수
+   * @param {number} to 목표 사용자 수
+   * @returns {string}
+   */
+  static labelFor(from, to) {
+    if (from === to) return `hold-${to}`;
+    return from < to ? `ramp-up-${from}-${to}` : `ramp-down-${from}-${to}`;
+  }
+
+  /**
+   * 경과 시간에 해당하는 단계
+   * @param {number} elapsed 시작 후 경과 시간 (ms)
+   * @returns {Object|null} 프로파일이 끝났으면 null
+   */
+  getStageAt(elapsed) {
+    if (elapsed >= this.totalDuration) return null;
+    return this.stages.find(stage => elapsed < stage.startOffset + stage.duration) || null;
+  }
+
+  /**
+   * 경과 시간의 목표 동시 사용자 수 (단계 내 선형 보간)
+   * @param {number} elapsed 시작 후 경과 시간 (ms)
+   * @returns {number}
+   */
+  getTargetAt(elapsed) {
+    const stage = this.getStageAt(elapsed);
+    if (!stage) return 0;
+
+    const progress = (elapsed - stage.startOffset) / stage.duration;
+    const target = stage.from + (stage.to - stage.from) * progress;
+
+    // 증가 구간은 올림, 감소 구간은 내림 → 구간 시작 직후부터 변화가 반영됨
+    return stage.to >= stage.from ? Math.ceil(target) : Math.floor(target);
+  }
+
+  /**
+   * 프로파일 종료 여부
+   * @param {number} elapsed 시작 후 경과 시간 (ms)
+   * @returns {boolean}
+   */
+  isFinished(elapsed) {
+    return elapsed >= this.totalDuration;
+  }
+
+  /**
+   * 프로파일 문자열 (parse의 역변환)
+   * @returns {string}
+   */
+  toString() {
+    return this.stages.map(stage => `${formatDuration(stage.duration)}:${stage.to}`).join(',');
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * 이전 실행의 세션 재실행 계획
+ * stats.json의 sessions에서 실패한 세션의 학생 정보, 실패 단계, 세션 시드, 시나리오를 읽어
+ * 같은 입력으로 다시 실행할 수 있게 정리한다.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Logger } from '../utils/logger.js';
+import { loadRunStats } from '../utils/run-comparison.js';
+import { Scenario } from './scenario.js';
+
+/**
+ * 시나리오 이름으로 파일을 찾을 기본 폴더
+ */
+const DEFAULT_SCENARIO_DIR = 'scenarios';
+
+export class RerunPlan {
+  /**
+   * @param {Object} source 원본 실행 { runId, dir, testName, seed }
+   * @param {Object[]} sessions 재실행할 세션 목록
+   *   { sessionId, seed, studentInfo, scenario, browser, failedStep, error }
+   */
+  constructor(source, sessions) {
+    this.runId = source.runId;
+    this.dir = source.dir;
+    this.testName = source.testName;
+    this.seed = source.seed ?? null;
+    this.sessions = sessions;
+  }
+
+  /**
+   * 실행 결과에서 재실행 계획 만들기
+   * @param {string} ref 실행 ID, 실행 폴더 또는 stats.json 경로
+   * @param {Object} [options]
+   * @param {boolean} [options.failedOnly] 실패한 세션만 (기본값: true)
+   * @param {Scenario} [options.scenario] 모든 세션에 쓸 시나리오 (없으면 세션에 기록된 이름으로 찾음)
+   * @param {string} [options.scenarioDir] 시나리오 파일을 찾을 폴더
+   * @returns {RerunPlan}
+   */
+  static load(ref, options = {}) {
+    const { failedOnly = true, scenario = null, scenarioDir = DEFAULT_SCENARIO_DIR } = options;
+    const logger = new Logger('RerunPlan');
+    const run = loadRunStats(ref);
+
+    const candidates = (run.data.sessions || [])
+      .filter(session => !failedOnly || session.status === 'failed');
+
+    if (candidates.length === 0) {
+      throw new Error(`Run ${run.runId} has no ${failedOnly ? 'failed ' : ''}sessions to re-run`);
+    }
+
+    const scenarios = new Map();
+    const resolveScenario = name => {
+      if (scenario) return scenario;
+      if (!name) return null;
+      if (!scenarios.has(name)) {
+        scenarios.set(name, findScenario(name, scenarioDir));
+      }
+      return scenarios.get(name);
+    };
+
+    const sessions = candidates.map(session => {
+      const result = session.result || {};
+      const failedError = (session.errors || [])[0] || (result.errors || [])[0] || null;
+
+      if (session.seed === undefined) {
+        logger.warn(`Session ${session.sessionId} has no seed (recorded before --seed), delays and generated values will differ`);
+      }
+      if (!result.studentInfo) {
+        logger.warn(`Session ${session.sessionId} has no student info, generating new data`);
+      }
+
+      return {
+        sessionId: session.sessionId,
+        seed: session.seed,
+        studentInfo: result.studentInfo || null,
+        scenario: resolveScenario(session.scenario),
+        browser: session.browser || null,
+        failedStep: failedError?.step || session.currentStep || null,
+        error: failedError?.message || failedError?.error || null
+      };
+    });
+
+    return new RerunPlan({
+      runId: run.runId,
+      dir: run.dir,
+      testName: run.data.testName,
+      seed: run.data.stats?.seed
+    }, sessions);
+  }
+
+  /**
+   * 요약 문자열
+   * @returns {string}
+   */
+  toString() {
+    return `${this.runId} (${this.sessions.length}개 세션)`;
+  }
+}
+
+/**
+ * 시나리오 이름으로 파일 찾기 (이름이 같은 시나리오 파일, 없으면 기본 전체 플로우)
+ */
+function findScenario(name, scenarioDir) {
+  const dir = path.resolve(scenarioDir);
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(file => /\.(ya?ml|json)$/i.test(file) && !/\.mix\./i.test(file))
+    : [];
+
+  for (const file of files) {
+    try {
+      const scenario = Scenario.load(path.join(dir, file));
+      if (scenario.name === name) return scenario;
+    } catch {
+      // 시나리오가 아닌 파일이나 깨진 파일은 건너뜀
+    }
+  }
+
+  if (name === Scenario.fullFlow().name) {
+    return Scenario.fullFlow();
+  }
+
+  throw new Error(`Scenario "${name}" not found in ${scenarioDir}/. Pass the scenario file with --scenario`);
+}
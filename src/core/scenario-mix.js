@@ -0,0 +1,122 @@
+/**
+ * 가중치 시나리오 혼합
+ * 세션마다 가중치에 따라 시나리오를 하나씩 뽑아 실제 사용자 분포를 흉내낸다.
+ *
+ * 혼합 파일 예시 (YAML, 시나리오 경로는 혼합 파일 기준 상대 경로):
+ *   name: registration-opening
+ *   mix:
+ *     - scenario: browse-only.yaml
+ *       weight: 60
+ *     - scenario: full-payment.yaml
+ *       weight: 40
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { Scenario } from './scenario.js';
+import { randomSource } from '../utils/random.js';
+
+export class ScenarioMix {
+  /**
+   * @param {Array<{scenario: Scenario, weight: number}>} entries
+   * @param {string} name 혼합 이름
+   */
+  constructor(entries, name = 'scenario-mix') {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('Scenario mix requires at least one scenario');
+    }
+
+    const names = new Set();
+    entries.forEach(({ scenario, weight }, index) => {
+      if (!(scenario instanceof Scenario)) {
+        throw new Error(`Scenario mix entry ${index + 1}: scenario is required`);
+      }
+      if (!(weight > 0)) {
+        throw new Error(`Scenario mix entry ${index + 1} (${scenario.name}): weight must be positive`);
+      }
+      if (names.has(scenario.name)) {
+        throw new Error(`Scenario mix has duplicate scenario name: ${scenario.name}`);
+      }
+      names.add(scenario.name);
+    });
+
+    this.name = name;
+    this.entries = entries;
+    this.totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  }
+
+  /**
+   * 혼합 파일 로드 (.yaml, .yml, .json)
+   * @param {string} filePath
+   * @returns {ScenarioMix}
+   */
+  static load(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`Scenario mix file not found: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(resolvedPath, 'utf-8');
+    const extension = path.extname(resolvedPath).toLowerCase();
+
+    let definition;
+    try {
+      definition = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+      throw new Error(`Failed to parse scenario mix file ${filePath}: ${error.message}`);
+    }
+
+    if (!definition || !Array.isArray(definition.mix)) {
+      throw new Error(`Scenario mix file ${filePath} must define a "mix" list`);
+    }
+
+    // 시나리오는 파일 경로 또는 인라인 정의
+    const baseDir = path.dirname(resolvedPath);
+    const entries = definition.mix.map(entry => ({
+      scenario: typeof entry.scenario === 'string'
+        ? Scenario.load(path.resolve(baseDir, entry.scenario))
+        : new Scenario(entry.scenario),
+      weight: Number(entry.weight)
+    }));
+
+    return new ScenarioMix(entries, definition.name || path.basename(resolvedPath).split('.')[0]);
+  }
+
+  /**
+   * 가중치에 따라 시나리오 하나 선택
+   * @param {import('../utils/random.js').SeededRandom} [random] 난수 생성기 (기본값: 실행 전체)
+   * @returns {Scenario}
+   */
+  pick(random = randomSource.global) {
+    let point = random.next() * this.totalWeight;
+
+    for (const entry of this.entries) {
+      point -= entry.weight;
+      if (point < 0) return entry.scenario;
+    }
+
+    return this.entries[this.entries.length - 1].scenario;
+  }
+
+  /**
+   * 시나리오별 비율 (%)
+   * @returns {Object.<string, number>}
+   */
+  getWeights() {
+    const weights = {};
+    this.entries.forEach(({ scenario, weight }) => {
+      weights[scenario.name] = Math.round((weight / this.totalWeight) * 1000) / 10;
+    });
+    return weights;
+  }
+
+  /**
+   * 요약 문자열
+   * @returns {string}
+   */
+  toString() {
+    const weights = this.getWeights();
+    return `${this.name} (${Object.entries(weights).map(([name, percent]) => `${name} ${percent}%`).join(', ')})`;
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * 테스트 시나리오
+ * 실행할 단계 목록, 단계별 파라미터, think time, 성공 기준을 정의
+ *
+ * 시나리오 파일 예시 (YAML):
+ *   name: browse-only
+ *   thinkTime: { min: 1s, max: 3s }
+ *   successCriteria:
+ *     maxTotalTime: 60s
+ *   steps:
+ *     - name: select-course
+ *       params: { apply: false }
+ *       maxDuration: 30s
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { parseDuration } from './load-profile.js';
+import { stepRegistry } from './step-registry.js';
+import { randomSource } from '../utils/random.js';
+
+/**
+ * think time 정규화 ("2s" 또는 { min, max } → { min, max } ms)
+ * @param {string|number|Object} value
+ * @returns {{min: number, max: number}|null}
+ */
+function parseThinkTime(value) {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value === 'object') {
+    const min = parseDuration(value.min ?? 0);
+    const max = parseDuration(value.max ?? value.min ?? 0);
+    if (max < min) {
+      throw new Error(`Invalid think time: max (${max}ms) is less than min (${min}ms)`);
+    }
+    return { min, max };
+  }
+
+  const fixed = parseDuration(value);
+  return { min: fixed, max: fixed };
+}
+
+export class Scenario {
+  /**
+   * @param {Object} definition 시나리오 정의 (파일 내용)
+   */
+  constructor(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Scenario definition must be an object');
+    }
+    if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+      throw new Error('Scenario requires at least one step');
+    }
+
+    this.name = definition.name || 'custom';
+    this.description = definition.description || '';
+    this.file = null; // 시나리오 파일 경로 (파일에서 읽은 경우, 재실행 안내에 사용)
+    this.thinkTime = parseThinkTime(definition.thinkTime);
+
+    const criteria = definition.successCriteria || {};
+    this.successCriteria = {
+      maxTotalTime: criteria.maxTotalTime !== undefined ? parseDuration(criteria.maxTotalTime) : null
+    };
+
+    const executed = new Set();
+    this.steps = definition.steps.map((entry, index) => {
+      const step = typeof entry === 'string' ? { name: entry } : entry;
+
+      if (!step || !step.name) {
+        throw new Error(`Scenario "${this.name}" step ${index + 1}: name is required`);
+      }
+
+      const registered = stepRegistry.get(step.name);
+      const missing = registered.requires.filter(required => !executed.has(required));
+      if (missing.length > 0) {
+        throw new Error(`Scenario "${this.name}" step ${index + 1} (${step.name}) requires ${missing.join(', ')} to run first`);
+      }
+      executed.add(step.name);
+
+      return {
+        name: step.name,
+        params: step.params || {},
+        thinkTime: parseThinkTime(step.thinkTime),
+        maxDuration: step.maxDuration !== undefined ? parseDuration(step.maxDuration) : null
+      };
+    });
+  }
+
+  /**
+   * 시나리오 파일 로드 (.yaml, .yml, .json)
+   * @param {string} filePath
+   * @returns {Scenario}
+   */
+  static load(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`Scenario file not found: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(resolvedPath, 'utf-8');
+    const extension = path.extname(resolvedPath).toLowerCase();
+
+    let definition;
+    try {
+      definition = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+      throw new Error(`Failed to parse scenario file ${filePath}: ${error.message}`);
+    }
+
+    const scenario = new Scenario({
+      name: path.basename(resolvedPath, extension),
+      ...definition
+    });
+    scenario.file = resolvedPath;
+    return scenario;
+  }
+
+  /**
+   * 기본 시나리오 (기존 5단계 전체 플로우)
+   * @returns {Scenario}
+   */
+  static fullFlow() {
+    return new Scenario({
+      name: 'full-flow',
+      description: '과정 선택부터 결제까지 전체 플로우',
+      steps: ['select-course', 'fill-basic-info', 'fill-detailed-info', 'select-class', 'process-payment']
+    });
+  }
+
+  /**
+   * 단계 뒤의 think time 계산 (단계 설정 우선, 없으면 시나리오 기본값)
+   * @param {Object} step
+   * @param {import('../utils/random.js').SeededRandom} [random] 세션 난수 생성기 (기본값: 실행 전체)
+   * @returns {number} ms
+   */
+  getThinkTime(step, random = randomSource.global) {
+    const thinkTime = step.thinkTime || this.thinkTime;
+    if (!thinkTime) return 0;
+
+    return random.int(thinkTime.min, thinkTime.max);
+  }
+
+  /**
+   * 요약 문자열
+   * @returns {string}
+   */
+  toString() {
+    return `${this.name} (${this.steps.map(step => step.name).join(' → ')})`;
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * 단계 레지스트리
+ * 시나리오 파일에서 이름으로 참조할 수 있는 테스트 단계를 관리
+ */
+
+export class StepRegistry {
+  constructor() {
+    this.steps = new Map();
+  }
+
+  /**
+   * 단계 등록
+   * @param {string} name 단계 이름 (시나리오 파일에서 사용)
+   * @param {Object} definition
+   * @param {string} definition.description 단계 설명
+   * @param {string[]} [definition.requires] 먼저 실행되어야 하는 단계 이름
+   * @param {Function} definition.run (flowManager, context, params) => Promise
+   */
+  register(name, definition) {
+    if (typeof definition?.run !== 'function') {
+      throw new Error(`Step "${name}" must define a run function`);
+    }
+
+    this.steps.set(name, {
+      name,
+      description: definition.description || name,
+      requires: definition.requires || [],
+      run: definition.run
+    });
+  }
+
+  /**
+   * 단계 등록 여부
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.steps.has(name);
+  }
+
+  /**
+   * 단계 정의 조회
+   * @param {string} name
+   * @returns {Object}
+   */
+  get(name) {
+    const step = this.steps.get(name);
+    if (!step) {
+      throw new Error(`Unknown step: "${name}". Available steps: ${this.list().join(', ')}`);
+    }
+    return step;
+  }
+
+  /**
+   * 등록된 단계 이름 목록
+   * @returns {string[]}
+   */
+  list() {
+    return Array.from(this.steps.keys());
+  }
+}
+
+// 싱글톤 인스턴스 생성
+export const stepRegistry = new StepRegistry();
+
+// 기본 단계 등록 (FlowManager의 단계 메서드를 이름으로 노출)
+stepRegistry.register('select-course', {
+  description: '수강 과정 선택 (params.apply: false면 목록만 조회)',
+  run: (flow, context, params) => flow._step1_SelectCourse(context.studentInfo, params)
+});
+
+stepRegistry.register('fill-basic-info', {
+  description: '기본정보 입력',
+  requires: ['select-course'],
+  run: (flow, context) => flow._step2_FillBasicInfo(context.studentInfo)
+});
+
+stepRegistry.register('fill-detailed-info', {
+  description: '상세정보 입력',
+  requires: ['fill-basic-info'],
+  run: (flow, context) => flow._step3_FillDetailedInfo(context.studentInfo)
+});
+
+stepRegistry.register('select-class', {
+  description: '수강반 및 결제 방법 선택',
+  requires: ['fill-detailed-info'],
+  run: (flow) => flow._step4_SelectClassAndPayment()
+});
+
+stepRegistry.register('process-payment', {
+  description: 'Paymint 결제 (params로 카드사, 할부 등 결제 정보 덮어쓰기)',
+  requires: ['select-class'],
+  run: (flow, context, params) => flow._step5_ProcessPayment({ ...context.paymentInfo, ...params })
+});
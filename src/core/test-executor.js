@@ -1,54 +1,104 @@
 /**
  * 통합 테스트 실행기
- * 모든 테스트 모드(single, multi, load)를 처리하는 핵심 클래스
+ * 모든 테스트 모드(single, multi, load, rate, distributed, rerun)를 처리하는 핵심 클래스
  */
 
+import path from 'path';
+import { EventEmitter } from 'events';
 import { Logger } from '../utils/logger.js';
 import { PerformanceMonitor } from '../utils/performance.js';
 import { TestSession } from './test-session.js';
 import { ConcurrentMonitor } from '../utils/concurrent-monitor.js';
+import { LoadProfile } from './load-profile.js';
+import { runRegistry } from '../utils/run-registry.js';
+import { testDataGenerator } from '../data/index.js';
+import { randomSource, SeededRandom, deriveSeed } from '../utils/random.js';
+import { BrowserMix, DEFAULT_ENGINE } from '../browser/browser-engines.js';
+import { browserSessionManager } from '../browser/session-manager.js';
+import { Coordinator } from '../distributed/coordinator.js';
+import { config } from '../config/index.js';
 
-export class TestExecutor {
+/**
+ * 이벤트:
+ *   'session-completed' (TestResult) 세션 하나가 끝날 때마다 (실패 포함)
+ */
+export class TestExecutor extends EventEmitter {
   constructor() {
+    super();
     this.logger = new Logger('TestExecutor');
     this.sessions = new Map();
     this.isRunning = false;
     this.results = [];
     this.monitor = null; // ConcurrentMonitor 인스턴스
+    this.scenario = null; // 실행할 Scenario (없으면 전체 플로우)
+    this.scenarioMix = null; // 세션마다 시나리오를 뽑는 ScenarioMix (scenario보다 우선)
+    this.browserMix = null; // 세션마다 브라우저 엔진을 뽑는 BrowserMix (없으면 chromium)
+    this.thresholdResults = null; // 마지막 실행의 성능 기준 판정 결과
+    this.monitorStats = null; // 마지막 실행의 모니터 통계 (ConcurrentMonitor.getStats)
+    this.monitorLogDir = null; // 마지막 실행의 모니터링 결과 폴더
+    this.runRecord = null; // 마지막 실행의 실행 이력 기록 (RunRegistry)
+    this.ciReportFiles = null; // 마지막 실행의 CI 결과 파일 (CiReporter, 형식별 경로)
+    this.coordinator = null; // 분산 실행 중인 Coordinator
   }
 
   /**
    * 단일 테스트 실행
+   * @param {string|null} sessionId 세션 ID
+   * @param {Object} options - { scenario, browser, dataFeeder, seed, reporter }
+   *   browser: BrowserMix (mix면 세션 시드로 엔진 하나를 고름)
+   *   seed: 세션 시드로 그대로 사용 (multi 등의 stats.json에 남은 sessions[].seed를 넣으면 그 세션을 재현)
    */
-  async executeSingle(sessionId = null) {
+  async executeSingle(sessionId = null, options = {}) {
     this.logger.info('Executing single test...');
 
-    const session = new TestSession(sessionId);
+    const startedAt = new Date();
+    this.results = [];
+    this.monitorLogDir = null;
+    testDataGenerator.setFeeder(options.dataFeeder);
+    randomSource.setSeed(options.seed);
+    this.browserMix = options.browser || null;
+    const session = new TestSession(sessionId, {
+      scenario: options.scenario || null,
+      seed: randomSource.seed,
+      browser: this._pickBrowser(randomSource.seed)
+    });
     this.sessions.set(session.id, session);
 
     try {
       const result = await session.run();
       this.results.push(result);
+      this.emit('session-completed', result);
 
       return result;
     } finally {
       this.sessions.delete(session.id);
       await session.cleanup();
+      this._recordRun('single', options, startedAt, 'completed');
     }
   }
 
   /**
    * 멀티 테스트 실행
-   * @param {Object} options - { count, concurrency, useTabMode, tabsPerBrowser }
+   * @param {Object} options - { count, concurrency, useTabMode, tabsPerBrowser, rateLimit, profile, scenario, scenarioMix, browser, dataFeeder, seed, thresholds, reporter }
+   *   profile: LoadProfile 또는 프로파일 문자열 (지정 시 배치 대신 단계별 동시 사용자 수로 실행)
    */
   async executeMulti(options = {}) {
-    const { count = 3, concurrency = 2, useTabMode = true, tabsPerBrowser = 10 } = options;
-
-    this.logger.info(`Executing multi test: ${count} tests, ${concurrency} concurrent`);
+    const { count = 3, concurrency = 2, useTabMode = true, tabsPerBrowser = 10, rateLimit = null } = options;
+    const profile = this._resolveProfile(options.profile);
+    this.scenario = options.scenario || null;
+    testDataGenerator.setFeeder(options.dataFeeder);
+    randomSource.setSeed(options.seed);
+    this.scenarioMix = options.scenarioMix || null;
+    this.browserMix = options.browser || null;
+
+    if (profile) {
+      this.logger.info(`Executing multi test: ${count} tests, load profile ${profile.toString()} (max ${profile.maxTarget} concurrent)`);
+    } else {
+      this.logger.info(`Executing multi test: ${count} tests, ${concurrency} concurrent`);
+    }
 
     // 탭 모드 활성화 (메모리 최적화)
     if (useTabMode) {
-      const { browserSessionManager } = await import('../browser/session-manager.js');
       browserSessionManager.enableSharedContextMode();
       browserSessionManager.setTabsPerBrowser(tabsPerBrowser);
 
@@ -57,16 +107,43 @@ export class TestExecutor {
       this.logger.info(`   Memory usage: ~${Math.round(count * 10)}MB (vs ${Math.round(count * 50)}MB)`);
     }
 
+    const startedAt = new Date();
     this.isRunning = true;
     this.results = [];
+    this.thresholdResults = null;
 
     // ConcurrentMonitor 시작
-    this.monitor = new ConcurrentMonitor(`multi-test-${count}`);
+    this.monitor = new ConcurrentMonitor(`multi-test-${count}`, { rateLimit, thresholds: options.thresholds, seed: randomSource.seed });
+    this._configureMonitorScenarios();
+    this._configureMonitorBrowsers();
 
     const performanceMonitor = new PerformanceMonitor('multi-test');
     performanceMonitor.startTimer('total');
 
     try {
+      if (profile) {
+        // 부하 프로파일 실행: 총 count개 세션을 단계별 목표 동시 사용자 수에 맞춰 시작
+        let launched = 0;
+
+        await this._runWithProfile(profile, {
+          nextSession: () => {
+            if (launched >= count) return null;
+
+            return this._createSession(`test-${++launched}`, { index: launched });
+          },
+          runSession: session => this._runSessionWithMonitoring(session)
+        });
+
+        const totalTime = performanceMonitor.endTimer('total');
+        this.logger.info(`Multi test (load profile) completed in ${totalTime}ms - ${launched}/${count} sessions started`);
+
+        return {
+          success: this.results.length > 0 && this.results.every(r => r.success),
+          results: this.results,
+          summary: this._createSummary()
+        };
+      }
+
       // 배치 실행
       let completed = 0;
       const batchSize = Math.min(concurrency, count);
@@ -77,13 +154,7 @@ export class TestExecutor {
 
         // 배치 생성
         for (let i = completed; i < batchEnd; i++) {
-          const sessionId = `test-${i + 1}`;
-          const session = new TestSession(sessionId);
-
-          // 모니터에 세션 등록
-          this.monitor.registerSession(sessionId, { index: i + 1 });
-
-          this.sessions.set(session.id, session);
+          const session = this._createSession(`test-${i + 1}`, { index: i + 1 });
           currentBatch.push(this._runSessionWithMonitoring(session));
         }
 
@@ -121,11 +192,9 @@ export class TestExecutor {
       };
 
     } finally {
-      // 모니터 중지
-      if (this.monitor) {
-        await this.monitor.stopMonitoring();
-        this.monitor = null;
-      }
+      // 모니터 중지 (성능 기준 판정 포함)
+      await this._stopMonitor();
+      this._recordRun('multi', options, startedAt, this.isRunning ? 'completed' : 'stopped');
 
       this.isRunning = false;
       await this._cleanupAllSessions();
@@ -134,20 +203,61 @@ export class TestExecutor {
 
   /**
    * 부하 테스트 실행
-   * @param {Object} options - { duration, concurrency }
+   * @param {Object} options - { duration, concurrency, rateLimit, profile, scenario, scenarioMix, browser, dataFeeder, seed, thresholds, reporter }
+   *   profile: LoadProfile 또는 프로파일 문자열 (지정 시 duration/concurrency 대신 프로파일을 따름)
    */
   async executeLoad(options = {}) {
-    const { duration = 5, concurrency = 2 } = options;
-
-    this.logger.info(`Executing load test: ${duration} minutes, ${concurrency} concurrent`);
+    const { duration = 5, concurrency = 2, rateLimit = null } = options;
+    const profile = this._resolveProfile(options.profile);
+    this.scenario = options.scenario || null;
+    testDataGenerator.setFeeder(options.dataFeeder);
+    randomSource.setSeed(options.seed);
+    this.scenarioMix = options.scenarioMix || null;
+    this.browserMix = options.browser || null;
+
+    if (profile) {
+      this.logger.info(`Executing load test: load profile ${profile.toString()} (${Math.round(profile.totalDuration / 1000)}s, max ${profile.maxTarget} concurrent)`);
+    } else {
+      this.logger.info(`Executing load test: ${duration} minutes, ${concurrency} concurrent`);
+    }
+    const startedAt = new Date();
     this.isRunning = true;
     this.results = [];
+    this.thresholdResults = null;
+
+    // ConcurrentMonitor 시작
+    this.monitor = new ConcurrentMonitor(`load-test-${profile ? 'profile' : `${duration}m`}`, { rateLimit, thresholds: options.thresholds, seed: randomSource.seed });
+    this._configureMonitorScenarios();
+    this._configureMonitorBrowsers();
 
     const endTime = Date.now() + (duration * 60 * 1000);
     const performanceMonitor = new PerformanceMonitor('load-test');
     performanceMonitor.startTimer('total');
 
     try {
+      if (profile) {
+        // 슬롯(워커)별로 반복 실행하되, 목표 동시 사용자 수를 넘는 슬롯은 쉬게 함
+        const testCounts = new Array(profile.maxTarget).fill(0);
+
+        await this._runWithProfile(profile, {
+          nextSession: (slotIndex) => {
+            const iteration = testCounts[slotIndex]++;
+            return this._createSession(`worker-${slotIndex}-test-${iteration}`, { workerId: slotIndex, iteration });
+          },
+          runSession: session => this._runSessionWithMonitoring(session),
+          pauseMs: 2000
+        });
+
+        const totalTime = performanceMonitor.endTimer('total');
+        this.logger.info(`Load test (load profile) completed in ${totalTime}ms`);
+
+        return {
+          success: this.results.filter(r => r.success).length > 0,
+          results: this.results,
+          summary: this._createSummary()
+        };
+      }
+
       const workers = [];
 
       // 동시 워커 생성
@@ -167,21 +277,353 @@ export class TestExecutor {
       };
 
     } finally {
+      // 모니터 중지 (성능 기준 판정 포함)
+      await this._stopMonitor();
+      this._recordRun('load', options, startedAt, this.isRunning ? 'completed' : 'stopped');
+
       this.isRunning = false;
       await this._cleanupAllSessions();
     }
   }
 
   /**
-   * 세션 실행 (내부 헬퍼)
+   * 도착률 기반 테스트 실행 (Open model)
+   * 실행 중인 세션 수와 관계없이 고정된 간격으로 새 세션을 시작한다.
+   * 동시 실행 수가 maxInFlight에 도달한 시점의 도착은 시작하지 않고 드롭으로 기록한다.
+   * @param {Object} options - { rps, duration, maxInFlight, useTabMode, rateLimit, scenario, scenarioMix, browser, dataFeeder, seed, thresholds, reporter }
    */
-  async _runSession(session) {
+  async executeRate(options = {}) {
+    const { rps = 1, duration = 5, maxInFlight = 50, useTabMode = true, rateLimit = null } = options;
+    this.scenario = options.scenario || null;
+    testDataGenerator.setFeeder(options.dataFeeder);
+    randomSource.setSeed(options.seed);
+    this.scenarioMix = options.scenarioMix || null;
+    this.browserMix = options.browser || null;
+
+    if (!(rps > 0)) {
+      throw new Error(`Invalid arrival rate: ${rps}. Must be greater than 0`);
+    }
+    if (!(maxInFlight >= 1)) {
+      throw new Error(`Invalid max in-flight: ${maxInFlight}. Must be at least 1`);
+    }
+
+    this.logger.info(`Executing arrival-rate test: ${rps} users/s for ${duration} minutes, max ${maxInFlight} in flight`);
+
+    if (useTabMode) {
+      const tabsPerBrowser = Math.min(maxInFlight, 50);
+      browserSessionManager.enableSharedContextMode();
+      browserSessionManager.setTabsPerBrowser(tabsPerBrowser);
+      this.logger.info(`🚀 Tab mode enabled - up to ${Math.ceil(maxInFlight / tabsPerBrowser)} browser(s) × ${tabsPerBrowser} tabs`);
+    }
+
+    const startedAt = new Date();
+    this.isRunning = true;
+    this.results = [];
+    this.thresholdResults = null;
+
+    this.monitor = new ConcurrentMonitor(`rate-test-${rps}rps`, { rateLimit, thresholds: options.thresholds, seed: randomSource.seed });
+    this._configureMonitorScenarios();
+    this._configureMonitorBrowsers();
+    this.monitor.configureArrivals({ targetRps: rps, maxInFlight });
+
+    const performanceMonitor = new PerformanceMonitor('rate-test');
+    performanceMonitor.startTimer('total');
+
+    const interval = 1000 / rps;
+    const startTime = Date.now();
+    const endTime = startTime + (duration * 60 * 1000);
+
+    // 실행 중인 세션이 차지한 슬롯 (슬롯 번호로 브라우저를 고정 배정해 브라우저 수를 제한)
+    const freeSlots = Array.from({ length: maxInFlight }, (_, i) => i);
+    const inFlight = new Set();
+    let arrivals = 0;
+
     try {
-      const result = await session.run();
-      return result;
+      while (this.isRunning) {
+        // 누적 오차가 생기지 않도록 시작 시각 기준으로 다음 도착 시각 계산
+        const arrivalTime = startTime + arrivals * interval;
+        if (arrivalTime >= endTime) break;
+
+        const waitMs = arrivalTime - Date.now();
+        if (waitMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, waitMs));
+          if (!this.isRunning) break;
+        }
+
+        arrivals++;
+
+        if (inFlight.size >= maxInFlight) {
+          this.monitor.recordDroppedArrival(arrivals, inFlight.size);
+          this.logger.warn(`Arrival ${arrivals} dropped - ${inFlight.size} sessions in flight (max ${maxInFlight})`);
+          continue;
+        }
+
+        const slot = freeSlots.shift();
+        // 세션 ID의 첫 숫자가 브라우저 배정에 쓰이므로 슬롯 번호(1부터)를 앞에 둠
+        const sessionId = `rate-${slot + 1}-arrival-${arrivals}`;
+        const session = this._createSession(sessionId, { index: arrivals, slot });
+        this.monitor.recordArrival();
+
+        const running = this._runSessionWithMonitoring(session)
+          .then(result => {
+            this.results.push(result);
+          })
+          .catch(error => {
+            this.logger.error(`Arrival ${sessionId} failed:`, error);
+            this.results.push({
+              sessionId,
+              success: false,
+              error: error?.message || 'Unknown error'
+            });
+          })
+          .finally(() => {
+            inFlight.delete(running);
+            freeSlots.push(slot);
+          });
+
+        inFlight.add(running);
+      }
+
+      this.logger.info(`Arrival schedule finished (${arrivals} arrivals), waiting for ${inFlight.size} in-flight sessions...`);
+      await Promise.allSettled(Array.from(inFlight));
+
+      const totalTime = performanceMonitor.endTimer('total');
+      const arrivalStats = this.monitor.stats.arrivals;
+      this.logger.info(`Arrival-rate test completed in ${totalTime}ms - started ${arrivalStats.started}, dropped ${arrivalStats.dropped}`);
+
+      return {
+        success: this.results.length > 0 && this.results.every(r => r.success),
+        results: this.results,
+        summary: {
+          ...this._createSummary(),
+          arrivals: arrivalStats.scheduled,
+          droppedArrivals: arrivalStats.dropped
+        }
+      };
+
     } finally {
-      this.sessions.delete(session.id);
-      await session.cleanup();
+      await this._stopMonitor();
+      this._recordRun('rate', options, startedAt, this.isRunning ? 'completed' : 'stopped');
+
+      this.isRunning = false;
+      await this._cleanupAllSessions();
+    }
+  }
+
+  /**
+   * 분산 테스트 실행 (코디네이터)
+   * 에이전트가 모두 등록되면 세션을 나눠 배정하고, 에이전트 결과를 하나의 모니터로 병합한다.
+   * @param {Object} options - { agents, port, count, concurrency, useTabMode, rateLimit, browser, dataFeeder, seed, thresholds, reporter }
+   *   dataFeeder: 에이전트마다 나눠 보낼 DataFeeder (unique 모드는 레코드가 겹치지 않게 분할)
+   */
+  async executeDistributed(options = {}) {
+    const { agents = 2, port = 7070, count = 3, concurrency = 2, useTabMode = true, rateLimit = null } = options;
+    this.logger.info(`Executing distributed test: ${count} tests, ${concurrency} concurrent across ${agents} agents`);
+    randomSource.setSeed(options.seed);
+
+    const startedAt = new Date();
+    this.isRunning = true;
+    this.results = [];
+    this.thresholdResults = null;
+    this.monitorLogDir = null;
+
+    this.coordinator = new Coordinator({
+      agents,
+      count,
+      concurrency,
+      useTabMode,
+      rateLimit,
+      browser: options.browser || null,
+      dataFeeder: options.dataFeeder,
+      seed: randomSource.seed,
+      thresholds: options.thresholds
+    });
+
+    try {
+      await this.coordinator.start(port);
+      const outcome = await this.coordinator.run();
+      this.results = outcome.results;
+
+      return {
+        success: outcome.success,
+        results: this.results,
+        summary: this._createSummary(),
+        agents: outcome.agents
+      };
+    } finally {
+      // 에이전트가 모두 등록되기 전에 중지하면 모니터가 없다
+      this.monitor = this.coordinator.monitor;
+      await this._stopMonitor();
+      await this.coordinator.stop();
+      this._recordRun('distributed', options, startedAt, this.isRunning ? 'completed' : 'stopped');
+
+      this.coordinator = null;
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * 이전 실행의 세션 재실행
+   * 원래 세션의 학생 정보, 세션 시드, 시나리오, 브라우저 엔진으로 다시 실행하고, 결과를 원래 실행과 연결해 기록한다.
+   * 트레이스는 독립 Context에서만 기록되므로 탭 모드를 쓰지 않는다.
+   * @param {Object} options - { plan, concurrency, headless, trace, browser, reporter }
+   *   plan: RerunPlan (재실행할 세션 목록과 원래 실행)
+   *   browser: 원래 엔진 대신 쓸 BrowserMix (없으면 세션마다 원래 엔진)
+   *   headless: 브라우저 창 숨김 (기본값: false, 진행 과정을 보면서 확인)
+   *   trace: 세션마다 Playwright 트레이스 기록 (기본값: true)
+   */
+  async executeRerun(options = {}) {
+    const { plan, concurrency = 1, headless = false, trace = true } = options;
+    this.logger.info(`Re-running ${plan.sessions.length} session(s) from ${plan.runId}, ${concurrency} concurrent`);
+
+    testDataGenerator.setFeeder(null);
+    randomSource.setSeed(plan.seed);
+    this.scenario = null;
+    this.scenarioMix = null;
+    this.browserMix = options.browser || null;
+
+    // 세션마다 실행할 엔진 (기록이 없으면 chromium)
+    const engines = new Map(plan.sessions.map(planned => [
+      planned.sessionId,
+      this.browserMix ? this._pickBrowser(planned.seed ?? randomSource.sessionSeed(planned.sessionId)) : (planned.browser || DEFAULT_ENGINE)
+    ]));
+
+    const previousBrowserConfig = { headless: config.headless, tracing: config.tracing };
+    config.headless = headless;
+    config.tracing = trace;
+
+    const startedAt = new Date();
+    this.isRunning = true;
+    this.results = [];
+    this.thresholdResults = null;
+
+    this.monitor = new ConcurrentMonitor(`rerun-${plan.sessions.length}`, {
+      seed: randomSource.seed,
+      rerunOf: { runId: plan.runId, dir: path.relative(process.cwd(), plan.dir), testName: plan.testName }
+    });
+    this._configureMonitorBrowsers(engines);
+
+    try {
+      const queue = [...plan.sessions];
+
+      const worker = async () => {
+        while (queue.length > 0 && this.isRunning) {
+          const planned = queue.shift();
+          const sessionId = `rerun-${planned.sessionId}`;
+          const session = new TestSession(sessionId, {
+            scenario: planned.scenario,
+            seed: planned.seed,
+            studentInfo: planned.studentInfo,
+            browser: engines.get(planned.sessionId)
+          });
+
+          this.monitor.registerSession(sessionId, {
+            scenario: planned.scenario ? planned.scenario.name : null,
+            seed: session.seed,
+            browser: session.browser,
+            originalSessionId: planned.sessionId,
+            originalFailedStep: planned.failedStep
+          });
+          this.sessions.set(sessionId, session);
+
+          let result;
+          try {
+            result = await this._runSessionWithMonitoring(session);
+          } catch (error) {
+            result = { sessionId, success: false, errors: [{ message: error.message }] };
+          }
+
+          result.originalSessionId = planned.sessionId;
+          result.originalFailedStep = planned.failedStep;
+          result.traceFile = browserSessionManager.traceFiles.get(sessionId) || null;
+          this.results.push(result);
+
+          this.logger.info(`${planned.sessionId} → ${sessionId}: ${result.success ? 'SUCCESS' : 'FAILED'}`);
+        }
+      };
+
+      await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, plan.sessions.length)) }, worker));
+
+      return {
+        success: this.results.length > 0 && this.results.every(r => r.success),
+        results: this.results,
+        summary: this._createSummary()
+      };
+    } finally {
+      await this._stopMonitor();
+      this._recordRun('rerun', { ...options, rerunOf: plan.runId }, startedAt, this.isRunning ? 'completed' : 'stopped');
+
+      this.isRunning = false;
+      await this._cleanupAllSessions();
+      config.headless = previousBrowserConfig.headless;
+      config.tracing = previousBrowserConfig.tracing;
+    }
+  }
+
+  /**
+   * 세션 생성 및 모니터 등록 (내부 헬퍼)
+   * @param {string} sessionId 세션 ID
+   * @param {Object} metadata 모니터에 함께 기록할 정보
+   * @returns {TestSession}
+   */
+  _createSession(sessionId, metadata = {}) {
+    // 세션 시드는 세션 ID로 정해지므로 세션 시작 순서가 달라도 같은 세션은 같은 시나리오와 데이터를 받는다
+    const seed = randomSource.sessionSeed(sessionId);
+    const scenario = this.scenarioMix
+      ? this.scenarioMix.pick(new SeededRandom(deriveSeed(seed, 'scenario')))
+      : this.scenario;
+    const browser = this._pickBrowser(seed);
+    const session = new TestSession(sessionId, { scenario, seed, browser });
+
+    if (this.monitor) {
+      this.monitor.registerSession(sessionId, {
+        ...metadata,
+        scenario: scenario ? scenario.name : null,
+        seed,
+        browser
+      });
+    }
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * 모니터에 시나리오 구성 등록 (내부 헬퍼)
+   */
+  _configureMonitorScenarios() {
+    if (this.scenarioMix) {
+      this.logger.info(`Scenario mix: ${this.scenarioMix.toString()}`);
+      this.monitor.configureScenarios(this.scenarioMix.getWeights());
+    } else if (this.scenario) {
+      this.monitor.configureScenarios({ [this.scenario.name]: 100 });
+    }
+  }
+
+  /**
+   * 세션 브라우저 엔진 선택 (내부 헬퍼)
+   * 시나리오와 같이 세션 시드에서 따로 나눈 난수를 써서 엔진 선택이 다른 난수열에 영향을 주지 않는다.
+   * @param {number} seed 세션 시드
+   * @returns {string}
+   */
+  _pickBrowser(seed) {
+    return this.browserMix
+      ? this.browserMix.pick(new SeededRandom(deriveSeed(seed, 'browser')))
+      : DEFAULT_ENGINE;
+  }
+
+  /**
+   * 모니터에 브라우저 엔진 구성 등록 (내부 헬퍼)
+   * @param {Map<string, string>} [engines] 세션별 엔진 (재실행처럼 세션마다 엔진이 정해진 경우)
+   */
+  _configureMonitorBrowsers(engines = null) {
+    if (this.browserMix) {
+      this.logger.info(`Browser: ${this.browserMix.toString()}`);
+      this.monitor.configureBrowsers(this.browserMix.getPercentages());
+    } else if (engines && [...engines.values()].some(engine => engine !== DEFAULT_ENGINE)) {
+      const counts = {};
+      engines.forEach(engine => { counts[engine] = (counts[engine] || 0) + 1; });
+      this.monitor.configureBrowsers(new BrowserMix(counts).getPercentages());
     }
   }
 
@@ -203,6 +645,7 @@ export class TestExecutor {
         this.monitor.completeSession(session.id, result.success, result);
       }
 
+      this.emit('session-completed', result);
       return result;
     } catch (error) {
       // 세션 실패 기록
@@ -210,6 +653,13 @@ export class TestExecutor {
         this.monitor.completeSession(session.id, false);
         this.monitor.recordError(session.id, 'session-execution', error);
       }
+      this.emit('session-completed', {
+        sessionId: session.id,
+        success: false,
+        totalTime: 0,
+        stepTimes: {},
+        errors: [{ message: error.message }]
+      });
       throw error;
     } finally {
       this.sessions.delete(session.id);
@@ -225,10 +675,10 @@ export class TestExecutor {
 
     while (Date.now() < endTime && this.isRunning) {
       try {
-        const session = new TestSession(`worker-${workerId}-test-${testCount}`);
-        this.sessions.set(session.id, session);
+        // 워커별 반복 횟수 집계용 메타데이터 포함
+        const session = this._createSession(`worker-${workerId}-test-${testCount}`, { workerId, iteration: testCount });
 
-        const result = await this._runSession(session);
+        const result = await this._runSessionWithMonitoring(session);
         this.results.push(result);
 
         testCount++;
@@ -239,6 +689,11 @@ export class TestExecutor {
 
       } catch (error) {
         this.logger.error(`Worker ${workerId} error:`, error);
+        this.results.push({
+          sessionId: `worker-${workerId}-test-${testCount}`,
+          success: false,
+          error: error?.message || 'Unknown error'
+        });
         testCount++;
       }
     }
@@ -246,6 +701,159 @@ export class TestExecutor {
     this.logger.info(`Worker ${workerId} completed ${testCount} tests`);
   }
 
+  /**
+   * 부하 프로파일 정규화 (내부 헬퍼)
+   * @param {LoadProfile|string|null} profile
+   * @returns {LoadProfile|null}
+   */
+  _resolveProfile(profile) {
+    if (!profile) return null;
+    return profile instanceof LoadProfile ? profile : LoadProfile.parse(profile);
+  }
+
+  /**
+   * 부하 프로파일에 따라 세션 실행 (내부 헬퍼)
+   * 최대 목표 사용자 수만큼 슬롯을 만들고, 슬롯 i는 목표 동시 사용자 수가 i보다 클 때만 새 세션을 시작한다.
+   * 감소 구간에서는 실행 중인 세션을 끊지 않고, 끝난 슬롯이 다시 시작하지 않는 방식으로 줄어든다.
+   * @param {LoadProfile} profile
+   * @param {Object} handlers - { nextSession(slotIndex) → TestSession|null, runSession(session) → Promise, pauseMs }
+   */
+  async _runWithProfile(profile, handlers) {
+    const startTime = Date.now();
+    let stageIndex = -1;
+
+    // 단계 전환 추적 (모니터에 단계 라벨 기록)
+    const trackStage = () => {
+      const stage = profile.getStageAt(Date.now() - startTime);
+      if (stage && stage.index !== stageIndex) {
+        stageIndex = stage.index;
+        this.logger.info(`Load stage ${stage.index + 1}/${profile.stages.length}: ${stage.label}`);
+        if (this.monitor) {
+          this.monitor.setStage(stage);
+        }
+      }
+    };
+
+    trackStage();
+    const stageInterval = setInterval(trackStage, 1000);
+
+    try {
+      const slots = [];
+      for (let i = 0; i < profile.maxTarget; i++) {
+        slots.push(this._runProfileSlot(i, profile, startTime, handlers));
+      }
+
+      await Promise.all(slots);
+    } finally {
+      clearInterval(stageInterval);
+      if (this.monitor) {
+        this.monitor.endStages();
+      }
+    }
+  }
+
+  /**
+   * 부하 프로파일 슬롯 (내부 헬퍼)
+   */
+  async _runProfileSlot(slotIndex, profile, startTime, handlers) {
+    const { nextSession, runSession, pauseMs = 0 } = handlers;
+    let testCount = 0;
+
+    while (this.isRunning) {
+      const elapsed = Date.now() - startTime;
+      if (profile.isFinished(elapsed)) break;
+
+      // 아직 이 슬롯의 차례가 아니거나 감소 구간에서 빠진 슬롯
+      if (profile.getTargetAt(elapsed) <= slotIndex) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        continue;
+      }
+
+      const session = nextSession(slotIndex);
+      if (!session) break;
+
+      try {
+        const result = await runSession(session);
+        this.results.push(result);
+      } catch (error) {
+        this.logger.error(`Slot ${slotIndex} session ${session.id} failed:`, error);
+        this.results.push({
+          sessionId: session.id,
+          success: false,
+          error: error.message || 'Unknown error'
+        });
+      }
+
+      testCount++;
+
+      if (pauseMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, pauseMs));
+      }
+    }
+
+    this.logger.debug(`Slot ${slotIndex} completed ${testCount} tests`);
+    return testCount;
+  }
+
+  /**
+   * 모니터 중지 및 성능 기준 판정 결과 보관 (내부 헬퍼)
+   */
+  async _stopMonitor() {
+    if (!this.monitor) return;
+
+    await this.monitor.stopMonitoring();
+    this.thresholdResults = this.monitor.stats.thresholds;
+    this.monitorStats = this.monitor.getStats();
+    this.monitorLogDir = this.monitor.logDir;
+    this.monitor = null;
+  }
+
+  /**
+   * 실행 이력 기록 및 CI 결과 파일 쓰기 (내부 헬퍼)
+   * 기록 실패가 테스트 결과에 영향을 주지 않도록 경고만 남긴다.
+   * @param {string} mode single, multi, load, rate, distributed, rerun
+   * @param {Object} options execute*에 전달된 옵션 (reporter: CiReporter가 있으면 junit.xml/summary.json 작성)
+   * @param {Date} startedAt 시작 시각
+   * @param {string} status completed 또는 stopped (사용자가 중지)
+   */
+  _recordRun(mode, options, startedAt, status) {
+    const run = {
+      mode,
+      options: { ...options, seed: randomSource.seed },
+      startedAt,
+      status,
+      results: this.results,
+      summary: this._createSummary(),
+      thresholds: this.thresholdResults,
+      logDir: this.monitorLogDir,
+      environment: {
+        environment: config.environment,
+        environmentName: config.environmentName,
+        baseUrl: config.baseUrl
+      }
+    };
+
+    try {
+      this.runRecord = runRegistry.record(run);
+    } catch (error) {
+      this.runRecord = null;
+      this.logger.warn(`Failed to record run history: ${error.message}`);
+    }
+
+    this.ciReportFiles = null;
+    if (options.reporter && !options.reporter.isEmpty()) {
+      try {
+        this.ciReportFiles = options.reporter.write({
+          ...run,
+          record: this.runRecord,
+          exitCode: this.resolveExitCode({ summary: run.summary })
+        });
+      } catch (error) {
+        this.logger.warn(`Failed to write CI reports: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * 모든 세션 정리
    */
@@ -260,6 +868,27 @@ export class TestExecutor {
     this.sessions.clear();
   }
 
+  /**
+   * 지금까지의 결과 요약 (단일 테스트 포함)
+   */
+  getSummary() {
+    return this._createSummary();
+  }
+
+  /**
+   * 실행 결과로 종료 코드 결정 (CLI와 Web GUI 공통)
+   * 성능 기준이 있으면 위반 시 2, 없으면 성공한 세션이 하나라도 있을 때 0, 아니면 1
+   * @param {Object} result execute* 반환값
+   * @returns {number}
+   */
+  resolveExitCode(result) {
+    if (this.thresholdResults) {
+      return this.thresholdResults.some(r => !r.passed) ? 2 : 0;
+    }
+
+    return result.success || (result.summary && result.summary.successful > 0) ? 0 : 1;
+  }
+
   /**
    * 결과 요약 생성
    */
@@ -289,5 +918,6 @@ export class TestExecutor {
   stop() {
     this.logger.info('Stopping test execution...');
     this.isRunning = false;
+    this.coordinator?.requestStop();
   }
 }
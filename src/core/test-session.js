@@ -9,10 +9,25 @@ import { ErrorHandler } from '../utils/error-handler.js';
 import { testDataGenerator } from '../data/index.js';
 import { browserSessionManager } from '../browser/session-manager.js';
 import { FlowManager } from './flow-manager.js';
+import { randomSource } from '../utils/random.js';
+import { DEFAULT_ENGINE } from '../browser/browser-engines.js';
 
 export class TestSession {
-  constructor(sessionId = null) {
+  /**
+   * @param {string|null} sessionId 세션 ID (없으면 자동 생성)
+   * @param {Object} options - { scenario, seed, studentInfo, browser }
+   *   scenario: 실행할 Scenario (없으면 전체 플로우)
+   *   seed: 세션 시드 (없으면 실행 시드와 세션 ID로 계산, 같은 시드면 같은 데이터와 지연으로 실행)
+   *   studentInfo: 생성한 학생 정보 대신 쓸 값 (재실행 시 원래 세션의 학생 정보)
+   *   browser: 브라우저 엔진 (chromium, firefox, webkit, 기본값: chromium)
+   */
+  constructor(sessionId = null, options = {}) {
     this.id = sessionId || testDataGenerator.generateSessionId();
+    this.scenario = options.scenario || null;
+    this.seed = options.seed ?? randomSource.sessionSeed(this.id);
+    this.random = randomSource.createSession(this.id, this.seed);
+    this.studentInfo = options.studentInfo || null;
+    this.browser = options.browser || DEFAULT_ENGINE;
     this.logger = new Logger(`Session-${this.id}`);
     this.performanceMonitor = new PerformanceMonitor(this.id);
     this.errorHandler = new ErrorHandler(this.id, this.performanceMonitor);
@@ -23,6 +38,9 @@ export class TestSession {
 
     this.result = {
       sessionId: this.id,
+      seed: this.seed,
+      scenario: this.scenario ? this.scenario.name : null,
+      browser: this.browser,
       success: false,
       startTime: new Date(),
       endTime: null,
@@ -31,6 +49,7 @@ export class TestSession {
       errors: [],
       screenshots: [],
       studentInfo: null,
+      paymentInfo: null,
       classSelection: null
     };
   }
@@ -44,15 +63,17 @@ export class TestSession {
     this.performanceMonitor.startTimer('total');
 
     try {
-      // 1. 브라우저 세션 생성
-      await this._setupBrowser();
-
-      // 2. 테스트 데이터 생성
+      // 1. 테스트 데이터 생성 (학생 정보를 배정받지 못하면 브라우저를 띄우지 않음)
       await this._generateTestData();
 
+      // 2. 브라우저 세션 생성
+      await this._setupBrowser();
+
       // 3. FlowManager를 통한 전체 플로우 실행 (모니터 전달)
       this.flowManager = new FlowManager(this.page, this.id, monitor);
-      const flowResult = await this.flowManager.executeFullFlow(this.result.studentInfo);
+      const flowResult = this.scenario
+        ? await this.flowManager.executeScenario(this.scenario, this.result.studentInfo, this.result.paymentInfo)
+        : await this.flowManager.executeFullFlow(this.result.studentInfo, this.result.paymentInfo);
 
       // 4. 결과 병합
       Object.assign(this.result, flowResult);
@@ -96,7 +117,7 @@ export class TestSession {
     this.performanceMonitor.startTimer('browser-setup');
 
     try {
-      this.context = await browserSessionManager.createSession(this.id);
+      this.context = await browserSessionManager.createSession(this.id, null, this.browser);
 
       // 탭 모드에서는 이미 생성된 페이지 가져오기
       if (browserSessionManager.useSharedContext) {
@@ -121,7 +142,10 @@ export class TestSession {
     this.performanceMonitor.startTimer('data-generation');
 
     try {
-      this.result.studentInfo = testDataGenerator.generateStudentInfo();
+      // 학생 정보가 주어져도 생성은 해서 세션 난수열을 원래 실행과 맞춘다
+      const generated = testDataGenerator.generateStudentInfo(this.random);
+      this.result.studentInfo = this.studentInfo ? { ...generated, ...this.studentInfo } : generated;
+      this.result.paymentInfo = testDataGenerator.generatePaymentInfo();
 
       this.result.stepTimes['data-generation'] = this.performanceMonitor.endTimer('data-generation');
       this.logger.debug(`Test data generated for: ${this.result.studentInfo.name}`);
@@ -160,6 +184,7 @@ export class TestSession {
    */
   async cleanup() {
     this.logger.debug('Cleaning up session...');
+    randomSource.releaseSession(this.id);
 
     try {
       if (this.page && !this.page.isClosed()) {
@@ -0,0 +1,255 @@
+/**
+ * 학생 데이터 피더
+ * 미리 준비한 계정이나 실제 같은 이름으로 테스트해야 할 때 CSV/JSON 파일의 학생 정보를 세션에 배정한다.
+ *
+ * CSV 예시 (첫 줄은 헤더, UTF-8):
+ *   name,phone,grade,school,acadCd
+ *   김민준,010-1234-5678,고3,서울고등학교,
+ *
+ * JSON 예시: [{ "name": "김민준", "phone": "010-1234-5678", "grade": "고3" }]
+ * name 외의 값은 비워 두면 TestDataGenerator 기본값을 쓴다.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Logger } from '../utils/logger.js';
+import { randomSource } from '../utils/random.js';
+
+/**
+ * 배정 방식
+ *   sequential 파일 순서대로, 끝나면 처음부터 다시
+ *   random     매번 무작위 (중복 허용)
+ *   unique     파일 순서대로 한 번씩만, 다 쓰면 에러
+ */
+export const FEEDER_MODES = ['sequential', 'random', 'unique'];
+
+const RECORD_FIELDS = ['name', 'phone', 'grade', 'school', 'acadCd'];
+
+export class DataFeeder {
+  /**
+   * @param {Object[]} records 학생 레코드 목록
+   * @param {Object} options
+   * @param {string} [options.mode] sequential, random, unique
+   * @param {string} [options.source] 에러 메시지에 표시할 출처 (파일 이름)
+   */
+  constructor(records, options = {}) {
+    const { mode = 'sequential', source = 'data feeder' } = options;
+
+    if (!FEEDER_MODES.includes(mode)) {
+      throw new Error(`Unknown data mode: ${mode}. Expected one of: ${FEEDER_MODES.join(', ')}`);
+    }
+    if (!Array.isArray(records) || records.length === 0) {
+      throw new Error(`${source} contains no student records`);
+    }
+
+    this.logger = new Logger('DataFeeder');
+    this.mode = mode;
+    this.source = source;
+    this.records = records.map((record, index) => normalizeRecord(record, `${source} record ${index + 1}`));
+    this.cursor = 0;
+
+    if (mode === 'unique') {
+      this._warnDuplicates();
+    }
+  }
+
+  /**
+   * 파일 로드 (.csv, .json)
+   * @param {string} filePath
+   * @param {Object} [options] { mode }
+   * @returns {DataFeeder}
+   */
+  static load(filePath, options = {}) {
+    const resolvedPath = path.resolve(filePath);
+    if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`Data file not found: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(resolvedPath, 'utf-8').replace(/^\uFEFF/, '');
+    const extension = path.extname(resolvedPath).toLowerCase();
+    const source = path.basename(resolvedPath);
+
+    let records;
+    try {
+      if (extension === '.csv') {
+        records = parseCsvRecords(content);
+      } else if (extension === '.json') {
+        const parsed = JSON.parse(content);
+        records = Array.isArray(parsed) ? parsed : parsed.students;
+      } else {
+        throw new Error('expected a .csv or .json file');
+      }
+    } catch (error) {
+      throw new Error(`Failed to parse data file ${filePath}: ${error.message}`);
+    }
+
+    return new DataFeeder(records, { ...options, source });
+  }
+
+  /**
+   * 다음 세션에 쓸 학생 레코드
+   * @param {import('../utils/random.js').SeededRandom} [random] random 모드에서 쓸 난수 생성기
+   * @returns {Object} { name, phone?, grade?, school?, acadCd? }
+   */
+  next(random = randomSource.global) {
+    if (this.mode === 'random') {
+      return { ...this.records[random.int(0, this.records.length - 1)] };
+    }
+
+    if (this.mode === 'unique' && this.cursor >= this.records.length) {
+      throw new Error(`Data feeder exhausted: all ${this.records.length} records in ${this.source} have been used (unique mode)`);
+    }
+
+    const record = this.records[this.cursor % this.records.length];
+    this.cursor++;
+    return { ...record };
+  }
+
+  /**
+   * 아직 배정하지 않은 레코드 수 (unique 모드 외에는 무제한)
+   * @returns {number}
+   */
+  remaining() {
+    return this.mode === 'unique' ? this.records.length - this.cursor : Infinity;
+  }
+
+  /**
+   * 세션 수만큼 배정할 수 있는지 확인 (unique 모드에서 레코드가 모자라면 실행 전에 에러)
+   * @param {number} sessionCount
+   */
+  assertCapacity(sessionCount) {
+    if (sessionCount > this.remaining()) {
+      throw new Error(`${sessionCount} sessions need ${sessionCount} unique records, but ${this.source} has only ${this.remaining()}`);
+    }
+  }
+
+  /**
+   * 분산 실행용 부분 피더 (에이전트별)
+   * unique 모드는 레코드를 번갈아 나눠 에이전트끼리 겹치지 않게 하고, 나머지 모드는 전체를 쓴다.
+   * @param {number} index 에이전트 순번 (0부터)
+   * @param {number} count 에이전트 수
+   * @returns {{ mode: string, source: string, records: Object[] }} 에이전트에 보낼 설정
+   */
+  partition(index, count) {
+    const records = this.mode === 'unique'
+      ? this.records.filter((_, recordIndex) => recordIndex % count === index)
+      : this.records;
+
+    return { mode: this.mode, source: this.source, records };
+  }
+
+  /**
+   * 요약 문자열
+   * @returns {string}
+   */
+  toString() {
+    return `${this.source} (${this.records.length}명, ${this.mode})`;
+  }
+
+  /**
+   * 같은 이름과 전화번호가 두 번 이상 있으면 경고 (내부 헬퍼)
+   */
+  _warnDuplicates() {
+    const seen = new Set();
+    const duplicates = this.records.filter(record => {
+      const key = `${record.name}|${record.phone || ''}`;
+      if (seen.has(key)) return true;
+      seen.add(key);
+      return false;
+    });
+
+    if (duplicates.length > 0) {
+      this.logger.warn(`${this.source} has ${duplicates.length} duplicate student(s), e.g. ${duplicates[0].name}`);
+    }
+  }
+}
+
+/**
+ * 레코드 검증 및 정리 (빈 값은 제외해 기본값이 쓰이게 함)
+ */
+function normalizeRecord(record, label) {
+  if (!record || typeof record !== 'object') {
+    throw new Error(`${label}: must be an object`);
+  }
+
+  const normalized = {};
+  RECORD_FIELDS.forEach(field => {
+    const value = record[field];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      normalized[field] = String(value).trim();
+    }
+  });
+
+  if (!normalized.name) {
+    throw new Error(`${label}: name is required`);
+  }
+
+  if (normalized.phone) {
+    // 01012345678 → 010-1234-5678 (BasicInfoPage는 하이픈 세 부분 형식만 받음)
+    if (!/^\d{3}-\d{3,4}-\d{4}$/.test(normalized.phone)) {
+      const digits = normalized.phone.replace(/[\s-]/g, '');
+      if (!/^\d{10,11}$/.test(digits)) {
+        throw new Error(`${label}: phone must look like 010-1234-5678 (got ${normalized.phone})`);
+      }
+      normalized.phone = `${digits.slice(0, 3)}-${digits.slice(3, -4)}-${digits.slice(-4)}`;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * CSV → 레코드 목록 (첫 줄 헤더, 큰따옴표로 감싼 값 안의 쉼표/줄바꿈/"" 지원)
+ */
+function parseCsvRecords(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('unterminated quoted value');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...dataRows] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  if (!columns.includes('name')) {
+    throw new Error(`header must include a name column (found: ${columns.join(', ')})`);
+  }
+
+  return dataRows.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+}
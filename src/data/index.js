@@ -1,4 +1,5 @@
 import { config } from '../config/index.js';
+import { randomSource } from '../utils/random.js';
 
 /**
  * 테스트 데이터 생성기 클래스
@@ -7,56 +8,78 @@ import { config } from '../config/index.js';
  */
 export class TestDataGenerator {
   constructor() {
-    // 프로세스 PID의 마지막 2자리 사용 (00-99)
-    // 다른 PC에서 실행되는 프로세스와 구분을 위한 식별자
-    this.processId = (process.pid % 100).toString().padStart(2, '0');
-    
-    // 카운터 (0부터 시작, 최대 99까지)
-    this.globalCounter = 0;
+    // 프로세스 식별자 (00-99, 분산 실행에서 에이전트 구분)
+    // 이름이 세션 시드만으로 재현되도록 PID 대신 고정값을 쓰고, 에이전트는 코디네이터가 배정한 번호로 바꾼다
+    this.processId = '00';
     
     // 이미 사용된 이름 추적 (단일 프로세스 내 중복 방지)
     this.usedNames = new Set();
+
+    // 파일에서 읽은 학생 정보 (DataFeeder, 없으면 생성한 값 사용)
+    this.feeder = null;
+  }
+
+  /**
+   * 학생 데이터 피더 설정 (null이면 생성한 이름과 기본 전화번호 사용)
+   * @param {import('./data-feeder.js').DataFeeder|null} feeder
+   */
+  setFeeder(feeder) {
+    this.feeder = feeder || null;
+  }
+
+  /**
+   * 프로세스 식별자 교체 (분산 실행 시 코디네이터가 배정한 에이전트 번호 사용)
+   * PID 끝 2자리는 여러 PC에서 겹칠 수 있으므로 에이전트마다 다른 번호를 받아 쓴다.
+   * @param {string|number} processId 00-99
+   */
+  setProcessId(processId) {
+    this.processId = String(Number(processId) % 100).padStart(2, '0');
   }
 
   /**
    * 랜덤 정수 생성
    * @param {number} min 최소값
    * @param {number} max 최대값
+   * @param {import('../utils/random.js').SeededRandom} [random] 난수 생성기 (기본값: 실행 전체)
    * @returns {number}
    */
-  randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+  randomInt(min, max, random = randomSource.global) {
+    return random.int(min, max);
   }
 
   /**
    * 랜덤 문자열 생성
    * @param {number} length 문자열 길이
+   * @param {import('../utils/random.js').SeededRandom} [random] 난수 생성기 (기본값: 실행 전체)
    * @returns {string}
    */
-  randomString(length) {
+  randomString(length, random = randomSource.global) {
     const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
     let result = '';
     for (let i = 0; i < length; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
+      result += chars.charAt(random.int(0, chars.length - 1));
     }
     return result;
   }
 
   /**
    * 고유한 테스트 이름 생성 (10만명+ 지원, 분산 환경 안전)
-   * 형태: test{PID 2자리}{timestamp 6자리}{counter 2자리} = 14 bytes (20 byte 제한 충족)
+   * 형태: test{프로세스 식별자 2자리}{난수 8자리} = 14 bytes (20 byte 제한 충족)
    * 
    * 구조:
-   * - PID 2자리: 같은 PC에서 다른 프로세스 구분 (00-99)
-   * - Timestamp 6자리: 다른 PC/시간대 구분 (밀리초 기준)
-   * - Counter 2자리: 같은 밀리초 내 순차 생성 구분 (00-99)
+   * - 프로세스 식별자 2자리: 분산 실행에서 에이전트 구분 (단독 실행은 00)
+   * - 난수 8자리: 영문 소문자/숫자 (36^8가지, 10만명에서 겹칠 확률 약 0.2%)
+   * 
+   * 예시: test00k3f9a0zq
    * 
-   * 예시: test4512345601 (PID 45, timestamp 123456, counter 01)
+   * 세션 난수 생성기를 넘기면 이름이 세션 시드에서 나오므로 같은 --seed로 같은 이름이 재현된다.
+   * 이 프로세스에서 이미 쓴 이름이 나오면 다시 뽑는다.
    * 
    * @param {number} customNumber 사용자 지정 번호 (선택사항, 레거시 호환용)
+   * @param {import('../utils/random.js').SeededRandom} [random] 난수 생성기 (기본값: 실행 전체)
    * @returns {string} 고유한 테스트 이름 (최대 14 bytes)
    */
-  generateUniqueTestName(customNumber = null) {
+  generateUniqueTestName(customNumber = null, random = randomSource.global) {
     if (customNumber !== null) {
       // 사용자가 지정한 번호 사용 (레거시 호환)
       const paddedNumber = String(customNumber).padStart(6, '0');
@@ -65,19 +88,10 @@ export class TestDataGenerator {
       return testName;
     }
 
-    // test(4) + pid(2) + timestamp(6) + counter(2) = 14 bytes
-    const timestamp = (Date.now() % 1000000).toString().padStart(6, '0'); // 6자리
-    const counter = (this.globalCounter++ % 100).toString().padStart(2, '0'); // 2자리
-    
-    const testName = `test${this.processId}${timestamp}${counter}`;
-    
-    // 최종 안전망: 중복 체크 (이론상 불가능하지만 방어적 프로그래밍)
-    if (this.usedNames.has(testName)) {
-      // 카운터를 한 번 더 증가시켜 재시도
-      const retryCounter = (this.globalCounter++ % 100).toString().padStart(2, '0');
-      const retryName = `test${this.processId}${timestamp}${retryCounter}`;
-      this.usedNames.add(retryName);
-      return retryName;
+    // test(4) + 프로세스 식별자(2) + 난수(8) = 14 bytes
+    let testName = `test${this.processId}${this.randomString(8, random)}`;
+    while (this.usedNames.has(testName)) {
+      testName = `test${this.processId}${this.randomString(8, random)}`;
     }
 
     this.usedNames.add(testName);
@@ -98,20 +112,22 @@ export class TestDataGenerator {
 
   /**
    * 학생 기본 정보 생성 (10만명+ 고유 이름 지원)
+   * @param {import('../utils/random.js').SeededRandom} [random] 난수 생성기 (세션 시드로 같은 이름 재현)
    * @returns {import('../types/index.js').StudentBasicInfo}
    */
-  generateStudentBasicInfo() {
+  generateStudentBasicInfo(random = randomSource.global) {
     return {
-      name: this.generateUniqueTestName(),
+      name: this.generateUniqueTestName(null, random),
       phone: `${config.phonePrefix}-1111-1111`
     };
   }
 
   /**
    * 학생 상세 정보 생성
+   * @param {import('../utils/random.js').SeededRandom} [random] 난수 생성기 (세션 시드로 같은 학년/학교 재현)
    * @returns {import('../types/index.js').StudentDetailedInfo}
    */
-  generateStudentDetailedInfo() {
+  generateStudentDetailedInfo(random = randomSource.global) {
     const grades = ['고3', '고2', '고1', '중3', '중2', '중1'];
     const schools = [
       '서울고등학교',
@@ -122,19 +138,23 @@ export class TestDataGenerator {
     ];
     
     return {
-      grade: grades[this.randomInt(0, grades.length - 1)],
-      school: schools[this.randomInt(0, schools.length - 1)],
+      grade: grades[this.randomInt(0, grades.length - 1, random)],
+      school: schools[this.randomInt(0, schools.length - 1, random)],
       privacyConsent: true
     };
   }
 
   /**
    * 완전한 학생 정보 생성
+   * 데이터 피더가 있으면 파일의 값이 우선하고, 파일에 없는 항목만 생성한 값으로 채운다.
+   * unique 모드에서 레코드를 다 쓰면 피더가 에러를 던진다.
+   * @param {import('../utils/random.js').SeededRandom} [random] 세션 난수 생성기
    * @returns {import('../types/index.js').StudentInfo}
    */
-  generateStudentInfo() {
-    const basicInfo = this.generateStudentBasicInfo();
-    const detailedInfo = this.generateStudentDetailedInfo();
+  generateStudentInfo(random = randomSource.global) {
+    const record = this.feeder ? this.feeder.next(random) : {};
+    const basicInfo = this.generateStudentBasicInfo(random);
+    const detailedInfo = this.generateStudentDetailedInfo(random);
 
     // config에서 환경별 acadCd 가져오기
     const acadCd = config.defaultAcadCd;
@@ -142,7 +162,8 @@ export class TestDataGenerator {
     return {
       ...basicInfo,
       ...detailedInfo,
-      acadCd
+      acadCd,
+      ...record
     };
   }
 
@@ -152,10 +173,20 @@ export class TestDataGenerator {
    */
   generatePaymentInfo() {
     // 테스트 환경에서는 신용카드만 사용
+    // 유효기간은 만료되지 않도록 3년 뒤 12월로 설정
+    const validityMonth = '12';
+    const validityYear = String((new Date().getFullYear() + 3) % 100).padStart(2, '0');
+
     return {
       method: 'card',
+      cardName: '신한카드',
+      installment: '일시불',
       cardNumber: '4111-1111-1111-1111', // 테스트용 카드 번호
-      expiryDate: '12/25',
+      expiryDate: `${validityMonth}/${validityYear}`,
+      validityMonth,
+      validityYear,
+      birthDate: '900101',
+      cardPassword: '12',
       cvc: '123'
     };
   }
@@ -185,7 +216,6 @@ export class TestDataGenerator {
    */
   reset() {
     this.usedNames.clear();
-    this.globalCounter = 0;
     // processId는 프로세스 고유값이므로 재설정하지 않음
   }
 }
@@ -0,0 +1,309 @@
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { Logger } from '../utils/logger.js';
+import { monitorEvents } from '../utils/concurrent-monitor.js';
+import { testDataGenerator } from '../data/index.js';
+import { DataFeeder } from '../data/data-feeder.js';
+import { BrowserMix } from '../browser/browser-engines.js';
+import { config } from '../config/index.js';
+
+/**
+ * 코디네이터 요청 제한 시간
+ */
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * 코디네이터 등록 재시도 (코디네이터보다 먼저 띄워도 되도록)
+ */
+const REGISTER_RETRY_MS = 3000;
+const REGISTER_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * 작업 배정 조회 주기
+ */
+const JOB_POLL_MS = 1000;
+
+/**
+ * 모니터 이벤트 전송 주기와 버퍼 상한 (코디네이터가 느리면 오래된 이벤트부터 버림)
+ */
+const EVENT_FLUSH_MS = 2000;
+const MAX_PENDING_EVENTS = 10000;
+
+/**
+ * 이 시간 동안 코디네이터와 연락이 안 되면 테스트를 중지한다
+ */
+const COORDINATOR_TIMEOUT_MS = 60000;
+
+/**
+ * 분산 부하 테스트 에이전트
+ * 코디네이터에 등록하고 배정받은 세션을 multi 모드로 실행하면서
+ * 모니터 이벤트를 코디네이터로 보내고, 끝나면 stats.json과 세션 결과를 전송한다.
+ */
+export class Agent {
+  /**
+   * @param {string} coordinatorUrl 코디네이터 주소 (예: http://10.0.0.5:7070)
+   * @param {Object} options
+   * @param {import('../core/test-executor.js').TestExecutor} options.executor 세션을 실행할 TestExecutor
+   */
+  constructor(coordinatorUrl, options) {
+    this.logger = new Logger('Agent');
+    this.coordinatorUrl = coordinatorUrl.replace(/\/+$/, '');
+    this.executor = options.executor;
+    this.agentId = null;
+
+    this.pendingEvents = [];
+    this.droppedEvents = 0;
+    this.flushPromise = null; // 진행 중인 이벤트 전송
+    this.lastContact = Date.now();
+    this.stopped = false;
+  }
+
+  /**
+   * 등록부터 결과 전송까지 실행
+   * @returns {Promise<Object>} executeMulti 반환값
+   */
+  async run() {
+    await this._register();
+    const job = await this._waitForJob();
+
+    if (job.baseUrl !== config.baseUrl) {
+      const message = `Agent baseUrl ${config.baseUrl} does not match coordinator baseUrl ${job.baseUrl}`;
+      await this._sendResult({ error: message });
+      throw new Error(message);
+    }
+
+    // 에이전트마다 다른 프로세스 식별자로 학생 이름 중복 방지
+    testDataGenerator.setProcessId(job.dataNodeId);
+
+    console.log(`📦 배정: 세션 ${job.count}개, 동시 실행 ${job.concurrency}개 (데이터 식별자 ${job.dataNodeId})`);
+    await this._waitUntilStart(job);
+
+    const onEvent = event => this._bufferEvent(event);
+    monitorEvents.on('event', onEvent);
+    const flushTimer = setInterval(() => this._flushEvents(), EVENT_FLUSH_MS);
+
+    let result = null;
+    let runError = null;
+    try {
+      result = await this.executor.executeMulti({
+        count: job.count,
+        concurrency: job.concurrency,
+        useTabMode: job.useTabMode,
+        tabsPerBrowser: job.tabsPerBrowser,
+        rateLimit: job.rateLimit,
+        browser: job.browser ? new BrowserMix(job.browser) : null,
+        dataFeeder: job.data ? new DataFeeder(job.data.records, { mode: job.data.mode, source: job.data.source }) : null,
+        seed: job.seed
+      });
+    } catch (error) {
+      runError = error;
+    } finally {
+      monitorEvents.off('event', onEvent);
+      clearInterval(flushTimer);
+      await this._drainEvents();
+    }
+
+    await this._sendResult({ result, error: runError ? runError.message : null });
+
+    if (runError) throw runError;
+    return result;
+  }
+
+  /**
+   * 코디네이터 등록 (내부 헬퍼)
+   * 연결이 안 되면 재시도하고, 코디네이터가 거절하면(409) 바로 실패한다.
+   */
+  async _register() {
+    const deadline = Date.now() + REGISTER_TIMEOUT_MS;
+
+    while (true) {
+      try {
+        const { data } = await this._request('POST', '/agents', { hostname: os.hostname(), pid: process.pid });
+        this.agentId = data.agentId;
+        this.logger.info(`🤝 Registered as ${this.agentId}`);
+        console.log(`🤝 코디네이터 등록 완료: ${this.agentId} (${this.coordinatorUrl})`);
+        return;
+      } catch (error) {
+        if (error.status || Date.now() >= deadline) throw error;
+
+        this.logger.warn(`Coordinator not reachable (${error.message}), retrying...`);
+        await sleep(REGISTER_RETRY_MS);
+      }
+    }
+  }
+
+  /**
+   * 모든 에이전트가 모일 때까지 작업 조회 (내부 헬퍼)
+   * 응답 시각으로 코디네이터와의 시계 차이를 계산해 둔다.
+   */
+  async _waitForJob() {
+    console.log('⏳ 다른 에이전트 접속 대기 중...');
+
+    while (true) {
+      const requestedAt = Date.now();
+      const { status, data } = await this._request('GET', `/agents/${this.agentId}/job`);
+
+      if (status === 200) {
+        // 요청 왕복의 중간 시점에 코디네이터가 응답했다고 본다
+        this.clockOffset = data.serverTime - Math.round((requestedAt + Date.now()) / 2);
+        return data;
+      }
+
+      await sleep(JOB_POLL_MS);
+    }
+  }
+
+  /**
+   * 코디네이터가 정한 시각까지 대기 (내부 헬퍼)
+   */
+  async _waitUntilStart(job) {
+    const delay = job.startAt - (Date.now() + this.clockOffset);
+
+    if (delay > 0) {
+      console.log(`🚀 ${Math.round(delay / 1000)}초 후 시작`);
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * 모니터 이벤트 버퍼에 추가 (내부 헬퍼)
+   */
+  _bufferEvent(event) {
+    this.pendingEvents.push(event);
+
+    if (this.pendingEvents.length > MAX_PENDING_EVENTS) {
+      this.pendingEvents.shift();
+      this.droppedEvents++;
+    }
+  }
+
+  /**
+   * 버퍼의 이벤트 전송 (내부 헬퍼)
+   * 이미 전송 중이면 새로 보내지 않고 진행 중인 전송을 기다린다.
+   * @returns {Promise<void>}
+   */
+  _flushEvents() {
+    if (!this.flushPromise) {
+      this.flushPromise = this._sendEvents().finally(() => {
+        this.flushPromise = null;
+      });
+    }
+    return this.flushPromise;
+  }
+
+  /**
+   * 남은 이벤트를 모두 전송 (내부 헬퍼)
+   * 진행 중인 전송이 끝난 뒤 그 이후에 쌓인 이벤트(전송 실패로 되돌린 이벤트 포함)를 한 번 더 보낸다.
+   */
+  async _drainEvents() {
+    if (this.flushPromise) await this.flushPromise;
+    await this._flushEvents();
+  }
+
+  /**
+   * 이벤트 한 번 전송 (내부 헬퍼)
+   * 이벤트가 없어도 전송해 하트비트로 쓰고, 응답으로 중지 요청을 받는다.
+   */
+  async _sendEvents() {
+    const events = this.pendingEvents.splice(0);
+
+    try {
+      const { data } = await this._request('POST', `/agents/${this.agentId}/events`, { events });
+      this.lastContact = Date.now();
+
+      if (data.stop) {
+        this._stopExecutor('Coordinator requested stop');
+      }
+    } catch (error) {
+      // 전송 실패한 이벤트는 다음 주기에 다시 보낸다
+      this.pendingEvents.unshift(...events);
+      this.logger.warn(`Failed to send events: ${error.message}`);
+
+      if (Date.now() - this.lastContact > COORDINATOR_TIMEOUT_MS) {
+        this._stopExecutor(`Coordinator unreachable for ${Math.round(COORDINATOR_TIMEOUT_MS / 1000)}s`);
+      }
+    }
+  }
+
+  /**
+   * 실행 중인 테스트 중지 (한 번만) (내부 헬퍼)
+   */
+  _stopExecutor(reason) {
+    if (this.stopped) return;
+    this.stopped = true;
+
+    this.logger.warn(`${reason}, stopping test`);
+    this.executor.stop();
+  }
+
+  /**
+   * 최종 결과 전송 (내부 헬퍼)
+   * 모니터 stats.json 원본을 보내 코디네이터가 원시 측정값으로 병합하게 한다.
+   */
+  async _sendResult({ result = null, error = null }) {
+    const logDir = this.executor.monitorLogDir;
+    const statsFile = logDir ? path.join(logDir, 'stats.json') : null;
+    const stats = statsFile && fs.existsSync(statsFile)
+      ? JSON.parse(fs.readFileSync(statsFile, 'utf-8'))
+      : null;
+
+    if (this.droppedEvents > 0) {
+      this.logger.warn(`${this.droppedEvents} monitor events were dropped before reaching the coordinator`);
+    }
+
+    const body = {
+      stats,
+      results: result ? result.results : this.executor.results,
+      summary: result ? result.summary : this.executor.getSummary(),
+      clockOffset: this.clockOffset || 0,
+      error
+    };
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this._request('POST', `/agents/${this.agentId}/result`, body);
+        console.log('📤 결과를 코디네이터로 전송했습니다');
+        return;
+      } catch (sendError) {
+        if (attempt >= 3) {
+          this.logger.error(`Failed to send result: ${sendError.message}`);
+          throw sendError;
+        }
+        await sleep(REGISTER_RETRY_MS);
+      }
+    }
+  }
+
+  /**
+   * 코디네이터 JSON 요청 (내부 헬퍼)
+   * 2xx가 아니면 status가 붙은 Error를 던진다.
+   * @returns {Promise<{ status: number, data: Object|null }>}
+   */
+  async _request(method, pathname, body) {
+    const response = await fetch(`${this.coordinatorUrl}${pathname}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+
+    if (!response.ok) {
+      const error = new Error(`Coordinator responded ${response.status}: ${data?.error || response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return { status: response.status, data };
+  }
+}
+
+/**
+ * 지정한 시간만큼 대기
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
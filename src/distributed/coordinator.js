@@ -0,0 +1,390 @@
+import express from 'express';
+import { Logger } from '../utils/logger.js';
+import { ConcurrentMonitor } from '../utils/concurrent-monitor.js';
+import { deriveSeed } from '../utils/random.js';
+import { config } from '../config/index.js';
+
+/**
+ * 에이전트가 이 시간 동안 연락이 없으면 연결이 끊긴 것으로 본다 (이벤트 전송이 하트비트 역할)
+ */
+const AGENT_TIMEOUT_MS = 60000;
+
+/**
+ * 최대 에이전트 수 (TestDataGenerator 프로세스 식별자 00-99)
+ */
+export const MAX_AGENTS = 100;
+
+/**
+ * 분산 부하 테스트 코디네이터
+ * 에이전트 등록을 받아 세션 수와 동시 실행 수를 나눠 배정하고, 같은 시각에 시작시킨 뒤
+ * 에이전트의 모니터 이벤트와 최종 통계를 하나의 ConcurrentMonitor로 모은다.
+ *
+ * 에이전트 API (JSON):
+ *   POST /agents                 등록 ({ hostname, pid }) → { agentId }
+ *   GET  /agents/:id/job         작업 조회 (모든 에이전트가 등록되기 전에는 204)
+ *   POST /agents/:id/events      모니터 이벤트 전송 ({ events }) → { stop }
+ *   POST /agents/:id/result      최종 결과 전송 ({ stats, results, summary, clockOffset, error })
+ */
+export class Coordinator {
+  /**
+   * @param {Object} options
+   * @param {number} options.agents 기다릴 에이전트 수
+   * @param {number} options.count 전체 세션 수
+   * @param {number} options.concurrency 전체 동시 실행 수
+   * @param {boolean} [options.useTabMode] 에이전트 탭 모드 사용 여부
+   * @param {Object} [options.rateLimit] 전체 유량 제어 설정 (에이전트 수로 나눠 배정)
+   * @param {import('../browser/browser-engines.js').BrowserMix} [options.browser] 세션별 브라우저 엔진 (에이전트에 가중치 전송)
+   * @param {import('../data/data-feeder.js').DataFeeder} [options.dataFeeder] 학생 데이터 피더 (에이전트별로 나눠 전송)
+   * @param {number} [options.seed] 실행 시드 (에이전트마다 에이전트 ID로 하위 시드를 만들어 전송)
+   * @param {Thresholds|string[]} [options.thresholds] 병합된 결과로 판정할 성능 기준
+   * @param {number} [options.startDelay] 작업 배정 후 동시 시작까지 대기 시간 (ms)
+   */
+  constructor(options) {
+    this.logger = new Logger('Coordinator');
+    this.agentCount = options.agents;
+    this.count = options.count;
+    this.concurrency = options.concurrency;
+    this.useTabMode = options.useTabMode !== false;
+    this.rateLimit = options.rateLimit || null;
+    this.browser = options.browser || null;
+    this.dataFeeder = options.dataFeeder || null;
+    this.seed = options.seed ?? null;
+    this.thresholds = options.thresholds;
+    this.startDelay = options.startDelay ?? 5000;
+
+    this.agents = new Map(); // agentId → { agentId, hostname, pid, status, lastSeen, job, summary, error }
+    this.agentSequence = 0;
+    this.monitor = null; // 작업 배정 시 생성
+    this.results = [];
+    this.stopRequested = false;
+
+    this.app = this._createApp();
+    this.server = null;
+    this.watchdog = null;
+    this.resolveRun = null;
+  }
+
+  /**
+   * 서버 시작
+   * @param {number} port
+   * @returns {Promise<import('http').Server>}
+   */
+  start(port) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, () => {
+        this.logger.info(`🛰️ Coordinator listening on port ${this.server.address().port}`);
+        resolve(this.server);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  /**
+   * 서버 종료
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (this.watchdog) {
+      clearInterval(this.watchdog);
+      this.watchdog = null;
+    }
+    if (!this.server) return Promise.resolve();
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections?.();
+      this.server = null;
+    });
+  }
+
+  /**
+   * 에이전트가 모두 끝날 때까지 대기
+   * 끝난 에이전트의 세션 결과는 sessionId 앞에 에이전트 ID를 붙여 합친다.
+   * @returns {Promise<{ success: boolean, results: Array, agents: Array }>}
+   */
+  run() {
+    console.log(`⏳ 에이전트 ${this.agentCount}개 접속 대기 중...`);
+
+    return new Promise(resolve => {
+      this.resolveRun = resolve;
+      this.watchdog = setInterval(() => this._checkAgents(), 5000);
+    });
+  }
+
+  /**
+   * 중지 요청 (다음 이벤트 전송 응답으로 에이전트에 전달)
+   */
+  requestStop() {
+    this.stopRequested = true;
+    this.logger.info('Stop requested, notifying agents');
+    this._checkFinished();
+  }
+
+  /**
+   * 에이전트별 요약
+   * @returns {Array<Object>}
+   */
+  getAgentSummaries() {
+    return Array.from(this.agents.values()).map(agent => ({
+      agentId: agent.agentId,
+      hostname: agent.hostname,
+      pid: agent.pid,
+      status: agent.status,
+      count: agent.job ? agent.job.count : 0,
+      concurrency: agent.job ? agent.job.concurrency : 0,
+      summary: agent.summary || null,
+      error: agent.error || null
+    }));
+  }
+
+  /**
+   * Express 앱 생성 (내부 헬퍼)
+   */
+  _createApp() {
+    const app = express();
+    // 에이전트 stats.json에는 엔드포인트별 응답 시간 원본이 들어 있어 크기가 크다
+    app.use(express.json({ limit: '100mb' }));
+
+    app.post('/agents', (req, res) => {
+      if (this.monitor || this.stopRequested) {
+        return res.status(409).json({ error: 'Test already started' });
+      }
+      if (this.agents.size >= this.agentCount) {
+        return res.status(409).json({ error: `All ${this.agentCount} agents are already registered` });
+      }
+
+      const agentId = `agent-${++this.agentSequence}`;
+      this.agents.set(agentId, {
+        agentId,
+        hostname: req.body.hostname || req.ip,
+        pid: req.body.pid || null,
+        status: 'registered',
+        lastSeen: Date.now(),
+        job: null
+      });
+
+      this.logger.info(`🤝 Agent registered: ${agentId} (${req.body.hostname}, pid ${req.body.pid})`);
+      console.log(`🤝 에이전트 접속: ${agentId} (${req.body.hostname || req.ip}) [${this.agents.size}/${this.agentCount}]`);
+
+      if (this.agents.size === this.agentCount) {
+        this._assignJobs();
+      }
+
+      res.json({ agentId });
+    });
+
+    app.get('/agents/:agentId/job', (req, res) => {
+      const agent = this._touchAgent(req, res);
+      if (!agent) return;
+
+      if (this.stopRequested && agent.status === 'registered') {
+        return res.status(410).json({ error: 'Coordinator stopped' });
+      }
+      if (!agent.job) {
+        return res.status(204).end();
+      }
+
+      agent.status = 'running';
+      res.json({ ...agent.job, serverTime: Date.now() });
+    });
+
+    app.post('/agents/:agentId/events', (req, res) => {
+      const agent = this._touchAgent(req, res);
+      if (!agent) return;
+
+      if (this.monitor) {
+        (req.body.events || []).forEach(event => this.monitor.recordAgentEvent(agent.agentId, event));
+      }
+
+      res.json({ ok: true, stop: this.stopRequested });
+    });
+
+    app.post('/agents/:agentId/result', (req, res) => {
+      const agent = this._touchAgent(req, res);
+      if (!agent) return;
+
+      this._acceptResult(agent, req.body);
+      res.json({ ok: true });
+    });
+
+    return app;
+  }
+
+  /**
+   * 요청한 에이전트 조회 및 마지막 연락 시각 갱신 (내부 헬퍼)
+   */
+  _touchAgent(req, res) {
+    const agent = this.agents.get(req.params.agentId);
+    if (!agent) {
+      res.status(404).json({ error: `Unknown agent: ${req.params.agentId}` });
+      return null;
+    }
+
+    agent.lastSeen = Date.now();
+    return agent;
+  }
+
+  /**
+   * 모든 에이전트가 등록되면 작업 배정 (내부 헬퍼)
+   * 세션 수와 동시 실행 수는 나머지를 앞 에이전트부터 하나씩 더해 나누고,
+   * 유량 제어는 에이전트 수로 나눠 전체 초당 작업 수가 설정값을 넘지 않게 한다.
+   */
+  _assignJobs() {
+    const agents = Array.from(this.agents.values());
+    const counts = splitEvenly(this.count, agents.length);
+    const concurrencies = splitEvenly(this.concurrency, agents.length);
+    const startAt = Date.now() + this.startDelay;
+
+    this.monitor = new ConcurrentMonitor(`distributed-test-${this.count}`, {
+      rateLimit: this.rateLimit,
+      thresholds: this.thresholds,
+      seed: this.seed
+    });
+    if (this.browser) {
+      this.monitor.configureBrowsers(this.browser.getPercentages());
+    }
+
+    agents.forEach((agent, index) => {
+      const concurrency = Math.max(1, concurrencies[index]);
+
+      agent.job = {
+        agentId: agent.agentId,
+        dataNodeId: String(index).padStart(2, '0'),
+        startAt,
+        count: counts[index],
+        concurrency,
+        useTabMode: this.useTabMode,
+        tabsPerBrowser: this.useTabMode ? concurrency : 1,
+        rateLimit: this._divideRateLimit(agents.length),
+        browser: this.browser ? this.browser.weights : null,
+        data: this.dataFeeder ? this.dataFeeder.partition(index, agents.length) : null,
+        // 에이전트마다 세션 ID가 같으므로(test-1, test-2, ...) 시드를 에이전트별로 나눠 세션 시드가 겹치지 않게 한다
+        seed: this.seed === null ? null : deriveSeed(this.seed, agent.agentId),
+        environment: config.environment,
+        baseUrl: config.baseUrl
+      };
+
+      this.monitor.updateAgentCounters(agent.agentId, { total: 0, running: 0, completed: 0, failed: 0, waiting: 0 });
+      this.logger.info(`📦 ${agent.agentId}: ${agent.job.count} sessions, ${concurrency} concurrent`);
+    });
+
+    this.monitor.logEvent('DISTRIBUTED_STARTED', {
+      agents: agents.map(agent => ({ agentId: agent.agentId, hostname: agent.hostname, count: agent.job.count })),
+      startAt: new Date(startAt).toISOString()
+    });
+
+    console.log(`🚀 에이전트 ${agents.length}개 등록 완료 - ${Math.round(this.startDelay / 1000)}초 후 동시 시작`);
+  }
+
+  /**
+   * 에이전트별 유량 제어 설정 (내부 헬퍼)
+   */
+  _divideRateLimit(agentCount) {
+    if (!this.rateLimit) return null;
+
+    const actionRps = {};
+    Object.entries(this.rateLimit.actionRps || {}).forEach(([action, rps]) => {
+      actionRps[action] = rps / agentCount;
+    });
+
+    return {
+      globalRps: (this.rateLimit.globalRps || 0) / agentCount,
+      actionRps
+    };
+  }
+
+  /**
+   * 에이전트 최종 결과 반영 (내부 헬퍼)
+   */
+  _acceptResult(agent, body) {
+    if (agent.status === 'done' || agent.status === 'failed') return;
+
+    if (body.stats && this.monitor) {
+      this.monitor.importAgentStats(agent.agentId, body.stats, body.clockOffset || 0);
+    }
+
+    (body.results || []).forEach(result => {
+      this.results.push({
+        ...result,
+        sessionId: result.sessionId ? `${agent.agentId}-${result.sessionId}` : result.sessionId,
+        agentId: agent.agentId
+      });
+    });
+
+    agent.summary = body.summary || null;
+    agent.error = body.error || null;
+    agent.status = body.error ? 'failed' : 'done';
+
+    if (body.error) {
+      this.logger.error(`Agent ${agent.agentId} failed: ${body.error}`);
+      console.log(`❌ ${agent.agentId} 실패: ${body.error}`);
+    } else {
+      const summary = body.summary || {};
+      console.log(`✅ ${agent.agentId} 완료: 성공 ${summary.successful ?? '-'}/${summary.total ?? '-'}`);
+    }
+
+    this._checkFinished();
+  }
+
+  /**
+   * 연락이 끊긴 에이전트 확인 (내부 헬퍼)
+   * 시작 전에 끊긴 에이전트는 자리를 비워 다른 에이전트가 대신 등록할 수 있게 한다.
+   */
+  _checkAgents() {
+    const now = Date.now();
+
+    this.agents.forEach(agent => {
+      if (!['registered', 'running'].includes(agent.status)) return;
+      if (now - agent.lastSeen <= AGENT_TIMEOUT_MS) return;
+
+      if (!agent.job) {
+        this.agents.delete(agent.agentId);
+        this.logger.warn(`Agent ${agent.agentId} disconnected before start, slot released`);
+        return;
+      }
+
+      agent.status = 'lost';
+      agent.error = `No contact for ${Math.round(AGENT_TIMEOUT_MS / 1000)}s`;
+      this.logger.warn(`Agent ${agent.agentId} lost: ${agent.error}`);
+      console.log(`⚠️ ${agent.agentId} 연결 끊김 - 이 에이전트의 결과는 병합되지 않습니다`);
+      this.monitor.logEvent('AGENT_LOST', { agentId: agent.agentId, lastSeen: new Date(agent.lastSeen).toISOString() });
+    });
+
+    this._checkFinished();
+  }
+
+  /**
+   * 모든 에이전트가 끝났으면 run() 완료 (내부 헬퍼)
+   */
+  _checkFinished() {
+    if (!this.resolveRun) return;
+
+    const agents = Array.from(this.agents.values());
+    const started = this.monitor !== null;
+    const finished = started
+      ? agents.every(agent => ['done', 'failed', 'lost'].includes(agent.status))
+      : this.stopRequested;
+
+    if (!finished) return;
+
+    clearInterval(this.watchdog);
+    this.watchdog = null;
+
+    const resolve = this.resolveRun;
+    this.resolveRun = null;
+    resolve({
+      success: this.results.length > 0 && this.results.every(r => r.success) && agents.every(agent => agent.status === 'done'),
+      results: this.results,
+      agents: this.getAgentSummaries()
+    });
+  }
+}
+
+/**
+ * 정수를 n개로 나누기 (나머지는 앞에서부터 1씩)
+ */
+function splitEvenly(total, parts) {
+  return Array.from({ length: parts }, (_, index) =>
+    Math.floor(total / parts) + (index < total % parts ? 1 : 0)
+  );
+}
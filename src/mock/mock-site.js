@@ -0,0 +1,329 @@
+import express from 'express';
+import { Logger } from '../utils/logger.js';
+import { WaitingQueue } from './waiting-queue.js';
+import {
+  renderCourseList,
+  renderWaitingPage,
+  renderBasicInfo,
+  renderDetailedInfo,
+  renderSchoolSearchPopup,
+  renderClassSelection,
+  renderPaymintPayment,
+  renderPaymentComplete,
+  renderErrorPage
+} from './templates.js';
+
+/**
+ * 목업 학원 및 과정 데이터
+ * 첫 번째 학원 코드는 config의 local 환경 acadCd와 같아야 한다.
+ */
+export const MOCK_ACADEMIES = [
+  {
+    acadCd: 'MOCK000001',
+    name: '목업 강남학원',
+    courses: [
+      { seq: 'C101', title: '[목업] 고3 수학 집중반', period: '2025.01.01 ~ 2025.12.31', status: '접수중' },
+      { seq: 'C102', title: '[목업] 고3 국어 완성반', period: '2025.01.01 ~ 2025.12.31', status: '접수중' },
+      { seq: 'C103', title: '[목업] 고2 영어 기초반', period: '2024.01.01 ~ 2024.12.31', status: '마감' }
+    ]
+  },
+  {
+    acadCd: 'MOCK000002',
+    name: '목업 목동학원',
+    courses: [
+      { seq: 'C201', title: '[목업] 고1 과학 탐구반', period: '2025.01.01 ~ 2025.12.31', status: '접수중' }
+    ]
+  }
+];
+
+const MOCK_CLASSES = [
+  { seq: 'S1', name: '무료 설명회', fee: 0, full: false },
+  { seq: 'S2', name: '주말 정규반', fee: 90000, full: false },
+  { seq: 'S3', name: '평일 심화반', fee: 120000, full: true }
+];
+
+const MOCK_SCHOOLS = [
+  { code: 'ETC001', name: '기타(국내)' },
+  { code: 'ETC002', name: '기타(해외)' },
+  { code: 'SCH001', name: '목업고등학교' },
+  { code: 'SCH002', name: '목업여자고등학교' },
+  // TestDataGenerator가 만드는 학교 이름 일부 (나머지는 "기타"로 대체되는 경로 확인용)
+  { code: 'SCH003', name: '서울고등학교' },
+  { code: 'SCH004', name: '대치고등학교' }
+];
+
+const MOCK_CARDS = ['신한카드', '삼성카드', '현대카드', 'KB국민카드', '롯데카드', '하나카드'];
+const MOCK_INSTALLMENTS = ['일시불', '2개월', '3개월', '6개월', '12개월'];
+
+/**
+ * 수강신청 사이트 목업 서버
+ * 실제 환경에 접속하지 않고 도구를 개발하거나 회귀 테스트할 때 사용
+ */
+export class MockSite {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.waitingMode] 목록 진입 시 대기 페이지 사용 여부
+   * @param {number} [options.waitingThroughput] 대기열 초당 입장 인원
+   * @param {number} [options.latency] 페이지 응답 지연 (ms)
+   * @param {string} [options.paymentPath] 가짜 결제 팝업 경로
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('MockSite');
+    this.waitingMode = options.waitingMode === true;
+    this.latency = options.latency > 0 ? options.latency : 0;
+    this.paymentPath = options.paymentPath || '/mock-paymint';
+    this.queue = this.waitingMode ? new WaitingQueue(options.waitingThroughput || 2) : null;
+
+    this.orders = new Map();
+    this.orderSequence = 0;
+    this.stats = {
+      startTime: Date.now(),
+      pageViews: {},
+      registrations: 0,
+      paymentsStarted: 0,
+      paymentsCompleted: 0,
+      rejected: 0
+    };
+
+    this.app = this._createApp();
+    this.server = null;
+  }
+
+  /**
+   * 서버 시작
+   * @param {number} port
+   * @returns {Promise<import('http').Server>}
+   */
+  start(port) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, () => {
+        this.logger.info(`🧪 Mock site listening on port ${this.server.address().port}`);
+        resolve(this.server);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  /**
+   * 서버 종료
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * 요청 통계 요약
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      uptime: Date.now() - this.stats.startTime,
+      waiting: this.queue ? {
+        issued: this.queue.issued,
+        passed: this.queue.passed,
+        waiting: this.queue.getWaitingCount()
+      } : null
+    };
+  }
+
+  /**
+   * Express 앱 구성 (내부 헬퍼)
+   * @returns {import('express').Express}
+   */
+  _createApp() {
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+
+    // 응답 지연 및 페이지 조회 수 집계
+    app.use((req, res, next) => {
+      const pagePath = req.path.replace(/\/complete\/.*$/, '/complete');
+      this.stats.pageViews[pagePath] = (this.stats.pageViews[pagePath] || 0) + 1;
+      if (this.latency > 0) {
+        setTimeout(next, this.latency);
+      } else {
+        next();
+      }
+    });
+
+    app.get('/', (req, res) => res.redirect('/apply/request/list.do'));
+    app.get('/apply/request/list.do', (req, res) => this._handleCourseList(req, res));
+    app.post('/apply/request/applyRegister01.do', (req, res) => this._handleBasicInfo(req, res));
+    app.post('/apply/request/applyRegister02.do', (req, res) => this._handleDetailedInfo(req, res));
+    app.post('/apply/request/applyRegister03.do', (req, res) => this._handleClassSelection(req, res));
+    app.get('/apply/request/searchSchoolPopup.do', (req, res) => this._handleSchoolSearch(req, res));
+    app.get(`${this.paymentPath}/pay.do`, (req, res) => this._handlePayment(req, res));
+    app.get(`${this.paymentPath}/complete/:orderId`, (req, res) => this._handlePaymentComplete(req, res));
+    app.get('/mock/stats', (req, res) => res.json(this.getStats()));
+
+    return app;
+  }
+
+  /**
+   * 수강신청 목록 (대기 모드면 대기표가 입장 처리된 뒤에만 표시)
+   */
+  _handleCourseList(req, res) {
+    if (this.queue) {
+      let ticketId = req.query.queue_ticket;
+      let status = ticketId ? this.queue.getStatus(ticketId) : null;
+
+      if (!status || !status.valid) {
+        ticketId = this.queue.issue();
+        status = this.queue.getStatus(ticketId);
+      }
+
+      if (!status.released) {
+        const params = new URLSearchParams({ ...req.query, queue_ticket: ticketId });
+        res.send(renderWaitingPage({
+          ahead: status.ahead,
+          remainingMs: status.remainingMs,
+          retryUrl: `/apply/request/list.do?${params.toString()}`
+        }));
+        return;
+      }
+    }
+
+    res.send(renderCourseList({
+      academies: MOCK_ACADEMIES,
+      selectedAcadCd: req.query.acad_cd
+    }));
+  }
+
+  /**
+   * 기본정보 입력 페이지
+   */
+  _handleBasicInfo(req, res) {
+    const course = this._findCourse(req.body.course_seq);
+    if (!course || course.status !== '접수중') {
+      this._reject(res, '접수 중인 과정이 아닙니다.');
+      return;
+    }
+
+    res.send(renderBasicInfo({
+      course,
+      fields: { acad_cd: req.body.acad_cd || '', course_seq: course.seq }
+    }));
+  }
+
+  /**
+   * 상세정보 입력 페이지
+   */
+  _handleDetailedInfo(req, res) {
+    const { course_seq, acad_cd, nm, parent_ctel_no1, parent_ctel_no2, parent_ctel_no3 } = req.body;
+    if (!this._findCourse(course_seq)) {
+      this._reject(res, '과정 정보가 없습니다.');
+      return;
+    }
+    if (!nm || !parent_ctel_no2 || !parent_ctel_no3) {
+      this._reject(res, '학생 이름과 휴대폰 번호는 필수입니다.');
+      return;
+    }
+
+    res.send(renderDetailedInfo({
+      fields: { acad_cd, course_seq, nm, parent_ctel_no1: parent_ctel_no1 || '', parent_ctel_no2, parent_ctel_no3 }
+    }));
+  }
+
+  /**
+   * 수강반 선택 페이지
+   */
+  _handleClassSelection(req, res) {
+    const course = this._findCourse(req.body.course_seq);
+    if (!course) {
+      this._reject(res, '과정 정보가 없습니다.');
+      return;
+    }
+    if (!req.body.grd_cd || req.body.privacy !== 'Y') {
+      this._reject(res, '학년 선택과 개인정보 수집 동의는 필수입니다.');
+      return;
+    }
+
+    this.stats.registrations++;
+
+    const params = new URLSearchParams({ course_seq: course.seq, product: course.title });
+    res.send(renderClassSelection({
+      course,
+      classes: MOCK_CLASSES,
+      paymentUrl: `${this.paymentPath}/pay.do?${params.toString()}`
+    }));
+  }
+
+  /**
+   * 학교찾기 팝업 (검색어가 없으면 검색 전 화면)
+   */
+  _handleSchoolSearch(req, res) {
+    const keyword = (req.query.keyword || '').trim();
+    const results = keyword
+      ? MOCK_SCHOOLS.filter(school => school.name.includes(keyword))
+      : null;
+
+    res.send(renderSchoolSearchPopup({ keyword, results }));
+  }
+
+  /**
+   * 가짜 결제 팝업 (주문 생성)
+   */
+  _handlePayment(req, res) {
+    const amount = parseInt(req.query.amount, 10);
+    if (!(amount > 0)) {
+      this._reject(res, '결제 금액이 올바르지 않습니다.');
+      return;
+    }
+
+    const orderId = `MOCK-${Date.now()}-${++this.orderSequence}`;
+    this.orders.set(orderId, { amount });
+    this.stats.paymentsStarted++;
+
+    res.send(renderPaymintPayment({
+      orderId,
+      amount,
+      productName: req.query.product || '목업 과정',
+      cards: MOCK_CARDS,
+      installments: MOCK_INSTALLMENTS,
+      completeUrl: `${this.paymentPath}/complete/${orderId}`
+    }));
+  }
+
+  /**
+   * 결제 완료 페이지
+   */
+  _handlePaymentComplete(req, res) {
+    const order = this.orders.get(req.params.orderId);
+    if (!order) {
+      this._reject(res, '주문 정보가 없습니다.');
+      return;
+    }
+
+    this.orders.delete(req.params.orderId);
+    this.stats.paymentsCompleted++;
+    res.send(renderPaymentComplete({ orderId: req.params.orderId, amount: order.amount }));
+  }
+
+  /**
+   * 과정 조회 (내부 헬퍼)
+   * @param {string} courseSeq
+   * @returns {Object|null}
+   */
+  _findCourse(courseSeq) {
+    for (const academy of MOCK_ACADEMIES) {
+      const course = academy.courses.find(item => item.seq === courseSeq);
+      if (course) return course;
+    }
+    return null;
+  }
+
+  /**
+   * 잘못된 요청 응답 (내부 헬퍼)
+   */
+  _reject(res, message) {
+    this.stats.rejected++;
+    this.logger.warn(`⚠️ Rejected request: ${message}`);
+    res.status(400).send(renderErrorPage(message));
+  }
+}
@@ -0,0 +1,583 @@
+/**
+ * 목업 사이트 HTML 템플릿
+ * 페이지 객체(src/pages)가 의존하는 선택자와 화면 흐름만 실제 사이트와 맞춘다.
+ */
+
+/**
+ * HTML 이스케이프
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 숨김 필드 목록 렌더링 (단계 간 입력값 전달용)
+ * @param {Object.<string, string>} fields
+ * @returns {string}
+ */
+function hiddenFields(fields) {
+  return Object.entries(fields)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('\n      ');
+}
+
+/**
+ * 공통 레이아웃
+ * @param {Object} options
+ * @param {string} options.title 문서 제목
+ * @param {string} options.body 본문 HTML
+ * @param {string} [options.script] 페이지 스크립트
+ * @returns {string}
+ */
+function layout({ title, body, script = '' }) {
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 0; padding: 20px; color: #333; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 8px; text-align: center; }
+    .tab { list-style: none; padding: 0; display: flex; gap: 8px; }
+    .tab a { display: inline-block; padding: 8px 16px; border: 1px solid #ccc; text-decoration: none; color: #333; }
+    .tab a.on { background: #0a58ca; color: #fff; }
+    .btnSmallF, .btn { display: inline-block; padding: 6px 14px; background: #0a58ca; color: #fff; text-decoration: none; border: 0; cursor: pointer; }
+    .btnSmallF.disabled { background: #aaa; }
+    .form-row { margin: 12px 0; }
+    .btn-area { margin-top: 20px; display: flex; gap: 8px; }
+    .error { color: #c00; }
+  </style>
+</head>
+<body>
+${body}
+${script ? `<script>\n${script}\n</script>` : ''}
+</body>
+</html>`;
+}
+
+/**
+ * 과정 목록 행 렌더링
+ * @param {Array} courses
+ * @returns {string}
+ */
+function renderCourseRows(courses) {
+  return courses.map((course, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td class="subject"><a class="title" href="#">${escapeHtml(course.title)}</a></td>
+          <td>${escapeHtml(course.period)}</td>
+          <td class="state">${escapeHtml(course.status)}</td>
+          <td>${course.status === '접수중'
+            ? `<a id="register01" class="apply btnSmallF" href="#register" data-course="${escapeHtml(course.seq)}">신청</a>`
+            : '<span class="btnSmallF disabled">마감</span>'}</td>
+        </tr>`).join('');
+}
+
+/**
+ * 수강신청 목록 (list.do)
+ * @param {Object} options
+ * @param {Array} options.academies 학원 목록 ({ acadCd, name, courses })
+ * @param {string} options.selectedAcadCd 처음 선택된 학원 코드
+ * @returns {string}
+ */
+export function renderCourseList({ academies, selectedAcadCd }) {
+  const selected = academies.find(academy => academy.acadCd === selectedAcadCd) || academies[0];
+  const rowsByAcademy = {};
+  academies.forEach(academy => {
+    rowsByAcademy[academy.acadCd] = renderCourseRows(academy.courses);
+  });
+
+  return layout({
+    title: '온라인 수강신청',
+    body: `
+  <h1>온라인 수강신청</h1>
+  <ul class="tab">
+    ${academies.map(academy => `<li><a href="#" acad_cd="${escapeHtml(academy.acadCd)}"${academy === selected ? ' class="on"' : ''}>${escapeHtml(academy.name)}</a></li>`).join('\n    ')}
+  </ul>
+  <table class="typeA">
+    <thead>
+      <tr><th>번호</th><th>과정명</th><th>접수기간</th><th>상태</th><th>신청</th></tr>
+    </thead>
+    <tbody id="courseRows">${renderCourseRows(selected.courses)}
+    </tbody>
+  </table>
+  <form id="registerForm" method="post" action="applyRegister01.do">
+    <input type="hidden" name="acad_cd" value="${escapeHtml(selected.acadCd)}">
+    <input type="hidden" name="course_seq" value="">
+  </form>`,
+    script: `
+var ROWS = ${JSON.stringify(rowsByAcademy)};
+var form = document.getElementById('registerForm');
+
+document.querySelectorAll('a[acad_cd]').forEach(function (tab) {
+  tab.addEventListener('click', function (event) {
+    event.preventDefault();
+    document.querySelectorAll('a[acad_cd]').forEach(function (other) { other.classList.remove('on'); });
+    tab.classList.add('on');
+    form.acad_cd.value = tab.getAttribute('acad_cd');
+    document.getElementById('courseRows').innerHTML = ROWS[form.acad_cd.value] || '';
+  });
+});
+
+document.getElementById('courseRows').addEventListener('click', function (event) {
+  var button = event.target.closest('a.apply');
+  if (!button) return;
+  event.preventDefault();
+  form.course_seq.value = button.getAttribute('data-course');
+  form.submit();
+});`
+  });
+}
+
+/**
+ * 대기 페이지
+ * @param {Object} options
+ * @param {number} options.ahead 앞선 대기 인원
+ * @param {number} options.remainingMs 남은 대기 시간 (ms)
+ * @param {string} options.retryUrl 재접속 URL (대기표 포함)
+ * @returns {string}
+ */
+export function renderWaitingPage({ ahead, remainingMs, retryUrl }) {
+  const estimatedSeconds = Math.max(1, Math.ceil(remainingMs / 1000));
+
+  return layout({
+    title: '접속 대기 중',
+    body: `
+  <div class="waiting-container">
+    <h2>잠시 대기중입니다</h2>
+    <p>현재 접속자가 많아 잠시 대기중입니다. 순서가 되면 자동으로 접속됩니다.</p>
+    <p><span>대기인원</span> <strong>${ahead}명</strong></p>
+    <p><span>예상대기시간</span> <strong>${estimatedSeconds}초</strong></p>
+    <p class="error">페이지 새로고침 시 대기 순서가 뒤로 밀릴 수 있습니다.</p>
+    <p class="error">여러 탭에서 동시접속 시 접속이 제한될 수 있습니다.</p>
+  </div>`,
+    script: `
+setTimeout(function () { location.replace(${JSON.stringify(retryUrl)}); }, ${Math.min(remainingMs, 3000)});`
+  });
+}
+
+/**
+ * 기본정보 입력 (applyRegister01.do)
+ * @param {Object} options
+ * @param {Object} options.course 선택된 과정
+ * @param {Object} options.fields 다음 단계로 넘길 값
+ * @returns {string}
+ */
+export function renderBasicInfo({ course, fields }) {
+  return layout({
+    title: '온라인 수강신청 - 기본정보',
+    body: `
+  <h2>기본정보 입력</h2>
+  <p>신청 과정: <strong>${escapeHtml(course.title)}</strong></p>
+  <form id="applyForm" method="post" action="applyRegister02.do">
+      ${hiddenFields(fields)}
+    <div class="form-row">
+      <label for="nm">학생 이름</label>
+      <input type="text" id="nm" name="nm" maxlength="20">
+    </div>
+    <div class="form-row">
+      <label for="parent_ctel_no1">휴대폰 번호</label>
+      <select id="parent_ctel_no1" name="parent_ctel_no1">
+        <option value="">선택</option>
+        ${['010', '011', '016', '017', '018', '019'].map(prefix => `<option value="${prefix}">${prefix}</option>`).join('')}
+      </select>
+      - <input type="text" id="parent_ctel_no2" name="parent_ctel_no2" maxlength="4">
+      - <input type="text" id="parent_ctel_no3" name="parent_ctel_no3" maxlength="4">
+    </div>
+    <div class="btn-area">
+      <a id="previous" class="btn" href="list.do">취소</a>
+      <a id="next" class="btn" href="#">다음단계</a>
+    </div>
+  </form>`,
+    script: `
+document.getElementById('next').addEventListener('click', function (event) {
+  event.preventDefault();
+  var form = document.getElementById('applyForm');
+  if (!form.nm.value.trim()) { alert('학생 이름을 입력해 주세요.'); return; }
+  if (!form.parent_ctel_no2.value.trim() || !form.parent_ctel_no3.value.trim()) { alert('휴대폰 번호를 입력해 주세요.'); return; }
+  form.submit();
+});`
+  });
+}
+
+/**
+ * 상세정보 입력 (applyRegister02.do)
+ * @param {Object} options
+ * @param {Object} options.fields 다음 단계로 넘길 값
+ * @returns {string}
+ */
+export function renderDetailedInfo({ fields }) {
+  return layout({
+    title: '온라인 수강신청 - 상세정보',
+    body: `
+  <h2>상세정보 입력</h2>
+  <form id="applyForm" method="post" action="applyRegister03.do">
+      ${hiddenFields(fields)}
+    <div class="form-row">
+      <label for="grd_cd">학년</label>
+      <select id="grd_cd" name="grd_cd">
+        <option value="">선택</option>
+        <option value="07">중1</option>
+        <option value="08">중2</option>
+        <option value="09">중3</option>
+        <option value="10">고1</option>
+        <option value="11">고2</option>
+        <option value="12">고3</option>
+        <option value="13">N수</option>
+      </select>
+    </div>
+    <div class="form-row">
+      <label for="sch_nm">학교</label>
+      <input type="text" id="sch_nm" name="sch_nm" readonly>
+      <input type="hidden" id="sch_cd" name="sch_cd">
+      <a id="btnSearchSchool" class="btn" href="#">학교찾기</a>
+    </div>
+    <h3>개인정보 수집 및 이용 동의</h3>
+    <p>수강신청 처리를 위해 이름, 연락처, 학교 정보를 수집합니다.</p>
+    <div class="form-row">
+      <input type="checkbox" id="privacy" name="privacy" value="Y">
+      <label for="privacy">동의합니다</label>
+    </div>
+    <div class="btn-area">
+      <a id="previous" class="btn" href="list.do">취소</a>
+      <a id="next" class="btn" href="#">다음단계</a>
+    </div>
+  </form>`,
+    script: `
+function fn_setSchool(code, name) {
+  document.getElementById('sch_cd').value = code;
+  document.getElementById('sch_nm').value = name;
+}
+
+document.getElementById('btnSearchSchool').addEventListener('click', function (event) {
+  event.preventDefault();
+  window.open('searchSchoolPopup.do', 'searchSchoolPopup', 'width=480,height=600');
+});
+
+document.getElementById('next').addEventListener('click', function (event) {
+  event.preventDefault();
+  var form = document.getElementById('applyForm');
+  if (!form.grd_cd.value) { alert('학년을 선택해 주세요.'); return; }
+  if (!form.privacy.checked) { alert('개인정보 수집 및 이용에 동의해 주세요.'); return; }
+  form.submit();
+});`
+  });
+}
+
+/**
+ * 학교찾기 팝업 (searchSchoolPopup.do)
+ * @param {Object} options
+ * @param {string} options.keyword 검색어
+ * @param {Array|null} options.results 검색 결과 ({ code, name }), 검색 전이면 null
+ * @returns {string}
+ */
+export function renderSchoolSearchPopup({ keyword, results }) {
+  let resultHtml = '';
+  if (results) {
+    resultHtml = results.length > 0
+      ? `<h2>검색결과</h2>
+  <ul>
+    ${results.map(school => `<li><a href="#" data-code="${escapeHtml(school.code)}">${escapeHtml(school.name)}</a></li>`).join('\n    ')}
+  </ul>`
+      : '<h2>검색결과</h2>\n  <p>검색 결과가 없습니다.</p>';
+  }
+
+  return layout({
+    title: '학교찾기',
+    body: `
+  <h1>학교찾기</h1>
+  <p>[학교이름]을 입력해 주세요. 학교가 없으면 "기타"로 검색하세요.</p>
+  <form method="get" action="searchSchoolPopup.do">
+    <input type="text" name="keyword" value="${escapeHtml(keyword)}">
+    <button type="submit">찾기</button>
+  </form>
+  ${resultHtml}`,
+    script: `
+document.querySelectorAll('ul li a').forEach(function (link) {
+  link.addEventListener('click', function (event) {
+    event.preventDefault();
+    if (window.opener && window.opener.fn_setSchool) {
+      window.opener.fn_setSchool(link.getAttribute('data-code'), link.textContent.trim());
+    }
+    window.close();
+  });
+});`
+  });
+}
+
+/**
+ * 수강반 선택 (applyRegister03.do)
+ * @param {Object} options
+ * @param {Object} options.course 선택된 과정
+ * @param {Array} options.classes 수강반 목록 ({ seq, name, fee, full })
+ * @param {string} options.paymentUrl 결제 팝업 URL (수강반 정보는 스크립트에서 덧붙임)
+ * @returns {string}
+ */
+export function renderClassSelection({ course, classes, paymentUrl }) {
+  return layout({
+    title: '온라인 수강신청 - 수강반 선택',
+    body: `
+  <h2>수강반 선택</h2>
+  <p>신청 과정: <strong id="courseTitle">${escapeHtml(course.title)}</strong></p>
+  <table class="typeA">
+    <thead>
+      <tr><th>선택</th><th>수강반</th><th>수강료</th></tr>
+    </thead>
+    <tbody>
+      ${classes.map(item => `<tr>
+        <td><input type="checkbox" class="btn_check_online_aply_class_seq" name="online_aply_class_seq" id="class_${escapeHtml(item.seq)}" value="${escapeHtml(item.seq)}" tlsn_amt="${item.fee}"${item.full ? ' disabled' : ''}></td>
+        <td><label for="class_${escapeHtml(item.seq)}">${escapeHtml(item.name)}${item.full ? ' (정원 마감)' : ''}</label></td>
+        <td>${item.fee.toLocaleString()}원</td>
+      </tr>`).join('\n      ')}
+    </tbody>
+  </table>
+  <p>결제 예정 금액: <strong id="totalAmount">0</strong>원</p>
+  <div class="btn-area">
+    <a id="previous" class="btn" href="list.do">취소</a>
+    <a id="btn_pay" class="btn" href="#">결제하기</a>
+  </div>`,
+    script: `
+function selectedClasses() {
+  return Array.prototype.slice.call(document.querySelectorAll('input[name="online_aply_class_seq"]:checked'));
+}
+
+document.querySelectorAll('input[name="online_aply_class_seq"]').forEach(function (checkbox) {
+  checkbox.addEventListener('change', function () {
+    var total = selectedClasses().reduce(function (sum, item) { return sum + parseInt(item.getAttribute('tlsn_amt'), 10); }, 0);
+    document.getElementById('totalAmount').textContent = total.toLocaleString();
+  });
+});
+
+document.getElementById('btn_pay').addEventListener('click', function (event) {
+  event.preventDefault();
+  var selected = selectedClasses();
+  if (selected.length === 0) { alert('수강반을 선택해 주세요.'); return; }
+  var amount = selected.reduce(function (sum, item) { return sum + parseInt(item.getAttribute('tlsn_amt'), 10); }, 0);
+  var url = ${JSON.stringify(paymentUrl)}
+    + '&classes=' + encodeURIComponent(selected.map(function (item) { return item.value; }).join(','))
+    + '&amount=' + amount;
+  window.open(url, 'paymentPopup', 'width=480,height=800');
+});`
+  });
+}
+
+/**
+ * 가짜 Paymint(SPEEID) 결제 팝업
+ * @param {Object} options
+ * @param {string} options.orderId 주문 번호
+ * @param {number} options.amount 결제 금액
+ * @param {string} options.productName 상품명
+ * @param {string[]} options.cards 카드사 목록
+ * @param {string[]} options.installments 할부 목록
+ * @param {string} options.completeUrl 결제 완료 URL
+ * @returns {string}
+ */
+export function renderPaymintPayment({ orderId, amount, productName, cards, installments, completeUrl }) {
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>SPEEID 결제</title>
+  <style>
+    body { font-family: sans-serif; margin: 0; padding: 16px; color: #333; }
+    .card_list { display: flex; flex-wrap: wrap; gap: 6px; margin: 8px 0; }
+    .card_section { padding: 8px 10px; border: 1px solid #ccc; cursor: pointer; }
+    .bill-select-pop-bt { margin: 8px 0; padding: 10px; border: 1px solid #999; cursor: pointer; }
+    .bill-select-pop { display: none; position: fixed; left: 10%; right: 10%; top: 20%; background: #fff; border: 2px solid #333; padding: 12px; z-index: 10; }
+    .bill-select-pop.on { display: block; }
+    .bill-select-pop li div { padding: 8px; cursor: pointer; }
+    .card_signature canvas { border: 1px dashed #999; }
+    .number-box, .number { display: inline-block; min-width: 60px; padding: 8px; border: 1px solid #999; cursor: pointer; }
+    .active { border-color: #0a58ca; }
+    button[disabled] { background: #aaa; }
+    #manualForm, #cardInputForm { display: none; }
+    #manualForm.on, #cardInputForm.on { display: block; }
+  </style>
+</head>
+<body>
+  <h1>SPEEID</h1>
+  <div class="billing-text"><p>결제 금액</p><p class="price"><span>${amount.toLocaleString()}</span>원</p></div>
+  <table class="bill_list_table">
+    <tr><th>주문번호</th><td><span>${escapeHtml(orderId)}</span></td></tr>
+    <tr><th>상품명</th><td><span>${escapeHtml(productName)}</span></td></tr>
+  </table>
+
+  <h2>결제 수단</h2>
+  <p>신용/체크카드</p>
+  <div class="card_list">
+    ${cards.map(card => `<div class="card_section">${escapeHtml(card)}</div>`).join('\n    ')}
+  </div>
+  <a href="#" id="openManualInput">앱카드가 없으신가요?</a>
+
+  <div id="manualForm">
+    <div class="bill-select-pop-bt" id="cardDropdown">카드사 선택</div>
+    <div class="bill-select-pop-bt" id="installmentDropdown">할부 선택</div>
+    <div class="card_signature">
+      <p>아래에 서명해 주세요</p>
+      <canvas width="300" height="120"></canvas>
+    </div>
+    <button type="button" id="btnCardInput" class="disabled" disabled>카드번호 입력 후 결제하기</button>
+  </div>
+
+  <div class="bill-select-pop card-select">
+    <p>카드사를 선택해 주세요</p>
+    <ul>${cards.map(card => `<li><div>${escapeHtml(card)}</div></li>`).join('')}</ul>
+  </div>
+  <div class="bill-select-pop card-month">
+    <p>할부를 선택해 주세요</p>
+    <ul>${installments.map(item => `<li><div>${escapeHtml(item)}</div></li>`).join('')}</ul>
+  </div>
+
+  <div id="cardInputForm">
+    <p>카드번호 앞 8자리</p>
+    <input type="text" id="cardNum1" maxlength="4" inputmode="numeric">
+    <input type="text" id="cardNum2" maxlength="4" inputmode="numeric">
+    <p>유효기간</p>
+    <div id="card_validity_data"><div class="number-box sm-w1" data-field="month" data-max="2"><span class="placeholder">MM</span></div><div class="number-box sm-w1" data-field="year" data-max="2"><span class="placeholder">YY</span></div></div>
+    <p>생년월일</p>
+    <div class="userBirthDate"><span class="number" data-field="birth" data-max="6">6자리</span></div>
+    <p>비밀번호</p>
+    <div class="cardPassword"><span class="number" data-field="password" data-max="2" data-masked="true">앞 2자리</span></div>
+    <div class="bt-wrap"><button type="button" class="btn_nor disabled" disabled>결제하기</button></div>
+  </div>
+
+<script>
+var state = { card: null, installment: null, signed: false, keypad: { month: '', year: '', birth: '', password: '' } };
+var activeField = null;
+
+function setEnabled(button, enabled) {
+  button.disabled = !enabled;
+  button.classList.toggle('disabled', !enabled);
+}
+
+function refreshButtons() {
+  setEnabled(document.getElementById('btnCardInput'), !!(state.card && state.installment && state.signed));
+
+  var keypad = state.keypad;
+  var complete = /^\\d{4}$/.test(document.getElementById('cardNum1').value)
+    && /^\\d{4}$/.test(document.getElementById('cardNum2').value)
+    && /^(0[1-9]|1[0-2])$/.test(keypad.month)
+    && keypad.year.length === 2 && keypad.birth.length === 6 && keypad.password.length === 2;
+  setEnabled(document.querySelector('.bt-wrap button.btn_nor'), complete);
+}
+
+function bindSelectPopup(dropdownId, popupSelector, key) {
+  var dropdown = document.getElementById(dropdownId);
+  var popup = document.querySelector(popupSelector);
+  dropdown.addEventListener('click', function () { popup.classList.add('on'); });
+  popup.querySelectorAll('li div').forEach(function (option) {
+    option.addEventListener('click', function () {
+      state[key] = option.textContent.trim();
+      dropdown.textContent = state[key];
+      popup.classList.remove('on');
+      refreshButtons();
+    });
+  });
+}
+
+document.getElementById('openManualInput').addEventListener('click', function (event) {
+  event.preventDefault();
+  document.getElementById('manualForm').classList.add('on');
+});
+
+bindSelectPopup('cardDropdown', '.bill-select-pop.card-select', 'card');
+bindSelectPopup('installmentDropdown', '.bill-select-pop.card-month', 'installment');
+
+// 서명
+var canvas = document.querySelector('.card_signature canvas');
+var context = canvas.getContext('2d');
+var drawing = false;
+canvas.addEventListener('mousedown', function (event) {
+  drawing = true;
+  context.beginPath();
+  context.moveTo(event.offsetX, event.offsetY);
+});
+canvas.addEventListener('mousemove', function (event) {
+  if (!drawing) return;
+  context.lineTo(event.offsetX, event.offsetY);
+  context.stroke();
+  state.signed = true;
+  refreshButtons();
+});
+document.addEventListener('mouseup', function () { drawing = false; });
+
+document.getElementById('btnCardInput').addEventListener('click', function () {
+  document.getElementById('cardInputForm').classList.add('on');
+});
+
+// 카드번호 (일반 입력)
+['cardNum1', 'cardNum2'].forEach(function (id) {
+  document.getElementById(id).addEventListener('input', refreshButtons);
+});
+
+// 보안 키패드 (필드 클릭 후 숫자 키 입력)
+document.querySelectorAll('[data-field]').forEach(function (field) {
+  field.addEventListener('click', function () {
+    if (activeField) activeField.classList.remove('active');
+    activeField = field;
+    field.classList.add('active');
+  });
+});
+
+document.addEventListener('keydown', function (event) {
+  if (!activeField || !/^\\d$/.test(event.key)) return;
+  var name = activeField.getAttribute('data-field');
+  var max = parseInt(activeField.getAttribute('data-max'), 10);
+  if (state.keypad[name].length >= max) return;
+
+  state.keypad[name] += event.key;
+  var display = activeField.querySelector('.placeholder') || activeField;
+  display.textContent = activeField.getAttribute('data-masked') ? state.keypad[name].replace(/\\d/g, '●') : state.keypad[name];
+  refreshButtons();
+});
+
+document.querySelector('.bt-wrap button.btn_nor').addEventListener('click', function () {
+  location.href = ${JSON.stringify(completeUrl)}
+    + '?card=' + encodeURIComponent(state.card) + '&installment=' + encodeURIComponent(state.installment);
+});
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * 결제 완료 페이지
+ * @param {Object} options
+ * @param {string} options.orderId 주문 번호
+ * @param {number} options.amount 결제 금액
+ * @returns {string}
+ */
+export function renderPaymentComplete({ orderId, amount }) {
+  return layout({
+    title: 'SPEEID 결제 완료',
+    body: `
+  <h1>SPEEID</h1>
+  <h2>결제 완료</h2>
+  <p>주문번호 ${escapeHtml(orderId)} / ${amount.toLocaleString()}원 결제가 정상적으로 처리되었습니다.</p>`
+  });
+}
+
+/**
+ * 오류 페이지 (필수 값 누락 등)
+ * @param {string} message
+ * @returns {string}
+ */
+export function renderErrorPage(message) {
+  return layout({
+    title: '오류',
+    body: `
+  <h2>요청을 처리할 수 없습니다</h2>
+  <p class="error">${escapeHtml(message)}</p>
+  <a class="btn" href="list.do">목록으로</a>`
+  });
+}
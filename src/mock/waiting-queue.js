@@ -0,0 +1,94 @@
+/**
+ * 목업 대기열
+ * 초당 throughput명씩 입장시키는 단순 대기열로 실제 사이트의 대기 페이지를 흉내낸다.
+ * 방문자마다 입장 예정 시각이 정해진 대기표를 발급한다.
+ */
+export class WaitingQueue {
+  /**
+   * @param {number} throughput 초당 입장 인원
+   */
+  constructor(throughput = 2) {
+    if (!(throughput > 0)) {
+      throw new Error(`Invalid waiting queue throughput: ${throughput}`);
+    }
+
+    this.interval = 1000 / throughput;
+    this.tickets = new Map();
+    this.nextReleaseAt = 0;
+    this.sequence = 0;
+    this.issued = 0;
+    this.passed = 0;
+  }
+
+  /**
+   * 대기표 발급
+   * @returns {string} 대기표 ID
+   */
+  issue() {
+    const now = Date.now();
+    this._purge(now);
+
+    const releaseAt = Math.max(now, this.nextReleaseAt) + this.interval;
+    this.nextReleaseAt = releaseAt;
+
+    const ticketId = `${now.toString(36)}-${(++this.sequence).toString(36)}`;
+    this.tickets.set(ticketId, { releaseAt, passed: false });
+    this.issued++;
+
+    return ticketId;
+  }
+
+  /**
+   * 대기표 상태 조회
+   * @param {string} ticketId
+   * @returns {{valid: boolean, released: boolean, ahead: number, remainingMs: number}}
+   */
+  getStatus(ticketId) {
+    const ticket = this.tickets.get(ticketId);
+    if (!ticket) {
+      return { valid: false, released: false, ahead: 0, remainingMs: 0 };
+    }
+
+    const now = Date.now();
+    const remainingMs = Math.max(0, ticket.releaseAt - now);
+
+    if (remainingMs === 0) {
+      if (!ticket.passed) {
+        ticket.passed = true;
+        this.passed++;
+      }
+      return { valid: true, released: true, ahead: 0, remainingMs: 0 };
+    }
+
+    let ahead = 0;
+    for (const other of this.tickets.values()) {
+      if (other.releaseAt > now && other.releaseAt < ticket.releaseAt) ahead++;
+    }
+
+    return { valid: true, released: false, ahead, remainingMs };
+  }
+
+  /**
+   * 현재 대기 인원
+   * @returns {number}
+   */
+  getWaitingCount() {
+    const now = Date.now();
+    let waiting = 0;
+    for (const ticket of this.tickets.values()) {
+      if (ticket.releaseAt > now) waiting++;
+    }
+    return waiting;
+  }
+
+  /**
+   * 입장 후 1분이 지난 대기표 정리 (내부 헬퍼)
+   */
+  _purge(now) {
+    for (const [ticketId, ticket] of this.tickets) {
+      if (ticket.releaseAt < now - 60000) {
+        this.tickets.delete(ticketId);
+      }
+    }
+  }
+}
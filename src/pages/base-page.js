@@ -1,5 +1,6 @@
 import { config } from '../config/index.js';
 import { Logger } from '../utils/logger.js';
+import { randomSource } from '../utils/random.js';
 
 /**
  * 기본 페이지 클래스
@@ -194,12 +195,12 @@ export class BasePage {
   }
 
   /**
-   * 랜덤 지연
+   * 랜덤 지연 (세션 시드로 같은 지연 재현)
    * @param {number} min 최소 지연 시간 (ms)
    * @param {number} max 최대 지연 시간 (ms)
    */
   async randomDelay(min = 500, max = 2000) {
-    const delay = Math.floor(Math.random() * (max - min + 1)) + min;
+    const delay = randomSource.forSession(this.sessionId).int(min, max);
     await this.page.waitForTimeout(delay);
     this.logger.debug(`Random delay: ${delay}ms`);
   }
@@ -5,8 +5,9 @@ import { WaitingPage } from './waiting-page.js';
  * 기본 정보 입력 페이지 클래스
  */
 export class BasicInfoPage extends BasePage {
-  constructor(page, sessionId) {
+  constructor(page, sessionId, monitor = null) {
     super(page, sessionId);
+    this.monitor = monitor; // 대기 페이지 지표 기록용
     
     // 페이지 요소 선택자들
     this.selectors = {
@@ -225,7 +226,7 @@ export class BasicInfoPage extends BasePage {
     while (Date.now() - startTime < timeout && !navigationSuccess) {
       try {
         // 1. 대기 페이지 확인
-        const waitingPage = new WaitingPage(this.page, this.sessionId);
+        const waitingPage = new WaitingPage(this.page, this.sessionId, this.monitor);
         const isWaitingPage = await waitingPage.isWaitingPage();
 
         if (isWaitingPage) {
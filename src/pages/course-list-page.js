@@ -5,8 +5,9 @@ import { WaitingPage } from './waiting-page.js';
  * 수강신청 목록 페이지 클래스
  */
 export class CourseListPage extends BasePage {
-  constructor(page, sessionId) {
+  constructor(page, sessionId, monitor = null) {
     super(page, sessionId);
+    this.monitor = monitor; // 대기 페이지 지표 기록용
     this.url = `${this.baseUrl}/apply/request/list.do`;
     
     // 페이지 요소 선택자들
@@ -31,7 +32,7 @@ export class CourseListPage extends BasePage {
     await super.navigate(this.url, 30000);
 
     // 빠른 대기 페이지 처리
-    const waitingPage = new WaitingPage(this.page, this.sessionId);
+    const waitingPage = new WaitingPage(this.page, this.sessionId, this.monitor);
 
     // 대기 페이지가 있는지 즉시 확인 후 처리
     try {
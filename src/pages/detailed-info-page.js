@@ -2,12 +2,37 @@ import { BasePage } from './base-page.js';
 import { SchoolSearchPopup } from './school-search-popup.js';
 import { WaitingPage } from './waiting-page.js';
 
+/**
+ * 요청한 학년이 드롭다운에 없을 때 선택할 학년 (기존 기본값)
+ */
+const DEFAULT_GRADE = '고3';
+
+/**
+ * 학교 검색 결과가 없을 때 다시 검색할 검색어
+ */
+const FALLBACK_SCHOOL = '기타';
+
+/**
+ * 학년 표기 정규화 (예: "고등학교 3학년" → "고3", "중 2" → "중2")
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeGradeLabel(text) {
+  return String(text || '')
+    .replace(/\s+/g, '')
+    .replace(/고등학교|고등/g, '고')
+    .replace(/중학교|중등/g, '중')
+    .replace(/초등학교|초등/g, '초')
+    .replace(/학년$/, '');
+}
+
 /**
  * 상세 개인정보 입력 페이지 클래스
  */
 export class DetailedInfoPage extends BasePage {
-  constructor(page, sessionId) {
+  constructor(page, sessionId, monitor = null) {
     super(page, sessionId);
+    this.monitor = monitor; // 대기 페이지 지표 기록용
     
     // 페이지 요소 선택자들 (실제 HTML 구조에 맞게 수정)
     this.selectors = {
@@ -51,22 +76,57 @@ export class DetailedInfoPage extends BasePage {
     this.logger.info('Detailed info page loaded successfully');
   }
 
+  /**
+   * 학년 드롭다운의 표기 → option 값 매핑 (실제 페이지의 옵션에서 읽음)
+   * @returns {Promise<Object<string, {label: string, value: string}>>} 정규화한 표기별 옵션 (예: 고3 → { label: '고3', value: '12' })
+   */
+  async getGradeOptions() {
+    const options = await this.page.$$eval(`${this.selectors.gradeSelect} option`, elements =>
+      elements.map(option => ({ label: option.textContent.trim(), value: option.value })));
+
+    const mapping = {};
+    options
+      .filter(option => option.value)
+      .forEach(option => {
+        mapping[normalizeGradeLabel(option.label)] = option;
+      });
+
+    return mapping;
+  }
+
   /**
    * 학년 선택
-   * @param {string} grade 학년 (예: "고3", "고2", "고1")
+   * 드롭다운 옵션 표기로 값을 찾고, 없으면 고3(없으면 첫 옵션)을 선택한다.
+   * @param {string} grade 학년 (예: "고3", "중2", 또는 option 값 "12")
+   * @returns {Promise<{requested: string, label: string, value: string, fallback: boolean}>}
    */
   async selectGrade(grade) {
     this.logger.debug(`Selecting grade: ${grade}`);
-    await this.selectOption(this.selectors.gradeSelect, grade);
-    await this.randomDelay(300, 800);
+
+    const mapping = await this.getGradeOptions();
+    const options = Object.values(mapping);
+    if (options.length === 0) {
+      throw new Error(`Grade dropdown ${this.selectors.gradeSelect} has no options`);
+    }
+
+    let option = mapping[normalizeGradeLabel(grade)] || options.find(candidate => candidate.value === grade);
+    const fallback = !option;
+    if (fallback) {
+      option = mapping[normalizeGradeLabel(DEFAULT_GRADE)] || options[0];
+      this.logger.warn(`Grade "${grade}" not in dropdown (${options.map(candidate => candidate.label).join(', ')}), selecting ${option.label}`);
+    }
+
+    await this.selectOption(this.selectors.gradeSelect, option.value);
+    return { requested: grade || null, label: option.label, value: option.value, fallback };
   }
 
   /**
-   * 빠른 학교 검색 및 선택 (최적화된 버전)
-   * @param {string} searchTerm 검색어 (기본값: "기타")
-   * @returns {Promise<string>} 선택된 학교명
+   * 학교 검색 및 선택
+   * 학교 이름으로 먼저 검색하고, 결과가 없으면 "기타"로 다시 검색해 첫 번째 결과를 선택한다.
+   * @param {string} [schoolName] 학교 이름 (없으면 바로 "기타")
+   * @returns {Promise<{requested: string|null, name: string, fallback: boolean}>}
    */
-  async searchAndSelectSchool(searchTerm = '기타') {
+  async searchAndSelectSchool(schoolName = FALLBACK_SCHOOL) {
     this.logger.info('Starting school search process...');
 
     // 팝업 이벤트 리스너를 먼저 설정 (버튼 클릭 전에!)
@@ -98,11 +158,25 @@ export class DetailedInfoPage extends BasePage {
     // 팝업 대기
     const popup = await popupPromise;
 
-    // 팝업 페이지에서 학교 검색 및 선택 (빠른 모드)
+    // 팝업 페이지에서 학교 검색 및 선택
     const schoolSearchPopup = new SchoolSearchPopup(popup, this.sessionId);
+    await schoolSearchPopup.waitForPopupLoad();
 
-    // 빠른 학교 선택: 첫 번째 검색 결과 바로 선택
-    const selectedSchool = await schoolSearchPopup.searchAndSelectSchool(searchTerm, true);
+    let selectedSchool = null;
+    if (schoolName && schoolName !== FALLBACK_SCHOOL) {
+      selectedSchool = await schoolSearchPopup.selectSchoolByName(schoolName);
+    }
+
+    const fallback = selectedSchool === null;
+    if (fallback) {
+      if (schoolName && schoolName !== FALLBACK_SCHOOL) {
+        this.logger.warn(`School "${schoolName}" not found, falling back to ${FALLBACK_SCHOOL}`);
+      }
+      selectedSchool = await schoolSearchPopup.selectSchoolByName(FALLBACK_SCHOOL);
+      if (selectedSchool === null) {
+        throw new Error(`No school found for "${FALLBACK_SCHOOL}"`);
+      }
+    }
 
     // 팝업 대기 시간 단축
     try {
@@ -117,7 +191,7 @@ export class DetailedInfoPage extends BasePage {
     const schoolInputValue = await this.page.inputValue(this.selectors.schoolInput);
     this.logger.info(`School selected and updated: ${schoolInputValue}`);
 
-    return selectedSchool;
+    return { requested: schoolName || null, name: schoolInputValue || selectedSchool, fallback };
   }
 
   /**
@@ -185,18 +259,20 @@ export class DetailedInfoPage extends BasePage {
   /**
    * 빠른 상세 개인정보 전체 입력 (최적화된 버전)
    * @param {import('../types/index.js').StudentDetailedInfo} detailedInfo 학생 상세 정보
-   * @returns {Promise<string>} 선택된 학교명
+   * @returns {Promise<import('../types/index.js').DetailedInfoSelection>} 실제로 선택한 학년과 학교
    */
   async fillDetailedInfo(detailedInfo) {
     this.logger.info('Fast filling detailed information...');
 
+    const selection = { grade: null, school: null };
+
     // 최소한의 안정화 시간만 적용
     await this.page.waitForTimeout(200);
 
     // 1. 학년 선택
     try {
-      await this.page.selectOption(this.selectors.gradeSelect, '12'); // 고3 선택
-      this.logger.info('Grade selected: 고3');
+      selection.grade = await this.selectGrade(detailedInfo.grade || DEFAULT_GRADE);
+      this.logger.info(`Grade selected: ${selection.grade.label} (${selection.grade.value})`);
     } catch (error) {
       this.logger.warn('Failed to select grade:', error);
     }
@@ -207,9 +283,9 @@ export class DetailedInfoPage extends BasePage {
     const schoolButtonExists = await this.page.locator(this.selectors.schoolSearchButton).count();
     if (schoolButtonExists > 0) {
       try {
-        this.logger.info('School search button found, searching for school...');
-        await this.searchAndSelectSchool('기타');
-        this.logger.info('School selected successfully');
+        this.logger.info(`School search button found, searching for school: ${detailedInfo.school || FALLBACK_SCHOOL}`);
+        selection.school = await this.searchAndSelectSchool(detailedInfo.school);
+        this.logger.info(`School selected successfully: ${selection.school.name}`);
       } catch (error) {
         this.logger.warn('School selection failed, continuing without school:', error);
         // 학교 선택 실패해도 계속 진행
@@ -235,7 +311,7 @@ export class DetailedInfoPage extends BasePage {
     await this.page.waitForTimeout(300);
 
     this.logger.info('Detailed information filled successfully (fast mode)');
-    return 'school-selected';
+    return selection;
   }
 
   /**
@@ -278,7 +354,7 @@ export class DetailedInfoPage extends BasePage {
     while (Date.now() - startTime < timeout && !navigationSuccess) {
       try {
         // 1. 대기 페이지 확인
-        const waitingPage = new WaitingPage(this.page, this.sessionId);
+        const waitingPage = new WaitingPage(this.page, this.sessionId, this.monitor);
         const isWaitingPage = await waitingPage.isWaitingPage();
 
         if (isWaitingPage) {
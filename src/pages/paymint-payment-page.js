@@ -1,4 +1,5 @@
 import { BasePage } from './base-page.js';
+import { config } from '../config/index.js';
 
 /**
  * 페이민트(SPEEID) 결제 페이지 자동화 클래스
@@ -325,9 +326,10 @@ export class PaymintPaymentPage extends BasePage {
     this.logger.info('Filling card number...');
 
     try {
-      // 카드번호를 4자리씩 분리
-      const part1 = cardNumber.substring(0, 4);
-      const part2 = cardNumber.substring(4, 8);
+      // 구분자(-, 공백)를 제거한 뒤 4자리씩 분리
+      const digits = String(cardNumber).replace(/\D/g, '');
+      const part1 = digits.substring(0, 4);
+      const part2 = digits.substring(4, 8);
 
       // 첫 번째 입력 필드
       const input1 = this.page.locator(this.selectors.cardNumber1);
@@ -481,7 +483,7 @@ export class PaymintPaymentPage extends BasePage {
 
   /**
    * 전체 결제 프로세스 실행
-   * @param {Object} options 결제 옵션
+   * @param {Object} options 결제 옵션 (TestDataGenerator.generatePaymentInfo 결과를 그대로 사용 가능)
    */
   async executeFullPayment(options = {}) {
     const startTime = Date.now();
@@ -502,40 +504,59 @@ export class PaymintPaymentPage extends BasePage {
       selectedInstallment: installment,
       totalTime: 0,
       steps: [],
+      stepTimings: [], // 세부 단계별 소요 시간 ({ key, label, duration, success })
       errors: []
     };
 
+    // 세부 단계 시작 시 직전 단계를 마감하고 소요 시간을 기록
+    let currentStep = null;
+    const endStep = (success) => {
+      if (!currentStep) return;
+      result.stepTimings.push({
+        key: currentStep.key,
+        label: currentStep.label,
+        duration: Date.now() - currentStep.startTime,
+        success
+      });
+      currentStep = null;
+    };
+    const beginStep = (key, label) => {
+      endStep(true);
+      result.steps.push(label);
+      currentStep = { key, label, startTime: Date.now() };
+    };
+
     try {
       // 1. 페이지 로딩 대기
-      result.steps.push('페이지 로딩 대기');
+      beginStep('page-load', '페이지 로딩 대기');
       const loaded = await this.waitForPageLoad();
       if (!loaded) {
         throw new Error('Payment page failed to load');
       }
 
       // 2. 결제 정보 확인
-      result.steps.push('결제 정보 확인');
+      beginStep('payment-info', '결제 정보 확인');
       result.paymentInfo = await this.getPaymentInfo();
 
       if (useCardInput) {
         // 카드 입력 방식 사용
 
         // 3. 카드 입력 폼 열기
-        result.steps.push('카드 입력 폼 열기');
+        beginStep('open-card-form', '카드 입력 폼 열기');
         const formOpened = await this.openCardInputForm();
         if (!formOpened) {
           throw new Error('Failed to open card input form');
         }
 
         // 4. 카드사 선택
-        result.steps.push(`카드사 선택: ${cardName}`);
+        beginStep('select-card', `카드사 선택: ${cardName}`);
         const cardSelected = await this.selectCardFromDropdown(cardName);
         if (!cardSelected) {
           throw new Error(`Failed to select card: ${cardName}`);
         }
 
         // 5. 할부 선택
-        result.steps.push(`할부 선택: ${installment}`);
+        beginStep('select-installment', `할부 선택: ${installment}`);
         const installmentSelected = await this.selectInstallment(installment);
         if (!installmentSelected) {
           throw new Error(`Failed to select installment: ${installment}`);
@@ -543,7 +564,7 @@ export class PaymintPaymentPage extends BasePage {
 
         // 6. 서명 그리기
         if (drawSignature) {
-          result.steps.push('서명 그리기');
+          beginStep('draw-signature', '서명 그리기');
           this.logger.info('서명 그리기 시작');
           const signatureDone = await this.drawSignature();
           if (!signatureDone) {
@@ -553,7 +574,7 @@ export class PaymintPaymentPage extends BasePage {
         }
 
         // 7. 카드번호 입력 후 결제하기 버튼 클릭
-        result.steps.push('카드번호 입력 후 결제하기 버튼 클릭');
+        beginStep('click-payment-button', '카드번호 입력 후 결제하기 버튼 클릭');
         this.logger.info('카드번호 입력 후 결제하기 버튼 클릭 시작');
         const paymentClicked = await this.clickPaymentButton();
         if (!paymentClicked) {
@@ -562,14 +583,14 @@ export class PaymintPaymentPage extends BasePage {
         }
 
         // 8. 카드번호 입력
-        result.steps.push('카드번호 입력');
+        beginStep('fill-card-number', '카드번호 입력');
         const cardNumberFilled = await this.fillCardNumber(options.cardNumber || '1234567812345678');
         if (!cardNumberFilled) {
           throw new Error('Failed to fill card number');
         }
 
         // 9. 유효기간 입력
-        result.steps.push('유효기간 입력');
+        beginStep('fill-validity', '유효기간 입력');
         const validityFilled = await this.fillCardValidity(
           options.validityMonth || '12',
           options.validityYear || '25'
@@ -579,21 +600,21 @@ export class PaymintPaymentPage extends BasePage {
         }
 
         // 10. 생년월일 6자리
-        result.steps.push('생년월일 입력');
+        beginStep('fill-birth-date', '생년월일 입력');
         const birthDateFilled = await this.fillBirthDate(options.birthDate || '900101');
         if (!birthDateFilled) {
           throw new Error('Failed to fill birth date');
         }
 
         // 11. 비밀번호 앞 2자리 입력
-        result.steps.push('비밀번호 입력');
+        beginStep('fill-password', '비밀번호 입력');
         const passwordFilled = await this.fillCardPassword(options.cardPassword || '12');
         if (!passwordFilled) {
           throw new Error('Failed to fill card password');
         }
 
         // 12. 결제하기 버튼 클릭
-        result.steps.push('최종 결제하기 버튼 클릭');
+        beginStep('click-final-payment', '최종 결제하기 버튼 클릭');
         const finalPaymentClicked = await this.clickFinalPaymentButton();
         if (!finalPaymentClicked) {
           throw new Error('Failed to click final payment button');
@@ -601,10 +622,11 @@ export class PaymintPaymentPage extends BasePage {
         
       } else {
         // 기본 카드 선택 방식
-        result.steps.push(`초기 카드 선택: ${cardName}`);
+        beginStep('select-initial-card', `초기 카드 선택: ${cardName}`);
         await this.selectInitialCard(cardName);
       }
 
+      endStep(true);
       result.totalTime = Date.now() - startTime;
       result.success = true;
 
@@ -612,6 +634,7 @@ export class PaymintPaymentPage extends BasePage {
       this.logger.info(`Total execution time: ${result.totalTime}ms`);
 
     } catch (error) {
+      endStep(false);
       result.totalTime = Date.now() - startTime;
       result.errors.push(error.message);
       this.logger.error('Paymint payment process failed:', error);
@@ -628,7 +651,7 @@ export class PaymintPaymentPage extends BasePage {
       const currentUrl = this.getCurrentUrl();
 
       // URL 확인
-      if (!currentUrl.includes('paymint.co.kr')) {
+      if (!currentUrl.includes(config.paymentPopupPattern)) {
         this.logger.error('Not on Paymint payment page');
         return false;
       }
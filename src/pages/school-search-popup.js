@@ -1,4 +1,5 @@
 import { BasePage } from './base-page.js';
+import { randomSource } from '../utils/random.js';
 
 /**
  * 학교 검색 팝업 처리 클래스
@@ -57,8 +58,15 @@ export class SchoolSearchPopup extends BasePage {
     await this.safeType(this.selectors.searchInput, searchTerm);
     await this.randomDelay(300, 800);
     
+    // 다시 검색할 때 이전 검색 결과를 읽지 않도록 이전 결과가 사라질 때까지 대기
+    const previousResults = await this.page.$(this.selectors.resultsTitle);
+
     // 검색 버튼 클릭
     await this.safeClick(this.selectors.searchButton);
+
+    if (previousResults) {
+      await previousResults.waitForElementState('hidden', { timeout: 5000 }).catch(() => {});
+    }
     
     // 검색 결과 로딩 대기
     await this.page.waitForSelector(this.selectors.resultsTitle, {
@@ -126,6 +134,33 @@ export class SchoolSearchPopup extends BasePage {
     return firstResult.text;
   }
 
+  /**
+   * 학교 이름으로 검색해 선택
+   * 이름이 같은 결과를 우선 선택하고, 없으면 첫 번째 결과를 선택한다.
+   * @param {string} schoolName 학교 이름
+   * @returns {Promise<string|null>} 선택된 학교명 (검색 결과가 없으면 null)
+   */
+  async selectSchoolByName(schoolName) {
+    await this.searchSchool(schoolName);
+
+    const resultCount = await this.page.locator(this.selectors.resultsList).count();
+    if (resultCount === 0) {
+      this.logger.info(`No school found for: ${schoolName}`);
+      return null;
+    }
+
+    const results = await this.getSearchResults();
+    if (results.length === 0) {
+      return null;
+    }
+
+    const selectedResult = results.find(result => result.text === schoolName) || results[0];
+    await selectedResult.element.click();
+
+    this.logger.info(`Selected school: ${selectedResult.text} (searched: ${schoolName})`);
+    return selectedResult.text;
+  }
+
   /**
    * 임의의 검색 결과 선택
    * @returns {Promise<string>} 선택된 학교명
@@ -139,8 +174,8 @@ export class SchoolSearchPopup extends BasePage {
       throw new Error('No search results found');
     }
     
-    // 랜덤 인덱스 선택
-    const randomIndex = Math.floor(Math.random() * results.length);
+    // 랜덤 인덱스 선택 (세션 시드 사용)
+    const randomIndex = randomSource.forSession(this.sessionId).int(0, results.length - 1);
     const selectedResult = results[randomIndex];
     
     // 선택된 결과 클릭
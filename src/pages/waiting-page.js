@@ -1,11 +1,18 @@
 import { BasePage } from './base-page.js';
+import { QUEUE_POLL_INTERVAL_MS } from '../utils/queue-fairness.js';
 
 /**
  * 대기 페이지 처리 클래스
  */
 export class WaitingPage extends BasePage {
-  constructor(page, sessionId) {
+  /**
+   * @param {import('playwright').Page} page
+   * @param {string} sessionId 세션 ID
+   * @param {import('../utils/concurrent-monitor.js').ConcurrentMonitor} [monitor] 대기열 지표를 기록할 모니터
+   */
+  constructor(page, sessionId, monitor = null) {
     super(page, sessionId);
+    this.monitor = monitor;
     
     // 대기 페이지 요소 선택자들
     this.selectors = {
@@ -98,13 +105,14 @@ export class WaitingPage extends BasePage {
   /**
    * 대기 완료까지 대기
    * @param {number} maxWaitTime 최대 대기 시간 (ms)
+   * @param {{waitingCount: number, estimatedTime: number}} [initialInfo] 이미 관측한 대기 정보
    * @returns {Promise<boolean>} 대기 완료 여부
    */
-  async waitForCompletion(maxWaitTime = 300000) { // 기본 5분
+  async waitForCompletion(maxWaitTime = 300000, initialInfo = null) { // 기본 5분
     this.logger.info('Detected waiting page, starting to wait...');
     
     const startTime = Date.now();
-    let lastWaitingInfo = null;
+    let lastWaitingInfo = initialInfo;
     
     while (Date.now() - startTime < maxWaitTime) {
       try {
@@ -119,14 +127,12 @@ export class WaitingPage extends BasePage {
         const waitingInfo = await this.getWaitingInfo();
         if (JSON.stringify(waitingInfo) !== JSON.stringify(lastWaitingInfo)) {
           this.logger.info(`Waiting status: ${waitingInfo.waitingCount} people ahead, estimated ${waitingInfo.estimatedTime} seconds`);
+          this._notifyMonitor('recordQueueObservation', waitingInfo.waitingCount, waitingInfo.estimatedTime);
           lastWaitingInfo = waitingInfo;
         }
         
-        // 예상 대기 시간이 있으면 그에 맞춰 대기, 없으면 기본 5초
-        const waitInterval = waitingInfo.estimatedTime > 0 ? 
-          Math.min(waitingInfo.estimatedTime * 1000, 30000) : 5000;
-        
-        await this.page.waitForTimeout(waitInterval);
+        // 실제 대기 시간과 통과 시각을 정확히 재기 위해 예상 대기 시간과 관계없이 짧은 고정 간격으로 확인
+        await this.page.waitForTimeout(QUEUE_POLL_INTERVAL_MS);
         
       } catch (error) {
         this.logger.warn('Error during waiting:', error);
@@ -156,22 +162,25 @@ export class WaitingPage extends BasePage {
     this.logger.info(`Max wait time: ${Math.round(maxWaitTime/1000)}s`);
 
     // 대기 페이지 상세 정보 로깅
+    const startTime = Date.now();
     const waitingInfo = await this.getWaitingInfo();
     this.logger.info(`Queue position: ${waitingInfo.waitingCount} users ahead`);
     this.logger.info(`Estimated wait time: ${waitingInfo.estimatedTime}s`);
+    this._notifyMonitor('recordWaitingPage', waitingInfo.estimatedTime, waitingInfo.waitingCount);
 
     // 스크린샷 제거 (성능 향상)
 
     // 대기 완료까지 대기
-    const startTime = Date.now();
-    const completed = await this.waitForCompletion(maxWaitTime);
+    const completed = await this.waitForCompletion(maxWaitTime, waitingInfo);
     const actualWaitTime = Date.now() - startTime;
 
     if (completed) {
-      this.logger.info(`✓ Successfully passed through waiting page (waited ${Math.round(actualWaitTime/1000)}s)`);
+      this._notifyMonitor('recordWaitingPagePassed', actualWaitTime);
+      this.logger.info(`✓ Successfully passed through waiting page (waited ${Math.round(actualWaitTime/1000)}s, estimated ${waitingInfo.estimatedTime}s)`);
       // 대기 완료 후 잠시 대기 (페이지 안정화)
       await this.page.waitForTimeout(2000);
     } else {
+      this._notifyMonitor('recordWaitingPageTimeout', actualWaitTime);
       this.logger.error(`✗ FAILED to pass through waiting page after ${Math.round(actualWaitTime/1000)}s`);
       this.logger.error(`Timeout exceeded: ${Math.round(maxWaitTime/1000)}s`);
     }
@@ -199,4 +208,15 @@ export class WaitingPage extends BasePage {
       this.logger.warn('Error logging waiting status:', error);
     }
   }
+
+  /**
+   * 모니터에 대기열 지표 전달 (내부 헬퍼)
+   * @param {string} method ConcurrentMonitor 메서드 이름
+   * @param {...*} args 세션 ID 뒤에 전달할 인자
+   */
+  _notifyMonitor(method, ...args) {
+    if (this.monitor && typeof this.monitor[method] === 'function') {
+      this.monitor[method](this.sessionId, ...args);
+    }
+  }
 }
\ No newline at end of file
@@ -27,6 +27,13 @@
  * @property {boolean} privacyConsent - 개인정보 수집 동의
  */
 
+/**
+ * 상세정보 입력에 실제로 쓴 학년/학교 타입 (DetailedInfoPage.fillDetailedInfo)
+ * @typedef {Object} DetailedInfoSelection
+ * @property {{requested: string|null, label: string, value: string, fallback: boolean}|null} grade - 학년 (value는 #grd_cd 값, fallback은 요청한 학년이 드롭다운에 없어 고3 선택)
+ * @property {{requested: string|null, name: string, fallback: boolean}|null} school - 학교 (fallback은 검색 결과가 없어 "기타" 선택)
+ */
+
 /**
  * 수강반 선택 정보 타입
  * @typedef {Object} ClassSelection
@@ -39,12 +46,42 @@
  * 결제 정보 타입
  * @typedef {Object} PaymentInfo
  * @property {'card'|'bank'|'virtual'} method - 결제 방법
+ * @property {string} [cardName] - 카드사 이름 (카드 결제 시)
+ * @property {string} [installment] - 할부 개월수 (카드 결제 시)
  * @property {string} [cardNumber] - 카드 번호 (카드 결제 시)
- * @property {string} [expiryDate] - 만료일 (카드 결제 시)
+ * @property {string} [expiryDate] - 만료일 MM/YY (카드 결제 시)
+ * @property {string} [validityMonth] - 유효기간 월 MM (카드 결제 시)
+ * @property {string} [validityYear] - 유효기간 년 YY (카드 결제 시)
+ * @property {string} [birthDate] - 생년월일 YYMMDD (카드 결제 시)
+ * @property {string} [cardPassword] - 카드 비밀번호 앞 2자리 (카드 결제 시)
  * @property {string} [cvc] - CVC (카드 결제 시)
  * @property {string} [bankAccount] - 계좌번호 (계좌 결제 시)
  */
 
+/**
+ * 결제 세부 단계 소요 시간 타입
+ * @typedef {Object} PaymentStepTiming
+ * @property {string} key - 단계 키 (예: 'select-card', 'fill-card-number')
+ * @property {string} label - 단계 이름
+ * @property {number} duration - 소요 시간 (ms)
+ * @property {boolean} success - 성공 여부
+ */
+
+/**
+ * 네트워크 요청 기록 타입 (NetworkRecorder)
+ * @typedef {Object} NetworkRequest
+ * @property {string} sessionId - 세션 ID
+ * @property {string|null} step - 요청 시작 시점의 플로우 단계 (예: 'step2-basic')
+ * @property {string} url - 요청 URL
+ * @property {string} method - HTTP 메서드
+ * @property {string} resourceType - 리소스 유형 (document, xhr, fetch, image 등)
+ * @property {string|null} endpoint - 집계용 엔드포인트 이름 (정적 리소스는 null)
+ * @property {number|null} status - 응답 상태 코드 (응답 없음은 null)
+ * @property {number|null} ttfb - 첫 바이트까지 시간 (ms)
+ * @property {number} duration - 요청 전체 소요 시간 (ms)
+ * @property {boolean} failed - 실패 여부 (네트워크 오류 또는 4xx/5xx)
+ */
+
 /**
  * 테스트 오류 타입
  * @typedef {Object} TestError
@@ -65,6 +102,8 @@
  * @property {string[]} screenshots - 스크린샷 경로들
  * @property {StudentInfo} studentInfo - 사용된 학생 정보
  * @property {ClassSelection} [classSelection] - 선택된 수강반
+ * @property {PaymentStepTiming[]} [paymentSteps] - 결제 세부 단계별 소요 시간
+ * @property {{totalRequests: number, failedRequests: number, endpoints: Object}} [network] - 네트워크 요청 요약
  * @property {Date} startTime - 테스트 시작 시간
  * @property {Date} [endTime] - 테스트 종료 시간
  */
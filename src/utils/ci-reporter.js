@@ -0,0 +1,323 @@
+/**
+ * CI 결과 리포터
+ * 실행이 끝나면 CI 서버용 JUnit XML(junit.xml)과 요약 JSON(summary.json)을 남긴다.
+ * node cli.js multi --reporter junit,json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Logger } from './logger.js';
+import { percentileOf } from './thresholds.js';
+
+/**
+ * 지원하는 리포터 형식과 파일 이름
+ */
+const REPORTER_FILES = {
+  junit: 'junit.xml',
+  json: 'summary.json'
+};
+
+/**
+ * summary.json 스키마 버전 (필드를 바꾸면 올린다)
+ */
+export const SUMMARY_SCHEMA_VERSION = 1;
+
+const SUITE_PREFIX = 'course-registration';
+
+/**
+ * summary.json 형식
+ * @typedef {Object} RunSummaryJson
+ * @property {number} schemaVersion - SUMMARY_SCHEMA_VERSION
+ * @property {string|null} runId - 실행 ID (reports/runs.json과 같음)
+ * @property {string} mode - single, multi, load, rate, distributed, rerun
+ * @property {string} status - completed 또는 stopped (사용자가 중지)
+ * @property {boolean} passed - exitCode가 0이면 true
+ * @property {number} exitCode - CLI 종료 코드 (0 성공, 1 실패, 2 성능 기준 위반)
+ * @property {string} startTime - 시작 시각 (ISO 8601)
+ * @property {string} endTime - 종료 시각 (ISO 8601)
+ * @property {number} duration - 실행 시간 (ms)
+ * @property {{environment: string, environmentName: string, baseUrl: string, gitCommit: string|null}} environment
+ * @property {{sessions: number, successful: number, failed: number, successRate: number}} totals
+ * @property {{avg: number|null, min: number|null, p50: number|null, p95: number|null, max: number|null}} sessionTime - 세션 소요 시간 (ms)
+ * @property {Object.<string, {count: number, avg: number, p50: number, p95: number, max: number}>} steps - 단계별 소요 시간 (ms, stepTimes 키)
+ * @property {{sessionId: string, step: string, message: string, screenshot: string|null}[]} failures - 실패한 세션
+ * @property {{expression: string, actual: number|null, passed: boolean}[]|null} thresholds - 성능 기준 판정 (없으면 null)
+ * @property {string|null} reportDir - 모니터링 결과 폴더 (상대 경로)
+ */
+
+export class CiReporter {
+  /**
+   * @param {string[]} formats junit, json
+   * @param {string} [outputDir] 결과 파일 폴더 (기본: ./reports)
+   */
+  constructor(formats = [], outputDir = path.join(process.cwd(), 'reports')) {
+    this.logger = new Logger('CiReporter');
+    this.formats = formats;
+    this.outputDir = outputDir;
+  }
+
+  /**
+   * 리포터 목록 문자열 파싱 (쉼표 구분, 예: "junit,json")
+   * @param {string} text
+   * @param {string} [outputDir]
+   * @returns {CiReporter}
+   */
+  static parse(text, outputDir) {
+    const formats = String(text || '')
+      .split(',')
+      .map(format => format.trim().toLowerCase())
+      .filter(Boolean);
+
+    if (formats.length === 0) {
+      throw new Error('--reporter requires at least one of: junit, json');
+    }
+    formats.forEach(format => {
+      if (!REPORTER_FILES[format]) {
+        throw new Error(`Unknown reporter: ${format}. Expected one of: ${Object.keys(REPORTER_FILES).join(', ')}`);
+      }
+    });
+
+    return new CiReporter([...new Set(formats)], outputDir);
+  }
+
+  isEmpty() {
+    return this.formats.length === 0;
+  }
+
+  toString() {
+    return this.formats.map(format => `${format} (${path.join(this.outputDir, REPORTER_FILES[format])})`).join(', ');
+  }
+
+  /**
+   * 결과 파일 쓰기
+   * @param {Object} run
+   * @param {Object|null} run.record RunRegistry 기록 (실행 ID, git 커밋 등)
+   * @param {string} run.mode single, multi, load, rate, distributed, rerun
+   * @param {string} run.status completed 또는 stopped
+   * @param {Date} run.startedAt 시작 시각
+   * @param {Object[]} run.results 세션 결과 목록 (TestResult)
+   * @param {Object} run.summary TestExecutor 요약
+   * @param {Object[]|null} run.thresholds 성능 기준 판정 결과
+   * @param {number} run.exitCode CLI 종료 코드
+   * @param {string|null} run.logDir 모니터링 결과 폴더
+   * @param {Object} run.environment { environment, environmentName, baseUrl }
+   * @returns {Object.<string, string>} 형식별 파일 경로
+   */
+  write(run) {
+    fs.mkdirSync(this.outputDir, { recursive: true });
+
+    const files = {};
+    this.formats.forEach(format => {
+      const filePath = path.join(this.outputDir, REPORTER_FILES[format]);
+      const content = format === 'junit'
+        ? this.buildJUnitXml(run)
+        : JSON.stringify(this.buildSummary(run), null, 2);
+
+      fs.writeFileSync(filePath, content, 'utf8');
+      files[format] = filePath;
+      this.logger.info(`🧾 ${format} report written: ${filePath}`);
+    });
+
+    return files;
+  }
+
+  /**
+   * summary.json 내용
+   * @returns {RunSummaryJson}
+   */
+  buildSummary(run) {
+    const record = run.record || {};
+    const endTime = record.endTime ? new Date(record.endTime) : new Date();
+    const times = run.results.filter(result => result.totalTime > 0).map(result => result.totalTime);
+
+    const stepTimes = {};
+    run.results.forEach(result => {
+      Object.entries(result.stepTimes || {}).forEach(([step, duration]) => {
+        if (typeof duration !== 'number') return;
+        (stepTimes[step] = stepTimes[step] || []).push(duration);
+      });
+    });
+
+    const steps = {};
+    Object.entries(stepTimes).forEach(([step, values]) => {
+      steps[step] = {
+        count: values.length,
+        avg: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+        p50: percentileOf(values, 50),
+        p95: percentileOf(values, 95),
+        max: Math.max(...values)
+      };
+    });
+
+    return {
+      schemaVersion: SUMMARY_SCHEMA_VERSION,
+      runId: record.runId || null,
+      mode: run.mode,
+      status: run.status,
+      passed: run.exitCode === 0,
+      exitCode: run.exitCode,
+      startTime: run.startedAt.toISOString(),
+      endTime: endTime.toISOString(),
+      duration: endTime - run.startedAt,
+      environment: {
+        environment: run.environment.environment,
+        environmentName: run.environment.environmentName,
+        baseUrl: run.environment.baseUrl,
+        gitCommit: record.gitCommit ?? null
+      },
+      totals: {
+        sessions: run.summary.total,
+        successful: run.summary.successful,
+        failed: run.summary.failed,
+        successRate: run.summary.successRate
+      },
+      sessionTime: {
+        avg: times.length > 0 ? run.summary.avgTime : null,
+        min: times.length > 0 ? Math.min(...times) : null,
+        p50: times.length > 0 ? percentileOf(times, 50) : null,
+        p95: times.length > 0 ? percentileOf(times, 95) : null,
+        max: times.length > 0 ? Math.max(...times) : null
+      },
+      steps,
+      failures: run.results
+        .filter(result => !result.success)
+        .map(result => ({ sessionId: result.sessionId, ...this._describeFailure(result) })),
+      thresholds: run.thresholds
+        ? run.thresholds.map(result => ({ expression: result.expression, actual: result.actual, passed: result.passed }))
+        : null,
+      reportDir: run.logDir ? path.relative(process.cwd(), run.logDir) : null
+    };
+  }
+
+  /**
+   * junit.xml 내용
+   * 세션 하나가 testcase 하나이고, 단계별 소요 시간은 testcase의 property(step.<단계>, 초)로 남긴다.
+   * 성능 기준이 있으면 별도 testsuite에 기준마다 testcase 하나를 만든다.
+   * @returns {string}
+   */
+  buildJUnitXml(run) {
+    const record = run.record || {};
+    const timestamp = run.startedAt.toISOString().replace(/\.\d{3}Z$/, '');
+    const suites = [];
+
+    const failures = run.results.filter(result => !result.success).length;
+    const totalTime = run.results.reduce((sum, result) => sum + (result.totalTime || 0), 0);
+    let sessionSuite = `  <testsuite name="${SUITE_PREFIX}.${run.mode}" tests="${run.results.length}" failures="${failures}" errors="0" skipped="0" time="${toSeconds(totalTime)}" timestamp="${timestamp}">\n`;
+
+    sessionSuite += '    <properties>\n';
+    const suiteProperties = {
+      runId: record.runId,
+      mode: run.mode,
+      status: run.status,
+      environment: run.environment.environment,
+      baseUrl: run.environment.baseUrl,
+      gitCommit: record.gitCommit,
+      successRate: run.summary.successRate,
+      reportDir: run.logDir ? path.relative(process.cwd(), run.logDir) : null
+    };
+    Object.entries(suiteProperties).forEach(([name, value]) => {
+      if (value !== null && value !== undefined) sessionSuite += `      ${property(name, value)}\n`;
+    });
+    sessionSuite += '    </properties>\n';
+
+    run.results.forEach(result => {
+      const classname = `${SUITE_PREFIX}.${run.mode}.${result.scenario || 'full-flow'}`;
+      sessionSuite += `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(result.sessionId)}" time="${toSeconds(result.totalTime || 0)}">\n`;
+
+      const stepTimes = Object.entries(result.stepTimes || {}).filter(([, duration]) => typeof duration === 'number');
+      if (stepTimes.length > 0) {
+        sessionSuite += '      <properties>\n';
+        stepTimes.forEach(([step, duration]) => {
+          sessionSuite += `        ${property(`step.${step}`, toSeconds(duration))}\n`;
+        });
+        sessionSuite += '      </properties>\n';
+      }
+
+      if (!result.success) {
+        const failure = this._describeFailure(result);
+        let details = `단계: ${failure.step}\n메시지: ${failure.message}\n`;
+        if (failure.screenshot) details += `스크린샷: ${failure.screenshot}\n`;
+
+        sessionSuite += `      <failure message="${escapeXml(`[${failure.step}] ${failure.message}`)}" type="${escapeXml(failure.step)}">${escapeXml(details)}</failure>\n`;
+
+        // Jenkins Attachments 플러그인 형식 (스크린샷을 테스트 결과에 첨부)
+        if (failure.screenshot) {
+          sessionSuite += `      <system-out>${escapeXml(`[[ATTACHMENT|${path.resolve(failure.screenshot)}]]`)}</system-out>\n`;
+        }
+      }
+
+      sessionSuite += '    </testcase>\n';
+    });
+    sessionSuite += '  </testsuite>\n';
+    suites.push(sessionSuite);
+
+    if (run.thresholds && run.thresholds.length > 0) {
+      const breached = run.thresholds.filter(result => !result.passed).length;
+      let thresholdSuite = `  <testsuite name="${SUITE_PREFIX}.thresholds" tests="${run.thresholds.length}" failures="${breached}" errors="0" skipped="0" time="0" timestamp="${timestamp}">\n`;
+
+      run.thresholds.forEach(result => {
+        thresholdSuite += `    <testcase classname="${SUITE_PREFIX}.thresholds" name="${escapeXml(result.expression)}" time="0">`;
+        if (!result.passed) {
+          const message = `${result.expression} 위반 (실제 값: ${result.actual ?? '측정값 없음'})`;
+          thresholdSuite += `\n      <failure message="${escapeXml(message)}" type="threshold">${escapeXml(message)}</failure>\n    `;
+        }
+        thresholdSuite += '</testcase>\n';
+      });
+      thresholdSuite += '  </testsuite>\n';
+      suites.push(thresholdSuite);
+    }
+
+    const tests = run.results.length + (run.thresholds ? run.thresholds.length : 0);
+    const totalFailures = failures + (run.thresholds ? run.thresholds.filter(result => !result.passed).length : 0);
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<testsuites name="${SUITE_PREFIX}" tests="${tests}" failures="${totalFailures}" errors="0" time="${toSeconds(totalTime)}">\n` +
+      suites.join('') +
+      '</testsuites>\n';
+  }
+
+  /**
+   * 실패한 세션의 단계, 메시지, 스크린샷 (내부 헬퍼)
+   * FlowManager({ step, message, screenshot }), TestSession({ operation, error, screenshot }),
+   * TestExecutor 예외({ error: 문자열 }) 형식을 모두 받는다.
+   */
+  _describeFailure(result) {
+    const errors = result.errors || [];
+    const last = errors[errors.length - 1] || {};
+    const screenshots = result.screenshots || [];
+
+    return {
+      step: last.step || last.operation || 'unknown',
+      message: stripAnsi(last.message || last.error || result.error || 'Session failed'),
+      screenshot: last.screenshot || screenshots[screenshots.length - 1] || null
+    };
+  }
+}
+
+function property(name, value) {
+  return `<property name="${escapeXml(name)}" value="${escapeXml(value)}"/>`;
+}
+
+function toSeconds(ms) {
+  return (ms / 1000).toFixed(3);
+}
+
+/**
+ * Playwright 에러 메시지의 터미널 색상 코드 제거
+ */
+function stripAnsi(text) {
+  return String(text).replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+/**
+ * XML 특수문자 이스케이프 (XML 1.0에서 허용하지 않는 제어 문자는 제거)
+ */
+function escapeXml(value) {
+  return stripAnsi(value)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -1,14 +1,44 @@
 import { Logger } from './logger.js';
 import { KoreanReportGenerator } from './korean-report-generator.js';
+import { HtmlReportGenerator } from './html-report-generator.js';
+import { RateLimiter } from './rate-limiter.js';
+import { Thresholds, percentileOf } from './thresholds.js';
+import { analyzeQueueFairness } from './queue-fairness.js';
+import { EventEmitter } from 'events';
 import fs from 'fs';
 import path from 'path';
 
+/**
+ * FlowManager stepTimes 키 → 모니터 단계 이름
+ */
+const STEP_TIME_KEYS = {
+  'course-selection': 'step1-course',
+  'basic-info': 'step2-basic',
+  'detailed-info': 'step3-detailed',
+  'class': 'step4-class',
+  'payment': 'step5-payment'
+};
+
+/**
+ * 예상 대기 시간 정확도 허용 오차: 예상의 20% 또는 3초 중 큰 값 이내면 정확한 예상으로 본다
+ */
+const QUEUE_ESTIMATE_TOLERANCE_RATIO = 0.2;
+const QUEUE_ESTIMATE_TOLERANCE_SECONDS = 3;
+
 /**
  * 동접 테스트용 실시간 모니터링 클래스
  * 400명 동접 테스트 시 실시간 상태 추적
  */
 export class ConcurrentMonitor {
-  constructor(testName = 'concurrent-test') {
+  /**
+   * @param {string} testName 테스트 이름
+   * @param {Object} options
+   * @param {Object} [options.rateLimit] 유량 제어 설정 ({ globalRps, actionRps })
+   * @param {Thresholds|string[]} [options.thresholds] 종료 시 판정할 성능 기준
+   * @param {number} [options.seed] 실행 시드 (세션별 시드는 sessions[].seed)
+   * @param {Object} [options.rerunOf] 재실행한 원래 실행 ({ runId, dir, testName })
+   */
+  constructor(testName = 'concurrent-test', options = {}) {
     this.testName = testName;
     this.logger = new Logger('ConcurrentMonitor');
     this.startTime = Date.now();
@@ -33,21 +63,100 @@ export class ConcurrentMonitor {
       avgWaitTime: 0
     };
 
+    // 실행 시드 (같은 시드로 다시 실행하면 같은 데이터, 시나리오, 지연으로 실행)
+    this.stats.seed = options.seed ?? null;
+
+    // 재실행 원본 (rerun 모드에서만 사용, 세션별 원래 세션 ID는 sessions[].originalSessionId)
+    this.stats.rerunOf = options.rerunOf || null;
+
+    // 유량 제어 (전역 + 작업별 토큰 버킷)
+    this.rateLimiter = new RateLimiter(options.rateLimit);
+    this.stats.rateLimit = {
+      enabled: this.rateLimiter.isEnabled(),
+      ...this.rateLimiter.getConfig(),
+      totalActions: 0,
+      throttledActions: 0,
+      totalDelayMs: 0,
+      maxDelayMs: 0,
+      byAction: {}
+    };
+
+    // 부하 프로파일 단계 (프로파일 실행 시에만 사용)
+    this.currentStage = null;
+    this.stats.stages = [];
+    this.stats.firstFailure = null; // 첫 실패 시점의 단계와 동시 실행 수
+
+    // 도착률 모드 통계 (rate 모드에서만 사용)
+    this.stats.arrivals = null;
+
+    // 워커별 반복 실행 통계 (load 모드에서 workerId 메타데이터로 등록된 세션만 집계)
+    this.stats.workers = {};
+
+    // 시나리오별 결과 (--scenario / --mix 실행 시에만 사용)
+    this.stats.scenarios = null;
+
+    // 브라우저 엔진별 결과 (--browser 실행 시에만 사용)
+    this.stats.browsers = null;
+
+    // 학년별 결과 (상세정보 입력에서 실제로 선택한 학년 기준, 학교를 "기타"로 대체한 횟수 포함)
+    this.stats.grades = {};
+
+    // 단계별 소요 시간 목록 (성능 기준의 p95(step2-basic) 등 계산용, session은 세션 전체)
+    this.stats.stepDurations = {};
+
+    // 성능 기준 (종료 시 판정 결과를 stats.thresholds에 기록)
+    this.thresholds = options.thresholds instanceof Thresholds
+      ? options.thresholds
+      : Thresholds.parse(options.thresholds || []);
+    this.stats.thresholds = null;
+
+    // 결제 세부 단계별 소요 시간 (Paymint 결제 단계 키별 집계)
+    this.stats.paymentSteps = {};
+
+    // 네트워크 요청 통계 (NetworkRecorder가 기록, 엔드포인트별 서버 응답 시간)
+    this.stats.network = { totalRequests: 0, failedRequests: 0 };
+    this.stats.endpoints = {};
+    this.pendingNetworkLines = [];
+
+    // 대기열 통계 (WaitingPage가 기록, 세션별 대기 기록은 session.queueVisits)
+    this.stats.queue = {
+      visits: 0,
+      passed: 0,
+      timedOut: 0,
+      observations: 0,
+      positionIncreases: 0, // 대기 중 순번이 뒤로 밀린 횟수
+      summary: null,
+      fairness: null // 진입/통과 순서 비교 (analyzeQueueFairness)
+    };
+
+    // 처리량 시계열 (모니터링 주기마다 구간별 완료/실패 건수 기록)
+    this.stats.throughput = [];
+    this.lastThroughputSample = { elapsed: 0, completed: 0, failed: 0 };
+
     // 세션별 상태 추적
     this.sessions = new Map();
 
+    // 에이전트별 최신 카운터 (분산 실행 코디네이터에서만 사용)
+    this.agentCounters = new Map();
+
     // 로그 파일 설정 - 날짜별 폴더 + 테스트별 폴더로 정리
     const now = new Date();
     const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
     const timeStr = now.toTimeString().split(' ')[0].replace(/:/g, '-'); // HH-MM-SS
 
     // 날짜별 폴더 + 테스트별 폴더 생성 (예: reports/monitoring/2025-10-15/10-30-45-multi-test-2/)
+    // 같은 초에 같은 이름으로 시작한 실행이 있으면 번호를 붙임 (폴더 이름이 실행 ID가 되므로 겹치면 안 됨)
     const testDirName = `${timeStr}-${testName}`;
-    this.logDir = path.join(process.cwd(), 'reports', 'monitoring', dateStr, testDirName);
+    const baseLogDir = path.join(process.cwd(), 'reports', 'monitoring', dateStr, testDirName);
+    this.logDir = baseLogDir;
+    for (let suffix = 2; fs.existsSync(this.logDir); suffix++) {
+      this.logDir = `${baseLogDir}-${suffix}`;
+    }
     this.ensureLogDirectory();
 
     this.logFile = path.join(this.logDir, 'test.log');
     this.statsFile = path.join(this.logDir, 'stats.json');
+    this.networkLogFile = path.join(this.logDir, 'network.log');
 
     // 실시간 모니터링 시작
     this.startMonitoring();
@@ -67,8 +176,10 @@ export class ConcurrentMonitor {
    */
   startMonitoring() {
     this.monitorInterval = setInterval(() => {
+      this.recordThroughputSample();
+      this.flushNetworkLog();
       this.printStatus();
-      this.saveStats();
+      this.saveStats({ includeSamples: false });
     }, 5000); // 5초마다 상태 출력
 
     this.logger.info('🚀 Concurrent monitoring started');
@@ -85,12 +196,20 @@ export class ConcurrentMonitor {
       this.monitorInterval = null;
     }
 
+    this.endStages();
+    this.recordThroughputSample();
+    this.flushNetworkLog();
+    this.summarizeEndpoints();
+    this.summarizeQueue();
+    this.evaluateThresholds();
+
     // 최종 통계 저장
     this.printFinalReport();
     this.saveStats();
 
     // 한글 보고서 생성
     await this.generateKoreanReport();
+    await this.generateHtmlReport();
 
     this.logger.info('🏁 Concurrent monitoring stopped');
   }
@@ -109,6 +228,279 @@ export class ConcurrentMonitor {
     }
   }
 
+  /**
+   * 차트가 들어간 HTML 보고서 생성 (reports/latest.html에도 복사)
+   */
+  async generateHtmlReport() {
+    try {
+      const reportPath = new HtmlReportGenerator().generateReport(this.statsFile);
+      this.logger.info(`📈 HTML report: ${reportPath}`);
+      console.log(`📈 차트 보고서가 생성되었습니다: ${reportPath} (npm run view-report)\n`);
+    } catch (error) {
+      this.logger.error('HTML 보고서 생성 실패:', error);
+    }
+  }
+
+  /**
+   * 부하 프로파일 단계 전환
+   * @param {Object} stage LoadProfile 단계 ({ index, label, from, to, duration })
+   */
+  setStage(stage) {
+    const stageStats = {
+      index: stage.index,
+      label: stage.label,
+      from: stage.from,
+      to: stage.to,
+      plannedDuration: stage.duration,
+      startElapsed: Date.now() - this.startTime,
+      endElapsed: null,
+      started: 0,
+      completed: 0,
+      failed: 0,
+      maxRunning: this.stats.running
+    };
+
+    if (this.currentStage) {
+      this.currentStage.endElapsed = stageStats.startElapsed;
+    }
+
+    this.stats.stages.push(stageStats);
+    this.currentStage = stageStats;
+
+    this.logger.info(`📈 Load stage ${stage.index + 1}: ${stage.label} (${stage.from} → ${stage.to} users)`);
+    this.logEvent('STAGE_CHANGED', {
+      stage: stage.label,
+      from: stage.from,
+      to: stage.to,
+      running: this.stats.running
+    });
+  }
+
+  /**
+   * 부하 프로파일 종료 (마지막 단계 마감)
+   */
+  endStages() {
+    if (this.currentStage) {
+      this.currentStage.endElapsed = Date.now() - this.startTime;
+      this.currentStage = null;
+    }
+  }
+
+  /**
+   * 도착률 모드 설정
+   * @param {Object} options - { targetRps, maxInFlight }
+   */
+  configureArrivals({ targetRps, maxInFlight }) {
+    this.stats.arrivals = {
+      targetRps,
+      maxInFlight,
+      scheduled: 0,
+      started: 0,
+      dropped: 0,
+      maxInFlightReached: 0 // 드롭 발생 시점의 최대 동시 실행 수
+    };
+  }
+
+  /**
+   * 도착한 세션 시작 기록
+   */
+  recordArrival() {
+    if (!this.stats.arrivals) return;
+
+    this.stats.arrivals.scheduled++;
+    this.stats.arrivals.started++;
+  }
+
+  /**
+   * 동시 실행 상한으로 드롭된 도착 기록
+   * @param {number} arrivalIndex 도착 순번
+   * @param {number} inFlight 드롭 시점의 동시 실행 수
+   */
+  recordDroppedArrival(arrivalIndex, inFlight) {
+    if (!this.stats.arrivals) return;
+
+    this.stats.arrivals.scheduled++;
+    this.stats.arrivals.dropped++;
+    this.stats.arrivals.maxInFlightReached = Math.max(this.stats.arrivals.maxInFlightReached, inFlight);
+
+    this.logEvent('ARRIVAL_DROPPED', {
+      arrival: arrivalIndex,
+      inFlight,
+      dropped: this.stats.arrivals.dropped
+    });
+  }
+
+  /**
+   * 성능 기준 판정
+   * @returns {Array|null} 판정 결과 (기준이 없으면 null)
+   */
+  evaluateThresholds() {
+    if (this.thresholds.isEmpty()) return null;
+
+    this.stats.thresholds = this.thresholds.evaluate(this.stats);
+    const breached = this.stats.thresholds.filter(result => !result.passed);
+
+    this.logEvent('THRESHOLDS_EVALUATED', {
+      passed: this.stats.thresholds.length - breached.length,
+      breached: breached.map(result => result.expression)
+    });
+
+    return this.stats.thresholds;
+  }
+
+  /**
+   * 단계별 소요 시간 기록 (내부 헬퍼)
+   */
+  _recordStepDurations(session, result) {
+    const record = (name, duration) => {
+      if (!(duration >= 0)) return;
+      if (!this.stats.stepDurations[name]) this.stats.stepDurations[name] = [];
+      this.stats.stepDurations[name].push(duration);
+    };
+
+    Object.entries(result.stepTimes || {}).forEach(([key, duration]) => {
+      if (STEP_TIME_KEYS[key]) record(STEP_TIME_KEYS[key], duration);
+    });
+    record('session', session.duration);
+  }
+
+  /**
+   * 학년별 세션 결과 집계 (내부 헬퍼)
+   * 상세정보 입력 단계까지 가지 못한 세션은 제외한다.
+   */
+  _recordGradeResult(success, detailedInfo) {
+    const grade = detailedInfo?.grade;
+    if (!grade) return;
+
+    if (!this.stats.grades[grade.label]) {
+      this.stats.grades[grade.label] = { value: grade.value, total: 0, completed: 0, failed: 0, gradeFallbacks: 0, schoolFallbacks: 0 };
+    }
+
+    const gradeStats = this.stats.grades[grade.label];
+    gradeStats.total++;
+    gradeStats[success ? 'completed' : 'failed']++;
+    if (grade.fallback) gradeStats.gradeFallbacks++;
+    if (detailedInfo.school?.fallback) gradeStats.schoolFallbacks++;
+  }
+
+  /**
+   * 시나리오 구성 설정
+   * @param {Object.<string, number>} weights 시나리오 이름별 비율 (%)
+   */
+  configureScenarios(weights) {
+    this.stats.scenarios = {};
+    Object.entries(weights).forEach(([name, weight]) => {
+      this._getScenarioStats(name).weight = weight;
+    });
+  }
+
+  /**
+   * 시나리오 통계 조회/생성 (내부 헬퍼)
+   */
+  _getScenarioStats(name) {
+    if (!this.stats.scenarios[name]) {
+      this.stats.scenarios[name] = {
+        weight: null,
+        total: 0,
+        completed: 0,
+        failed: 0,
+        totalDuration: 0,
+        minDuration: null,
+        maxDuration: 0,
+        steps: {} // 단계 이름별 { count, failed, totalDuration, maxDuration }
+      };
+    }
+    return this.stats.scenarios[name];
+  }
+
+  /**
+   * 시나리오별 세션 결과 집계 (내부 헬퍼)
+   */
+  _recordScenarioResult(session, success, result) {
+    const scenarioStats = this._getScenarioStats(session.scenario);
+
+    scenarioStats[success ? 'completed' : 'failed']++;
+    scenarioStats.totalDuration += session.duration;
+    scenarioStats.minDuration = scenarioStats.minDuration === null
+      ? session.duration
+      : Math.min(scenarioStats.minDuration, session.duration);
+    scenarioStats.maxDuration = Math.max(scenarioStats.maxDuration, session.duration);
+
+    (result.scenarioSteps || []).forEach(step => {
+      if (!scenarioStats.steps[step.name]) {
+        scenarioStats.steps[step.name] = { count: 0, failed: 0, totalDuration: 0, maxDuration: 0 };
+      }
+      const stepStats = scenarioStats.steps[step.name];
+
+      stepStats.count++;
+      if (!step.success) stepStats.failed++;
+      stepStats.totalDuration += step.duration;
+      stepStats.maxDuration = Math.max(stepStats.maxDuration, step.duration);
+    });
+  }
+
+  /**
+   * 브라우저 엔진 구성 설정
+   * @param {Object.<string, number>} weights 엔진별 비율 (%)
+   */
+  configureBrowsers(weights) {
+    this.stats.browsers = {};
+    Object.entries(weights).forEach(([engine, weight]) => {
+      this._getBrowserStats(engine).weight = weight;
+    });
+  }
+
+  /**
+   * 브라우저 엔진 통계 조회/생성 (내부 헬퍼)
+   */
+  _getBrowserStats(engine) {
+    if (!this.stats.browsers[engine]) {
+      this.stats.browsers[engine] = { weight: null, total: 0, completed: 0, failed: 0, totalDuration: 0 };
+    }
+    return this.stats.browsers[engine];
+  }
+
+  /**
+   * 처리량 구간 기록
+   * 직전 기록 이후 완료/실패한 세션 수와 현재 동시 실행 수를 시계열에 추가한다.
+   */
+  recordThroughputSample() {
+    const elapsed = Date.now() - this.startTime;
+    const last = this.lastThroughputSample;
+    const intervalMs = elapsed - last.elapsed;
+    if (intervalMs <= 0) return;
+
+    const completed = this.stats.completed - last.completed;
+    const failed = this.stats.failed - last.failed;
+
+    this.stats.throughput.push({
+      elapsed,
+      intervalMs,
+      completed,
+      failed,
+      running: this.stats.running,
+      perMinute: Math.round(((completed + failed) / intervalMs) * 60000 * 100) / 100
+    });
+
+    this.lastThroughputSample = { elapsed, completed: this.stats.completed, failed: this.stats.failed };
+  }
+
+  /**
+   * 워커 반복 실행 집계 (내부 헬퍼)
+   */
+  _recordWorkerIteration(session, success) {
+    const key = String(session.workerId);
+
+    if (!this.stats.workers[key]) {
+      this.stats.workers[key] = { iterations: 0, completed: 0, failed: 0, totalDuration: 0 };
+    }
+    const workerStats = this.stats.workers[key];
+
+    workerStats.iterations++;
+    workerStats[success ? 'completed' : 'failed']++;
+    workerStats.totalDuration += session.duration;
+  }
+
   /**
    * 세션 등록
    */
@@ -125,6 +517,15 @@ export class ConcurrentMonitor {
     });
 
     this.stats.total++;
+
+    if (this.stats.scenarios && metadata.scenario) {
+      this._getScenarioStats(metadata.scenario).total++;
+    }
+
+    if (this.stats.browsers && metadata.browser) {
+      this._getBrowserStats(metadata.browser).total++;
+    }
+
     this.logEvent('SESSION_REGISTERED', { sessionId, total: this.stats.total });
   }
 
@@ -138,6 +539,12 @@ export class ConcurrentMonitor {
       session.actualStartTime = Date.now();
       this.stats.running++;
 
+      if (this.currentStage) {
+        session.stage = this.currentStage.label;
+        this.currentStage.started++;
+        this.currentStage.maxRunning = Math.max(this.currentStage.maxRunning, this.stats.running);
+      }
+
       this.logEvent('SESSION_STARTED', { sessionId, running: this.stats.running });
     }
   }
@@ -151,6 +558,10 @@ export class ConcurrentMonitor {
       session.currentStep = step;
       session.lastStepTime = Date.now();
 
+      // 단계 시작 시각 (테스트 시작 기준 ms, HTML 보고서의 세션별 간트 차트용)
+      if (!session.stepTimeline) session.stepTimeline = [];
+      session.stepTimeline.push({ step, elapsed: session.lastStepTime - this.startTime });
+
       this.stats.stepStats[step] = (this.stats.stepStats[step] || 0) + 1;
 
       this.logEvent('STEP_UPDATE', { sessionId, step });
@@ -158,39 +569,344 @@ export class ConcurrentMonitor {
   }
 
   /**
-   * 대기 페이지 발생 기록
+   * 유량 제어 대기
+   * FlowManager가 각 작업 실행 직전에 호출한다.
+   * @param {string} actionName 작업 이름 (예: 'click-payment-button')
+   * @param {string} sessionId 세션 ID
+   * @returns {Promise<number>} 대기한 시간 (ms)
+   */
+  async waitForRateLimit(actionName = null, sessionId = null) {
+    const delay = await this.rateLimiter.acquire(actionName);
+    const rateStats = this.stats.rateLimit;
+    const key = actionName || 'unknown';
+
+    if (!rateStats.byAction[key]) {
+      rateStats.byAction[key] = { count: 0, throttled: 0, totalDelayMs: 0, maxDelayMs: 0 };
+    }
+    const actionStats = rateStats.byAction[key];
+
+    rateStats.totalActions++;
+    actionStats.count++;
+
+    if (delay > 0) {
+      rateStats.throttledActions++;
+      rateStats.totalDelayMs += delay;
+      rateStats.maxDelayMs = Math.max(rateStats.maxDelayMs, delay);
+
+      actionStats.throttled++;
+      actionStats.totalDelayMs += delay;
+      actionStats.maxDelayMs = Math.max(actionStats.maxDelayMs, delay);
+
+      const session = sessionId ? this.sessions.get(sessionId) : null;
+      if (session) {
+        session.rateLimitDelay = (session.rateLimitDelay || 0) + delay;
+      }
+
+      this.logEvent('RATE_LIMITED', { sessionId, action: key, delay });
+    }
+
+    return delay;
+  }
+
+  /**
+   * 결제 세부 단계 소요 시간 기록
+   * @param {string} sessionId 세션 ID
+   * @param {Array<{key: string, label: string, duration: number, success: boolean}>} steps
+   */
+  recordPaymentSteps(sessionId, steps) {
+    steps.forEach(step => {
+      if (!this.stats.paymentSteps[step.key]) {
+        this.stats.paymentSteps[step.key] = {
+          label: step.label,
+          count: 0,
+          failed: 0,
+          totalDuration: 0,
+          minDuration: null,
+          maxDuration: 0
+        };
+      }
+      const stepStats = this.stats.paymentSteps[step.key];
+
+      stepStats.count++;
+      if (!step.success) stepStats.failed++;
+      stepStats.totalDuration += step.duration;
+      stepStats.minDuration = stepStats.minDuration === null ? step.duration : Math.min(stepStats.minDuration, step.duration);
+      stepStats.maxDuration = Math.max(stepStats.maxDuration, step.duration);
+    });
+
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.paymentSteps = steps;
+    }
+
+    this.logEvent('PAYMENT_STEPS', {
+      sessionId,
+      steps: steps.map(step => ({ key: step.key, duration: step.duration, success: step.success }))
+    });
+  }
+
+  /**
+   * 네트워크 요청 기록 (엔드포인트 집계 + network.log 버퍼)
+   * @param {string} sessionId 세션 ID
+   * @param {Object} entry NetworkRecorder 요청 기록 ({ url, method, status, ttfb, duration, step, endpoint, failed })
+   */
+  recordRequest(sessionId, entry) {
+    this.stats.network.totalRequests++;
+    if (entry.failed) this.stats.network.failedRequests++;
+
+    if (entry.endpoint) {
+      if (!this.stats.endpoints[entry.endpoint]) {
+        this.stats.endpoints[entry.endpoint] = {
+          count: 0,
+          failed: 0,
+          statusCodes: {},
+          steps: {},
+          durations: [],
+          ttfbs: []
+        };
+      }
+      const endpointStats = this.stats.endpoints[entry.endpoint];
+
+      endpointStats.count++;
+      if (entry.failed) endpointStats.failed++;
+      const statusKey = entry.status === null ? 'failed' : String(entry.status);
+      endpointStats.statusCodes[statusKey] = (endpointStats.statusCodes[statusKey] || 0) + 1;
+      const stepKey = entry.step || 'setup';
+      endpointStats.steps[stepKey] = (endpointStats.steps[stepKey] || 0) + 1;
+      endpointStats.durations.push(entry.duration);
+      if (entry.ttfb !== null) endpointStats.ttfbs.push(entry.ttfb);
+    }
+
+    this.pendingNetworkLines.push(JSON.stringify({ ...entry, sessionId, elapsed: Date.now() - this.startTime }));
+  }
+
+  /**
+   * 버퍼에 쌓인 요청 기록을 network.log에 추가
+   */
+  flushNetworkLog() {
+    if (this.pendingNetworkLines.length === 0) return;
+
+    fs.appendFileSync(this.networkLogFile, this.pendingNetworkLines.join('\n') + '\n');
+    this.pendingNetworkLines = [];
+  }
+
+  /**
+   * 엔드포인트별 응답 시간 백분위 계산 (stats.endpoints[이름].summary)
+   */
+  summarizeEndpoints() {
+    Object.values(this.stats.endpoints).forEach(endpointStats => {
+      const { durations, ttfbs } = endpointStats;
+      endpointStats.summary = {
+        avg: Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length),
+        p50: percentileOf(durations, 50),
+        p90: percentileOf(durations, 90),
+        p95: percentileOf(durations, 95),
+        p99: percentileOf(durations, 99),
+        max: durations.reduce((max, value) => Math.max(max, value), 0),
+        ttfbP50: ttfbs.length > 0 ? percentileOf(ttfbs, 50) : null,
+        ttfbP95: ttfbs.length > 0 ? percentileOf(ttfbs, 95) : null
+      };
+    });
+  }
+
+  /**
+   * 대기 페이지 진입 기록 (처음 관측한 대기 순번과 예상 대기 시간)
+   * @param {string} sessionId 세션 ID
+   * @param {number} estimatedTime 예상 대기 시간 (초)
+   * @param {number} queuePosition 대기 순번 (앞선 대기인원)
    */
-  recordWaitingPage(sessionId, waitTime, queuePosition) {
+  recordWaitingPage(sessionId, estimatedTime, queuePosition) {
     const session = this.sessions.get(sessionId);
     if (session) {
+      const elapsed = Date.now() - this.startTime;
+
       session.waitingEncountered = true;
-      session.waitTime = waitTime;
-      session.queuePosition = queuePosition;
+      session.queuePosition = Math.max(session.queuePosition || 0, queuePosition);
+      if (!session.queueVisits) session.queueVisits = [];
+      session.queueVisits.push({
+        step: session.currentStep,
+        enteredAt: elapsed,
+        initialPosition: queuePosition,
+        initialEstimate: estimatedTime,
+        observations: [{ elapsed, position: queuePosition, estimatedTime }],
+        positionIncreases: 0,
+        status: 'waiting'
+      });
 
       this.stats.waiting++;
       this.stats.waitingPageEncounters++;
-      this.stats.avgWaitTime = ((this.stats.avgWaitTime * (this.stats.waitingPageEncounters - 1)) + waitTime) / this.stats.waitingPageEncounters;
+      this.stats.queue.visits++;
+      this.stats.queue.observations++;
 
       this.logEvent('WAITING_PAGE', {
         sessionId,
-        waitTime,
+        estimatedTime,
         queuePosition,
-        totalWaiting: this.stats.waiting,
-        avgWaitTime: Math.round(this.stats.avgWaitTime)
+        totalWaiting: this.stats.waiting
       });
     }
   }
 
   /**
-   * 대기 페이지 통과 기록
+   * 대기 중 관측한 순번/예상 대기 시간 변화 기록
+   * @param {string} sessionId 세션 ID
+   * @param {number} queuePosition 대기 순번 (앞선 대기인원)
+   * @param {number} estimatedTime 예상 대기 시간 (초)
+   */
+  recordQueueObservation(sessionId, queuePosition, estimatedTime) {
+    const visit = this._getCurrentQueueVisit(sessionId);
+    if (!visit) return;
+
+    const previous = visit.observations[visit.observations.length - 1];
+    visit.observations.push({ elapsed: Date.now() - this.startTime, position: queuePosition, estimatedTime });
+    this.stats.queue.observations++;
+
+    if (previous && queuePosition > previous.position) {
+      visit.positionIncreases++;
+      this.stats.queue.positionIncreases++;
+    }
+
+    this.logEvent('QUEUE_POSITION', { sessionId, queuePosition, estimatedTime });
+  }
+
+  /**
+   * 대기 페이지 통과 기록 (실제 대기 시간과 예상 정확도)
+   * @param {string} sessionId 세션 ID
+   * @param {number} actualWaitTime 실제 대기 시간 (ms)
+   */
+  recordWaitingPagePassed(sessionId, actualWaitTime) {
+    const visit = this._finishQueueVisit(sessionId, 'passed', actualWaitTime);
+    if (!visit) return;
+
+    this.stats.queue.passed++;
+    this.stats.avgWaitTime = ((this.stats.avgWaitTime * (this.stats.queue.passed - 1)) + actualWaitTime / 1000) / this.stats.queue.passed;
+
+    this.logEvent('WAITING_PASSED', {
+      sessionId,
+      actualWaitTime,
+      estimatedTime: visit.initialEstimate,
+      estimateError: visit.estimateError,
+      accurate: visit.accurate,
+      remainingWaiting: this.stats.waiting
+    });
+  }
+
+  /**
+   * 대기 페이지 시간 초과 기록
+   * @param {string} sessionId 세션 ID
+   * @param {number} actualWaitTime 포기하기까지 대기한 시간 (ms)
+   */
+  recordWaitingPageTimeout(sessionId, actualWaitTime) {
+    const visit = this._finishQueueVisit(sessionId, 'timeout', actualWaitTime);
+    if (!visit) return;
+
+    this.stats.queue.timedOut++;
+
+    this.logEvent('WAITING_TIMEOUT', {
+      sessionId,
+      actualWaitTime,
+      estimatedTime: visit.initialEstimate,
+      remainingWaiting: this.stats.waiting
+    });
+  }
+
+  /**
+   * 세션의 진행 중인 대기 기록 조회 (내부 헬퍼)
+   * @param {string} sessionId
+   * @returns {Object|null}
    */
-  recordWaitingPagePassed(sessionId) {
+  _getCurrentQueueVisit(sessionId) {
     const session = this.sessions.get(sessionId);
-    if (session && session.waitingEncountered) {
-      this.stats.waiting = Math.max(0, this.stats.waiting - 1);
+    if (!session || !session.queueVisits) return null;
 
-      this.logEvent('WAITING_PASSED', { sessionId, remainingWaiting: this.stats.waiting });
+    const visit = session.queueVisits[session.queueVisits.length - 1];
+    return visit && visit.status === 'waiting' ? visit : null;
+  }
+
+  /**
+   * 대기 기록 종료 처리 (내부 헬퍼)
+   * 예상 오차는 실제 대기 시간 - 처음 표시된 예상 대기 시간 (초, 양수면 예상보다 오래 기다림)
+   * @param {string} sessionId
+   * @param {string} status 'passed' | 'timeout'
+   * @param {number} actualWaitTime 실제 대기 시간 (ms)
+   * @returns {Object|null}
+   */
+  _finishQueueVisit(sessionId, status, actualWaitTime) {
+    const visit = this._getCurrentQueueVisit(sessionId);
+    if (!visit) return null;
+
+    const session = this.sessions.get(sessionId);
+    session.waitTime += actualWaitTime;
+
+    visit.status = status;
+    visit.exitedAt = Date.now() - this.startTime;
+    visit.actualWaitTime = actualWaitTime;
+
+    if (status === 'passed') {
+      const tolerance = Math.max(QUEUE_ESTIMATE_TOLERANCE_SECONDS, visit.initialEstimate * QUEUE_ESTIMATE_TOLERANCE_RATIO);
+      visit.estimateError = Math.round(actualWaitTime / 1000 - visit.initialEstimate);
+      visit.accurate = Math.abs(actualWaitTime / 1000 - visit.initialEstimate) <= tolerance;
     }
+
+    this.stats.waiting = Math.max(0, this.stats.waiting - 1);
+    return visit;
+  }
+
+  /**
+   * 대기열 정확도/공정성 요약 (stats.queue.summary)
+   * - 정확도: 처음 표시된 예상 대기 시간과 실제 대기 시간의 차이
+   * - 공정성: 앞선 대기인원 1명당 실제 대기 시간의 편차 (같은 순번이면 비슷하게 기다려야 공정)
+   *   및 진입 순서 대비 통과 순서 역전 (stats.queue.fairness)
+   */
+  summarizeQueue() {
+    this.stats.queue.fairness = analyzeQueueFairness(Array.from(this.sessions.values()));
+
+    const passedVisits = [];
+    this.sessions.forEach(session => {
+      (session.queueVisits || []).forEach(visit => {
+        if (visit.status === 'passed') passedVisits.push(visit);
+      });
+    });
+
+    if (passedVisits.length === 0) {
+      this.stats.queue.summary = null;
+      return;
+    }
+
+    const waits = passedVisits.map(visit => visit.actualWaitTime);
+    const errors = passedVisits.map(visit => visit.actualWaitTime / 1000 - visit.initialEstimate);
+    const perPosition = passedVisits
+      .filter(visit => visit.initialPosition > 0)
+      .map(visit => visit.actualWaitTime / 1000 / visit.initialPosition);
+
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const round1 = value => Math.round(value * 10) / 10;
+
+    let perPositionSummary = null;
+    if (perPosition.length > 0) {
+      const mean = average(perPosition);
+      const stdDev = Math.sqrt(average(perPosition.map(value => (value - mean) ** 2)));
+      perPositionSummary = {
+        avg: round1(mean),
+        min: round1(Math.min(...perPosition)),
+        max: round1(Math.max(...perPosition)),
+        cv: mean > 0 ? round1(stdDev / mean) : 0 // 변동계수 (작을수록 공정)
+      };
+    }
+
+    this.stats.queue.summary = {
+      waitP50: percentileOf(waits, 50),
+      waitP95: percentileOf(waits, 95),
+      waitMax: Math.max(...waits),
+      accurate: passedVisits.filter(visit => visit.accurate).length,
+      accuracyRate: round1((passedVisits.filter(visit => visit.accurate).length / passedVisits.length) * 100),
+      meanAbsoluteError: round1(average(errors.map(Math.abs))),
+      meanError: round1(average(errors)),
+      underestimated: passedVisits.filter(visit => visit.estimateError > 0 && !visit.accurate).length,
+      overestimated: passedVisits.filter(visit => visit.estimateError < 0 && !visit.accurate).length,
+      secondsPerPosition: perPositionSummary,
+      sessionsPushedBack: passedVisits.filter(visit => visit.positionIncreases > 0).length
+    };
   }
 
   /**
@@ -204,6 +920,37 @@ export class ConcurrentMonitor {
       session.duration = session.endTime - (session.actualStartTime || session.startTime);
       session.result = result;
 
+      if (this.currentStage) {
+        session.endStage = this.currentStage.label;
+        this.currentStage[success ? 'completed' : 'failed']++;
+      }
+
+      if (!success && !this.stats.firstFailure) {
+        this.stats.firstFailure = {
+          sessionId,
+          elapsed: session.endTime - this.startTime,
+          stage: this.currentStage ? this.currentStage.label : null,
+          running: this.stats.running
+        };
+      }
+
+      if (session.workerId !== undefined) {
+        this._recordWorkerIteration(session, success);
+      }
+
+      if (this.stats.scenarios && session.scenario) {
+        this._recordScenarioResult(session, success, result);
+      }
+
+      if (this.stats.browsers && session.browser) {
+        const browserStats = this._getBrowserStats(session.browser);
+        browserStats[success ? 'completed' : 'failed']++;
+        browserStats.totalDuration += session.duration;
+      }
+
+      this._recordStepDurations(session, result);
+      this._recordGradeResult(success, result?.detailedInfo);
+
       this.stats.running = Math.max(0, this.stats.running - 1);
 
       if (success) {
@@ -254,7 +1001,7 @@ export class ConcurrentMonitor {
   }
 
   /**
-   * 에러 분류
+   * 에러 분류 (thresholds.js의 ERROR_TYPES 중 하나)
    */
   categorizeError(errorMessage) {
     if (!errorMessage) return 'Unknown';
@@ -288,6 +1035,21 @@ export class ConcurrentMonitor {
     // 파일에 로그 추가
     const logLine = JSON.stringify(logEntry) + '\n';
     fs.appendFileSync(this.logFile, logLine);
+
+    // 실시간 구독자(Web GUI)에게 현재 카운터와 함께 전달
+    if (monitorEvents.listenerCount('event') > 0) {
+      monitorEvents.emit('event', {
+        ...logEntry,
+        testName: this.testName,
+        counters: {
+          total: this.stats.total,
+          running: this.stats.running,
+          completed: this.stats.completed,
+          failed: this.stats.failed,
+          waiting: this.stats.waiting
+        }
+      });
+    }
   }
 
   /**
@@ -305,10 +1067,22 @@ export class ConcurrentMonitor {
     console.log(`Total: ${this.stats.total} | Running: ${this.stats.running} | Completed: ${this.stats.completed} | Failed: ${this.stats.failed}`);
     console.log(`Success Rate: ${successRate}% | Waiting: ${this.stats.waiting} users`);
 
+    if (this.currentStage) {
+      console.log(`📈 Stage: ${this.currentStage.label} (${this.currentStage.from} → ${this.currentStage.to} users)`);
+    }
+
     if (this.stats.waitingPageEncounters > 0) {
       console.log(`⏳ Waiting Page: ${this.stats.waitingPageEncounters} encounters, Avg wait: ${Math.round(this.stats.avgWaitTime)}s`);
     }
 
+    if (this.stats.arrivals) {
+      console.log(`🚪 Arrivals: ${this.stats.arrivals.scheduled} scheduled | ${this.stats.arrivals.started} started | ${this.stats.arrivals.dropped} dropped (max in flight: ${this.stats.arrivals.maxInFlight})`);
+    }
+
+    if (this.stats.rateLimit.throttledActions > 0) {
+      console.log(`🚦 Rate Limit: ${this.stats.rateLimit.throttledActions}/${this.stats.rateLimit.totalActions} actions throttled, total delay: ${Math.round(this.stats.rateLimit.totalDelayMs / 1000)}s`);
+    }
+
     if (Object.keys(this.stats.errorsByType).length > 0) {
       console.log('\n🚨 Error Summary:');
       Object.entries(this.stats.errorsByType)
@@ -341,6 +1115,103 @@ export class ConcurrentMonitor {
     console.log(`\n⏳ Waiting Page Statistics:`);
     console.log(`  Encounters: ${this.stats.waitingPageEncounters}`);
     console.log(`  Average Wait Time: ${Math.round(this.stats.avgWaitTime)}s`);
+    if (this.stats.queue.summary) {
+      const queueSummary = this.stats.queue.summary;
+      console.log(`  Passed: ${this.stats.queue.passed} | Timed out: ${this.stats.queue.timedOut}`);
+      console.log(`  Actual Wait: p50 ${Math.round(queueSummary.waitP50 / 1000)}s, p95 ${Math.round(queueSummary.waitP95 / 1000)}s, max ${Math.round(queueSummary.waitMax / 1000)}s`);
+      console.log(`  Estimate Accuracy: ${queueSummary.accuracyRate}% within tolerance (mean error ${queueSummary.meanError}s, MAE ${queueSummary.meanAbsoluteError}s)`);
+      if (this.stats.queue.positionIncreases > 0) {
+        console.log(`  Position Pushed Back: ${this.stats.queue.positionIncreases} times (${queueSummary.sessionsPushedBack} sessions)`);
+      }
+      if (this.stats.queue.fairness) {
+        const fairness = this.stats.queue.fairness;
+        console.log(`  FIFO Order: ${fairness.fifoRate}% of pairs in order (${fairness.inversions}/${fairness.pairs} inverted, ${fairness.jumpedAhead} sessions jumped ahead, max overtaken ${fairness.maxOvertaken})`);
+      }
+    }
+
+    if (this.stats.arrivals) {
+      console.log(`\n🚪 Arrival Rate Statistics:`);
+      console.log(`  Target Rate: ${this.stats.arrivals.targetRps} users/s (max in flight: ${this.stats.arrivals.maxInFlight})`);
+      console.log(`  Scheduled: ${this.stats.arrivals.scheduled} | Started: ${this.stats.arrivals.started} | Dropped: ${this.stats.arrivals.dropped}`);
+    }
+
+    if (this.stats.rateLimit.enabled) {
+      console.log(`\n🚦 Rate Limit Statistics:`);
+      console.log(`  Throttled Actions: ${this.stats.rateLimit.throttledActions}/${this.stats.rateLimit.totalActions}`);
+      console.log(`  Total Delay: ${Math.round(this.stats.rateLimit.totalDelayMs / 1000)}s (max ${this.stats.rateLimit.maxDelayMs}ms)`);
+    }
+
+    const workerEntries = Object.entries(this.stats.workers);
+    if (workerEntries.length > 0) {
+      console.log('\n👷 Worker Iterations:');
+      workerEntries.forEach(([workerId, workerStats]) => {
+        console.log(`  Worker ${workerId}: ${workerStats.iterations} iterations (completed ${workerStats.completed}, failed ${workerStats.failed})`);
+      });
+    }
+
+    if (this.stats.scenarios) {
+      console.log('\n🎭 Scenarios:');
+      Object.entries(this.stats.scenarios).forEach(([name, scenarioStats]) => {
+        const finished = scenarioStats.completed + scenarioStats.failed;
+        const rate = finished > 0 ? ((scenarioStats.completed / finished) * 100).toFixed(1) : '0.0';
+        const avg = finished > 0 ? Math.round(scenarioStats.totalDuration / finished / 1000) : 0;
+        console.log(`  ${name}: ${scenarioStats.total} sessions, success ${rate}%, avg ${avg}s`);
+      });
+    }
+
+    if (this.stats.browsers) {
+      console.log('\n🌐 Browsers:');
+      Object.entries(this.stats.browsers).forEach(([engine, browserStats]) => {
+        const finished = browserStats.completed + browserStats.failed;
+        const rate = finished > 0 ? ((browserStats.completed / finished) * 100).toFixed(1) : '0.0';
+        const avg = finished > 0 ? Math.round(browserStats.totalDuration / finished / 1000) : 0;
+        console.log(`  ${engine}: ${browserStats.total} sessions, success ${rate}%, avg ${avg}s`);
+      });
+    }
+
+    const gradeEntries = Object.entries(this.stats.grades);
+    if (gradeEntries.length > 0) {
+      console.log('\n🎒 Grades:');
+      gradeEntries.forEach(([label, gradeStats]) => {
+        console.log(`  ${label} (${gradeStats.value}): ${gradeStats.total} sessions (completed ${gradeStats.completed}, failed ${gradeStats.failed}, school fallbacks ${gradeStats.schoolFallbacks})`);
+      });
+    }
+
+    const paymentEntries = Object.entries(this.stats.paymentSteps);
+    if (paymentEntries.length > 0) {
+      console.log('\n💳 Payment Steps:');
+      paymentEntries.forEach(([key, stepStats]) => {
+        const avg = Math.round(stepStats.totalDuration / stepStats.count);
+        console.log(`  ${key}: avg ${avg}ms, max ${stepStats.maxDuration}ms (${stepStats.count} runs, ${stepStats.failed} failed)`);
+      });
+    }
+
+    const endpointEntries = Object.entries(this.stats.endpoints)
+      .filter(([, endpointStats]) => endpointStats.summary)
+      .sort(([, a], [, b]) => b.count - a.count);
+    if (endpointEntries.length > 0) {
+      console.log(`\n🌐 Endpoints (${this.stats.network.totalRequests} requests, ${this.stats.network.failedRequests} failed):`);
+      endpointEntries.forEach(([name, endpointStats]) => {
+        const { p50, p95, p99, ttfbP95 } = endpointStats.summary;
+        const ttfb = ttfbP95 === null ? '-' : `${ttfbP95}ms`;
+        console.log(`  ${name}: ${endpointStats.count} req, p50 ${p50}ms, p95 ${p95}ms, p99 ${p99}ms, TTFB p95 ${ttfb} (${endpointStats.failed} failed)`);
+      });
+    }
+
+    if (this.stats.stages.length > 0) {
+      console.log('\n📈 Load Stages:');
+      this.stats.stages.forEach(stage => {
+        console.log(`  ${stage.label}: started ${stage.started}, completed ${stage.completed}, failed ${stage.failed}, max running ${stage.maxRunning}`);
+      });
+    }
+
+    if (this.stats.thresholds) {
+      console.log('\n🎯 Thresholds:');
+      this.stats.thresholds.forEach(result => {
+        const actual = result.actual === null ? 'no data' : (result.isDuration ? `${result.actual}ms` : result.actual);
+        console.log(`  ${result.passed ? '✅ PASS' : '❌ FAIL'}  ${result.expression.padEnd(32)} actual: ${actual}`);
+      });
+    }
 
     if (Object.keys(this.stats.errorsByStep).length > 0) {
       console.log('\n📊 Errors by Step:');
@@ -365,16 +1236,205 @@ export class ConcurrentMonitor {
     this.logger.info(`Final report saved to: ${this.statsFile}`);
   }
 
+  /**
+   * 에이전트 이벤트 기록 (분산 실행 코디네이터)
+   * 세션 ID에 에이전트 ID를 붙여 test.log에 남기고, 이벤트에 담긴 에이전트 카운터를 합산한다.
+   * @param {string} agentId 에이전트 ID (agent-1 등)
+   * @param {Object} event 에이전트 monitorEvents 이벤트
+   */
+  recordAgentEvent(agentId, event) {
+    const { timestamp, elapsed, eventType, testName, counters, ...data } = event;
+
+    if (counters) {
+      this.updateAgentCounters(agentId, counters);
+    }
+    if (data.sessionId) {
+      data.sessionId = `${agentId}-${data.sessionId}`;
+    }
+
+    this.logEvent(eventType, { agentId, ...data });
+  }
+
+  /**
+   * 에이전트 카운터 갱신 (전체/실행 중/성공/실패/대기는 에이전트 합계)
+   * @param {string} agentId 에이전트 ID
+   * @param {Object} counters { total, running, completed, failed, waiting }
+   */
+  updateAgentCounters(agentId, counters) {
+    this.agentCounters.set(agentId, counters);
+
+    ['total', 'running', 'completed', 'failed', 'waiting'].forEach(key => {
+      this.stats[key] = Array.from(this.agentCounters.values())
+        .reduce((sum, agentCounters) => sum + (agentCounters[key] || 0), 0);
+    });
+  }
+
+  /**
+   * 에이전트 최종 통계 병합 (분산 실행 코디네이터)
+   * 원시 측정값(단계 소요 시간, 엔드포인트 응답 시간, 세션별 대기 기록)을 합쳐 두고,
+   * 백분위와 대기열 요약, 성능 기준 판정은 stopMonitoring에서 병합된 값으로 다시 계산한다.
+   * 처리량 시계열은 실행 중 합산한 카운터로 코디네이터가 직접 기록한다.
+   * @param {string} agentId 에이전트 ID (세션 ID 앞에 붙음)
+   * @param {Object} statsData 에이전트 stats.json 내용
+   * @param {number} [clockOffset] 코디네이터 시계 - 에이전트 시계 (ms)
+   */
+  importAgentStats(agentId, statsData, clockOffset = 0) {
+    const source = statsData.stats;
+    const stats = this.stats;
+    // 에이전트 경과 시간 → 코디네이터 경과 시간
+    const shift = statsData.startTime + clockOffset - this.startTime;
+
+    this.updateAgentCounters(agentId, {
+      total: source.total,
+      running: 0,
+      completed: source.completed,
+      failed: source.failed,
+      waiting: 0
+    });
+
+    addCounts(stats.stepStats, source.stepStats);
+    addCounts(stats.errorsByStep, source.errorsByStep);
+    addCounts(stats.errorsByType, source.errorsByType);
+    addCounts(stats.network, source.network);
+    stats.waitingPageEncounters += source.waitingPageEncounters || 0;
+
+    // 평균 대기 시간은 통과한 대기 수로 가중 평균
+    const passedBefore = stats.queue.passed;
+    ['visits', 'passed', 'timedOut', 'observations', 'positionIncreases'].forEach(key => {
+      stats.queue[key] += source.queue?.[key] || 0;
+    });
+    if (stats.queue.passed > 0) {
+      stats.avgWaitTime = (stats.avgWaitTime * passedBefore + (source.avgWaitTime || 0) * (source.queue?.passed || 0)) / stats.queue.passed;
+    }
+
+    Object.entries(source.stepDurations || {}).forEach(([step, durations]) => {
+      if (!stats.stepDurations[step]) stats.stepDurations[step] = [];
+      stats.stepDurations[step].push(...durations);
+    });
+
+    Object.entries(source.paymentSteps || {}).forEach(([key, stepStats]) => {
+      const target = stats.paymentSteps[key];
+      if (!target) {
+        stats.paymentSteps[key] = { ...stepStats };
+        return;
+      }
+      target.count += stepStats.count;
+      target.failed += stepStats.failed;
+      target.totalDuration += stepStats.totalDuration;
+      target.minDuration = target.minDuration === null ? stepStats.minDuration : Math.min(target.minDuration, stepStats.minDuration ?? Infinity);
+      target.maxDuration = Math.max(target.maxDuration, stepStats.maxDuration);
+    });
+
+    Object.entries(source.endpoints || {}).forEach(([name, endpointStats]) => {
+      if (!stats.endpoints[name]) {
+        stats.endpoints[name] = { count: 0, failed: 0, statusCodes: {}, steps: {}, durations: [], ttfbs: [] };
+      }
+      const target = stats.endpoints[name];
+      target.count += endpointStats.count;
+      target.failed += endpointStats.failed;
+      addCounts(target.statusCodes, endpointStats.statusCodes);
+      addCounts(target.steps, endpointStats.steps);
+      target.durations.push(...endpointStats.durations);
+      target.ttfbs.push(...endpointStats.ttfbs);
+    });
+
+    if (source.rateLimit) {
+      const rateStats = stats.rateLimit;
+      ['totalActions', 'throttledActions', 'totalDelayMs'].forEach(key => {
+        rateStats[key] += source.rateLimit[key] || 0;
+      });
+      rateStats.maxDelayMs = Math.max(rateStats.maxDelayMs, source.rateLimit.maxDelayMs || 0);
+
+      Object.entries(source.rateLimit.byAction || {}).forEach(([action, actionStats]) => {
+        const target = rateStats.byAction[action] || { count: 0, throttled: 0, totalDelayMs: 0, maxDelayMs: 0 };
+        target.count += actionStats.count;
+        target.throttled += actionStats.throttled;
+        target.totalDelayMs += actionStats.totalDelayMs;
+        target.maxDelayMs = Math.max(target.maxDelayMs, actionStats.maxDelayMs);
+        rateStats.byAction[action] = target;
+      });
+    }
+
+    Object.entries(source.grades || {}).forEach(([label, gradeStats]) => {
+      if (!stats.grades[label]) {
+        stats.grades[label] = { ...gradeStats };
+        return;
+      }
+      addCounts(stats.grades[label], gradeStats);
+    });
+
+    // 비중은 코디네이터 설정 값을 유지하고 세션 수와 시간만 합산
+    if (source.browsers) {
+      if (!stats.browsers) stats.browsers = {};
+      Object.entries(source.browsers).forEach(([engine, browserStats]) => {
+        const target = this._getBrowserStats(engine);
+        if (target.weight === null) target.weight = browserStats.weight;
+        ['total', 'completed', 'failed', 'totalDuration'].forEach(key => {
+          target[key] += browserStats[key] || 0;
+        });
+      });
+    }
+
+    Object.entries(source.workers || {}).forEach(([workerId, workerStats]) => {
+      stats.workers[`${agentId}-${workerId}`] = workerStats;
+    });
+
+    if (source.firstFailure) {
+      const firstFailure = {
+        ...source.firstFailure,
+        sessionId: `${agentId}-${source.firstFailure.sessionId}`,
+        elapsed: source.firstFailure.elapsed + shift
+      };
+      if (!stats.firstFailure || firstFailure.elapsed < stats.firstFailure.elapsed) {
+        stats.firstFailure = firstFailure;
+      }
+    }
+
+    (statsData.sessions || []).forEach(session => {
+      const sessionId = `${agentId}-${session.sessionId}`;
+      const shiftTime = value => (typeof value === 'number' ? value + clockOffset : value);
+
+      this.sessions.set(sessionId, {
+        ...session,
+        sessionId,
+        agentId,
+        startTime: shiftTime(session.startTime),
+        actualStartTime: shiftTime(session.actualStartTime),
+        endTime: shiftTime(session.endTime),
+        lastStepTime: shiftTime(session.lastStepTime),
+        errors: (session.errors || []).map(error => ({ ...error, timestamp: shiftTime(error.timestamp) })),
+        stepTimeline: session.stepTimeline
+          ? session.stepTimeline.map(entry => ({ ...entry, elapsed: entry.elapsed + shift }))
+          : undefined,
+        queueVisits: session.queueVisits
+          ? session.queueVisits.map(visit => ({
+            ...visit,
+            enteredAt: visit.enteredAt + shift,
+            exitedAt: typeof visit.exitedAt === 'number' ? visit.exitedAt + shift : visit.exitedAt,
+            observations: visit.observations.map(observation => ({ ...observation, elapsed: observation.elapsed + shift }))
+          }))
+          : undefined
+      });
+    });
+
+    this.logger.info(`📥 Imported ${agentId}: ${source.total} sessions (completed ${source.completed}, failed ${source.failed})`);
+    this.logEvent('AGENT_STATS_IMPORTED', { agentId, total: source.total, completed: source.completed, failed: source.failed });
+  }
+
   /**
    * 통계 저장
+   * 실행 중 주기 저장은 원시 측정값(단계/엔드포인트 소요 시간 목록)을 빼서 파일 크기와 저장 시간이 실행 시간에 비례해 늘지 않게 하고,
+   * 백분위 재계산과 실행 비교에 쓰는 원시 측정값은 종료 시 한 번만 쓴다.
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSamples] 원시 측정값 포함 (기본값: true)
    */
-  saveStats() {
+  saveStats({ includeSamples = true } = {}) {
     const statsData = {
       testName: this.testName,
       startTime: this.startTime,
       currentTime: Date.now(),
       elapsed: Date.now() - this.startTime,
-      stats: this.stats,
+      stats: includeSamples ? this.stats : omitRawSamples(this.stats),
       sessions: Array.from(this.sessions.values())
     };
 
@@ -394,3 +1454,38 @@ export class ConcurrentMonitor {
     };
   }
 }
+
+/**
+ * 원시 측정값 목록을 뺀 통계 (실행 중 stats.json, Web GUI 전송용)
+ * 엔드포인트 백분위는 summary에 남고, 단계별 소요 시간 목록(stepDurations)과 엔드포인트 durations/ttfbs는 제외한다.
+ * @param {Object|null} stats ConcurrentMonitor.stats
+ * @returns {Object|null}
+ */
+export function omitRawSamples(stats) {
+  if (!stats) return null;
+
+  const { stepDurations, endpoints = {}, ...rest } = stats;
+  const compactEndpoints = {};
+  Object.entries(endpoints).forEach(([name, { durations, ttfbs, ...endpoint }]) => {
+    compactEndpoints[name] = endpoint;
+  });
+
+  return { ...rest, endpoints: compactEndpoints };
+}
+
+/**
+ * 숫자 집계 맵 더하기 (에이전트 통계 병합용)
+ */
+function addCounts(target, source = {}) {
+  Object.entries(source || {}).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      target[key] = (target[key] || 0) + value;
+    }
+  });
+}
+
+/**
+ * 모니터 이벤트 스트림
+ * logEvent로 기록한 모든 이벤트를 'event'로 내보낸다 (Web GUI 실시간 표시용)
+ */
+export const monitorEvents = new EventEmitter();
@@ -0,0 +1,536 @@
+import fs from 'fs';
+import path from 'path';
+import { Logger } from './logger.js';
+import { KoreanReportGenerator } from './korean-report-generator.js';
+import { escapeHtml, renderMarkdownPage } from './markdown-page.js';
+
+/**
+ * 단계별 색상 (간트 차트, 범례)
+ */
+const STEP_COLORS = {
+  'step1-course': '#3498db',
+  'step2-basic': '#1abc9c',
+  'step3-detailed': '#9b59b6',
+  'step4-class': '#f39c12',
+  'step5-payment': '#e67e22'
+};
+const OTHER_STEP_COLOR = '#95a5a6';
+const SUCCESS_COLOR = '#27ae60';
+const FAILURE_COLOR = '#e74c3c';
+const PIE_COLORS = ['#e74c3c', '#f39c12', '#3498db', '#9b59b6', '#1abc9c', '#e67e22', '#34495e', '#95a5a6'];
+
+/**
+ * stepTimeline이 없는 예전 stats.json용: FlowManager stepTimes 키 → 모니터 단계 이름
+ */
+const STEP_TIME_KEYS = {
+  'course-selection': 'step1-course',
+  'basic-info': 'step2-basic',
+  'detailed-info': 'step3-detailed',
+  'class': 'step4-class',
+  'payment': 'step5-payment'
+};
+
+/**
+ * 간트 차트에 그릴 최대 세션 수 (시작 순, 나머지는 생략)
+ */
+const MAX_GANTT_SESSIONS = 150;
+const MAX_BOX_OUTLIERS = 100;
+
+const CHART_WIDTH = 860;
+const MARGIN = { top: 16, right: 20, bottom: 40, left: 52 };
+
+/**
+ * 차트가 들어간 HTML 보고서 생성
+ * 한글 Markdown 보고서 본문 뒤에 stats.json으로 그린 SVG 차트를 붙인 단일 HTML 파일 (외부 리소스 없음)
+ */
+export class HtmlReportGenerator {
+  constructor() {
+    this.logger = new Logger('HtmlReportGenerator');
+    this.textReport = new KoreanReportGenerator();
+  }
+
+  /**
+   * stats.json 파일로부터 HTML 보고서 생성
+   * @param {string} statsFilePath stats.json 경로
+   * @param {Object} [options]
+   * @param {string} [options.latestPath] 최신 보고서 사본 경로 (기본: ./reports/latest.html, null이면 복사하지 않음)
+   * @returns {string} 보고서 경로 (stats.json과 같은 폴더의 테스트보고서.html)
+   */
+  generateReport(statsFilePath, options = {}) {
+    const { latestPath = path.join(process.cwd(), 'reports', 'latest.html') } = options;
+
+    try {
+      const statsData = JSON.parse(fs.readFileSync(statsFilePath, 'utf-8'));
+      const reportPath = path.join(path.dirname(statsFilePath), '테스트보고서.html');
+
+      fs.writeFileSync(reportPath, this.createReportContent(statsData), 'utf-8');
+
+      if (latestPath) {
+        fs.mkdirSync(path.dirname(latestPath), { recursive: true });
+        fs.copyFileSync(reportPath, latestPath);
+      }
+
+      this.logger.info(`✅ HTML report generated: ${reportPath}`);
+      return reportPath;
+
+    } catch (error) {
+      this.logger.error('HTML 보고서 생성 실패:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 보고서 HTML 생성 (Markdown 보고서 + 차트)
+   */
+  createReportContent(statsData) {
+    const markdown = this.textReport.createReportContent(statsData);
+
+    return renderMarkdownPage(markdown, {
+      title: `${statsData.testName} - 테스트 보고서`,
+      appendix: this.createChartsSection(statsData)
+    });
+  }
+
+  /**
+   * 차트 섹션 HTML
+   */
+  createChartsSection(statsData) {
+    const { startTime, elapsed, stats = {}, sessions = [] } = statsData;
+    const endElapsed = Math.max(1, elapsed || 0);
+
+    let html = '<section id="charts">\n<h2>📈 차트</h2>\n';
+
+    html += '<h3>동시 실행 세션 수</h3>\n';
+    html += this.renderActiveSessionsChart(sessions, startTime, endElapsed);
+
+    html += '<h3>성공/실패 추이</h3>\n';
+    html += this.renderCompletionsChart(stats.throughput, sessions, startTime, endElapsed);
+
+    html += '<h3>단계별 소요 시간 분포</h3>\n';
+    html += this.renderStepHistograms(stats.stepDurations);
+
+    html += '<h3>단계별 소요 시간 상자 그림</h3>\n';
+    html += this.renderBoxPlot(stats.stepDurations);
+
+    html += '<h3>에러 유형</h3>\n';
+    html += this.renderErrorPie(stats.errorsByType);
+
+    html += '<h3>세션별 단계 진행 (간트 차트)</h3>\n';
+    html += this.renderGanttChart(sessions, startTime, endElapsed);
+
+    html += '</section>\n';
+    return html;
+  }
+
+  /**
+   * 동시 실행 세션 수 (세션 시작/종료 시각으로 계산한 계단 그래프)
+   */
+  renderActiveSessionsChart(sessions, testStart, endElapsed) {
+    const events = [];
+    sessions.forEach(session => {
+      if (!session.actualStartTime) return;
+      events.push({ time: session.actualStartTime - testStart, delta: 1 });
+      events.push({ time: session.endTime ? session.endTime - testStart : endElapsed, delta: -1 });
+    });
+    if (events.length === 0) return emptyChart('실행된 세션이 없습니다.');
+
+    // 같은 시각이면 종료를 먼저 처리해 순간 최대치가 부풀지 않게 한다
+    events.sort((a, b) => a.time - b.time || a.delta - b.delta);
+
+    let active = 0;
+    let peak = 0;
+    const points = [{ time: 0, active: 0 }];
+    events.forEach(event => {
+      active += event.delta;
+      peak = Math.max(peak, active);
+      points.push({ time: Math.max(0, event.time), active });
+    });
+
+    const height = 240;
+    const frame = createFrame({ width: CHART_WIDTH, height, xMax: endElapsed, yMax: Math.max(1, peak), xLabel: '경과 시간 (분:초)', yLabel: '세션 수', xFormat: formatElapsed, integerY: true });
+
+    let line = `M${frame.x(0)},${frame.y(0)}`;
+    points.forEach(point => {
+      line += ` H${frame.x(point.time)} V${frame.y(point.active)}`;
+    });
+    line += ` H${frame.x(endElapsed)}`;
+    const area = `${line} V${frame.y(0)} Z`;
+
+    let body = frame.axes;
+    body += `<path d="${area}" fill="#3498db" fill-opacity="0.15"/>`;
+    body += `<path d="${line}" fill="none" stroke="#2980b9" stroke-width="1.5"><title>최대 ${peak}개 동시 실행</title></path>`;
+
+    return wrapSvg(CHART_WIDTH, height, body, `동시 실행 세션 수 (최대 ${peak}개)`);
+  }
+
+  /**
+   * 구간별 성공/실패 건수 (누적 막대)
+   * stats.throughput이 없으면 세션 종료 시각을 30개 구간으로 나눠 센다.
+   */
+  renderCompletionsChart(throughput, sessions, testStart, endElapsed) {
+    let rows = this.textReport.groupThroughputSamples(throughput, 60);
+
+    if (rows.length === 0) {
+      const bucketCount = 30;
+      const bucketSize = endElapsed / bucketCount;
+      rows = Array.from({ length: bucketCount }, (_, index) => ({
+        start: index * bucketSize,
+        end: (index + 1) * bucketSize,
+        completed: 0,
+        failed: 0
+      }));
+      sessions.forEach(session => {
+        if (!session.endTime || (session.status !== 'completed' && session.status !== 'failed')) return;
+        const index = Math.min(bucketCount - 1, Math.max(0, Math.floor((session.endTime - testStart) / bucketSize)));
+        rows[index][session.status] += 1;
+      });
+    }
+
+    const maxCount = Math.max(0, ...rows.map(row => row.completed + row.failed));
+    if (maxCount === 0) return emptyChart('끝난 세션이 없습니다.');
+
+    const height = 240;
+    const xMax = Math.max(endElapsed, ...rows.map(row => row.end));
+    const frame = createFrame({ width: CHART_WIDTH, height, xMax, yMax: maxCount, xLabel: '경과 시간 (분:초)', yLabel: '건수', xFormat: formatElapsed, integerY: true });
+
+    let body = frame.axes;
+    rows.forEach(row => {
+      const x = frame.x(Math.max(0, row.start));
+      const width = Math.max(1, frame.x(row.end) - x - 1);
+      const title = `${formatElapsed(Math.max(0, row.start))}~${formatElapsed(row.end)} 성공 ${row.completed}건 / 실패 ${row.failed}건`;
+      const completedTop = frame.y(row.completed);
+      const failedTop = frame.y(row.completed + row.failed);
+
+      body += `<g><title>${escapeHtml(title)}</title>`;
+      body += `<rect x="${x}" y="${completedTop}" width="${width}" height="${frame.y(0) - completedTop}" fill="${SUCCESS_COLOR}"/>`;
+      body += `<rect x="${x}" y="${failedTop}" width="${width}" height="${completedTop - failedTop}" fill="${FAILURE_COLOR}"/>`;
+      body += '</g>';
+    });
+
+    const legend = renderLegend([
+      { label: '성공', color: SUCCESS_COLOR },
+      { label: '실패', color: FAILURE_COLOR }
+    ]);
+
+    return legend + wrapSvg(CHART_WIDTH, height, body, '구간별 성공/실패 건수');
+  }
+
+  /**
+   * 단계별 소요 시간 히스토그램 (단계마다 작은 차트 하나)
+   */
+  renderStepHistograms(stepDurations = {}) {
+    const entries = Object.entries(stepDurations || {}).filter(([, values]) => values && values.length > 0);
+    if (entries.length === 0) return emptyChart('측정된 단계 소요 시간이 없습니다.');
+
+    const width = 420;
+    const height = 200;
+
+    const charts = entries.map(([step, values]) => {
+      const maxValue = Math.max(...values);
+      const binCount = Math.min(20, Math.max(5, Math.ceil(Math.sqrt(values.length))));
+      const binSize = Math.max(1, maxValue) / binCount;
+      const bins = new Array(binCount).fill(0);
+      values.forEach(value => {
+        bins[Math.min(binCount - 1, Math.floor(value / binSize))] += 1;
+      });
+
+      const frame = createFrame({ width, height, xMax: binSize * binCount, yMax: Math.max(...bins), xLabel: '소요 시간 (초)', yLabel: '세션 수', xFormat: formatSecondsTick, integerY: true });
+
+      let body = frame.axes;
+      bins.forEach((count, index) => {
+        if (count === 0) return;
+        const x = frame.x(index * binSize);
+        const barWidth = Math.max(1, frame.x((index + 1) * binSize) - x - 1);
+        const title = `${formatSecondsTick(index * binSize)}~${formatSecondsTick((index + 1) * binSize)}초: ${count}건`;
+        body += `<rect x="${x}" y="${frame.y(count)}" width="${barWidth}" height="${frame.y(0) - frame.y(count)}" fill="${STEP_COLORS[step] || OTHER_STEP_COLOR}"><title>${escapeHtml(title)}</title></rect>`;
+      });
+
+      const label = `${this.translateStep(step)} (${values.length}건)`;
+      return `<figure class="chart-small"><figcaption>${escapeHtml(label)}</figcaption>${wrapSvg(width, height, body, label)}</figure>`;
+    });
+
+    return `<div class="chart-grid">${charts.join('\n')}</div>\n`;
+  }
+
+  /**
+   * 단계별 소요 시간 상자 그림 (수염은 1.5 IQR, 벗어난 값은 점)
+   */
+  renderBoxPlot(stepDurations = {}) {
+    const entries = Object.entries(stepDurations || {}).filter(([, values]) => values && values.length > 0);
+    if (entries.length === 0) return emptyChart('측정된 단계 소요 시간이 없습니다.');
+
+    const rowHeight = 40;
+    const labelWidth = 150;
+    const height = MARGIN.top + MARGIN.bottom + rowHeight * entries.length;
+    const xMax = Math.max(1, ...entries.map(([, values]) => Math.max(...values)));
+    const frame = createFrame({ width: CHART_WIDTH, height, xMax, yMax: entries.length, xLabel: '소요 시간 (초)', xFormat: formatSecondsTick, marginLeft: labelWidth, hideY: true });
+
+    let body = frame.axes;
+    entries.forEach(([step, values], index) => {
+      const sorted = [...values].sort((a, b) => a - b);
+      const q1 = quantile(sorted, 0.25);
+      const median = quantile(sorted, 0.5);
+      const q3 = quantile(sorted, 0.75);
+      const iqr = q3 - q1;
+      const lowWhisker = sorted.find(value => value >= q1 - 1.5 * iqr);
+      const highWhisker = [...sorted].reverse().find(value => value <= q3 + 1.5 * iqr);
+      const outliers = sorted.filter(value => value < lowWhisker || value > highWhisker);
+
+      const center = MARGIN.top + rowHeight * index + rowHeight / 2;
+      const boxTop = center - rowHeight * 0.3;
+      const boxHeight = rowHeight * 0.6;
+      const color = STEP_COLORS[step] || OTHER_STEP_COLOR;
+      const title = `${this.translateStep(step)}: 최소 ${formatSecondsTick(sorted[0])}초, Q1 ${formatSecondsTick(q1)}초, 중앙값 ${formatSecondsTick(median)}초, Q3 ${formatSecondsTick(q3)}초, 최대 ${formatSecondsTick(sorted[sorted.length - 1])}초 (${sorted.length}건)`;
+
+      body += `<g><title>${escapeHtml(title)}</title>`;
+      body += `<text x="${labelWidth - 8}" y="${center + 4}" text-anchor="end" font-size="12">${escapeHtml(this.translateStep(step))}</text>`;
+      body += `<line x1="${frame.x(lowWhisker)}" x2="${frame.x(highWhisker)}" y1="${center}" y2="${center}" stroke="#7f8c8d"/>`;
+      body += `<line x1="${frame.x(lowWhisker)}" x2="${frame.x(lowWhisker)}" y1="${boxTop + 4}" y2="${boxTop + boxHeight - 4}" stroke="#7f8c8d"/>`;
+      body += `<line x1="${frame.x(highWhisker)}" x2="${frame.x(highWhisker)}" y1="${boxTop + 4}" y2="${boxTop + boxHeight - 4}" stroke="#7f8c8d"/>`;
+      body += `<rect x="${frame.x(q1)}" y="${boxTop}" width="${Math.max(1, frame.x(q3) - frame.x(q1))}" height="${boxHeight}" fill="${color}" fill-opacity="0.35" stroke="${color}"/>`;
+      body += `<line x1="${frame.x(median)}" x2="${frame.x(median)}" y1="${boxTop}" y2="${boxTop + boxHeight}" stroke="#2c3e50" stroke-width="2"/>`;
+      outliers.slice(0, MAX_BOX_OUTLIERS).forEach(value => {
+        body += `<circle cx="${frame.x(value)}" cy="${center}" r="2.5" fill="none" stroke="${color}"/>`;
+      });
+      body += '</g>';
+    });
+
+    return wrapSvg(CHART_WIDTH, height, body, '단계별 소요 시간 상자 그림');
+  }
+
+  /**
+   * 에러 유형별 비율 (원형 차트)
+   */
+  renderErrorPie(errorsByType = {}) {
+    const entries = Object.entries(errorsByType || {})
+      .filter(([, count]) => count > 0)
+      .sort((a, b) => b[1] - a[1]);
+    if (entries.length === 0) return emptyChart('에러가 없습니다.');
+
+    const total = entries.reduce((sum, [, count]) => sum + count, 0);
+    const height = Math.max(220, 30 + entries.length * 24);
+    const radius = 90;
+    const cx = 20 + radius;
+    const cy = height / 2;
+
+    let body = '';
+    let angle = -Math.PI / 2;
+    entries.forEach(([type, count], index) => {
+      const color = PIE_COLORS[index % PIE_COLORS.length];
+      const share = count / total;
+      const label = `${this.textReport.translateErrorType(type)}: ${count}건 (${(share * 100).toFixed(1)}%)`;
+
+      if (entries.length === 1) {
+        body += `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}"><title>${escapeHtml(label)}</title></circle>`;
+      } else {
+        const endAngle = angle + share * Math.PI * 2;
+        const largeArc = share > 0.5 ? 1 : 0;
+        const [x0, y0] = [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+        const [x1, y1] = [cx + radius * Math.cos(endAngle), cy + radius * Math.sin(endAngle)];
+        body += `<path d="M${cx},${cy} L${round(x0)},${round(y0)} A${radius},${radius} 0 ${largeArc} 1 ${round(x1)},${round(y1)} Z" fill="${color}" stroke="#fff"><title>${escapeHtml(label)}</title></path>`;
+        angle = endAngle;
+      }
+
+      const legendY = cy - (entries.length * 24) / 2 + index * 24;
+      body += `<rect x="${cx + radius + 40}" y="${legendY}" width="14" height="14" fill="${color}"/>`;
+      body += `<text x="${cx + radius + 62}" y="${legendY + 12}" font-size="13">${escapeHtml(label)}</text>`;
+    });
+
+    return wrapSvg(CHART_WIDTH, height, body, `에러 유형 (총 ${total}건)`);
+  }
+
+  /**
+   * 세션별 단계 진행 간트 차트
+   * 모니터가 기록한 sessions[].stepTimeline(단계 시작 시각)을 쓰고,
+   * 없으면 결과의 stepTimes를 세션 시작부터 차례로 이어 붙인다.
+   */
+  renderGanttChart(sessions, testStart, endElapsed) {
+    const started = sessions
+      .filter(session => session.actualStartTime)
+      .sort((a, b) => a.actualStartTime - b.actualStartTime);
+    if (started.length === 0) return emptyChart('실행된 세션이 없습니다.');
+
+    const shown = started.slice(0, MAX_GANTT_SESSIONS);
+    const rowHeight = 16;
+    const labelWidth = 170;
+    const height = MARGIN.top + MARGIN.bottom + rowHeight * shown.length;
+    const frame = createFrame({ width: CHART_WIDTH, height, xMax: endElapsed, yMax: shown.length, xLabel: '경과 시간 (분:초)', xFormat: formatElapsed, marginLeft: labelWidth, hideY: true });
+
+    let body = frame.axes;
+    const usedSteps = new Set();
+
+    shown.forEach((session, index) => {
+      const top = MARGIN.top + rowHeight * index + 2;
+      const barHeight = rowHeight - 4;
+      const sessionEnd = session.endTime ? session.endTime - testStart : endElapsed;
+      const failed = session.status === 'failed';
+      const segments = this._getStepSegments(session, testStart, sessionEnd);
+
+      body += `<text x="${labelWidth - 8}" y="${top + barHeight - 2}" text-anchor="end" font-size="10" fill="${failed ? FAILURE_COLOR : '#2c3e50'}">${escapeHtml(truncate(session.sessionId, 24))}</text>`;
+      body += `<line x1="${frame.x(session.actualStartTime - testStart)}" x2="${frame.x(sessionEnd)}" y1="${top + barHeight / 2}" y2="${top + barHeight / 2}" stroke="#dfe6e9"/>`;
+
+      segments.forEach(segment => {
+        usedSteps.add(segment.step);
+        const x = frame.x(segment.start);
+        const title = `${session.sessionId} ${this.translateStep(segment.step)}: ${formatSecondsTick(segment.end - segment.start)}초`;
+        body += `<rect x="${x}" y="${top}" width="${Math.max(1, frame.x(segment.end) - x)}" height="${barHeight}" fill="${STEP_COLORS[segment.step] || OTHER_STEP_COLOR}"><title>${escapeHtml(title)}</title></rect>`;
+      });
+
+      if (failed) {
+        const lastStep = segments.length > 0 ? segments[segments.length - 1].step : session.currentStep;
+        const title = `${session.sessionId} 실패 (${this.translateStep(lastStep)})`;
+        body += `<text x="${frame.x(sessionEnd) + 3}" y="${top + barHeight - 1}" font-size="11" fill="${FAILURE_COLOR}">✕<title>${escapeHtml(title)}</title></text>`;
+      }
+    });
+
+    const legend = renderLegend([
+      ...[...usedSteps].map(step => ({ label: this.translateStep(step), color: STEP_COLORS[step] || OTHER_STEP_COLOR })),
+      { label: '실패 (✕)', color: FAILURE_COLOR }
+    ]);
+    const note = started.length > shown.length
+      ? `<p class="chart-note">시작 순으로 처음 ${shown.length}개 세션만 표시합니다 (전체 ${started.length}개).</p>\n`
+      : '';
+
+    return legend + wrapSvg(CHART_WIDTH, height, body, '세션별 단계 진행') + note;
+  }
+
+  /**
+   * 단계명 표기 (세션 전체 포함)
+   */
+  translateStep(step) {
+    return step === 'session' ? '세션 전체' : this.textReport.translateStepName(step);
+  }
+
+  /**
+   * 세션의 단계 구간 목록 (내부 헬퍼)
+   * @returns {{step: string, start: number, end: number}[]} 시각은 테스트 시작 기준 ms
+   */
+  _getStepSegments(session, testStart, sessionEnd) {
+    if (Array.isArray(session.stepTimeline) && session.stepTimeline.length > 0) {
+      return session.stepTimeline.map((entry, index) => {
+        const next = session.stepTimeline[index + 1];
+        return { step: entry.step, start: entry.elapsed, end: next ? next.elapsed : sessionEnd };
+      });
+    }
+
+    // 예전 stats.json: 단계 시작 시각이 없으므로 단계별 소요 시간을 이어 붙여 근사
+    const stepTimes = session.result?.stepTimes || {};
+    let cursor = session.actualStartTime - testStart;
+    return Object.entries(stepTimes).map(([key, duration]) => {
+      const segment = { step: STEP_TIME_KEYS[key] || key, start: cursor, end: cursor + duration };
+      cursor += duration;
+      return segment;
+    });
+  }
+}
+
+/**
+ * 축과 눈금이 그려진 차트 틀
+ * @returns {{x: Function, y: Function, axes: string}} x/y는 값 → 좌표 변환
+ */
+function createFrame({ width, height, xMax, yMax, xLabel = '', yLabel = '', xFormat = String, integerY = false, marginLeft = MARGIN.left, hideY = false }) {
+  const left = marginLeft;
+  const right = width - MARGIN.right;
+  const top = MARGIN.top;
+  const bottom = height - MARGIN.bottom;
+
+  const xTicks = niceTicks(xMax, 8);
+  const yTicks = niceTicks(yMax, 5, integerY);
+  const xDomain = xTicks[xTicks.length - 1] || 1;
+  const yDomain = hideY ? yMax : (yTicks[yTicks.length - 1] || 1);
+
+  const x = value => round(left + (value / xDomain) * (right - left));
+  const y = value => round(bottom - (value / yDomain) * (bottom - top));
+
+  let axes = '';
+  if (!hideY) {
+    yTicks.forEach(tick => {
+      axes += `<line x1="${left}" x2="${right}" y1="${y(tick)}" y2="${y(tick)}" stroke="#ecf0f1"/>`;
+      axes += `<text x="${left - 6}" y="${y(tick) + 4}" text-anchor="end" font-size="11" fill="#7f8c8d">${tick}</text>`;
+    });
+    if (yLabel) {
+      axes += `<text x="12" y="${(top + bottom) / 2}" text-anchor="middle" font-size="11" fill="#7f8c8d" transform="rotate(-90 12 ${(top + bottom) / 2})">${escapeHtml(yLabel)}</text>`;
+    }
+  }
+  xTicks.forEach(tick => {
+    axes += `<line x1="${x(tick)}" x2="${x(tick)}" y1="${top}" y2="${bottom}" stroke="#f5f6fa"/>`;
+    axes += `<text x="${x(tick)}" y="${bottom + 16}" text-anchor="middle" font-size="11" fill="#7f8c8d">${escapeHtml(xFormat(tick))}</text>`;
+  });
+  axes += `<line x1="${left}" x2="${right}" y1="${bottom}" y2="${bottom}" stroke="#7f8c8d"/>`;
+  axes += `<line x1="${left}" x2="${left}" y1="${top}" y2="${bottom}" stroke="#7f8c8d"/>`;
+  if (xLabel) {
+    axes += `<text x="${(left + right) / 2}" y="${height - 6}" text-anchor="middle" font-size="11" fill="#7f8c8d">${escapeHtml(xLabel)}</text>`;
+  }
+
+  return { x, y, axes };
+}
+
+/**
+ * 0부터 max 이상까지의 보기 좋은 눈금 (1/2/5 × 10^n 간격)
+ */
+function niceTicks(max, count, integer = false) {
+  if (!(max > 0)) return [0, 1];
+
+  const raw = max / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const normalized = raw / magnitude;
+  let step = (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10) * magnitude;
+  if (integer) step = Math.max(1, Math.round(step));
+
+  const ticks = [];
+  for (let tick = 0; tick < max + step; tick += step) {
+    ticks.push(Math.round(tick * 1000) / 1000);
+    if (tick >= max) break;
+  }
+  return ticks;
+}
+
+/**
+ * 정렬된 값의 분위수 (선형 보간)
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function wrapSvg(width, height, body, label) {
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${escapeHtml(label)}" xmlns="http://www.w3.org/2000/svg">${body}</svg>\n`;
+}
+
+function renderLegend(items) {
+  const entries = items.map(item =>
+    `<span><i style="background:${item.color}"></i>${escapeHtml(item.label)}</span>`
+  );
+  return `<div class="chart-legend">${entries.join('')}</div>\n`;
+}
+
+function emptyChart(message) {
+  return `<p class="chart-note">${escapeHtml(message)}</p>\n`;
+}
+
+/**
+ * 경과 시간 눈금 (분:초)
+ */
+function formatElapsed(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 초 단위 눈금 (ms → 초, 10초 미만은 소수점 1자리)
+ */
+function formatSecondsTick(ms) {
+  const seconds = ms / 1000;
+  return seconds < 10 ? seconds.toFixed(1) : String(Math.round(seconds));
+}
+
+function truncate(text, length) {
+  const value = String(text ?? '');
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import { Logger } from './logger.js';
+import { buildQueueTimeline } from './queue-fairness.js';
+import { renderMarkdownPage } from './markdown-page.js';
 
 /**
  * 한글 보고서 생성기
@@ -68,7 +70,34 @@ export class KoreanReportGenerator {
     report += `| **시작 시간** | ${this.formatDateTime(startDate)} |\n`;
     report += `| **종료 시간** | ${this.formatDateTime(endDate)} |\n`;
     report += `| **소요 시간** | ${durationMin}분 ${durationRemainSec}초 (${durationSec}초) |\n`;
-    report += `| **총 테스트 수** | ${stats.total}건 |\n\n`;
+    report += `| **총 테스트 수** | ${stats.total}건 |\n`;
+
+    const scenarioNames = [...new Set(sessions.map(s => s.scenario).filter(Boolean))];
+    if (scenarioNames.length > 0) {
+      report += `| **시나리오** | ${scenarioNames.join(', ')} |\n`;
+    }
+    if (stats.seed !== undefined && stats.seed !== null) {
+      report += `| **난수 시드** | ${stats.seed} |\n`;
+    }
+    if (stats.rerunOf) {
+      report += `| **재실행 원본** | ${stats.rerunOf.runId} (${stats.rerunOf.testName}) |\n`;
+    }
+    report += `\n`;
+
+    // 1-1. 재실행 세션별 결과 (원래 세션과 비교)
+    if (stats.rerunOf) {
+      report += `## 🔁 재실행 결과\n\n`;
+      report += `원본 실행 폴더: \`${stats.rerunOf.dir}\`\n\n`;
+      report += `| 원래 세션 | 원래 실패 단계 | 세션 시드 | 재실행 결과 | 실패 단계 | 트레이스 |\n`;
+      report += `|-----------|----------------|-----------|-------------|-----------|----------|\n`;
+      sessions.forEach(session => {
+        const outcome = session.status === 'completed' ? '✅ 성공' : session.status === 'failed' ? '❌ 실패' : session.status;
+        const failedStep = session.status === 'failed' ? (session.errors[0]?.step || session.currentStep) : '-';
+        const traceFile = session.result?.traceFile ? `\`${session.result.traceFile}\`` : '-';
+        report += `| ${session.originalSessionId} | ${session.originalFailedStep || '-'} | ${session.seed ?? '-'} | ${outcome} | ${failedStep} | ${traceFile} |\n`;
+      });
+      report += `\n`;
+    }
 
     // 2. 전체 결과 요약
     report += `## 📊 전체 결과 요약\n\n`;
@@ -93,6 +122,23 @@ export class KoreanReportGenerator {
       report += `성공률이 50% 미만입니다. 시스템 점검이 필요합니다.\n\n`;
     }
 
+    // 2-1. 성능 기준 (SLO) 판정
+    if (stats.thresholds && stats.thresholds.length > 0) {
+      const breached = stats.thresholds.filter(result => !result.passed);
+
+      report += `## 🎯 성능 기준 판정\n\n`;
+      report += `| 기준 | 실제 값 | 결과 |\n`;
+      report += `|------|---------|------|\n`;
+      stats.thresholds.forEach(result => {
+        report += `| \`${result.expression}\` | ${this.formatThresholdValue(result)} | ${result.passed ? '✅ 통과' : '❌ 위반'} |\n`;
+      });
+      report += `\n`;
+
+      report += breached.length === 0
+        ? `**모든 성능 기준을 통과했습니다.** (${stats.thresholds.length}개)\n\n`
+        : `**${breached.length}개 성능 기준을 위반했습니다.** CLI 종료 코드는 2입니다.\n\n`;
+    }
+
     // 3. 대기 페이지 통계
     if (stats.waitingPageEncounters > 0) {
       report += `## ⏳ 대기 페이지 통계\n\n`;
@@ -101,6 +147,180 @@ export class KoreanReportGenerator {
       report += `| 대기 페이지 발생 횟수 | ${stats.waitingPageEncounters}회 |\n`;
       report += `| 평균 대기 시간 | ${Math.round(stats.avgWaitTime)}초 |\n`;
       report += `| 최대 대기 중인 사용자 | ${this.getMaxWaitingUsers(sessions)}명 |\n\n`;
+
+      if (stats.queue) {
+        report += this.generateQueueSection(stats.queue, sessions);
+      }
+    }
+
+    // 3-1. 도착률 (Open model) 통계
+    if (stats.arrivals) {
+      const arrivals = stats.arrivals;
+      const dropRate = arrivals.scheduled > 0
+        ? ((arrivals.dropped / arrivals.scheduled) * 100).toFixed(1)
+        : '0.0';
+      const actualRps = durationSec > 0 ? (arrivals.started / durationSec).toFixed(2) : '0.00';
+
+      report += `## 🚪 도착률 통계\n\n`;
+      report += `| 항목 | 값 |\n`;
+      report += `|------|----|\n`;
+      report += `| 목표 도착률 | ${arrivals.targetRps}명/초 |\n`;
+      report += `| 실제 시작률 | ${actualRps}명/초 |\n`;
+      report += `| 동시 실행 상한 | ${arrivals.maxInFlight}개 |\n`;
+      report += `| 예정된 도착 | ${arrivals.scheduled}건 |\n`;
+      report += `| 시작된 세션 | ${arrivals.started}건 |\n`;
+      report += `| 드롭된 도착 | ${arrivals.dropped}건 (${dropRate}%) |\n\n`;
+
+      if (arrivals.dropped > 0) {
+        report += `> ⚠️ 동시 실행 상한에 도달해 ${arrivals.dropped}건의 도착이 시작되지 못했습니다. `;
+        report += `서버 응답이 도착률을 따라가지 못하고 있어 세션이 누적되고 있을 수 있습니다.\n\n`;
+      }
+    }
+
+    // 3-2. 유량 제어 통계
+    if (stats.rateLimit && stats.rateLimit.enabled) {
+      const rateStats = stats.rateLimit;
+      report += `## 🚦 유량 제어 통계\n\n`;
+      report += `| 항목 | 값 |\n`;
+      report += `|------|----|\n`;
+      report += `| 전역 제한 | ${rateStats.globalRps > 0 ? `${rateStats.globalRps}회/초` : '없음'} |\n`;
+      report += `| 제한된 작업 수 | ${rateStats.throttledActions}/${rateStats.totalActions}회 |\n`;
+      report += `| 총 지연 시간 | ${this.formatDuration(rateStats.totalDelayMs)} |\n`;
+      report += `| 최대 지연 시간 | ${rateStats.maxDelayMs}ms |\n\n`;
+
+      const actionEntries = Object.entries(rateStats.byAction)
+        .filter(([, actionStats]) => actionStats.throttled > 0)
+        .sort(([, a], [, b]) => b.totalDelayMs - a.totalDelayMs);
+
+      if (actionEntries.length > 0) {
+        report += `| 작업 | 작업별 제한 | 실행 | 지연 | 총 지연 | 최대 지연 |\n`;
+        report += `|------|------------|------|------|---------|-----------|\n`;
+        actionEntries.forEach(([action, actionStats]) => {
+          const limit = rateStats.actionRps[action] ? `${rateStats.actionRps[action]}회/초` : '-';
+          report += `| ${action} | ${limit} | ${actionStats.count}회 | ${actionStats.throttled}회 | ${this.formatDuration(actionStats.totalDelayMs)} | ${actionStats.maxDelayMs}ms |\n`;
+        });
+        report += `\n`;
+      }
+    }
+
+    // 3-3. 부하 단계별 결과
+    if (stats.stages && stats.stages.length > 0) {
+      report += `## 📈 부하 단계별 결과\n\n`;
+      report += `| 단계 | 구간 | 시작 | 성공 | 실패 | 실패율 | 최대 동시 실행 |\n`;
+      report += `|------|------|------|------|------|--------|----------------|\n`;
+
+      stats.stages.forEach(stage => {
+        const finished = stage.completed + stage.failed;
+        const failRate = finished > 0 ? ((stage.failed / finished) * 100).toFixed(1) : '0.0';
+        const endElapsed = stage.endElapsed !== null ? stage.endElapsed : elapsed;
+        report += `| ${stage.index + 1}. ${this.translateStageLabel(stage)} | ${this.formatDuration(stage.startElapsed)} ~ ${this.formatDuration(endElapsed)} | ${stage.started}건 | ${stage.completed}건 | ${stage.failed}건 | ${failRate}% | ${stage.maxRunning}개 |\n`;
+      });
+      report += `\n`;
+
+      if (stats.firstFailure) {
+        const stage = stats.stages.find(s => s.label === stats.firstFailure.stage);
+        report += `- **첫 실패 발생**: ${this.formatDuration(stats.firstFailure.elapsed)} 경과 시점, `;
+        report += `${stage ? this.translateStageLabel(stage) : '단계 외'} 구간, 동시 실행 ${stats.firstFailure.running}개 (${stats.firstFailure.sessionId})\n\n`;
+      }
+    }
+
+    // 3-4. 시나리오별 결과
+    if (stats.scenarios && Object.keys(stats.scenarios).length > 0) {
+      const scenarioEntries = Object.entries(stats.scenarios);
+
+      report += `## 🎭 시나리오별 결과\n\n`;
+      report += `| 시나리오 | 비중 | 실행 | 성공 | 실패 | 성공률 | 평균 시간 | 최대 시간 |\n`;
+      report += `|----------|------|------|------|------|--------|-----------|-----------|\n`;
+      scenarioEntries.forEach(([name, scenarioStats]) => {
+        const finished = scenarioStats.completed + scenarioStats.failed;
+        const rate = finished > 0 ? ((scenarioStats.completed / finished) * 100).toFixed(1) : '0.0';
+        const avg = finished > 0 ? scenarioStats.totalDuration / finished : 0;
+        const weight = scenarioStats.weight !== null ? `${scenarioStats.weight}%` : '-';
+        report += `| ${name} | ${weight} | ${scenarioStats.total}건 | ${scenarioStats.completed}건 | ${scenarioStats.failed}건 | ${rate}% | ${this.formatDuration(avg)} | ${this.formatDuration(scenarioStats.maxDuration)} |\n`;
+      });
+      report += `\n`;
+
+      const stepRows = scenarioEntries.flatMap(([name, scenarioStats]) =>
+        Object.entries(scenarioStats.steps).map(([stepName, stepStats]) => ({ name, stepName, stepStats })));
+
+      if (stepRows.length > 0) {
+        report += `### 시나리오 단계별 소요 시간\n\n`;
+        report += `| 시나리오 | 단계 | 실행 | 실패 | 평균 | 최대 |\n`;
+        report += `|----------|------|------|------|------|------|\n`;
+        stepRows.forEach(({ name, stepName, stepStats }) => {
+          report += `| ${name} | ${stepName} | ${stepStats.count}회 | ${stepStats.failed}회 | ${this.formatSeconds(stepStats.totalDuration / stepStats.count)} | ${this.formatSeconds(stepStats.maxDuration)} |\n`;
+        });
+        report += `\n`;
+      }
+    }
+
+    // 3-4-1. 학년별 결과 (학년마다 다른 수강반/결제 경로 확인용)
+    const gradeEntries = Object.entries(stats.grades || {});
+    if (gradeEntries.length > 0) {
+      report += `## 🎒 학년별 결과\n\n`;
+      report += `| 학년 | 선택값 | 실행 | 성공 | 실패 | 성공률 | 학년 대체 | 학교 "기타" 대체 |\n`;
+      report += `|------|--------|------|------|------|--------|-----------|------------------|\n`;
+      gradeEntries.forEach(([label, gradeStats]) => {
+        const rate = gradeStats.total > 0 ? ((gradeStats.completed / gradeStats.total) * 100).toFixed(1) : '0.0';
+        report += `| ${label} | ${gradeStats.value} | ${gradeStats.total}건 | ${gradeStats.completed}건 | ${gradeStats.failed}건 | ${rate}% | ${gradeStats.gradeFallbacks}건 | ${gradeStats.schoolFallbacks}건 |\n`;
+      });
+      report += `\n`;
+    }
+
+    // 3-4-2. 브라우저 엔진별 결과 (엔진에 따라 달라지는 렌더링/결제 문제 확인용)
+    if (stats.browsers && Object.keys(stats.browsers).length > 0) {
+      report += `## 🌐 브라우저별 결과\n\n`;
+      report += `| 브라우저 | 비중 | 실행 | 성공 | 실패 | 성공률 | 평균 시간 |\n`;
+      report += `|----------|------|------|------|------|--------|-----------|\n`;
+      Object.entries(stats.browsers).forEach(([engine, browserStats]) => {
+        const finished = browserStats.completed + browserStats.failed;
+        const rate = finished > 0 ? ((browserStats.completed / finished) * 100).toFixed(1) : '0.0';
+        const avg = finished > 0 ? browserStats.totalDuration / finished : 0;
+        const weight = browserStats.weight !== null ? `${browserStats.weight}%` : '-';
+        report += `| ${engine} | ${weight} | ${browserStats.total}건 | ${browserStats.completed}건 | ${browserStats.failed}건 | ${rate}% | ${this.formatDuration(avg)} |\n`;
+      });
+      report += `\n`;
+    }
+
+    // 3-5. 결제 세부 단계별 소요 시간
+    const paymentEntries = Object.entries(stats.paymentSteps || {});
+    if (paymentEntries.length > 0) {
+      report += `## 💳 결제 세부 단계별 소요 시간\n\n`;
+      report += `| 단계 | 실행 | 실패 | 평균 | 최소 | 최대 |\n`;
+      report += `|------|------|------|------|------|------|\n`;
+      paymentEntries.forEach(([key, stepStats]) => {
+        const avg = stepStats.count > 0 ? stepStats.totalDuration / stepStats.count : 0;
+        report += `| ${this.translatePaymentStep(key, stepStats.label)} | ${stepStats.count}회 | ${stepStats.failed}회 | ${this.formatSeconds(avg)} | ${this.formatSeconds(stepStats.minDuration || 0)} | ${this.formatSeconds(stepStats.maxDuration)} |\n`;
+      });
+      report += `\n`;
+
+      const slowest = paymentEntries
+        .filter(([key]) => key !== 'wait-completion')
+        .sort(([, a], [, b]) => (b.totalDuration / b.count) - (a.totalDuration / a.count))[0];
+      if (slowest) {
+        report += `- **가장 오래 걸린 단계**: ${this.translatePaymentStep(slowest[0], slowest[1].label)} (평균 ${this.formatSeconds(slowest[1].totalDuration / slowest[1].count)})\n\n`;
+      }
+    }
+
+    // 3-6. 엔드포인트별 서버 응답 시간
+    const endpointEntries = Object.entries(stats.endpoints || {})
+      .filter(([, endpointStats]) => endpointStats.summary)
+      .sort(([, a], [, b]) => b.count - a.count);
+    if (endpointEntries.length > 0) {
+      const network = stats.network || { totalRequests: 0, failedRequests: 0 };
+      report += `## 🌐 엔드포인트별 서버 응답 시간\n\n`;
+      report += `- **전체 요청 수**: ${network.totalRequests}건 (실패 ${network.failedRequests}건, 정적 리소스 포함)\n`;
+      report += `- 페이지/XHR 요청만 엔드포인트별로 집계하며, 요청별 기록은 \`network.log\`에 있습니다.\n\n`;
+      report += `| 엔드포인트 | 요청 | 실패 | 주요 단계 | p50 | p95 | p99 | TTFB p95 | 최대 |\n`;
+      report += `|------------|------|------|-----------|-----|-----|-----|----------|------|\n`;
+      endpointEntries.forEach(([name, endpointStats]) => {
+        const { p50, p95, p99, ttfbP95, max } = endpointStats.summary;
+        const mainStep = Object.entries(endpointStats.steps || {}).sort(([, a], [, b]) => b - a)[0];
+        const stepLabel = mainStep ? this.translateStepName(mainStep[0]) : '-';
+        const ttfb = ttfbP95 === null ? '-' : `${ttfbP95}ms`;
+        report += `| ${name} | ${endpointStats.count}건 | ${endpointStats.failed}건 | ${stepLabel} | ${p50}ms | ${p95}ms | ${p99}ms | ${ttfb} | ${max}ms |\n`;
+      });
+      report += `\n`;
     }
 
     // 4. 실패 원인 분석
@@ -155,6 +375,11 @@ export class KoreanReportGenerator {
           report += `- **소요 시간**: ${this.formatDuration(session.duration)}\n`;
           report += `- **마지막 단계**: ${this.translateStepName(session.currentStep)}\n`;
 
+          const failedPaymentStep = (session.paymentSteps || []).find(step => !step.success);
+          if (failedPaymentStep) {
+            report += `- **실패한 결제 단계**: ${this.translatePaymentStep(failedPaymentStep.key, failedPaymentStep.label)} (${this.formatSeconds(failedPaymentStep.duration)})\n`;
+          }
+
           if (session.errors && session.errors.length > 0) {
             report += `- **에러 내역**:\n`;
             session.errors.forEach(err => {
@@ -216,6 +441,33 @@ export class KoreanReportGenerator {
       report += `- **초당 처리량**: ${(stats.total / durationSec).toFixed(2)}건/초\n\n`;
     }
 
+    // 처리량 추이
+    const throughputRows = this.groupThroughputSamples(stats.throughput);
+    if (throughputRows.length > 1) {
+      report += `### 처리량 추이\n\n`;
+      report += `| 구간 | 성공 | 실패 | 분당 처리량 | 동시 실행 |\n`;
+      report += `|------|------|------|-------------|-----------|\n`;
+      throughputRows.forEach(row => {
+        report += `| ${this.formatDuration(row.start)} ~ ${this.formatDuration(row.end)} | ${row.completed}건 | ${row.failed}건 | ${row.perMinute}건/분 | ${row.running}개 |\n`;
+      });
+      report += `\n`;
+    }
+
+    // 워커별 반복 실행 (load 모드)
+    const workerEntries = Object.entries(stats.workers || {});
+    if (workerEntries.length > 0) {
+      report += `### 워커별 반복 실행\n\n`;
+      report += `| 워커 | 반복 횟수 | 성공 | 실패 | 평균 처리 시간 |\n`;
+      report += `|------|-----------|------|------|----------------|\n`;
+      workerEntries
+        .sort(([a], [b]) => Number(a) - Number(b))
+        .forEach(([workerId, workerStats]) => {
+          const avgDuration = workerStats.iterations > 0 ? workerStats.totalDuration / workerStats.iterations : 0;
+          report += `| 워커 ${workerId} | ${workerStats.iterations}회 | ${workerStats.completed}건 | ${workerStats.failed}건 | ${this.formatDuration(avgDuration)} |\n`;
+        });
+      report += `\n`;
+    }
+
     // 7. 권장사항
     report += `## 💡 권장사항\n\n`;
 
@@ -285,6 +537,74 @@ export class KoreanReportGenerator {
     return `${minutes}분 ${remainSeconds}초`;
   }
 
+  /**
+   * 처리량 시계열을 보고서용 구간으로 묶기
+   * 샘플이 많으면 최대 maxRows개 구간으로 합쳐 표가 너무 길어지지 않게 한다.
+   */
+  groupThroughputSamples(samples = [], maxRows = 20) {
+    if (!samples || samples.length === 0) return [];
+
+    const groupSize = Math.ceil(samples.length / maxRows);
+    const rows = [];
+
+    for (let i = 0; i < samples.length; i += groupSize) {
+      const group = samples.slice(i, i + groupSize);
+      const last = group[group.length - 1];
+      const intervalMs = group.reduce((sum, sample) => sum + sample.intervalMs, 0);
+      const completed = group.reduce((sum, sample) => sum + sample.completed, 0);
+      const failed = group.reduce((sum, sample) => sum + sample.failed, 0);
+
+      rows.push({
+        start: last.elapsed - intervalMs,
+        end: last.elapsed,
+        completed,
+        failed,
+        perMinute: intervalMs > 0 ? (((completed + failed) / intervalMs) * 60000).toFixed(2) : '0.00',
+        running: Math.max(...group.map(sample => sample.running))
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * 성능 기준 실제 값 표기
+   */
+  formatThresholdValue(result) {
+    if (result.actual === null) return '측정값 없음';
+    return result.isDuration ? this.formatSeconds(result.actual) : `${result.actual}`;
+  }
+
+  /**
+   * 초 단위 포맷팅 (소수점 1자리, 짧은 구간용)
+   */
+  formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)}초`;
+  }
+
+  /**
+   * 결제 세부 단계명 한글 번역
+   */
+  translatePaymentStep(key, fallback = null) {
+    const translations = {
+      'page-load': '페이지 로딩 대기',
+      'payment-info': '결제 정보 확인',
+      'open-card-form': '카드 입력 폼 열기',
+      'select-card': '카드사 선택',
+      'select-installment': '할부 선택',
+      'draw-signature': '서명 그리기',
+      'click-payment-button': '카드번호 입력 후 결제하기',
+      'fill-card-number': '카드번호 입력',
+      'fill-validity': '유효기간 입력',
+      'fill-birth-date': '생년월일 입력',
+      'fill-password': '비밀번호 입력',
+      'click-final-payment': '최종 결제하기',
+      'select-initial-card': '초기 카드 선택',
+      'wait-completion': '결제 완료 대기'
+    };
+    return translations[key] || fallback || key;
+  }
+
   /**
    * 단계명 한글 번역
    */
@@ -295,11 +615,24 @@ export class KoreanReportGenerator {
       'step2-basic': '2단계: 기본정보 입력',
       'step3-detailed': '3단계: 상세정보 입력',
       'step4-class': '4단계: 수업 선택',
-      'step5-payment': '5단계: 결제'
+      'step5-payment': '5단계: 결제',
+      'setup': '준비'
     };
     return translations[step] || step;
   }
 
+  /**
+   * 부하 단계 한글 표기
+   */
+  translateStageLabel(stage) {
+    if (stage.from === stage.to) {
+      return `유지 (${stage.to}명)`;
+    }
+    return stage.from < stage.to
+      ? `증가 (${stage.from}→${stage.to}명)`
+      : `감소 (${stage.from}→${stage.to}명)`;
+  }
+
   /**
    * 에러 유형 한글 번역
    */
@@ -333,6 +666,377 @@ export class KoreanReportGenerator {
     return suggestions[type] || '';
   }
 
+  /**
+   * 대기열 정확도 및 공정성 섹션 생성
+   * @param {Object} queue ConcurrentMonitor stats.queue
+   * @param {Object[]} sessions 세션 목록 (대기 순번 차트용)
+   * @returns {string}
+   */
+  generateQueueSection(queue, sessions) {
+    let section = `### 🎯 대기열 정확도 및 공정성\n\n`;
+
+    section += `| 항목 | 값 |\n`;
+    section += `|------|----|\n`;
+    section += `| 대기 진입 | ${queue.visits}회 |\n`;
+    section += `| 통과 | ${queue.passed}회 |\n`;
+    section += `| 시간 초과 | ${queue.timedOut}회 |\n`;
+    section += `| 순번/예상 시간 관측 | ${queue.observations}회 |\n`;
+
+    const summary = queue.summary;
+    if (!summary) {
+      section += `\n> 대기 페이지를 통과한 세션이 없어 정확도를 계산하지 못했습니다.\n\n`;
+      return section;
+    }
+
+    section += `| 실제 대기 시간 (p50 / p95 / 최대) | ${this.formatDuration(summary.waitP50)} / ${this.formatDuration(summary.waitP95)} / ${this.formatDuration(summary.waitMax)} |\n\n`;
+
+    section += `**예상 대기 시간 정확도** (처음 표시된 예상 대기 시간 대비 실제 대기 시간, 허용 오차: 예상의 20% 또는 3초)\n\n`;
+    section += `| 항목 | 값 |\n`;
+    section += `|------|----|\n`;
+    section += `| 허용 오차 이내 | ${summary.accurate}회 (${summary.accuracyRate}%) |\n`;
+    section += `| 예상보다 오래 걸림 | ${summary.underestimated}회 |\n`;
+    section += `| 예상보다 빨리 통과 | ${summary.overestimated}회 |\n`;
+    section += `| 평균 오차 (실제 - 예상) | ${summary.meanError > 0 ? '+' : ''}${summary.meanError}초 |\n`;
+    section += `| 평균 절대 오차 | ${summary.meanAbsoluteError}초 |\n\n`;
+
+    section += `**대기 공정성**\n\n`;
+    section += `| 항목 | 값 |\n`;
+    section += `|------|----|\n`;
+    if (summary.secondsPerPosition) {
+      const perPosition = summary.secondsPerPosition;
+      section += `| 앞선 대기인원 1명당 대기 시간 (평균 / 최소 / 최대) | ${perPosition.avg}초 / ${perPosition.min}초 / ${perPosition.max}초 |\n`;
+      section += `| 1명당 대기 시간 변동계수 | ${perPosition.cv} |\n`;
+    }
+    section += `| 대기 중 순번이 뒤로 밀린 횟수 | ${queue.positionIncreases}회 (${summary.sessionsPushedBack}개 세션) |\n\n`;
+
+    if (summary.accuracyRate < 80) {
+      section += `> ⚠️ 예상 대기 시간이 실제와 자주 어긋납니다. 대기열 서버의 예상 시간 계산 로직을 확인하세요.\n\n`;
+    }
+    if (queue.positionIncreases > 0 || (summary.secondsPerPosition && summary.secondsPerPosition.cv >= 0.5)) {
+      section += `> ⚠️ 대기 순번이 뒤로 밀리거나 같은 순번에서도 대기 시간 편차가 큽니다. 대기열이 먼저 들어온 순서대로 입장시키는지 확인하세요.\n\n`;
+    }
+
+    if (queue.fairness) {
+      section += this.generateQueueOrderSection(queue.fairness, sessions);
+    }
+
+    return section;
+  }
+
+  /**
+   * 대기열 진입/통과 순서 (FIFO) 섹션 생성
+   * @param {Object} fairness analyzeQueueFairness 결과
+   * @param {Object[]} sessions 세션 목록
+   * @returns {string}
+   */
+  generateQueueOrderSection(fairness, sessions) {
+    let section = `### 🔀 대기열 진입/통과 순서 (FIFO)\n\n`;
+
+    section += `먼저 대기 페이지에 들어온 세션이 먼저 통과했는지 비교합니다. `;
+    section += `진입 또는 통과 시각 차이가 ${fairness.toleranceMs / 1000}초 미만인 쌍은 측정 오차로 보고 역전에서 제외합니다.\n\n`;
+
+    section += `| 항목 | 값 |\n`;
+    section += `|------|----|\n`;
+    section += `| 비교한 세션 쌍 | ${fairness.pairs}쌍 (${fairness.visits}회 통과) |\n`;
+    section += `| 순서 역전 | ${fairness.inversions}쌍 |\n`;
+    section += `| FIFO 준수율 | ${fairness.fifoRate}% |\n`;
+    section += `| 먼저 들어온 세션을 추월한 세션 | ${fairness.jumpedAhead}개 |\n`;
+    section += `| 최대 추월 수 | ${fairness.maxOvertaken}명 |\n`;
+    section += `| 최대 순위 상승 (진입 순위 - 통과 순위) | ${fairness.maxRankJump}단계 |\n\n`;
+
+    const jumpers = fairness.ranks
+      .filter(rank => rank.overtaken > 0)
+      .sort((a, b) => b.overtaken - a.overtaken)
+      .slice(0, 10);
+
+    if (jumpers.length > 0) {
+      section += `**가장 많이 추월한 세션**\n\n`;
+      section += `| 세션 | 단계 | 진입 순위 | 통과 순위 | 추월 | 처음 대기인원 | 실제 대기 시간 |\n`;
+      section += `|------|------|-----------|-----------|------|---------------|----------------|\n`;
+      jumpers.forEach(rank => {
+        section += `| ${rank.sessionId} | ${this.translateStepName(rank.step)} | ${rank.entryRank}위 | ${rank.exitRank}위 | ${rank.overtaken}명 | ${rank.initialPosition}명 | ${this.formatDuration(rank.actualWaitTime)} |\n`;
+      });
+      section += `\n`;
+
+      section += `> ⚠️ 나중에 들어온 세션이 먼저 통과했습니다. 대기열 서버가 진입 순서대로 입장시키는지 확인하세요.\n\n`;
+    }
+
+    const timeline = buildQueueTimeline(sessions, fairness);
+    if (timeline.length > 0) {
+      section += `**대기 순번 변화**\n\n`;
+      section += this.renderQueueChart(timeline);
+    }
+
+    return section;
+  }
+
+  /**
+   * 대기 순번 변화 텍스트 차트 (가로: 테스트 경과 시간, 세로: 앞선 대기인원)
+   * FIFO라면 먼저 들어온 세션(A쪽)의 선이 항상 아래에 있고 먼저 0에 닿는다.
+   * @param {Object[]} timeline buildQueueTimeline 결과
+   * @returns {string}
+   */
+  renderQueueChart(timeline) {
+    const width = 60;
+    const height = 12;
+    const labels = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+    const allPoints = timeline.flatMap(series => series.points);
+    const startTime = Math.min(...allPoints.map(point => point.elapsed));
+    const endTime = Math.max(...allPoints.map(point => point.elapsed));
+    const maxPosition = Math.max(1, ...allPoints.map(point => point.position));
+    const timeSpan = Math.max(1, endTime - startTime);
+
+    const grid = Array.from({ length: height + 1 }, () => new Array(width).fill(' '));
+
+    timeline.forEach((series, seriesIndex) => {
+      const label = labels[seriesIndex % labels.length];
+      const first = series.points[0].elapsed;
+      const last = series.points[series.points.length - 1].elapsed;
+
+      for (let column = 0; column < width; column++) {
+        const time = startTime + (timeSpan * column) / (width - 1);
+        if (time < first || time > last) continue;
+
+        // 해당 시각 직전에 관측한 대기인원 (관측 사이에는 값이 유지된다고 봄)
+        let position = series.points[0].position;
+        series.points.forEach(point => {
+          if (point.elapsed <= time) position = point.position;
+        });
+
+        const row = height - Math.round((position / maxPosition) * height);
+        grid[row][column] = grid[row][column] === ' ' ? label : '*';
+      }
+    });
+
+    // 코드 블록 안에서 열이 어긋나지 않도록 축 눈금은 숫자만 표시 (단위는 아래 설명)
+    const axisWidth = String(maxPosition).length;
+    let chart = '```\n';
+    grid.forEach((cells, row) => {
+      const value = Math.round(((height - row) / height) * maxPosition);
+      const axisLabel = row === 0 || row === height || row === height / 2 ? String(value) : '';
+      chart += `${axisLabel.padStart(axisWidth)} |${cells.join('').trimEnd()}\n`;
+    });
+    chart += `${' '.repeat(axisWidth)} +${'-'.repeat(width)}\n`;
+    const startLabel = String(Math.round(startTime / 1000));
+    const endLabel = String(Math.round(endTime / 1000));
+    chart += `${' '.repeat(axisWidth + 2)}${startLabel}${endLabel.padStart(width - startLabel.length)}\n`;
+    chart += '```\n\n';
+
+    chart += `| 기호 | 세션 | 진입 순위 | 통과 순위 |\n`;
+    chart += `|------|------|-----------|-----------|\n`;
+    timeline.forEach((series, seriesIndex) => {
+      chart += `| ${labels[seriesIndex % labels.length]} | ${series.sessionId} | ${series.entryRank}위 | ${series.exitRank}위 |\n`;
+    });
+    chart += `\n> 세로축은 앞선 대기인원(명), 가로축은 테스트 경과 시간(초)입니다. \`*\`는 여러 세션이 겹친 지점입니다.\n\n`;
+
+    return chart;
+  }
+
+  /**
+   * 실행 비교 보고서 저장 (Markdown + HTML)
+   * 두 실행 중 더 나중에 시작한 실행 폴더에 비교보고서-<상대 실행 ID>.md/.html 로 저장한다.
+   * @param {Object} comparison compareRuns 결과
+   * @returns {{runId: string, markdownPath: string, htmlPath: string}} runId는 보고서를 저장한 실행
+   */
+  generateComparisonReport(comparison) {
+    const { baseline, candidate } = comparison;
+    const candidateIsNewer = new Date(candidate.startTime) >= new Date(baseline.startTime);
+    const newer = candidateIsNewer ? candidate : baseline;
+    const older = candidateIsNewer ? baseline : candidate;
+
+    const markdown = this.createComparisonContent(comparison);
+    const markdownPath = path.join(newer.dir, `비교보고서-${older.runId}.md`);
+    const htmlPath = path.join(newer.dir, `비교보고서-${older.runId}.html`);
+
+    fs.writeFileSync(markdownPath, markdown, 'utf-8');
+    fs.writeFileSync(htmlPath, renderMarkdownPage(markdown, { title: `${baseline.runId} ↔ ${candidate.runId} 비교` }), 'utf-8');
+
+    this.logger.info(`✅ 비교 보고서 생성 완료: ${markdownPath}`);
+    return { runId: newer.runId, markdownPath, htmlPath };
+  }
+
+  /**
+   * 실행 비교 보고서 내용 생성
+   * @param {Object} comparison compareRuns 결과
+   * @returns {string}
+   */
+  createComparisonContent(comparison) {
+    const { baseline, candidate, alpha, overview, steps, errors, waiting, regressions, improvements } = comparison;
+    const labelOf = change => this.translateComparisonChange(change);
+
+    let report = '# 📈 실행 비교 보고서\n\n';
+
+    report += '## 📋 비교 대상\n\n';
+    report += '| 항목 | 기준 실행 | 비교 실행 |\n';
+    report += '|------|----------|----------|\n';
+    report += `| **실행 ID** | ${baseline.runId} | ${candidate.runId} |\n`;
+    report += `| **테스트명** | ${baseline.testName} | ${candidate.testName} |\n`;
+    report += `| **시작 시간** | ${this.formatDateTime(new Date(baseline.startTime))} | ${this.formatDateTime(new Date(candidate.startTime))} |\n`;
+    report += `| **소요 시간** | ${this.formatDuration(baseline.elapsed || 0)} | ${this.formatDuration(candidate.elapsed || 0)} |\n`;
+    report += `| **총 테스트 수** | ${baseline.total}건 | ${candidate.total}건 |\n\n`;
+
+    report += `> 유의 수준 ${Math.round(alpha * 100)}% 양측 검정입니다 (소요 시간: Mann-Whitney U, 비율: 두 비율 z 검정, 에러 건수: 세션당 발생률 비교). `;
+    report += '🔴 통계적으로 유의한 악화, 🟢 유의한 개선입니다. 어느 한쪽의 표본이 5개 미만이면 검정하지 않습니다.\n\n';
+
+    report += '## 🧾 요약\n\n';
+    report += regressions.length > 0
+      ? `🔴 **유의한 악화 ${regressions.length}건:** ${regressions.map(labelOf).join(', ')}\n\n`
+      : '✅ 통계적으로 유의한 악화가 없습니다.\n\n';
+    if (improvements.length > 0) {
+      report += `🟢 **유의한 개선 ${improvements.length}건:** ${improvements.map(labelOf).join(', ')}\n\n`;
+    }
+
+    report += '## ✅ 전체 결과\n\n';
+    report += '| 지표 | 기준 | 비교 | 변화 | p값 | 판정 |\n';
+    report += '|------|------|------|------|-----|------|\n';
+    overview.forEach(item => {
+      report += `| ${this.markComparisonLabel(this.translateComparisonMetric(item.label), item)} | ${this.formatComparisonValue(item.baseline, item.unit)} | ${this.formatComparisonValue(item.candidate, item.unit)} | ${this.formatComparisonDelta(item.delta, item.unit)} | ${this.formatPValue(item.pValue)} | ${this.formatVerdict(item)} |\n`;
+    });
+    report += '\n';
+
+    report += '## ⏱️ 단계별 소요 시간\n\n';
+    if (steps.length === 0) {
+      report += '단계별 소요 시간 측정값이 없습니다.\n\n';
+    } else {
+      report += '| 단계 | 표본 (기준/비교) | 평균 | p50 | p95 | p값 | 판정 |\n';
+      report += '|------|-----------------|------|-----|-----|-----|------|\n';
+      steps.forEach(item => {
+        report += `| ${this.markComparisonLabel(this.translateComparisonStep(item.step), item)} | ${item.baseline?.n || 0} / ${item.candidate?.n || 0} | `;
+        report += ['mean', 'p50', 'p95'].map(key => this.formatDurationChange(item, key)).join(' | ');
+        report += ` | ${this.formatPValue(item.pValue)} | ${this.formatVerdict(item)} |\n`;
+      });
+      report += '\n';
+    }
+
+    report += '## ❌ 에러 유형별 발생\n\n';
+    if (errors.length === 0) {
+      report += '두 실행 모두 에러가 없습니다.\n\n';
+    } else {
+      report += '| 에러 유형 | 기준 | 비교 | 세션당 변화 | p값 | 판정 |\n';
+      report += '|----------|------|------|------------|-----|------|\n';
+      errors.forEach(item => {
+        report += `| ${this.markComparisonLabel(this.translateErrorType(item.type), item)} | ${item.baseline.count}건 (${this.formatComparisonValue(item.baseline.perSession, item.unit)}) | ${item.candidate.count}건 (${this.formatComparisonValue(item.candidate.perSession, item.unit)}) | ${this.formatComparisonDelta(item.delta, item.unit)} | ${this.formatPValue(item.pValue)} | ${this.formatVerdict(item)} |\n`;
+      });
+      report += '\n';
+    }
+
+    report += '## ⏳ 대기 페이지\n\n';
+    report += '| 지표 | 기준 | 비교 | 변화 | p값 | 판정 |\n';
+    report += '|------|------|------|------|-----|------|\n';
+    waiting.forEach(item => {
+      const label = this.markComparisonLabel(this.translateComparisonMetric(item.label), item);
+      if (item.unit === 'ms') {
+        // 대기 시간은 평균/p50/p95를 한 칸에 표시
+        const describe = summary => (summary
+          ? `평균 ${this.formatSeconds(summary.mean)}, p50 ${this.formatSeconds(summary.p50)}, p95 ${this.formatSeconds(summary.p95)} (${summary.n}회)`
+          : '-');
+        const change = item.deltaPercent && item.deltaPercent.mean !== null ? `평균 ${this.formatPercentChange(item.deltaPercent.mean)}` : '-';
+        report += `| ${label} | ${describe(item.baseline)} | ${describe(item.candidate)} | ${change} | ${this.formatPValue(item.pValue)} | ${this.formatVerdict(item)} |\n`;
+      } else {
+        report += `| ${label} | ${this.formatComparisonValue(item.baseline, item.unit)} | ${this.formatComparisonValue(item.candidate, item.unit)} | ${this.formatComparisonDelta(item.delta, item.unit)} | ${this.formatPValue(item.pValue)} | ${this.formatVerdict(item)} |\n`;
+      }
+    });
+    report += '\n';
+
+    report += '---\n\n';
+    report += `*보고서 생성 시간: ${this.formatDateTime(new Date())}*\n`;
+
+    return report;
+  }
+
+  /**
+   * 비교 지표명 한글 번역
+   */
+  translateComparisonMetric(metric) {
+    const translations = {
+      'successRate': '성공률',
+      'encounters': '대기 페이지 발생 (세션당)',
+      'waitTime': '실제 대기 시간',
+      'timeoutRate': '대기 시간 초과율',
+      'estimateAccuracy': '예상 대기 시간 정확도'
+    };
+    return translations[metric] || metric;
+  }
+
+  /**
+   * 악화/개선 항목 한글 표기 ({ section, label })
+   */
+  translateComparisonChange(change) {
+    if (change.section === 'steps') return this.translateComparisonStep(change.label);
+    if (change.section === 'errors') return this.translateErrorType(change.label);
+    return this.translateComparisonMetric(change.label);
+  }
+
+  /**
+   * 비교 단계명 한글 번역 (session은 세션 전체)
+   */
+  translateComparisonStep(step) {
+    return step === 'session' ? '세션 전체' : this.translateStepName(step);
+  }
+
+  /**
+   * 악화 항목은 굵게 표시
+   */
+  markComparisonLabel(label, item) {
+    return item.regression ? `**${label}**` : label;
+  }
+
+  /**
+   * 비교 판정 표기
+   */
+  formatVerdict(item) {
+    if (item.regression) return '🔴 악화';
+    if (item.improvement) return '🟢 개선';
+    if (item.pValue === null) return '표본 부족';
+    return '변화 없음';
+  }
+
+  /**
+   * p값 표기
+   */
+  formatPValue(pValue) {
+    if (pValue === null) return '-';
+    return pValue < 0.001 ? '<0.001' : pValue.toFixed(3);
+  }
+
+  /**
+   * 비교 값 표기 (단위 포함)
+   */
+  formatComparisonValue(value, unit) {
+    if (value === null || value === undefined) return '-';
+    return unit === '%' ? `${value}%` : `${value}${unit}`;
+  }
+
+  /**
+   * 비교 변화량 표기 (부호 포함)
+   */
+  formatComparisonDelta(delta, unit) {
+    if (delta === null || delta === undefined) return '-';
+    const sign = delta > 0 ? '+' : '';
+    return unit === '%' ? `${sign}${delta}%p` : `${sign}${delta}${unit}`;
+  }
+
+  /**
+   * 변화율 표기 (부호 포함)
+   */
+  formatPercentChange(percent) {
+    return `${percent > 0 ? '+' : ''}${percent}%`;
+  }
+
+  /**
+   * 단계 소요 시간 변화 표기 (기준 → 비교, 변화율)
+   */
+  formatDurationChange(item, key) {
+    if (!item.baseline || !item.candidate) {
+      const only = item.baseline || item.candidate;
+      return only ? `${item.baseline ? this.formatSeconds(only[key]) : '-'} → ${item.candidate ? this.formatSeconds(only[key]) : '-'}` : '-';
+    }
+
+    const percent = item.deltaPercent[key];
+    return `${this.formatSeconds(item.baseline[key])} → ${this.formatSeconds(item.candidate[key])}${percent !== null ? ` (${this.formatPercentChange(percent)})` : ''}`;
+  }
+
   /**
    * 최대 동시 대기 사용자 수 계산
    */
@@ -0,0 +1,72 @@
+import { Marked } from 'marked';
+
+/**
+ * 보고서용 Markdown 렌더러
+ * 보고서에는 사이트 에러 메시지가 그대로 들어가므로 Markdown 안의 HTML은 글자로 표시한다.
+ */
+const markdownRenderer = new Marked({
+  renderer: {
+    html: html => escapeHtml(html)
+  }
+});
+
+const PAGE_STYLE = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Malgun Gothic', sans-serif; max-width: 1100px; margin: 0 auto; padding: 30px; color: #2c3e50; line-height: 1.6; }
+    .downloads { background: #e8f4fd; padding: 12px 16px; border-radius: 8px; margin-bottom: 20px; }
+    .downloads a { margin-right: 16px; color: #2980b9; text-decoration: none; }
+    table { border-collapse: collapse; margin: 10px 0 20px; }
+    th, td { border: 1px solid #dfe6e9; padding: 6px 12px; text-align: left; }
+    th { background: #f5f6fa; }
+    pre { background: #2c3e50; color: #ecf0f1; padding: 15px; border-radius: 8px; overflow-x: auto; }
+    code { background: #f5f6fa; padding: 1px 4px; border-radius: 4px; }
+    pre code { background: none; padding: 0; }
+    blockquote { border-left: 4px solid #f39c12; margin: 10px 0; padding: 5px 15px; background: #fef9e7; }
+    h1, h2 { border-bottom: 1px solid #dfe6e9; padding-bottom: 6px; }
+    svg.chart { max-width: 100%; height: auto; display: block; margin: 8px 0 20px; font-family: inherit; }
+    .chart-grid { display: flex; flex-wrap: wrap; gap: 12px; }
+    .chart-small { margin: 0; flex: 1 1 420px; max-width: 520px; }
+    .chart-small figcaption { font-weight: bold; font-size: 14px; }
+    .chart-legend span { margin-right: 16px; font-size: 13px; }
+    .chart-legend i { display: inline-block; width: 12px; height: 12px; margin-right: 4px; border-radius: 2px; vertical-align: middle; }
+    .chart-note { color: #7f8c8d; font-size: 13px; }`;
+
+/**
+ * HTML 특수문자 이스케이프
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Markdown 보고서를 독립 HTML 페이지로 렌더링
+ * @param {string} markdown 보고서 원문
+ * @param {Object} [options]
+ * @param {string} [options.title] 페이지 제목
+ * @param {{name: string, url: string}[]} [options.links] 상단에 표시할 내려받기 링크
+ * @param {string} [options.appendix] 본문 뒤에 붙일 HTML (차트 등, 이스케이프하지 않음)
+ * @returns {string}
+ */
+export function renderMarkdownPage(markdown, options = {}) {
+  const { title = '테스트 보고서', links = [], appendix = '' } = options;
+  const downloads = links.length > 0
+    ? `<div class="downloads">${links.map(link => `<a href="${escapeHtml(link.url)}">⬇️ ${escapeHtml(link.name)}</a>`).join(' ')}</div>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>${PAGE_STYLE}
+  </style>
+</head>
+<body>
+  ${downloads}
+  ${markdownRenderer.parse(markdown)}
+  ${appendix}
+</body>
+</html>`;
+}
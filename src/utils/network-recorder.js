@@ -0,0 +1,169 @@
+import { config } from '../config/index.js';
+import { Logger } from './logger.js';
+
+/**
+ * 엔드포인트 집계에서 제외하는 정적 리소스 유형
+ */
+const STATIC_RESOURCE_TYPES = new Set(['image', 'stylesheet', 'font', 'script', 'media', 'manifest', 'texttrack', 'other']);
+
+/**
+ * 주문번호 등 요청마다 달라지는 경로 조각 (확장자 없는 숫자, 숫자가 섞인 6자 이상, 8자 이상 대소문자 혼합)
+ */
+function isIdSegment(segment) {
+  if (segment.includes('.')) return false;
+  if (/^\d+$/.test(segment)) return true;
+  if (segment.length >= 6 && /\d/.test(segment)) return true;
+  return segment.length >= 8 && /[a-z]/.test(segment) && /[A-Z]/.test(segment);
+}
+
+/**
+ * 요청 URL을 집계용 엔드포인트 이름으로 변환
+ * 예: .../apply/request/applyRegister01.do → applyRegister01.do,
+ *     결제 팝업의 /dsCQJTdSF → payment /:id
+ * @param {string} url 요청 URL
+ * @param {string} resourceType Playwright 리소스 유형
+ * @returns {string|null} 정적 리소스면 null
+ */
+export function resolveEndpoint(url, resourceType) {
+  if (STATIC_RESOURCE_TYPES.has(resourceType)) return null;
+
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return null;
+  }
+
+  const segments = pathname.split('/').filter(Boolean).map(segment => (isIdSegment(segment) ? ':id' : segment));
+  const lastSegment = segments[segments.length - 1] || '';
+  const name = lastSegment.endsWith('.do') ? lastSegment : `/${segments.join('/')}`;
+
+  return url.includes(config.paymentPopupPattern) ? `payment ${name}` : name;
+}
+
+/**
+ * 세션 네트워크 요청 기록기
+ * 세션의 페이지(및 그 페이지가 연 팝업)마다 request/response 리스너를 달아
+ * 요청별 URL, 메서드, 상태 코드, TTFB, 소요 시간을 현재 플로우 단계와 함께 기록한다.
+ */
+export class NetworkRecorder {
+  /**
+   * @param {string} sessionId 세션 ID
+   * @param {Object} options
+   * @param {import('../utils/concurrent-monitor.js').ConcurrentMonitor} [options.monitor] 엔드포인트 통계를 집계할 모니터
+   * @param {import('../utils/performance.js').PerformanceMonitor} [options.performanceMonitor] 요청 수, 페이지 로딩 시간 기록
+   * @param {Function} [options.getStep] 현재 플로우 단계 이름을 돌려주는 함수
+   */
+  constructor(sessionId, options = {}) {
+    this.sessionId = sessionId;
+    this.monitor = options.monitor || null;
+    this.performanceMonitor = options.performanceMonitor || null;
+    this.getStep = options.getStep || (() => null);
+    this.logger = new Logger(`NetworkRecorder-${sessionId}`);
+
+    this.requests = [];
+    this.pending = new Map();
+    this.attachedPages = new WeakSet();
+  }
+
+  /**
+   * 페이지에 리스너 연결 (팝업도 자동으로 연결)
+   * @param {import('playwright').Page} page
+   */
+  attach(page) {
+    if (!page || this.attachedPages.has(page)) return;
+    this.attachedPages.add(page);
+
+    page.on('request', request => {
+      this.pending.set(request, { startTime: Date.now(), step: this.getStep() });
+    });
+    page.on('requestfinished', request => {
+      this._complete(request, null).catch(error => this.logger.debug(`Failed to record request: ${error.message}`));
+    });
+    page.on('requestfailed', request => {
+      this._complete(request, request.failure()?.errorText || 'failed')
+        .catch(error => this.logger.debug(`Failed to record request: ${error.message}`));
+    });
+    page.on('popup', popup => this.attach(popup));
+  }
+
+  /**
+   * 세션 요청 요약 (엔드포인트별 요청 수와 평균/최대 소요 시간)
+   * @returns {{totalRequests: number, failedRequests: number, endpoints: Object.<string, {count: number, failed: number, avgDuration: number, maxDuration: number}>}}
+   */
+  getSummary() {
+    const endpoints = {};
+    let failedRequests = 0;
+
+    this.requests.forEach(entry => {
+      if (entry.failed) failedRequests++;
+      if (!entry.endpoint) return;
+
+      if (!endpoints[entry.endpoint]) {
+        endpoints[entry.endpoint] = { count: 0, failed: 0, totalDuration: 0, maxDuration: 0 };
+      }
+      const endpoint = endpoints[entry.endpoint];
+      endpoint.count++;
+      if (entry.failed) endpoint.failed++;
+      endpoint.totalDuration += entry.duration;
+      endpoint.maxDuration = Math.max(endpoint.maxDuration, entry.duration);
+    });
+
+    Object.values(endpoints).forEach(endpoint => {
+      endpoint.avgDuration = Math.round(endpoint.totalDuration / endpoint.count);
+      delete endpoint.totalDuration;
+    });
+
+    return { totalRequests: this.requests.length, failedRequests, endpoints };
+  }
+
+  /**
+   * 요청 완료 처리 (내부 헬퍼)
+   * @param {import('playwright').Request} request
+   * @param {string|null} failure 실패 사유 (성공 시 null)
+   */
+  async _complete(request, failure) {
+    const pending = this.pending.get(request);
+    this.pending.delete(request);
+
+    const response = failure ? null : await request.response();
+    const timing = request.timing();
+    const startTime = pending ? pending.startTime : Date.now();
+
+    // timing 값은 startTime 기준 상대 시간(ms), 알 수 없으면 -1
+    const ttfb = timing.responseStart >= 0 && timing.requestStart >= 0
+      ? Math.round(timing.responseStart - timing.requestStart)
+      : null;
+    const duration = !failure && timing.responseEnd >= 0
+      ? Math.round(timing.responseEnd)
+      : Date.now() - startTime;
+
+    const status = response ? response.status() : null;
+    const entry = {
+      sessionId: this.sessionId,
+      step: pending ? pending.step : this.getStep(),
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      endpoint: resolveEndpoint(request.url(), request.resourceType()),
+      status,
+      ttfb,
+      duration,
+      failed: failure !== null || (status !== null && status >= 400),
+      failure,
+      timestamp: startTime
+    };
+
+    this.requests.push(entry);
+
+    if (this.performanceMonitor) {
+      this.performanceMonitor.incrementRequests();
+      if (entry.failed) this.performanceMonitor.incrementFailedRequests();
+      if (entry.resourceType === 'document' && !failure) this.performanceMonitor.recordPageLoad(entry.url, duration);
+    }
+
+    if (this.monitor && typeof this.monitor.recordRequest === 'function') {
+      this.monitor.recordRequest(this.sessionId, entry);
+    }
+  }
+}
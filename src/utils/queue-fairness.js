@@ -0,0 +1,141 @@
+/**
+ * 대기열 공정성 분석
+ * 대기 페이지에 먼저 들어온 세션이 먼저 통과했는지(FIFO) 진입 순위와 통과 순위를 비교한다.
+ */
+
+/**
+ * 대기 페이지 통과 확인 간격 (ms)
+ * WaitingPage가 대기 중 이 간격으로 통과 여부를 확인하므로 통과 시각과 실제 대기 시간의 오차는 이 간격 이내다.
+ */
+export const QUEUE_POLL_INTERVAL_MS = 2000;
+
+/**
+ * 순서 역전으로 보지 않는 시간 차이 (ms)
+ * 통과 시각은 확인 간격만큼 늦게 기록될 수 있으므로 그보다 가까운 통과 시각은 구분할 수 없다.
+ */
+export const DEFAULT_TOLERANCE_MS = QUEUE_POLL_INTERVAL_MS;
+
+/**
+ * 통과한 대기 기록 수집 (내부 헬퍼)
+ * @param {Object[]} sessions ConcurrentMonitor 세션 목록
+ * @returns {Object[]} 진입 시각 순으로 정렬된 대기 기록 (진입이 같으면 처음 표시된 대기인원이 적은 쪽이 먼저)
+ */
+function collectPassedVisits(sessions) {
+  const visits = [];
+  sessions.forEach(session => {
+    (session.queueVisits || []).forEach((visit, visitIndex) => {
+      if (visit.status === 'passed') {
+        visits.push({ sessionId: session.sessionId, visitIndex, visit });
+      }
+    });
+  });
+
+  return visits.sort((a, b) => (a.visit.enteredAt - b.visit.enteredAt) || (a.visit.initialPosition - b.visit.initialPosition));
+}
+
+/**
+ * 진입 순위와 통과 순위 비교
+ * - 역전: A가 B보다 먼저 들어왔는데 B가 먼저 통과한 쌍 (두 시각 모두 허용 오차 이상 차이날 때만)
+ * - 추월 수: 해당 세션이 역전시킨 (먼저 들어온) 세션 수
+ * @param {Object[]} sessions ConcurrentMonitor 세션 목록 (session.queueVisits 포함)
+ * @param {Object} [options]
+ * @param {number} [options.toleranceMs] 순서 역전으로 보지 않는 시간 차이
+ * @returns {Object|null} 통과한 대기 기록이 2개 미만이면 null
+ */
+export function analyzeQueueFairness(sessions, options = {}) {
+  const toleranceMs = options.toleranceMs ?? DEFAULT_TOLERANCE_MS;
+  const visits = collectPassedVisits(sessions);
+  if (visits.length < 2) return null;
+
+  const exitOrder = [...visits].sort((a, b) => a.visit.exitedAt - b.visit.exitedAt);
+  const exitRanks = new Map(exitOrder.map((item, index) => [item, index + 1]));
+
+  const overtaken = new Array(visits.length).fill(0);
+  let inversions = 0;
+
+  for (let i = 0; i < visits.length; i++) {
+    for (let j = i + 1; j < visits.length; j++) {
+      const earlier = visits[i].visit;
+      const later = visits[j].visit;
+      if (later.enteredAt - earlier.enteredAt < toleranceMs) continue;
+      if (earlier.exitedAt - later.exitedAt < toleranceMs) continue;
+
+      inversions++;
+      overtaken[j]++;
+    }
+  }
+
+  const ranks = visits.map((item, index) => ({
+    sessionId: item.sessionId,
+    visitIndex: item.visitIndex,
+    step: item.visit.step,
+    entryRank: index + 1,
+    exitRank: exitRanks.get(item),
+    rankJump: index + 1 - exitRanks.get(item), // 양수면 진입 순서보다 먼저 통과
+    overtaken: overtaken[index],
+    initialPosition: item.visit.initialPosition,
+    actualWaitTime: item.visit.actualWaitTime
+  }));
+
+  const pairs = (visits.length * (visits.length - 1)) / 2;
+
+  return {
+    visits: visits.length,
+    pairs,
+    inversions,
+    fifoRate: Math.round((1 - inversions / pairs) * 1000) / 10,
+    toleranceMs,
+    jumpedAhead: ranks.filter(rank => rank.overtaken > 0).length,
+    maxOvertaken: Math.max(...overtaken),
+    maxRankJump: Math.max(...ranks.map(rank => rank.rankJump)),
+    ranks
+  };
+}
+
+/**
+ * 대기 순번 변화 시계열 (차트용)
+ * 가장 많이 추월한 세션을 먼저 넣고, 나머지는 진입 순위 전체에서 고르게 고른다.
+ * 각 시계열은 관측한 대기인원과 통과 시점(0명)으로 이루어진다.
+ * @param {Object[]} sessions ConcurrentMonitor 세션 목록
+ * @param {Object} fairness analyzeQueueFairness 결과
+ * @param {number} [maxSeries] 최대 시계열 수
+ * @returns {{sessionId: string, entryRank: number, exitRank: number, points: {elapsed: number, position: number}[]}[]}
+ */
+export function buildQueueTimeline(sessions, fairness, maxSeries = 8) {
+  if (!fairness) return [];
+
+  const visitsBySession = new Map(sessions.map(session => [session.sessionId, session.queueVisits || []]));
+  const selected = [];
+  const add = rank => {
+    if (selected.length < maxSeries && !selected.includes(rank)) selected.push(rank);
+  };
+
+  [...fairness.ranks]
+    .filter(rank => rank.overtaken > 0)
+    .sort((a, b) => b.overtaken - a.overtaken)
+    .slice(0, Math.ceil(maxSeries / 2))
+    .forEach(add);
+
+  const remaining = maxSeries - selected.length;
+  const step = fairness.ranks.length / Math.max(1, remaining);
+  for (let index = 0; index < remaining && index * step < fairness.ranks.length; index++) {
+    add(fairness.ranks[Math.floor(index * step)]);
+  }
+  // 고르게 고를 때 추월 세션과 겹쳐 모자라면 남은 세션으로 채움
+  fairness.ranks.forEach(add);
+
+  return selected
+    .sort((a, b) => a.entryRank - b.entryRank)
+    .map(rank => {
+      const visit = visitsBySession.get(rank.sessionId)[rank.visitIndex];
+      return {
+        sessionId: rank.sessionId,
+        entryRank: rank.entryRank,
+        exitRank: rank.exitRank,
+        points: [
+          ...visit.observations.map(observation => ({ elapsed: observation.elapsed, position: observation.position })),
+          { elapsed: visit.exitedAt, position: 0 }
+        ]
+      };
+    });
+}
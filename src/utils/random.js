@@ -0,0 +1,138 @@
+/**
+ * 시드 기반 난수
+ * 실패한 실행을 그대로 다시 돌릴 수 있도록 데이터 생성, 시나리오 선택, think time,
+ * 랜덤 지연, 학교 선택이 모두 실행 시드에서 나온 난수를 쓴다.
+ *
+ * 세션은 실행 시드와 세션 ID로 만든 세션 시드를 따로 가지므로, 동시 실행 순서가 달라도
+ * 세션마다 같은 난수열을 받는다. 세션 시드는 stats.json의 sessions[].seed에 남는다.
+ */
+
+/**
+ * 시드 기반 난수 생성기 (mulberry32)
+ */
+export class SeededRandom {
+  /**
+   * @param {number} seed 32비트 정수 시드
+   */
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * 0 이상 1 미만의 난수 (Math.random 대체)
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * min 이상 max 이하의 정수
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+}
+
+/**
+ * 시드 문자열 검증 (--seed 값, 0 ~ 4294967295 정수)
+ * @param {string|number} value
+ * @returns {number}
+ */
+export function parseSeed(value) {
+  const seed = Number(value);
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+    throw new Error(`Invalid seed: ${value}. Expected an integer between 0 and 4294967295`);
+  }
+  return seed;
+}
+
+/**
+ * 시드와 키(세션 ID 등)로 하위 시드 생성 (FNV-1a 해시)
+ * @param {number} seed 상위 시드
+ * @param {string|number} key
+ * @returns {number}
+ */
+export function deriveSeed(seed, key) {
+  let hash = 0x811C9DC5;
+  const text = `${seed}:${key}`;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * 실행 시드와 세션별 난수 생성기 관리
+ * 세션에 등록되지 않은 곳(세션 ID 생성 등)은 실행 전체 난수 생성기를 쓴다.
+ */
+export class RandomSource {
+  constructor() {
+    this.seed = null;
+    this.global = null;
+    this.sessions = new Map();
+    this.setSeed(null);
+  }
+
+  /**
+   * 실행 시드 설정 (없으면 무작위로 정해 기록해 둔다)
+   * @param {number|null} [seed]
+   * @returns {number} 실제로 쓰는 시드
+   */
+  setSeed(seed = null) {
+    this.seed = seed === null || seed === undefined ? Math.floor(Math.random() * 0x100000000) : parseSeed(seed);
+    this.global = new SeededRandom(this.seed);
+    this.sessions.clear();
+    return this.seed;
+  }
+
+  /**
+   * 세션 시드 (실행 시드와 세션 ID로 계산)
+   * @param {string} sessionId
+   * @returns {number}
+   */
+  sessionSeed(sessionId) {
+    return deriveSeed(this.seed, sessionId);
+  }
+
+  /**
+   * 세션 난수 생성기 등록
+   * @param {string} sessionId
+   * @param {number} seed 세션 시드
+   * @returns {SeededRandom}
+   */
+  createSession(sessionId, seed) {
+    const random = new SeededRandom(seed);
+    this.sessions.set(sessionId, random);
+    return random;
+  }
+
+  /**
+   * 세션 난수 생성기 (등록되지 않은 세션은 실행 전체 난수 생성기)
+   * @param {string} sessionId
+   * @returns {SeededRandom}
+   */
+  forSession(sessionId) {
+    return this.sessions.get(sessionId) || this.global;
+  }
+
+  /**
+   * 세션 난수 생성기 해제
+   * @param {string} sessionId
+   */
+  releaseSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+}
+
+// 싱글톤 인스턴스
+export const randomSource = new RandomSource();
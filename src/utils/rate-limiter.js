@@ -0,0 +1,142 @@
+import { Logger } from './logger.js';
+
+/**
+ * 토큰 버킷
+ * 초당 rate개의 토큰이 채워지며, 최대 burst개까지 쌓인다.
+ * 토큰을 미리 예약(음수 허용)하는 방식이라 대기 순서가 요청 순서와 같다.
+ */
+export class TokenBucket {
+  /**
+   * @param {number} rate 초당 허용 작업 수
+   * @param {number} burst 순간 최대 허용 작업 수 (기본값: rate)
+   */
+  constructor(rate, burst = rate) {
+    this.rate = rate;
+    this.capacity = Math.max(1, burst);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * 경과 시간만큼 토큰 보충
+   */
+  _refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * 토큰 1개 예약
+   * @returns {number} 토큰을 쓸 수 있을 때까지 기다려야 하는 시간 (ms)
+   */
+  reserve() {
+    this._refill();
+    this.tokens -= 1;
+
+    if (this.tokens >= 0) {
+      return 0;
+    }
+
+    return Math.ceil((-this.tokens / this.rate) * 1000);
+  }
+}
+
+/**
+ * 전역 + 작업별 유량 제어기
+ * 전역 버킷과 작업 이름별 버킷을 함께 적용한다.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.globalRps] 전역 초당 작업 수 (0 또는 미지정 시 제한 없음)
+   * @param {Object.<string, number>} [options.actionRps] 작업 이름별 초당 작업 수
+   */
+  constructor(options = {}) {
+    options = options || {};
+    this.logger = new Logger('RateLimiter');
+    this.globalRps = options.globalRps > 0 ? options.globalRps : 0;
+    this.actionRps = {};
+
+    this.globalBucket = this.globalRps > 0 ? new TokenBucket(this.globalRps) : null;
+    this.actionBuckets = new Map();
+
+    Object.entries(options.actionRps || {}).forEach(([actionName, rps]) => {
+      if (rps > 0) {
+        this.actionRps[actionName] = rps;
+        this.actionBuckets.set(actionName, new TokenBucket(rps));
+      }
+    });
+
+    if (this.isEnabled()) {
+      this.logger.info(`Rate limiter enabled - global: ${this.globalRps || 'unlimited'}/s, actions: ${JSON.stringify(this.actionRps)}`);
+    }
+  }
+
+  /**
+   * 제한이 하나라도 설정되어 있는지 여부
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.globalBucket !== null || this.actionBuckets.size > 0;
+  }
+
+  /**
+   * 작업 실행 전 대기
+   * @param {string} actionName 작업 이름
+   * @returns {Promise<number>} 실제로 대기한 시간 (ms)
+   */
+  async acquire(actionName = null) {
+    if (!this.isEnabled()) {
+      return 0;
+    }
+
+    const actionBucket = actionName ? this.actionBuckets.get(actionName) : null;
+    const globalDelay = this.globalBucket ? this.globalBucket.reserve() : 0;
+    const actionDelay = actionBucket ? actionBucket.reserve() : 0;
+    const delay = Math.max(globalDelay, actionDelay);
+
+    if (delay > 0) {
+      this.logger.debug(`Throttling ${actionName || 'action'} for ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    return delay;
+  }
+
+  /**
+   * 설정 요약
+   * @returns {{globalRps: number, actionRps: Object.<string, number>}}
+   */
+  getConfig() {
+    return {
+      globalRps: this.globalRps,
+      actionRps: { ...this.actionRps }
+    };
+  }
+
+  /**
+   * "작업명=초당횟수" 목록 문자열 파싱
+   * 예: "click-payment-button=1,navigate-to-course-list=5"
+   * @param {string} value
+   * @returns {Object.<string, number>}
+   */
+  static parseActionRates(value) {
+    const actionRps = {};
+    if (!value) return actionRps;
+
+    value.split(',').forEach(entry => {
+      const [name, rate] = entry.split('=').map(part => part && part.trim());
+      const rps = parseFloat(rate);
+
+      if (!name || !(rps > 0)) {
+        throw new Error(`Invalid action rate: "${entry}". Expected format: <action>=<rps>`);
+      }
+
+      actionRps[name] = rps;
+    });
+
+    return actionRps;
+  }
+}
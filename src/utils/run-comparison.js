@@ -0,0 +1,415 @@
+/**
+ * 실행 비교 (기준 실행 대비 변화)
+ * 두 실행의 stats.json을 읽어 단계별 소요 시간(평균, p50, p95), 에러 유형, 대기 페이지 지표의 차이를 계산하고
+ * 통계적으로 유의한 악화(회귀)를 표시한다.
+ *
+ * 유의성 검정 (양측, 정규 근사):
+ *   소요 시간        Mann-Whitney U 검정 (단계별 원시 측정값, 분포 가정 없음)
+ *   성공률, 비율     두 비율 z 검정
+ *   에러 건수        세션 수로 나눈 발생률 비교 (조건부 이항 검정)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { percentileOf } from './thresholds.js';
+
+/**
+ * 유의 수준
+ */
+export const DEFAULT_ALPHA = 0.05;
+
+/**
+ * 유의성을 판단하는 최소 표본 수 (각 실행)
+ */
+const MIN_SAMPLES = 5;
+
+const RUN_ID_PATTERN = /^(\d{4}-\d{2}-\d{2})_([\w.-]+)$/;
+
+/**
+ * 비교할 실행 불러오기
+ * @param {string} ref 실행 ID(<날짜>_<실행 폴더>), 실행 폴더 경로 또는 stats.json 경로
+ * @returns {{runId: string, dir: string, data: Object}}
+ */
+export function loadRunStats(ref) {
+  let statsFile = null;
+
+  if (fs.existsSync(ref)) {
+    statsFile = fs.statSync(ref).isDirectory() ? path.join(ref, 'stats.json') : ref;
+  } else {
+    const match = RUN_ID_PATTERN.exec(ref);
+    if (match) {
+      statsFile = path.join(process.cwd(), 'reports', 'monitoring', match[1], match[2], 'stats.json');
+    }
+  }
+
+  if (!statsFile || !fs.existsSync(statsFile)) {
+    throw new Error(`Run not found: ${ref}. Expected a run ID (e.g. 2026-10-19_10-30-45-multi-test-4), a run folder or a stats.json path`);
+  }
+
+  const dir = path.dirname(path.resolve(statsFile));
+  return {
+    runId: `${path.basename(path.dirname(dir))}_${path.basename(dir)}`,
+    dir,
+    data: JSON.parse(fs.readFileSync(statsFile, 'utf8'))
+  };
+}
+
+/**
+ * 두 실행 비교
+ * @param {{runId: string, dir: string, data: Object}} baseline 기준 실행 (보통 이전 실행)
+ * @param {{runId: string, dir: string, data: Object}} candidate 비교 실행 (보통 배포 후 실행)
+ * @param {Object} [options]
+ * @param {number} [options.alpha] 유의 수준
+ * @returns {Object} { baseline, candidate, alpha, overview, steps, errors, waiting, regressions, improvements }
+ */
+export function compareRuns(baseline, candidate, options = {}) {
+  const alpha = options.alpha ?? DEFAULT_ALPHA;
+  const a = baseline.data;
+  const b = candidate.data;
+
+  const comparison = {
+    baseline: describeRun(baseline),
+    candidate: describeRun(candidate),
+    alpha,
+    overview: compareOverview(a, b, alpha),
+    steps: compareSteps(a, b, alpha),
+    errors: compareErrors(a, b, alpha),
+    waiting: compareWaiting(a, b, alpha)
+  };
+
+  const changes = [
+    ...comparison.overview.map(item => ({ section: 'overview', label: item.label, item })),
+    ...comparison.steps.map(item => ({ section: 'steps', label: item.step, item })),
+    ...comparison.errors.map(item => ({ section: 'errors', label: item.type, item })),
+    ...comparison.waiting.map(item => ({ section: 'waiting', label: item.label, item }))
+  ];
+  comparison.regressions = changes.filter(change => change.item.regression).map(({ section, label }) => ({ section, label }));
+  comparison.improvements = changes.filter(change => change.item.improvement).map(({ section, label }) => ({ section, label }));
+
+  return comparison;
+}
+
+/**
+ * 실행 요약 (내부 헬퍼)
+ */
+function describeRun(run) {
+  const { testName, startTime, elapsed, stats = {} } = run.data;
+  return {
+    runId: run.runId,
+    dir: run.dir,
+    testName,
+    startTime,
+    elapsed,
+    total: stats.total || 0
+  };
+}
+
+/**
+ * 전체 결과 비교 (내부 헬퍼)
+ */
+function compareOverview(a, b, alpha) {
+  const aStats = a.stats || {};
+  const bStats = b.stats || {};
+  const rate = stats => (stats.total > 0 ? round((stats.completed / stats.total) * 100, 2) : null);
+
+  return [
+    judge({
+      label: 'successRate',
+      unit: '%',
+      higherIsWorse: false,
+      baseline: rate(aStats),
+      candidate: rate(bStats),
+      pValue: twoProportionTest(aStats.completed || 0, aStats.total || 0, bStats.completed || 0, bStats.total || 0)
+    }, alpha)
+  ];
+}
+
+/**
+ * 단계별 소요 시간 비교 (내부 헬퍼)
+ * stats.stepDurations의 원시 측정값으로 평균, p50, p95를 다시 계산한다.
+ */
+function compareSteps(a, b, alpha) {
+  const aDurations = a.stats?.stepDurations || {};
+  const bDurations = b.stats?.stepDurations || {};
+  const steps = [...new Set([...Object.keys(aDurations), ...Object.keys(bDurations)])].sort(stepOrder);
+
+  return steps.map(step => {
+    const aValues = aDurations[step] || [];
+    const bValues = bDurations[step] || [];
+    const aSummary = summarize(aValues);
+    const bSummary = summarize(bValues);
+
+    return judge({
+      step,
+      label: step,
+      unit: 'ms',
+      higherIsWorse: true,
+      baseline: aSummary,
+      candidate: bSummary,
+      ...summaryDeltas(aSummary, bSummary),
+      pValue: mannWhitneyTest(aValues, bValues)
+    }, alpha, summary => summary.mean);
+  });
+}
+
+/**
+ * 에러 유형별 비교 (내부 헬퍼)
+ * 실행마다 세션 수가 다르므로 세션당 발생률로 비교한다.
+ */
+function compareErrors(a, b, alpha) {
+  const aErrors = a.stats?.errorsByType || {};
+  const bErrors = b.stats?.errorsByType || {};
+  const aTotal = a.stats?.total || 0;
+  const bTotal = b.stats?.total || 0;
+  const types = [...new Set([...Object.keys(aErrors), ...Object.keys(bErrors)])].sort();
+
+  return types.map(type => {
+    const aCount = aErrors[type] || 0;
+    const bCount = bErrors[type] || 0;
+
+    return judge({
+      type,
+      label: type,
+      unit: '건/세션',
+      higherIsWorse: true,
+      baseline: { count: aCount, perSession: aTotal > 0 ? round(aCount / aTotal, 3) : null },
+      candidate: { count: bCount, perSession: bTotal > 0 ? round(bCount / bTotal, 3) : null },
+      pValue: rateRatioTest(aCount, aTotal, bCount, bTotal)
+    }, alpha, value => value.perSession);
+  });
+}
+
+/**
+ * 대기 페이지 지표 비교 (내부 헬퍼)
+ * 실제 대기 시간은 세션별 대기 기록(sessions[].queueVisits)에서 다시 모은다.
+ */
+function compareWaiting(a, b, alpha) {
+  const aStats = a.stats || {};
+  const bStats = b.stats || {};
+  const aQueue = aStats.queue || {};
+  const bQueue = bStats.queue || {};
+  const aWaits = collectWaitTimes(a.sessions);
+  const bWaits = collectWaitTimes(b.sessions);
+  const aWaitSummary = summarize(aWaits);
+  const bWaitSummary = summarize(bWaits);
+
+  const items = [
+    judge({
+      label: 'encounters',
+      unit: '회/세션',
+      higherIsWorse: true,
+      baseline: aStats.total > 0 ? round((aStats.waitingPageEncounters || 0) / aStats.total, 3) : null,
+      candidate: bStats.total > 0 ? round((bStats.waitingPageEncounters || 0) / bStats.total, 3) : null,
+      pValue: rateRatioTest(aStats.waitingPageEncounters || 0, aStats.total || 0, bStats.waitingPageEncounters || 0, bStats.total || 0)
+    }, alpha),
+    judge({
+      label: 'waitTime',
+      unit: 'ms',
+      higherIsWorse: true,
+      baseline: aWaitSummary,
+      candidate: bWaitSummary,
+      ...summaryDeltas(aWaitSummary, bWaitSummary),
+      pValue: mannWhitneyTest(aWaits, bWaits)
+    }, alpha, summary => summary.mean)
+  ];
+
+  // 대기 페이지를 거친 실행끼리만 시간 초과율과 예상 시간 정확도를 비교
+  if (aQueue.visits > 0 || bQueue.visits > 0) {
+    items.push(judge({
+      label: 'timeoutRate',
+      unit: '%',
+      higherIsWorse: true,
+      baseline: aQueue.visits > 0 ? round((aQueue.timedOut / aQueue.visits) * 100, 1) : null,
+      candidate: bQueue.visits > 0 ? round((bQueue.timedOut / bQueue.visits) * 100, 1) : null,
+      pValue: twoProportionTest(aQueue.timedOut || 0, aQueue.visits || 0, bQueue.timedOut || 0, bQueue.visits || 0)
+    }, alpha));
+
+    items.push(judge({
+      label: 'estimateAccuracy',
+      unit: '%',
+      higherIsWorse: false,
+      baseline: aQueue.summary ? aQueue.summary.accuracyRate : null,
+      candidate: bQueue.summary ? bQueue.summary.accuracyRate : null,
+      pValue: twoProportionTest(aQueue.summary?.accurate || 0, aQueue.passed || 0, bQueue.summary?.accurate || 0, bQueue.passed || 0)
+    }, alpha));
+  }
+
+  return items;
+}
+
+/**
+ * 변화 판정 (내부 헬퍼)
+ * 유의하고 나빠진 쪽이면 regression, 유의하고 좋아진 쪽이면 improvement
+ * @param {Object} item 비교 항목
+ * @param {number} alpha 유의 수준
+ * @param {Function} [valueOf] baseline/candidate에서 방향을 비교할 값 (기본: 값 그대로)
+ */
+function judge(item, alpha, valueOf = value => value) {
+  const aValue = item.baseline === null ? null : valueOf(item.baseline);
+  const bValue = item.candidate === null ? null : valueOf(item.candidate);
+  const comparable = aValue !== null && aValue !== undefined && bValue !== null && bValue !== undefined;
+  const significant = comparable && item.pValue !== null && item.pValue < alpha;
+  const worse = comparable && (item.higherIsWorse ? bValue > aValue : bValue < aValue);
+  const better = comparable && (item.higherIsWorse ? bValue < aValue : bValue > aValue);
+
+  return {
+    ...item,
+    delta: item.delta !== undefined ? item.delta : (comparable ? round(bValue - aValue, 3) : null),
+    pValue: item.pValue === null ? null : round(item.pValue, 4),
+    significant,
+    regression: significant && worse,
+    improvement: significant && better
+  };
+}
+
+/**
+ * 통과한 대기 기록의 실제 대기 시간 (내부 헬퍼)
+ */
+function collectWaitTimes(sessions = []) {
+  const waits = [];
+  sessions.forEach(session => {
+    (session.queueVisits || []).forEach(visit => {
+      if (visit.status === 'passed' && visit.actualWaitTime >= 0) waits.push(visit.actualWaitTime);
+    });
+  });
+  return waits;
+}
+
+/**
+ * 측정값 요약 (내부 헬퍼)
+ * @returns {{n: number, mean: number, p50: number, p95: number}|null} 측정값이 없으면 null
+ */
+function summarize(values) {
+  if (!values || values.length === 0) return null;
+
+  return {
+    n: values.length,
+    mean: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+    p50: percentileOf(values, 50),
+    p95: percentileOf(values, 95)
+  };
+}
+
+/**
+ * 요약 간 차이 (평균, p50, p95의 차이와 변화율) (내부 헬퍼)
+ */
+function summaryDeltas(before, after) {
+  if (!before || !after) return { delta: null, deltaPercent: null };
+
+  const keys = ['mean', 'p50', 'p95'];
+  return {
+    delta: Object.fromEntries(keys.map(key => [key, after[key] - before[key]])),
+    deltaPercent: Object.fromEntries(keys.map(key => [key, percentChange(before[key], after[key])]))
+  };
+}
+
+/**
+ * 단계 정렬 (step1~5 순서, session은 마지막) (내부 헬퍼)
+ */
+function stepOrder(a, b) {
+  if (a === 'session') return 1;
+  if (b === 'session') return -1;
+  return a.localeCompare(b);
+}
+
+/**
+ * 변화율 (%) (내부 헬퍼)
+ */
+function percentChange(before, after) {
+  return before > 0 ? round(((after - before) / before) * 100, 1) : null;
+}
+
+/**
+ * 소수점 반올림 (내부 헬퍼)
+ */
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * 표준정규분포 누적분포함수 (Abramowitz-Stegun 7.1.26 근사) (내부 헬퍼)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t
+    * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * 양측 p값 (내부 헬퍼)
+ */
+function twoSidedPValue(z) {
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+/**
+ * Mann-Whitney U 검정 (동점 보정, 연속성 보정 포함)
+ * @returns {number|null} 표본이 부족하면 null
+ */
+export function mannWhitneyTest(a, b) {
+  if (a.length < MIN_SAMPLES || b.length < MIN_SAMPLES) return null;
+
+  const combined = [
+    ...a.map(value => ({ value, group: 0 })),
+    ...b.map(value => ({ value, group: 1 }))
+  ].sort((x, y) => x.value - y.value);
+
+  // 동점은 평균 순위
+  const n = combined.length;
+  let rankSumA = 0;
+  let tieCorrection = 0;
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j + 1 < n && combined[j + 1].value === combined[i].value) j++;
+
+    const averageRank = (i + j + 2) / 2;
+    const ties = j - i + 1;
+    tieCorrection += ties ** 3 - ties;
+    for (let k = i; k <= j; k++) {
+      if (combined[k].group === 0) rankSumA += averageRank;
+    }
+    i = j + 1;
+  }
+
+  const n1 = a.length;
+  const n2 = b.length;
+  const u = rankSumA - (n1 * (n1 + 1)) / 2;
+  const mean = (n1 * n2) / 2;
+  const variance = ((n1 * n2) / 12) * ((n + 1) - tieCorrection / (n * (n - 1)));
+  if (variance <= 0) return 1;
+
+  const z = (Math.abs(u - mean) - 0.5) / Math.sqrt(variance);
+  return z <= 0 ? 1 : twoSidedPValue(z);
+}
+
+/**
+ * 두 비율 z 검정 (합동 비율)
+ * @returns {number|null} 표본이 부족하면 null
+ */
+export function twoProportionTest(x1, n1, x2, n2) {
+  if (n1 < MIN_SAMPLES || n2 < MIN_SAMPLES) return null;
+
+  const pooled = (x1 + x2) / (n1 + n2);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  if (standardError === 0) return 1;
+
+  return twoSidedPValue((x2 / n2 - x1 / n1) / standardError);
+}
+
+/**
+ * 발생률 비교 (조건부 이항 검정의 정규 근사)
+ * 두 발생률이 같다면 전체 건수 중 비교 실행의 몫은 세션 수 비율을 따른다.
+ * @returns {number|null} 세션 수가 부족하면 null
+ */
+export function rateRatioTest(count1, exposure1, count2, exposure2) {
+  if (exposure1 < MIN_SAMPLES || exposure2 < MIN_SAMPLES) return null;
+
+  const total = count1 + count2;
+  if (total === 0) return 1;
+
+  const expectedShare = exposure2 / (exposure1 + exposure2);
+  const standardDeviation = Math.sqrt(total * expectedShare * (1 - expectedShare));
+  return twoSidedPValue((count2 - total * expectedShare) / standardDeviation);
+}
@@ -0,0 +1,242 @@
+/**
+ * 실행 이력 레지스트리
+ * 테스트 실행마다 모드, 파라미터, 환경, git 커밋, 시작/종료 시각, 성공률, p95를
+ * reports/runs.json 에 한 건씩 기록한다.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { Logger } from './logger.js';
+import { percentileOf } from './thresholds.js';
+
+/**
+ * 기록에 남기는 실행 옵션 (TestExecutor execute* 옵션 이름)
+ */
+const PARAMETER_KEYS = ['count', 'concurrency', 'agents', 'duration', 'rps', 'maxInFlight', 'useTabMode', 'tabsPerBrowser', 'seed'];
+
+export class RunRegistry {
+  /**
+   * @param {string} [indexFile] 이력 파일 경로
+   */
+  constructor(indexFile = path.join(process.cwd(), 'reports', 'runs.json')) {
+    this.logger = new Logger('RunRegistry');
+    this.indexFile = indexFile;
+  }
+
+  /**
+   * 실행 기록 추가
+   * @param {Object} run
+   * @param {string} run.mode single, multi, load, rate, distributed, rerun
+   * @param {Object} run.options execute*에 전달된 옵션
+   * @param {Date} run.startedAt 시작 시각
+   * @param {Object[]} run.results 세션 결과 목록
+   * @param {Object} run.summary TestExecutor 요약
+   * @param {Object[]|null} run.thresholds 성능 기준 판정 결과
+   * @param {string|null} run.logDir 모니터링 결과 폴더 (reports/monitoring/<날짜>/<실행>)
+   * @param {string} run.status completed 또는 stopped
+   * @param {Object} run.environment { environment, environmentName, baseUrl }
+   * @returns {Object} 저장한 기록
+   */
+  record(run) {
+    const runs = this._loadForRecord();
+    const endedAt = new Date();
+    const times = run.results.filter(result => result.totalTime > 0).map(result => result.totalTime);
+
+    const entry = {
+      runId: this._createRunId(run, runs),
+      mode: run.mode,
+      status: run.status,
+      parameters: this._describeParameters(run.options),
+      environment: run.environment.environment,
+      environmentName: run.environment.environmentName,
+      baseUrl: run.environment.baseUrl,
+      gitCommit: this._getGitCommit(),
+      startTime: run.startedAt.toISOString(),
+      endTime: endedAt.toISOString(),
+      duration: endedAt - run.startedAt,
+      total: run.summary.total,
+      successful: run.summary.successful,
+      failed: run.summary.failed,
+      successRate: run.summary.successRate,
+      p95: times.length > 0 ? percentileOf(times, 95) : null, // 세션 전체 소요 시간 p95 (ms)
+      thresholdsPassed: run.thresholds ? run.thresholds.every(result => result.passed) : null,
+      reportDir: run.logDir ? path.relative(process.cwd(), run.logDir) : null
+    };
+
+    // 결과 폴더는 실행마다 새로 만들어지므로, 같은 ID의 기록은 폴더가 지워진 뒤 이름이 재사용된 예전 실행
+    const staleIndex = runs.findIndex(existing => existing.runId === entry.runId);
+    if (staleIndex !== -1) {
+      this.logger.warn(`Replacing stale run ${entry.runId} whose results folder was reused`);
+      runs.splice(staleIndex, 1);
+    }
+
+    runs.push(entry);
+    this._save(runs);
+    this.logger.info(`📚 Run ${entry.runId} recorded in ${this.indexFile}`);
+
+    return entry;
+  }
+
+  /**
+   * 실행 기록 조회 (최신순)
+   * @param {Object} [filters]
+   * @param {string} [filters.environment] dev, prod, local
+   * @param {string} [filters.mode] single, multi, load, rate, distributed, rerun
+   * @param {string} [filters.from] 시작 시각 하한 (YYYY-MM-DD 또는 ISO 시각)
+   * @param {string} [filters.to] 시작 시각 상한 (YYYY-MM-DD면 그날 끝까지 포함)
+   * @param {number} [filters.limit] 최대 개수
+   * @returns {Object[]}
+   */
+  list(filters = {}) {
+    const from = filters.from ? this._parseDate(filters.from, false) : null;
+    const to = filters.to ? this._parseDate(filters.to, true) : null;
+
+    const runs = this._load()
+      .filter(run => !filters.environment || run.environment === filters.environment)
+      .filter(run => !filters.mode || run.mode === filters.mode)
+      .filter(run => !from || new Date(run.startTime) >= from)
+      .filter(run => !to || new Date(run.startTime) <= to)
+      .sort((a, b) => b.startTime.localeCompare(a.startTime));
+
+    const limit = parseInt(filters.limit);
+    return limit > 0 ? runs.slice(0, limit) : runs;
+  }
+
+  /**
+   * 실행 기록 하나
+   * @param {string} runId
+   * @returns {Object|null}
+   */
+  get(runId) {
+    return this._load().find(run => run.runId === runId) || null;
+  }
+
+  /**
+   * 실행 ID 생성 (내부 헬퍼)
+   * 모니터링 폴더가 있으면 보고서 API와 같은 <날짜>_<실행 폴더>, 없으면(단일 테스트) 같은 형식으로 만든다.
+   * 모니터링 폴더가 있는 실행은 보고서 링크가 맞도록 폴더 이름을 그대로 쓴다 (폴더 이름은 ConcurrentMonitor가 겹치지 않게 정함).
+   */
+  _createRunId(run, runs) {
+    if (run.logDir) {
+      return `${path.basename(path.dirname(run.logDir))}_${path.basename(run.logDir)}`;
+    }
+
+    const dateStr = run.startedAt.toISOString().split('T')[0];
+    const timeStr = run.startedAt.toTimeString().split(' ')[0].replace(/:/g, '-');
+    const runId = `${dateStr}_${timeStr}-${run.mode}`;
+
+    // 같은 초에 시작한 실행이 있으면 번호를 붙임
+    const taken = new Set(runs.map(entry => entry.runId));
+    let uniqueId = runId;
+    for (let suffix = 2; taken.has(uniqueId); suffix++) {
+      uniqueId = `${runId}-${suffix}`;
+    }
+    return uniqueId;
+  }
+
+  /**
+   * 실행 옵션을 JSON으로 저장할 수 있는 값만 남겨 정리 (내부 헬퍼)
+   */
+  _describeParameters(options = {}) {
+    const parameters = {};
+    PARAMETER_KEYS.forEach(key => {
+      if (options[key] !== undefined) parameters[key] = options[key];
+    });
+
+    if (options.profile) parameters.profile = options.profile.toString();
+    if (options.scenario) parameters.scenario = options.scenario.name;
+    if (options.scenarioMix) parameters.scenarioMix = options.scenarioMix.toString();
+    if (options.browser) parameters.browser = options.browser.toString();
+    if (options.dataFeeder) parameters.data = options.dataFeeder.toString();
+    if (options.rerunOf) parameters.rerunOf = options.rerunOf;
+    if (options.rateLimit) parameters.rateLimit = options.rateLimit;
+    if (options.thresholds?.rules?.length > 0) {
+      parameters.thresholds = options.thresholds.rules.map(rule => rule.expression);
+    }
+
+    return parameters;
+  }
+
+  /**
+   * 현재 git 커밋 (내부 헬퍼)
+   * @returns {string|null} git 저장소가 아니면 null
+   */
+  _getGitCommit() {
+    try {
+      return execFileSync('git', ['rev-parse', '--short', 'HEAD'], {
+        stdio: ['ignore', 'pipe', 'ignore'],
+        timeout: 2000
+      }).toString().trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 필터 날짜 파싱 (내부 헬퍼)
+   * @param {string} value YYYY-MM-DD 또는 ISO 시각
+   * @param {boolean} endOfDay 날짜만 있으면 그날 끝 시각으로
+   */
+  _parseDate(value, endOfDay) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`)
+      : new Date(value);
+
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${value}. Expected YYYY-MM-DD or ISO timestamp`);
+    }
+    return date;
+  }
+
+  /**
+   * 이력 파일 읽기 (내부 헬퍼)
+   * 파일이 깨졌으면 빈 이력으로 보지 않고 에러를 낸다 (빈 이력으로 저장하면 기록이 모두 지워짐).
+   */
+  _load() {
+    if (!fs.existsSync(this.indexFile)) return [];
+
+    let runs;
+    try {
+      runs = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Run history ${this.indexFile} is corrupt: ${error.message}`);
+    }
+    if (!Array.isArray(runs)) {
+      throw new Error(`Run history ${this.indexFile} is corrupt: expected an array of runs`);
+    }
+    return runs;
+  }
+
+  /**
+   * 기록 추가용 이력 읽기 (내부 헬퍼)
+   * 깨진 파일은 <파일>.corrupt로 옮겨 보존하고 새 이력으로 시작한다.
+   */
+  _loadForRecord() {
+    try {
+      return this._load();
+    } catch (error) {
+      let corruptFile = `${this.indexFile}.corrupt`;
+      for (let suffix = 2; fs.existsSync(corruptFile); suffix++) {
+        corruptFile = `${this.indexFile}.corrupt-${suffix}`;
+      }
+      fs.renameSync(this.indexFile, corruptFile);
+      this.logger.warn(`${error.message}. Moved it to ${corruptFile} and started a new run history`);
+      return [];
+    }
+  }
+
+  /**
+   * 이력 파일 저장 (내부 헬퍼)
+   * 쓰는 도중 중단돼도 기존 파일이 깨지지 않도록 임시 파일에 쓴 뒤 교체한다.
+   */
+  _save(runs) {
+    fs.mkdirSync(path.dirname(this.indexFile), { recursive: true });
+
+    const tempFile = `${this.indexFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(runs, null, 2));
+    fs.renameSync(tempFile, this.indexFile);
+  }
+}
+
+export const runRegistry = new RunRegistry();
@@ -0,0 +1,220 @@
+import { parseDuration } from '../core/load-profile.js';
+
+/**
+ * 성능 기준 (SLO) 판정
+ *
+ * 식 형식: <지표><연산자><목표값>
+ *   successRate>=95              → 성공률(%)
+ *   errorsByType.Timeout<5       → stats의 점(.) 경로 값 (errorsByType, errorsByStep은 집계되지 않은 이름이면 0)
+ *   p95(step2-basic)<8s          → 단계별 소요 시간 백분위 (p50, p90, p95, p99 ...)
+ *   avg(session)<=2m             → avg/min/max/count 함수, session은 세션 전체 소요 시간
+ *   p95(list.do)<2s              → 단계 이름이 아니면 엔드포인트별 서버 응답 시간
+ * 시간 목표값은 ms/s/m 단위를 쓰며, 단위가 없으면 ms로 해석한다.
+ */
+
+const EXPRESSION_PATTERN = /^\s*([\w.-]+(?:\([\w.-]+\))?)\s*(<=|>=|==|<|>)\s*([\d.]+(?:ms|s|m|%)?)\s*$/;
+const FUNCTION_PATTERN = /^(p\d{1,2}(?:\.\d+)?|avg|min|max|count)\(([\w.-]+)\)$/;
+
+/**
+ * 판정식에 쓸 수 있는 통계 지표 (함수 형식 제외)
+ */
+const VALUE_METRICS = ['successRate', 'total', 'completed', 'failed', 'waiting', 'waitingPageEncounters', 'avgWaitTime'];
+
+// 이름별 집계 맵 (집계되지 않은 이름은 0)
+const COUNT_MAP_METRICS = ['errorsByType', 'errorsByStep'];
+
+/**
+ * ConcurrentMonitor.categorizeError가 분류하는 에러 유형 (errorsByType의 이름)
+ */
+export const ERROR_TYPES = ['Timeout', 'WaitingPage', 'Network', 'UIElement', 'Navigation', 'Click', 'Other', 'Unknown'];
+
+// 하위 값이 정해진 통계
+const NESTED_METRICS = {
+  arrivals: ['scheduled', 'started', 'dropped', 'maxInFlightReached'],
+  network: ['totalRequests', 'failedRequests'],
+  queue: ['visits', 'passed', 'timedOut', 'observations', 'positionIncreases'],
+  rateLimit: ['totalActions', 'throttledActions', 'totalDelayMs', 'maxDelayMs']
+};
+
+const COMPARATORS = {
+  '<': (actual, target) => actual < target,
+  '<=': (actual, target) => actual <= target,
+  '>': (actual, target) => actual > target,
+  '>=': (actual, target) => actual >= target,
+  '==': (actual, target) => actual === target
+};
+
+/**
+ * 백분위 계산 (nearest-rank)
+ * @param {number[]} values
+ * @param {number} percentile 0~100
+ * @returns {number}
+ */
+export function percentileOf(values, percentile) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.max(1, Math.ceil((percentile / 100) * sorted.length));
+  return sorted[rank - 1];
+}
+
+export class Thresholds {
+  /**
+   * @param {string[]} expressions 판정식 목록
+   */
+  constructor(expressions = []) {
+    this.rules = expressions.map(expression => Thresholds.parseExpression(expression));
+  }
+
+  /**
+   * 판정식 목록 문자열 파싱 (쉼표 구분)
+   * 예: "successRate>=95,p95(step2-basic)<8s"
+   * @param {string|string[]} value
+   * @returns {Thresholds}
+   */
+  static parse(value) {
+    const list = Array.isArray(value) ? value : [value];
+    const expressions = list
+      .flatMap(item => String(item || '').split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+
+    return new Thresholds(expressions);
+  }
+
+  /**
+   * 판정식 하나 파싱
+   * @param {string} expression
+   * @returns {Object} { expression, metric, fn, argument, operator, target, isDuration }
+   */
+  static parseExpression(expression) {
+    const match = String(expression).match(EXPRESSION_PATTERN);
+    if (!match) {
+      throw new Error(`Invalid threshold: "${expression}". Expected e.g. successRate>=95, p95(step2-basic)<8s`);
+    }
+
+    const [, metric, operator, rawTarget] = match;
+    const fnMatch = metric.match(FUNCTION_PATTERN);
+    if (!fnMatch) {
+      assertKnownMetric(metric, expression);
+    }
+    const isDuration = fnMatch !== null && fnMatch[1] !== 'count';
+
+    let target;
+    if (isDuration) {
+      target = /^[\d.]+$/.test(rawTarget) ? parseFloat(rawTarget) : parseDuration(rawTarget);
+    } else {
+      if (/(ms|s|m)$/.test(rawTarget)) {
+        throw new Error(`Invalid threshold: "${expression}". Time units are only allowed for duration functions`);
+      }
+      target = parseFloat(rawTarget);
+    }
+
+    return {
+      expression: `${metric}${operator}${rawTarget}`,
+      metric,
+      fn: fnMatch ? fnMatch[1] : null,
+      argument: fnMatch ? fnMatch[2] : null,
+      operator,
+      target,
+      isDuration
+    };
+  }
+
+  /**
+   * 판정식이 없는지 여부
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.rules.length === 0;
+  }
+
+  /**
+   * 모니터 통계로 판정
+   * @param {Object} stats ConcurrentMonitor.stats
+   * @returns {Array<{expression: string, actual: number|null, target: number, isDuration: boolean, passed: boolean}>}
+   */
+  evaluate(stats) {
+    return this.rules.map(rule => {
+      const actual = this._resolveMetric(rule, stats);
+      const passed = actual !== null && COMPARATORS[rule.operator](actual, rule.target);
+
+      return {
+        expression: rule.expression,
+        actual,
+        target: rule.target,
+        isDuration: rule.isDuration,
+        passed
+      };
+    });
+  }
+
+  /**
+   * 지표 값 계산 (내부 헬퍼)
+   * @returns {number|null} 측정값이 없으면 null
+   */
+  _resolveMetric(rule, stats) {
+    if (rule.fn) {
+      const values = (stats.stepDurations || {})[rule.argument]
+        || (stats.endpoints || {})[rule.argument]?.durations
+        || [];
+      if (rule.fn === 'count') return values.length;
+      if (values.length === 0) return null;
+
+      switch (rule.fn) {
+        case 'avg':
+          return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+        case 'min':
+          return Math.min(...values);
+        case 'max':
+          return Math.max(...values);
+        default:
+          return percentileOf(values, parseFloat(rule.fn.slice(1)));
+      }
+    }
+
+    if (rule.metric === 'successRate') {
+      return stats.total > 0 ? Math.round((stats.completed / stats.total) * 10000) / 100 : 0;
+    }
+
+    const [name, ...path] = rule.metric.split('.');
+    const key = path.join('.');
+
+    // 집계되지 않은 에러 유형/단계는 0으로 간주
+    if (COUNT_MAP_METRICS.includes(name)) {
+      return Number(stats[name]?.[key] ?? 0);
+    }
+
+    // 이번 실행에서 집계하지 않은 통계 (rate 모드가 아닐 때의 arrivals 등)는 측정값 없음
+    const value = key ? stats[name]?.[key] : stats[name];
+    if (value === undefined || value === null) return null;
+
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+  }
+}
+
+/**
+ * 판정식 지표 이름 검증 (오타로 항상 통과하는 기준을 막음)
+ */
+function assertKnownMetric(metric, expression) {
+  const [name, ...path] = metric.split('.');
+  const key = path.join('.');
+
+  const known = VALUE_METRICS.includes(name)
+    ? !key
+    : name === 'errorsByType'
+      ? ERROR_TYPES.includes(key)
+      : COUNT_MAP_METRICS.includes(name)
+        ? Boolean(key)
+        : Boolean(NESTED_METRICS[name]?.includes(key));
+
+  if (!known) {
+    const valid = [
+      ...VALUE_METRICS,
+      ...ERROR_TYPES.map(type => `errorsByType.${type}`),
+      'errorsByStep.<step>',
+      ...Object.entries(NESTED_METRICS).flatMap(([nested, keys]) => keys.map(nestedKey => `${nested}.${nestedKey}`)),
+      'p95(<step or endpoint>)', 'avg(...)', 'min(...)', 'max(...)', 'count(...)'
+    ];
+    throw new Error(`Unknown threshold metric in "${expression}": ${metric}. Valid metrics: ${valid.join(', ')}`);
+  }
+}
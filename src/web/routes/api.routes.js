@@ -7,10 +7,15 @@ import path from 'path';
 import fs from 'fs';
 import { TestManagerService } from '../services/test-manager.service.js';
 import { ConfigService } from '../services/config.service.js';
+import { ReportService } from '../services/report.service.js';
+import { runRegistry } from '../../utils/run-registry.js';
+import { loadRunStats, compareRuns, DEFAULT_ALPHA } from '../../utils/run-comparison.js';
+import { KoreanReportGenerator } from '../../utils/korean-report-generator.js';
 
 const router = express.Router();
 const testManager = new TestManagerService();
 const configService = new ConfigService();
+const reportService = new ReportService();
 
 // 설정 API
 router.get('/config', (req, res) => {
@@ -32,17 +37,24 @@ router.post('/config', (req, res) => {
 });
 
 // 테스트 실행 API
-router.post('/run-test', async (req, res) => {
-  try {
-    // 비동기로 테스트 시작
-    testManager.runTest(req.body).catch(error => {
-      console.error('Test execution error:', error);
-    });
+// 옵션을 먼저 검증해 잘못된 입력은 400, 실행 중이면 409로 응답하고, 통과하면 테스트를 비동기로 시작
+router.post('/run-test', (req, res) => {
+  if (testManager.getStatus().isRunning) {
+    return res.status(409).json({ error: 'Test is already running' });
+  }
 
-    res.json({ success: true, message: 'Test started' });
+  let run;
+  try {
+    run = testManager.prepareRun(req.body);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    return res.status(400).json({ error: error.message });
   }
+
+  testManager.runTest(run).catch(error => {
+    console.error('Test execution error:', error);
+  });
+
+  res.json({ success: true, message: 'Test started' });
 });
 
 router.post('/stop-test', (req, res) => {
@@ -59,5 +71,184 @@ router.get('/status', (req, res) => {
   res.json(status);
 });
 
+// 실시간 이벤트 스트림 (Server-Sent Events)
+// event: status (실행 상태), log (출력 로그), monitor (ConcurrentMonitor 이벤트)
+router.get('/stream', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const send = ({ type, data }) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // 연결 직후 현재 상태부터 전송
+  send({ type: 'status', data: testManager.getLiveStatus() });
+  testManager.on('stream', send);
+
+  // 프록시가 유휴 연결을 끊지 않도록 주기적으로 주석 전송
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    testManager.off('stream', send);
+  });
+});
+
+// 보고서 API (reports/monitoring/<날짜>/<실행>/)
+router.get('/reports/list', (req, res) => {
+  try {
+    res.json(reportService.listRuns());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/reports/latest', (req, res) => {
+  const latest = reportService.getLatestRun();
+  if (!latest) {
+    return res.status(404).send('아직 생성된 보고서가 없습니다. 먼저 테스트를 실행해주세요.');
+  }
+
+  res.type('html').send(reportService.renderReportHtml(latest.id));
+});
+
+// 최신 한글 보고서 원문 (GUI의 TXT 보고서 다운로드)
+router.get('/reports/download/txt', (req, res) => {
+  const latest = reportService.getLatestRun();
+  if (!latest) {
+    return res.status(404).json({ error: 'No report found' });
+  }
+
+  res.type('text/plain; charset=utf-8').send(reportService.readReportMarkdown(latest.id));
+});
+
+// 실행 결과 파일 다운로드 (stats.json, test.log, network.log, 테스트보고서.md/html, 비교보고서-*.md/html)
+router.get('/reports/:runId/download/:file', (req, res) => {
+  const { runId, file } = req.params;
+  const runFile = reportService.getRunFile(runId, file);
+  if (!runFile) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  // HTML 비교 보고서는 브라우저에서 바로 열기
+  if (file.endsWith('.html')) {
+    return res.type(runFile.contentType).sendFile(runFile.filePath);
+  }
+
+  res.type(runFile.contentType);
+  res.download(runFile.filePath, `${runId}-${file}`);
+});
+
+// 실행별 보고서 (<실행 ID>.html은 HTML, 그 외에는 메타데이터 JSON)
+router.get('/reports/:file', (req, res) => {
+  const { file } = req.params;
+
+  if (file.endsWith('.html')) {
+    const html = reportService.renderReportHtml(file.slice(0, -'.html'.length));
+    return html ? res.type('html').send(html) : res.status(404).send('보고서를 찾을 수 없습니다.');
+  }
+
+  const run = reportService.getRun(file.replace(/\.json$/, ''));
+  return run ? res.json(run) : res.status(404).json({ error: 'Report not found' });
+});
+
+// 실행 이력 API (reports/runs.json)
+// 필터: environment, mode, from, to (YYYY-MM-DD 또는 ISO 시각), limit
+router.get('/runs', (req, res) => {
+  try {
+    const { environment, mode, from, to, limit } = req.query;
+    const runs = runRegistry.list({ environment, mode, from, to, limit })
+      .map(run => ({ ...run, artifacts: reportService.getArtifacts(run.runId) }));
+    res.json(runs);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.get('/runs/:runId', (req, res) => {
+  let run;
+  try {
+    run = runRegistry.get(req.params.runId);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+
+  res.json({ ...run, artifacts: reportService.getArtifacts(run.runId) });
+});
+
+// 실행 비교 API (두 실행의 stats.json 비교)
+// GET은 비교 결과만 계산하고, 비교 보고서 파일은 POST로 요청할 때만 나중 실행 폴더에 저장
+router.get('/compare', (req, res) => {
+  try {
+    const result = compareIndexedRuns(req.query);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(toComparisonResponse(result.comparison, null));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/compare', (req, res) => {
+  try {
+    const result = compareIndexedRuns(req.body || {});
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { runId: reportRunId, markdownPath, htmlPath } = new KoreanReportGenerator().generateComparisonReport(result.comparison);
+    const fileUrl = file => `/api/reports/${reportRunId}/download/${encodeURIComponent(path.basename(file))}`;
+
+    res.json(toComparisonResponse(result.comparison, { markdown: fileUrl(markdownPath), html: fileUrl(htmlPath) }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * 색인된 두 실행 비교 (임의 경로 차단)
+ * @param {Object} params { baseline, candidate, alpha }
+ * @returns {{ comparison: Object }|{ status: number, error: string }}
+ */
+function compareIndexedRuns({ baseline, candidate, alpha: alphaValue }) {
+  const alpha = alphaValue ? parseFloat(alphaValue) : DEFAULT_ALPHA;
+  if (!(alpha > 0 && alpha < 1)) {
+    return { status: 400, error: 'alpha must be between 0 and 1' };
+  }
+
+  const runs = [baseline, candidate].map(runId => reportService.getRunFile(runId, 'stats.json'));
+  if (runs.some(run => !run)) {
+    return { status: 404, error: 'Run not found' };
+  }
+
+  return { comparison: compareRuns(loadRunStats(runs[0].filePath), loadRunStats(runs[1].filePath), { alpha }) };
+}
+
+/**
+ * 비교 결과 응답 (서버 경로는 제외)
+ * @param {Object} comparison compareRuns 결과
+ * @param {Object|null} report 저장한 비교 보고서 링크 { markdown, html }
+ */
+function toComparisonResponse(comparison, report) {
+  return { ...comparison, baseline: omitDir(comparison.baseline), candidate: omitDir(comparison.candidate), report };
+}
+
+/**
+ * 실행 정보에서 서버 폴더 경로(dir) 제외
+ * @param {Object} run compareRuns 결과의 baseline/candidate
+ */
+function omitDir(run) {
+  const info = { ...run };
+  delete info.dir;
+  return info;
+}
 
 export default router;
@@ -0,0 +1,255 @@
+/**
+ * 보고서 서비스
+ * reports/monitoring/<날짜>/<실행>/ 폴더를 색인하고 한글 보고서를 HTML로 보여준다
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Logger } from '../../utils/logger.js';
+import { renderMarkdownPage } from '../../utils/markdown-page.js';
+import { HtmlReportGenerator } from '../../utils/html-report-generator.js';
+
+/**
+ * 내려받을 수 있는 실행 결과 파일과 Content-Type
+ */
+const DOWNLOADABLE_FILES = {
+  'stats.json': 'application/json; charset=utf-8',
+  'test.log': 'text/plain; charset=utf-8',
+  'network.log': 'text/plain; charset=utf-8',
+  '테스트보고서.md': 'text/markdown; charset=utf-8',
+  '테스트보고서.html': 'text/html; charset=utf-8'
+};
+
+/**
+ * 실행 비교 보고서 (node cli.js compare, 새 실행 폴더에 저장)
+ */
+const COMPARISON_FILE_PATTERN = /^비교보고서-[\w.-]+\.(md|html)$/;
+const COMPARISON_CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8'
+};
+
+const REPORT_FILE = '테스트보고서.md';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// 실행 폴더 이름 ('.', '..'처럼 점으로만 된 이름은 상위 폴더를 가리키므로 제외)
+const RUN_PATTERN = /^(?!\.+$)[\w.-]+$/;
+const RUN_ID_PATTERN = /^(\d{4}-\d{2}-\d{2})_((?!\.+$)[\w.-]+)$/;
+
+export class ReportService {
+  /**
+   * @param {string} [rootDir] 모니터링 결과 루트 폴더
+   */
+  constructor(rootDir = path.join(process.cwd(), 'reports', 'monitoring')) {
+    this.logger = new Logger('ReportService');
+    this.rootDir = rootDir;
+    this.metadataCache = new Map(); // stats.json 경로 -> { mtimeMs, summary }
+  }
+
+  /**
+   * 실행 목록 (최신순)
+   * @returns {Object[]} 실행별 요약 메타데이터
+   */
+  listRuns() {
+    if (!fs.existsSync(this.rootDir)) return [];
+
+    const runs = [];
+    fs.readdirSync(this.rootDir)
+      .filter(date => DATE_PATTERN.test(date))
+      .forEach(date => {
+        const dateDir = path.join(this.rootDir, date);
+        if (!fs.statSync(dateDir).isDirectory()) return;
+
+        fs.readdirSync(dateDir)
+          .filter(run => RUN_PATTERN.test(run) && fs.statSync(path.join(dateDir, run)).isDirectory())
+          .forEach(run => runs.push(this._readRunMetadata(date, run)));
+      });
+
+    // 폴더 이름이 날짜/시각으로 시작하므로 이름 역순이 최신순
+    return runs.sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * 실행 하나의 메타데이터
+   * @param {string} runId 실행 ID (<날짜>_<실행 폴더>)
+   * @returns {Object|null} 없으면 null
+   */
+  getRun(runId) {
+    const location = this._resolveRunDir(runId);
+    if (!location) return null;
+
+    return this._readRunMetadata(location.date, location.run);
+  }
+
+  /**
+   * 가장 최근 실행 (한글 보고서가 있는 실행 중)
+   * @returns {Object|null}
+   */
+  getLatestRun() {
+    return this.listRuns().find(run => run.files.includes(REPORT_FILE)) || null;
+  }
+
+  /**
+   * 실행 결과 파일 경로 (내려받기용)
+   * @param {string} runId 실행 ID
+   * @param {string} file DOWNLOADABLE_FILES 중 하나 또는 비교 보고서
+   * @returns {{filePath: string, contentType: string}|null} 없으면 null
+   */
+  getRunFile(runId, file) {
+    const contentType = this._getContentType(file);
+    if (!contentType) return null;
+
+    const location = this._resolveRunDir(runId);
+    if (!location) return null;
+
+    const filePath = path.join(location.runDir, file);
+    if (!fs.existsSync(filePath)) return null;
+
+    return { filePath, contentType };
+  }
+
+  /**
+   * 실행 결과 링크 (실행 이력 화면용)
+   * @param {string} runId 실행 ID
+   * @returns {{report: string|null, files: {name: string, url: string}[]}} 결과 폴더가 없으면 빈 목록
+   */
+  getArtifacts(runId) {
+    const run = this.getRun(runId);
+    if (!run) return { report: null, files: [] };
+
+    return {
+      report: run.hasReport ? `/api/reports/${runId}.html` : null,
+      files: run.files.map(file => ({ name: file, url: `/api/reports/${runId}/download/${encodeURIComponent(file)}` }))
+    };
+  }
+
+  /**
+   * 한글 보고서 Markdown 원문
+   * @param {string} runId 실행 ID
+   * @returns {string|null} 보고서가 없으면 null
+   */
+  readReportMarkdown(runId) {
+    const reportFile = this.getRunFile(runId, REPORT_FILE);
+    return reportFile ? fs.readFileSync(reportFile.filePath, 'utf8') : null;
+  }
+
+  /**
+   * 한글 보고서를 HTML 페이지로 렌더링 (상단에 결과 파일 내려받기 링크, 하단에 stats.json 차트)
+   * @param {string} runId 실행 ID
+   * @returns {string|null} 보고서가 없으면 null
+   */
+  renderReportHtml(runId) {
+    const markdown = this.readReportMarkdown(runId);
+    if (markdown === null) return null;
+
+    const metadata = this.getRun(runId);
+    return renderMarkdownPage(markdown, {
+      title: `${metadata.testName} - 테스트 보고서`,
+      links: this.getArtifacts(runId).files,
+      appendix: this._renderCharts(runId)
+    });
+  }
+
+  /**
+   * stats.json으로 그린 차트 섹션 (내부 헬퍼)
+   * stats.json이 없거나 읽을 수 없으면 빈 문자열
+   */
+  _renderCharts(runId) {
+    const statsFile = this.getRunFile(runId, 'stats.json');
+    if (!statsFile) return '';
+
+    try {
+      const statsData = JSON.parse(fs.readFileSync(statsFile.filePath, 'utf8'));
+      return new HtmlReportGenerator().createChartsSection(statsData);
+    } catch (error) {
+      this.logger.warn(`Failed to render charts for ${runId}: ${error.message}`);
+      return '';
+    }
+  }
+
+  /**
+   * 내려받을 수 있는 파일의 Content-Type (내부 헬퍼)
+   * @returns {string|null} 목록에 없는 파일이면 null
+   */
+  _getContentType(file) {
+    if (Object.prototype.hasOwnProperty.call(DOWNLOADABLE_FILES, file)) return DOWNLOADABLE_FILES[file];
+
+    const match = COMPARISON_FILE_PATTERN.exec(file || '');
+    return match ? COMPARISON_CONTENT_TYPES[match[1]] : null;
+  }
+
+  /**
+   * 실행 ID를 폴더 경로로 변환 (내부 헬퍼)
+   * 실행 ID 형식이 아니거나 폴더가 없으면 null (경로 조작 방지)
+   */
+  _resolveRunDir(runId) {
+    const match = RUN_ID_PATTERN.exec(runId || '');
+    if (!match) return null;
+
+    const [, date, run] = match;
+    const dateDir = path.join(this.rootDir, date);
+    const runDir = path.join(dateDir, run);
+    if (path.dirname(runDir) !== dateDir) return null;
+    if (!fs.existsSync(runDir) || !fs.statSync(runDir).isDirectory()) return null;
+
+    return { date, run, runDir };
+  }
+
+  /**
+   * 실행 메타데이터 읽기 (내부 헬퍼)
+   * stats.json은 클 수 있으므로 수정 시각이 같으면 캐시를 사용한다.
+   */
+  _readRunMetadata(date, run) {
+    const runDir = path.join(this.rootDir, date, run);
+    const files = [
+      ...Object.keys(DOWNLOADABLE_FILES).filter(file => fs.existsSync(path.join(runDir, file))),
+      ...fs.readdirSync(runDir).filter(file => COMPARISON_FILE_PATTERN.test(file)).sort()
+    ];
+    const metadata = {
+      id: `${date}_${run}`,
+      date,
+      run,
+      testName: run.replace(/^\d{2}-\d{2}-\d{2}-/, ''),
+      files,
+      hasReport: files.includes(REPORT_FILE),
+      startTime: null,
+      elapsed: null,
+      total: null,
+      completed: null,
+      failed: null,
+      successRate: null,
+      thresholds: null
+    };
+
+    const statsFile = path.join(runDir, 'stats.json');
+    if (!files.includes('stats.json')) return metadata;
+
+    const { mtimeMs } = fs.statSync(statsFile);
+    const cached = this.metadataCache.get(statsFile);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return { ...metadata, ...cached.summary };
+    }
+
+    let summary = {};
+    try {
+      const data = JSON.parse(fs.readFileSync(statsFile, 'utf8'));
+      const stats = data.stats || {};
+      summary = {
+        testName: data.testName || metadata.testName,
+        startTime: data.startTime || null,
+        elapsed: data.elapsed || null,
+        total: stats.total ?? null,
+        completed: stats.completed ?? null,
+        failed: stats.failed ?? null,
+        successRate: stats.total > 0 ? Math.round((stats.completed / stats.total) * 1000) / 10 : null,
+        thresholds: Array.isArray(stats.thresholds)
+          ? { total: stats.thresholds.length, passed: stats.thresholds.filter(result => result.passed).length }
+          : null
+      };
+    } catch (error) {
+      this.logger.warn(`Failed to read ${statsFile}: ${error.message}`);
+    }
+
+    this.metadataCache.set(statsFile, { mtimeMs, summary });
+    return { ...metadata, ...summary };
+  }
+}
@@ -3,86 +3,171 @@
  * Web GUI에서 테스트 실행을 관리
  */
 
-import { exec } from 'child_process';
+import { EventEmitter } from 'events';
 import { Logger } from '../../utils/logger.js';
+import { RateLimiter } from '../../utils/rate-limiter.js';
+import { LoadProfile } from '../../core/load-profile.js';
+import { TestExecutor } from '../../core/test-executor.js';
+import { monitorEvents, omitRawSamples } from '../../utils/concurrent-monitor.js';
+import { browserSessionManager } from '../../browser/session-manager.js';
+import { config } from '../../config/index.js';
 
-export class TestManagerService {
+/**
+ * 실시간 스트림에 보관하는 최근 에러 수
+ */
+const MAX_RECENT_ERRORS = 20;
+
+/**
+ * 테스트 관리 서비스
+ * TestExecutor를 같은 프로세스에서 실행하고 세션 결과, 요약, 모니터 통계를 데이터로 보관한다.
+ * 'stream' 이벤트({ type, data })로 상태 변경, 로그, 세션 결과, 모니터 이벤트를 내보낸다 (/api/stream)
+ */
+export class TestManagerService extends EventEmitter {
   constructor() {
+    super();
+    this.setMaxListeners(0); // 스트림 구독자(브라우저 탭) 수 제한 없음
+
     this.logger = new Logger('TestManager');
-    this.currentProcess = null;
+    this.executor = null;
     this.status = {
       isRunning: false,
+      stopping: false,
       currentTest: null,
       results: [],
-      logs: []
+      logs: [],
+      exitCode: null,
+      summary: null,
+      thresholds: null,
+      monitorStats: null,
+      live: this._createLiveCounters(),
+      recentErrors: []
+    };
+
+    // 실행 중에만 구독하는 모니터 이벤트 리스너
+    this._onMonitorEvent = event => this._handleMonitorEvent(event);
+  }
+
+  /**
+   * 실행 준비 (설정 검증과 실행 옵션 생성)
+   * 동기로 검증하므로 API가 응답하기 전에 잘못된 옵션을 오류로 돌려줄 수 있다.
+   * @param {Object} options GUI 실행 옵션 ({ mode, count, parallel, duration, rateLimit, actionRate, ramp })
+   * @returns {{mode: string, currentTest: Object, executionOptions: Object}} runTest에 넘길 실행 준비 결과
+   */
+  prepareRun(options) {
+    const { mode, count = 4, parallel = 2, duration = 5, rateLimit = 0, actionRate = '', ramp = '' } = options;
+
+    config.validate();
+    const executionOptions = {
+      ...this._buildExecutionOptions(mode, { count, parallel, duration, ramp }),
+      rateLimit: this._buildRateLimit(rateLimit, actionRate)
+    };
+
+    return {
+      mode,
+      currentTest: { mode, count, parallel, duration, rateLimit, actionRate, ramp },
+      executionOptions
     };
   }
 
   /**
    * 테스트 실행
+   * @param {Object} run prepareRun 반환값
+   * @returns {Promise<{success: boolean, code: number}>} code는 CLI와 같은 종료 코드
    */
-  async runTest(options) {
+  async runTest({ mode, currentTest, executionOptions }) {
     if (this.status.isRunning) {
       throw new Error('Test is already running');
     }
 
-    const { mode, count = 4, parallel = 2, duration = 5 } = options;
-
     this.status.isRunning = true;
-    this.status.currentTest = { mode, count, parallel, duration };
+    this.status.stopping = false;
+    this.status.currentTest = currentTest;
     this.status.results = [];
     this.status.logs = [];
+    this.status.exitCode = null;
+    this.status.summary = null;
+    this.status.thresholds = null;
+    this.status.monitorStats = null;
+    this.status.live = this._createLiveCounters();
+    this.status.recentErrors = [];
 
-    // 명령어 생성
-    const command = this._buildCommand(mode, count, parallel, duration);
+    // 단일 테스트는 모니터 없이 실행되므로 카운터를 직접 관리
+    if (mode === 'single' || mode === 'debug') {
+      this.status.live = { ...this._createLiveCounters(), total: 1, running: 1 };
+    }
 
-    this._addLog(`Starting test: ${command}`);
+    this.executor = new TestExecutor();
+    this.executor.on('session-completed', result => this._handleSessionResult(result));
+    monitorEvents.on('event', this._onMonitorEvent);
 
-    return new Promise((resolve, reject) => {
-      this.currentProcess = exec(command, {
-        cwd: process.cwd(),
-        maxBuffer: 1024 * 1024 * 10 // 10MB
-      });
+    this._addLog(`Starting ${mode} test (${config.environmentName}, ${config.baseUrl})`);
+    this._emitStatus();
 
-      this.currentProcess.stdout.on('data', (data) => {
-        this._addLog(data.toString().trim());
-      });
+    try {
+      let result;
+      switch (mode) {
+        case 'single':
+        case 'debug':
+          result = await this.executor.executeSingle(null);
+          break;
 
-      this.currentProcess.stderr.on('data', (data) => {
-        this._addLog(`ERROR: ${data.toString().trim()}`);
-      });
+        case 'multi':
+          result = await this.executor.executeMulti(executionOptions);
+          break;
 
-      this.currentProcess.on('close', (code) => {
-        this.status.isRunning = false;
-        this._addLog(`Test completed (exit code: ${code})`);
+        case 'load':
+          result = await this.executor.executeLoad(executionOptions);
+          break;
+      }
 
-        if (code === 0) {
-          resolve({ success: true, code });
-        } else {
-          resolve({ success: false, code });
-        }
-      });
+      this.status.summary = result.summary || this.executor.getSummary();
+      this.status.thresholds = this.executor.thresholdResults;
+      this.status.monitorStats = omitRawSamples(this.executor.monitorStats);
+      this.status.exitCode = this.executor.resolveExitCode(result);
 
-      this.currentProcess.on('error', (error) => {
-        this.status.isRunning = false;
-        this._addLog(`ERROR: ${error.message}`);
-        reject(error);
-      });
-    });
+      const { successful, total, successRate } = this.status.summary;
+      this._addLog(`Test completed: ${successful}/${total} succeeded (${successRate}%, exit code: ${this.status.exitCode})`);
+
+      return { success: this.status.exitCode === 0, code: this.status.exitCode };
+    } catch (error) {
+      this.status.exitCode = 1;
+      this._addLog(`ERROR: ${error.message}`);
+      throw error;
+    } finally {
+      monitorEvents.off('event', this._onMonitorEvent);
+
+      // 다음 실행이 탭 모드 등 이전 설정을 물려받지 않도록 브라우저 관리자 초기화
+      try {
+        await browserSessionManager.reset();
+      } catch (cleanupError) {
+        this.logger.warn('Browser cleanup error:', cleanupError);
+      }
+
+      this.executor = null;
+      this.status.isRunning = false;
+      this.status.stopping = false;
+      this._emitStatus();
+    }
   }
 
   /**
    * 테스트 중지
+   * 새 세션 시작을 멈추고 브라우저를 닫아 진행 중인 세션도 바로 끝낸다.
+   * 실행 상태는 실행기가 정리를 마친 뒤 status 이벤트로 바뀐다.
    */
   stopTest() {
-    if (!this.currentProcess) {
+    if (!this.executor) {
       throw new Error('No test is running');
     }
 
-    this.currentProcess.kill('SIGTERM');
-    this.status.isRunning = false;
+    this.executor.stop();
+    this.status.stopping = true;
     this._addLog('Test stopped by user');
 
+    browserSessionManager.cleanup().catch(error => {
+      this.logger.warn('Browser cleanup error:', error);
+    });
+
     return { success: true, message: 'Test stopped' };
   }
 
@@ -97,37 +182,155 @@ export class TestManagerService {
   }
 
   /**
-   * 명령어 생성 (내부 헬퍼)
+   * 실시간 스트림용 상태 요약 (로그, 세션별 결과, 모니터 통계 제외)
+   * expectedTotal은 진행률 분모 (멀티 모드는 테스트 개수, 그 외에는 지금까지 등록된 세션 수)
+   */
+  getLiveStatus() {
+    const { isRunning, stopping, currentTest, exitCode, summary, live, recentErrors } = this.status;
+    return {
+      isRunning,
+      stopping,
+      currentTest,
+      exitCode,
+      summary,
+      live,
+      recentErrors,
+      expectedTotal: currentTest?.mode === 'multi' ? currentTest.count : live.total
+    };
+  }
+
+  /**
+   * 모드별 실행 옵션 생성 (내부 헬퍼)
+   * cli.js의 옵션 처리와 같은 규칙으로 탭 모드와 부하 프로파일을 적용한다.
+   * 부하 프로파일은 CLI처럼 모드와 관계없이 검증하고 multi/load 모드에서만 사용한다.
    */
-  _buildCommand(mode, count, parallel, duration) {
+  _buildExecutionOptions(mode, { count, parallel, duration, ramp }) {
+    const concurrency = parseInt(parallel) || 2;
+    const parsedProfile = ramp ? LoadProfile.parse(ramp) : null;
+    const profile = mode === 'multi' || mode === 'load' ? parsedProfile : null;
+
     switch (mode) {
       case 'single':
       case 'debug':
-        return 'node cli.js single';
+        return {};
 
       case 'multi':
-        return `node cli.js multi -c ${count} -p ${parallel}`;
+        return {
+          count: parseInt(count) || 3,
+          concurrency: profile ? profile.maxTarget : concurrency,
+          useTabMode: true,
+          // 부하 프로파일이 있으면 브라우저당 탭은 최대 50개
+          tabsPerBrowser: profile ? Math.max(1, Math.min(profile.maxTarget, 50)) : Math.max(1, concurrency),
+          profile
+        };
 
       case 'load':
-        return `node cli.js load -d ${duration} -p ${parallel}`;
+        return {
+          duration: parseInt(duration) || 5,
+          concurrency: profile ? profile.maxTarget : concurrency,
+          profile
+        };
 
       default:
         throw new Error(`Invalid test mode: ${mode}`);
     }
   }
 
+  /**
+   * 유량 제어 설정 생성 (내부 헬퍼)
+   */
+  _buildRateLimit(rateLimit, actionRate) {
+    return {
+      globalRps: parseFloat(rateLimit) > 0 ? parseFloat(rateLimit) : 0,
+      actionRps: RateLimiter.parseActionRates(actionRate)
+    };
+  }
+
+  /**
+   * 세션 결과 처리 (내부 헬퍼)
+   * 학생/결제 정보와 스크린샷 경로는 빼고 GUI에 필요한 값만 보관한다.
+   */
+  _handleSessionResult(result) {
+    const entry = {
+      sessionId: result.sessionId,
+      success: result.success,
+      totalTime: result.totalTime,
+      stepTimes: result.stepTimes || {},
+      errors: (result.errors || []).map(error => error.message || String(error)),
+      courseTitle: result.courseInfo?.title || null,
+      paymentSteps: result.paymentSteps || []
+    };
+    this.status.results.push(entry);
+
+    const mode = this.status.currentTest?.mode;
+    if (mode === 'single' || mode === 'debug') {
+      this.status.live = {
+        ...this.status.live,
+        running: 0,
+        completed: result.success ? 1 : 0,
+        failed: result.success ? 0 : 1
+      };
+    }
+
+    this._addLog(`Session ${entry.sessionId} ${entry.success ? 'completed' : 'failed'} in ${Math.round(entry.totalTime / 1000)}s`);
+    this.emit('stream', { type: 'result', data: entry });
+  }
+
   /**
    * 로그 추가 (내부 헬퍼)
    */
   _addLog(message) {
-    this.status.logs.push({
+    const entry = {
       timestamp: new Date(),
       message: message
-    });
+    };
+    this.status.logs.push(entry);
 
     // 최대 100개 로그만 유지
     if (this.status.logs.length > 100) {
       this.status.logs.shift();
     }
+
+    this.emit('stream', { type: 'log', data: entry });
+  }
+
+  /**
+   * 모니터 이벤트 처리 (내부 헬퍼)
+   * 카운터와 최근 에러를 갱신한 뒤 그대로 스트림에 전달한다.
+   */
+  _handleMonitorEvent(event) {
+    if (event.counters) {
+      this.status.live = { ...event.counters };
+    }
+
+    if (event.eventType === 'ERROR' || event.eventType === 'SESSION_FAILED') {
+      this.status.recentErrors.push({
+        timestamp: event.timestamp,
+        sessionId: event.sessionId,
+        step: event.step || null,
+        errorType: event.errorType || null,
+        message: event.error || event.errors?.[event.errors.length - 1]?.message || 'Session failed'
+      });
+
+      if (this.status.recentErrors.length > MAX_RECENT_ERRORS) {
+        this.status.recentErrors.shift();
+      }
+    }
+
+    this.emit('stream', { type: 'monitor', data: event });
+  }
+
+  /**
+   * 실행 상태 변경 알림 (내부 헬퍼)
+   */
+  _emitStatus() {
+    this.emit('stream', { type: 'status', data: this.getLiveStatus() });
+  }
+
+  /**
+   * 빈 실시간 카운터 (내부 헬퍼)
+   */
+  _createLiveCounters() {
+    return { total: 0, running: 0, completed: 0, failed: 0, waiting: 0 };
   }
 }
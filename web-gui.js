@@ -11,6 +11,7 @@ import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import apiRoutes from './src/web/routes/api.routes.js';
 import { config } from './src/config/index.js';
+import { browserSessionManager } from './src/browser/session-manager.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -67,13 +68,16 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
+// Graceful shutdown (GUI에서 실행 중인 테스트의 브라우저도 정리)
+const shutdown = async () => {
   console.log('\n\n👋 Shutting down gracefully...');
+  try {
+    await browserSessionManager.cleanup();
+  } catch (error) {
+    console.error('Browser cleanup error:', error);
+  }
   process.exit(0);
-});
+};
 
-process.on('SIGTERM', () => {
-  console.log('\n\n👋 Shutting down gracefully...');
-  process.exit(0);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);